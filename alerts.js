@@ -0,0 +1,198 @@
+/**
+ * Price drop alert rules
+ *
+ * Decides whether a price below what was paid is worth an alert. Rules come
+ * from the trip's `alertRules` where set, falling back to the global
+ * settings. The trip's `alertState` records the last alert so repeats are
+ * suppressed across service worker restarts.
+ *
+ * Upgrade alerts (a higher class priced below what was paid) use the same
+ * rules, with their state kept per class in `upgradeAlertState`.
+ *
+ * Watches (trips not bought yet) alert against a `targetPrice` instead,
+ * with their state in `targetAlertState`.
+ *
+ * Snoozing a trip (from a notification) sets `snoozedUntil`; no alerts of
+ * any kind are sent for it until then.
+ */
+
+import { higherClasses } from './fares.js';
+
+// Rule names, mapped to the settings keys that hold their global defaults
+const RULE_SETTINGS = {
+  minSavings: 'alertMinSavings',
+  minSavingsPercent: 'alertMinSavingsPercent',
+  newLowOnly: 'alertNewLowOnly',
+  cooldownHours: 'alertCooldownHours'
+};
+
+/**
+ * Merge a trip's alert rule overrides with the global defaults
+ * @param {Object} trip - Trip with optional `alertRules`
+ * @param {Object} settings - Extension settings
+ * @returns {Object} { minSavings, minSavingsPercent, newLowOnly, cooldownHours }
+ */
+export function resolveAlertRules(trip, settings) {
+  const overrides = trip.alertRules || {};
+  const rules = {};
+  Object.entries(RULE_SETTINGS).forEach(([rule, settingKey]) => {
+    const override = overrides[rule];
+    rules[rule] = override !== undefined && override !== null ? override : settings[settingKey];
+  });
+  return rules;
+}
+
+/**
+ * Decide whether to send a price drop alert
+ * @param {Object} trip - Trip with `pricePaid` and optional `alertState`
+ * @param {number} currentPrice - Latest price, in the same basis as pricePaid
+ * @param {Object} settings - Extension settings
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Object} { notify: boolean, reason: string }
+ */
+export function evaluatePriceAlert(trip, currentPrice, settings, now = new Date()) {
+  return evaluateRules(trip, currentPrice, trip.alertState, settings, now);
+}
+
+// Apply the trip's alert rules to a price, given the state of the last alert
+function evaluateRules(trip, currentPrice, alertState, settings, now) {
+  if (currentPrice === null || currentPrice === undefined || !(currentPrice < trip.pricePaid)) {
+    return { notify: false, reason: 'Price is not below price paid' };
+  }
+
+  const rules = resolveAlertRules(trip, settings);
+  const savings = trip.pricePaid - currentPrice;
+  const savingsPercent = trip.pricePaid > 0 ? (savings / trip.pricePaid) * 100 : 0;
+
+  if (rules.minSavings && savings < rules.minSavings) {
+    return { notify: false, reason: `Savings $${savings.toFixed(2)} below minimum $${Number(rules.minSavings).toFixed(2)}` };
+  }
+
+  if (rules.minSavingsPercent && savingsPercent < rules.minSavingsPercent) {
+    return { notify: false, reason: `Savings ${savingsPercent.toFixed(1)}% below minimum ${rules.minSavingsPercent}%` };
+  }
+
+  const state = alertState || {};
+
+  if (rules.newLowOnly && state.lastAlertedPrice !== null && state.lastAlertedPrice !== undefined &&
+      currentPrice >= state.lastAlertedPrice) {
+    return { notify: false, reason: `Not a new low (last alerted at $${state.lastAlertedPrice.toFixed(2)})` };
+  }
+
+  if (rules.cooldownHours && state.lastAlertedAt) {
+    const hoursSinceAlert = (now - new Date(state.lastAlertedAt)) / (1000 * 60 * 60);
+    if (hoursSinceAlert < rules.cooldownHours) {
+      return { notify: false, reason: `In cooldown (${hoursSinceAlert.toFixed(1)}h of ${rules.cooldownHours}h)` };
+    }
+  }
+
+  return { notify: true, reason: `Saves $${savings.toFixed(2)} (${savingsPercent.toFixed(1)}%)` };
+}
+
+/**
+ * Record that an alert was sent
+ * @param {Object} trip - Trip to update in place
+ * @param {number} price - Price that was alerted
+ * @param {Date} [now=new Date()] - Current time
+ */
+export function recordAlert(trip, price, now = new Date()) {
+  trip.alertState = nextAlertState(trip.alertState, price, now);
+}
+
+/**
+ * Find higher classes worth an upgrade alert
+ * @param {Object} trip - Trip with `ticketClass`, `pricePaid` and optional `upgradeAlertState`
+ * @param {Object} classPrices - Current prices keyed by class, in the same basis as pricePaid
+ * @param {Object} settings - Extension settings
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Array} [{ className, price, reason }] for classes that should alert
+ */
+export function evaluateUpgradeAlerts(trip, classPrices, settings, now = new Date()) {
+  if (!settings.upgradeAlertsEnabled || !classPrices) return [];
+
+  return higherClasses(trip.ticketClass)
+    .filter(className => classPrices[className] !== undefined)
+    .map(className => {
+      const price = classPrices[className];
+      const state = trip.upgradeAlertState?.[className];
+      return { className, price, ...evaluateRules(trip, price, state, settings, now) };
+    })
+    .filter(result => result.notify)
+    .map(({ className, price, reason }) => ({ className, price, reason }));
+}
+
+/**
+ * Record that an upgrade alert was sent for a class
+ * @param {Object} trip - Trip to update in place
+ * @param {string} className - Class that was alerted
+ * @param {number} price - Price that was alerted
+ * @param {Date} [now=new Date()] - Current time
+ */
+export function recordUpgradeAlert(trip, className, price, now = new Date()) {
+  const states = trip.upgradeAlertState || {};
+  trip.upgradeAlertState = { ...states, [className]: nextAlertState(states[className], price, now) };
+}
+
+/**
+ * Decide whether a watch's price has reached its target
+ * Alerts the first time the target is reached, then only on new lows.
+ * @param {Object} trip - Trip with `targetPrice` and optional `targetAlertState`
+ * @param {number} price - Latest price, in the trip's price basis
+ * @returns {Object} { notify: boolean, reason: string }
+ */
+export function evaluateTargetAlert(trip, price) {
+  if (trip.targetPrice === null || trip.targetPrice === undefined) {
+    return { notify: false, reason: 'No target price' };
+  }
+  if (price === null || price === undefined || price > trip.targetPrice) {
+    return { notify: false, reason: 'Price is above the target' };
+  }
+
+  const lastPrice = trip.targetAlertState?.lastAlertedPrice;
+  if (lastPrice !== null && lastPrice !== undefined && price >= lastPrice) {
+    return { notify: false, reason: `Not a new low (last alerted at $${lastPrice.toFixed(2)})` };
+  }
+
+  return { notify: true, reason: `$${price.toFixed(2)} is at or below the $${trip.targetPrice.toFixed(2)} target` };
+}
+
+/**
+ * Record that a target price alert was sent
+ * @param {Object} trip - Trip to update in place
+ * @param {number} price - Price that was alerted
+ * @param {Date} [now=new Date()] - Current time
+ */
+export function recordTargetAlert(trip, price, now = new Date()) {
+  trip.targetAlertState = nextAlertState(trip.targetAlertState, price, now);
+}
+
+// How long "Snooze 24h" on a notification holds off alerts
+export const SNOOZE_HOURS = 24;
+
+/**
+ * Snooze all alerts for a trip
+ * @param {Object} trip - Trip to update in place
+ * @param {number} [hours=SNOOZE_HOURS]
+ * @param {Date} [now=new Date()] - Current time
+ */
+export function snoozeAlerts(trip, hours = SNOOZE_HOURS, now = new Date()) {
+  trip.snoozedUntil = new Date(now.getTime() + hours * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Whether a trip's alerts are snoozed
+ * @param {Object} trip - Trip with optional `snoozedUntil`
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {boolean}
+ */
+export function isSnoozed(trip, now = new Date()) {
+  return !!trip.snoozedUntil && new Date(trip.snoozedUntil) > now;
+}
+
+function nextAlertState(previous, price, now) {
+  return {
+    lastAlertedPrice: price,
+    lastAlertedAt: now.toISOString(),
+    alertCount: (previous?.alertCount || 0) + 1
+  };
+}
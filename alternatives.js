@@ -0,0 +1,129 @@
+/**
+ * Alternative trains
+ *
+ * Each check keeps a snapshot of every train on the trip's route and day,
+ * priced in the trip's class and fare type and in the same basis as
+ * pricePaid. The trip card lists them against the tracked train, and an
+ * optional alert fires when a train departing close to the tracked one is
+ * cheaper than the ticket by a set amount.
+ */
+
+import { selectFarePrice } from './fares.js';
+import { normalizeScrapedPrice } from './passengers.js';
+
+// Snapshots kept per trip, newest last
+export const MAX_TRAIN_SNAPSHOTS = 10;
+
+/**
+ * Build a snapshot of every train from a price check
+ * @param {Object} trip - Trip being checked
+ * @param {Array} trains - Provider results, [{ trainNumber, departureTime, prices }]
+ * @param {string} [scrapedBasis='total'] - Whether provider prices cover the whole party
+ * @param {Date} [now=new Date()] - Time of the check
+ * @returns {Object|null} { timestamp, trains: [{ trainNumber, departureTime, price }] }
+ */
+export function buildTrainSnapshot(trip, trains, scrapedBasis = 'total', now = new Date()) {
+  if (!trains || trains.length === 0) return null;
+
+  const snapshotTrains = trains
+    // Trains that don't sell the trip's class aren't an alternative
+    .filter(train => !trip.ticketClass ||
+      train.prices.some(p => p.className === trip.ticketClass || p.className === null))
+    .map(train => {
+      const price = selectFarePrice(train.prices, trip.ticketClass, trip.fareType);
+      return {
+        trainNumber: String(train.trainNumber),
+        departureTime: train.departureTime || null,
+        price: price === null ? null : normalizeScrapedPrice(price, trip, scrapedBasis)
+      };
+    })
+    .filter(train => train.price !== null);
+
+  return snapshotTrains.length > 0 ? { timestamp: now.toISOString(), trains: snapshotTrains } : null;
+}
+
+/**
+ * Add a snapshot to a trip, dropping the oldest past the limit
+ * @param {Object} trip - Trip to update in place
+ * @param {Object} snapshot - From buildTrainSnapshot
+ */
+export function addTrainSnapshot(trip, snapshot) {
+  trip.trainSnapshots = [...(trip.trainSnapshots || []), snapshot].slice(-MAX_TRAIN_SNAPSHOTS);
+}
+
+/**
+ * Compare the latest snapshot's trains with the tracked train and price paid
+ * Watches have no price paid, so their trains are compared with the target price.
+ * @param {Object} trip - Trip with `trainSnapshots`
+ * @returns {Array} [{ trainNumber, departureTime, price, isTracked, vsTrain, vsPaid }]
+ *   sorted by departure time; vsTrain and vsPaid are negative when cheaper
+ */
+export function compareAlternatives(trip) {
+  const snapshot = trip.trainSnapshots?.at(-1);
+  if (!snapshot) return [];
+
+  const tracked = snapshot.trains.find(train => train.trainNumber === String(trip.trainNumber));
+  const reference = trip.pricePaid ?? trip.targetPrice ?? null;
+
+  return snapshot.trains
+    .map(train => ({
+      ...train,
+      isTracked: train === tracked,
+      vsTrain: tracked ? train.price - tracked.price : null,
+      vsPaid: reference === null ? null : train.price - reference
+    }))
+    .sort((a, b) => (a.departureTime || '99:99').localeCompare(b.departureTime || '99:99'));
+}
+
+/**
+ * Find nearby trains worth an alert
+ * A train qualifies if it departs within the configured window of the
+ * tracked train, beats the price paid by the configured amount, and is
+ * cheaper than when it was last alerted.
+ * @param {Object} trip - Trip with `trainSnapshots` and optional `alternativeAlertState`
+ * @param {Object} settings - Extension settings
+ * @returns {Array} [{ trainNumber, departureTime, price, savings }]
+ */
+export function evaluateAlternativeAlerts(trip, settings) {
+  if (!settings.alternativeAlertsEnabled) return [];
+
+  const snapshot = trip.trainSnapshots?.at(-1);
+  if (!snapshot) return [];
+
+  const trackedTime = trip.trainTime ||
+    snapshot.trains.find(train => train.trainNumber === String(trip.trainNumber))?.departureTime;
+  if (!trackedTime) return [];
+
+  const windowMinutes = settings.alternativeWindowMinutes;
+  const minSavings = settings.alternativeMinSavings || 0;
+  const state = trip.alternativeAlertState || {};
+
+  return snapshot.trains
+    .filter(train => train.trainNumber !== String(trip.trainNumber) && train.departureTime)
+    .filter(train => Math.abs(toMinutes(train.departureTime) - toMinutes(trackedTime)) <= windowMinutes)
+    .map(train => ({ ...train, savings: trip.pricePaid - train.price }))
+    .filter(train => train.savings > 0 && train.savings >= minSavings)
+    .filter(train => {
+      const lastPrice = state[train.trainNumber]?.lastAlertedPrice;
+      return lastPrice === undefined || train.price < lastPrice;
+    });
+}
+
+/**
+ * Record that an alternative train alert was sent
+ * @param {Object} trip - Trip to update in place
+ * @param {string} trainNumber - Train that was alerted
+ * @param {number} price - Price that was alerted
+ * @param {Date} [now=new Date()] - Current time
+ */
+export function recordAlternativeAlert(trip, trainNumber, price, now = new Date()) {
+  trip.alternativeAlertState = {
+    ...trip.alternativeAlertState,
+    [trainNumber]: { lastAlertedPrice: price, lastAlertedAt: now.toISOString() }
+  };
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
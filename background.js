@@ -1,44 +1,101 @@
-import { getTrips, updateTrip, getSettings, saveSettings } from './storage.js';
-import { sendPriceDropEmail, sendTestEmail } from './email.js';
+import { getTrips, getTrip, updateTrip, getSettings, saveSettings, runMigrations, saveRunLog, onTripsOrSettingsChanged, getLedger, updateLedgerEntry } from './storage.js';
+import { dispatchPriceDrop, sendChannelTest } from './channels.js';
+import { evaluatePriceAlert, recordAlert, evaluateUpgradeAlerts, recordUpgradeAlert, evaluateTargetAlert, recordTargetAlert, snoozeAlerts, isSnoozed } from './alerts.js';
+import { appendPassengerParams, normalizeScrapedPrice } from './passengers.js';
+import { fetchPrice, fetchSharedPrices } from './providers.js';
+import { selfTestSelectors, closeAutomationTab, showTrainInTab } from './tab-provider.js';
+import { classPriceSummary, TICKET_CLASSES } from './fares.js';
+import { buildTrainSnapshot, addTrainSnapshot, evaluateAlternativeAlerts, recordAlternativeAlert } from './alternatives.js';
+import { rangeDates, cheapestInTimeWindow, findCheapestDay, evaluateRangeAlerts } from './date-range.js';
+import { isWatch } from './watches.js';
+import { isCheckDue, earliestNextCheck, trainDeparted } from './schedule.js';
+import { isFailure, classifyException, recordCheckOutcome, formatFailureType, FAILURE_ALERT_THRESHOLD } from './errors.js';
+import { startRun, logRunEvent, startTripRun, finishTripRun, finishRun, summarizeTrains, describeOutcome } from './diagnostics.js';
+import { setProgressListener, startProgress, setProgressStep, setTripProgress, finishProgress, getProgress, requestCancel, isCancelRequested } from './progress.js';
+import { searchKey, groupTripsBySearch } from './searches.js';
+import { computeBadgeState } from './badge.js';
+import { vouchersDueForReminder, daysUntilExpiry, voucherValue } from './ledger.js';
 
 const ALARM_NAME = 'checkAmtrakPrices';
-const DEFAULT_CHECK_INTERVAL = 4; // hours
+// The alarm also repeats on this period in case a run is cut short
+const ALARM_HEARTBEAT_MINUTES = 60;
+// Separate alarm for eVoucher expiry reminders, independent of trip checks
+const VOUCHER_ALARM_NAME = 'voucherReminders';
+const VOUCHER_ALARM_MINUTES = 12 * 60;
 
 // Lock to prevent concurrent price checks
 let isCheckingPrices = false;
+// Trips asked for by ID while a run was going; checked once it finishes
+const queuedTripIds = new Set();
 
-// Initialize extension on install
-chrome.runtime.onInstalled.addListener(async () => {
-  console.log('Amtrak Price Tracker installed');
+// Send run progress to the popup as it changes (see progress.js)
+setProgressListener(progress => {
+  chrome.runtime.sendMessage({ action: 'checkProgress', progress }).catch(() => {
+    // Popup might not be open, ignore error
+  });
+});
+
+// Keep the toolbar badge in step with trips edited from the popup
+onTripsOrSettingsChanged(() => updateBadge());
+
+// Initialize extension on install or update
+chrome.runtime.onInstalled.addListener(async (details) => {
+  console.log(`Amtrak Price Tracker ${details.reason === 'update' ? 'updated' : 'installed'}`);
+  const { applied, quarantined } = await runMigrations();
+  if (applied.length > 0 || quarantined > 0) {
+    console.log(`Storage migrations applied: [${applied.join(', ')}], trips quarantined: ${quarantined}`);
+  }
   await setupAlarm();
+  await setupVoucherAlarm();
+  await updateBadge();
 });
 
 // Initialize on startup
 chrome.runtime.onStartup.addListener(async () => {
   console.log('Amtrak Price Tracker started');
   await setupAlarm();
+  await setupVoucherAlarm();
+  await updateBadge();
 });
 
-// Set up the price check alarm
+// Set the price check alarm for the next trip that's due (see schedule.js)
 async function setupAlarm() {
-  const settings = await getSettings();
-  const intervalHours = settings.checkInterval || DEFAULT_CHECK_INTERVAL;
+  const [trips, settings] = await Promise.all([getTrips(), getSettings()]);
+  const next = earliestNextCheck(trips, settings);
 
   await chrome.alarms.clear(ALARM_NAME);
 
+  if (!next) {
+    console.log('No upcoming trips, price check alarm not set');
+    return;
+  }
+
+  // Chrome won't fire alarms sooner than a minute out
+  const when = Math.max(next.getTime(), Date.now() + 60 * 1000);
   chrome.alarms.create(ALARM_NAME, {
-    delayInMinutes: 1,
-    periodInMinutes: intervalHours * 60
+    when,
+    periodInMinutes: ALARM_HEARTBEAT_MINUTES
   });
 
-  console.log(`Price check alarm set for every ${intervalHours} hours`);
+  console.log(`Next price check at ${new Date(when).toLocaleString()}`);
+}
+
+// Check for expiring vouchers now and twice a day after
+async function setupVoucherAlarm() {
+  await chrome.alarms.clear(VOUCHER_ALARM_NAME);
+  chrome.alarms.create(VOUCHER_ALARM_NAME, {
+    delayInMinutes: 1,
+    periodInMinutes: VOUCHER_ALARM_MINUTES
+  });
 }
 
 // Handle alarm trigger
 chrome.alarms.onAlarm.addListener(async (alarm) => {
   if (alarm.name === ALARM_NAME) {
     console.log('Running scheduled price check');
-    await checkAllPrices();
+    await checkAllPrices({ dueOnly: true });
+  } else if (alarm.name === VOUCHER_ALARM_NAME) {
+    await checkVoucherReminders();
   }
 });
 
@@ -47,144 +104,289 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   // Log messages from content script to service worker
   if (message.action === 'log') {
     console.log(message.message);
+    logRunEvent('content', message.message);
     return;
   }
 
+  // The dashboard can ask for just the selected trips
   if (message.action === 'checkPrices') {
-    checkAllPrices().then(() => {
+    checkAllPrices({ tripIds: message.tripIds }).then(() => {
       sendResponse({ success: true });
+    }).catch(error => {
+      console.error('Price check failed:', error);
+      sendResponse({ success: false, error: error.message });
     });
     return true;
   }
 
+  // The popup asks on open, so a run started before it opened still shows
+  if (message.action === 'getCheckProgress') {
+    sendResponse({ progress: isCheckingPrices ? getProgress() : null });
+    return;
+  }
+
+  if (message.action === 'cancelCheck') {
+    const cancelling = isCheckingPrices && requestCancel();
+    if (cancelling) {
+      console.log('Price check cancel requested');
+      logRunEvent('step', 'Cancel requested from the popup');
+    }
+    sendResponse({ success: cancelling });
+    return;
+  }
+
   if (message.action === 'updateAlarmInterval') {
     setupAlarm().then(() => {
       sendResponse({ success: true });
+    }).catch(error => {
+      console.error('Failed to schedule the next check:', error);
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+
+  if (message.action === 'selectorSelfTest') {
+    getSettings().then(settings => selfTestSelectors(settings)).then(result => {
+      sendResponse(result);
+    }).catch(error => {
+      console.error('Selector self-test failed:', error);
+      sendResponse({ error: error.message });
     });
     return true;
   }
 
-  if (message.action === 'testEmail') {
-    sendTestEmail(message.email).then(success => {
-      sendResponse({ success });
+  if (message.action === 'testChannel') {
+    sendChannelTest(message.channelId, message.config || {}).then(result => {
+      sendResponse(result);
+    }).catch(error => {
+      console.error('Channel test failed:', error);
+      sendResponse({ success: false, error: error.message });
     });
     return true;
   }
 });
 
-// Check prices for all tracked trips
-async function checkAllPrices() {
+// Check prices for tracked trips; scheduled runs only check trips that are due,
+// and tripIds limits a run to those trips
+async function checkAllPrices({ dueOnly = false, tripIds = null } = {}) {
   // Prevent concurrent runs
   if (isCheckingPrices) {
-    console.log('Price check already in progress, skipping');
+    if (tripIds) {
+      tripIds.forEach(id => queuedTripIds.add(id));
+      console.log(`Price check already in progress, queued ${tripIds.length} trips`);
+    } else {
+      console.log('Price check already in progress, skipping');
+    }
     return;
   }
   isCheckingPrices = true;
   console.log('=== Starting price check ===');
+  startRun(dueOnly ? 'scheduled' : 'manual');
+  let checkStatus = 'idle';
 
   try {
-    const trips = await getTrips();
+    const settings = await getSettings();
+    const trips = (await getTrips())
+      .filter(trip => !dueOnly || isCheckDue(trip, settings))
+      .filter(trip => !tripIds || tripIds.includes(trip.id));
 
     if (trips.length === 0) {
-      console.log('No trips to check');
+      console.log('No trips due for a check');
       return;
     }
 
     console.log(`Checking prices for ${trips.length} trips`);
+    logRunEvent('step', `Checking prices for ${trips.length} trips`, { providers: settings.priceProviders });
 
     // Sort by date, soonest first
     trips.sort((a, b) => a.travelDate.localeCompare(b.travelDate));
+    startProgress(trips, dueOnly ? 'scheduled' : 'manual');
+    await updateBadge();
 
     let anySuccess = false;
     let lastError = null;
+    let cancelled = false;
+    // Results of each shared search this run, keyed by searchKey
+    const sharedPrices = new Map();
 
     for (const trip of trips) {
+      // Cancel stops the run between trips; the rest stay unchecked
+      if (isCancelRequested()) {
+        cancelled = true;
+        break;
+      }
+
       const now = new Date();
       const todayStr = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
-
-      if (trip.travelDate < todayStr) {
-        console.log(`Skipping past trip: ${trip.origin} → ${trip.destination}`);
+      startTripRun(trip);
+      setTripProgress(trip.id, 'checking');
+
+      // Date range watches search each day in their window
+      if (trip.type === 'range') {
+        const rangeResult = await checkDateRange(trip, settings, todayStr);
+        anySuccess = anySuccess || rangeResult.success;
+        lastError = rangeResult.error || lastError;
+        if (rangeResult.cancelled && !rangeResult.success) {
+          finishTrip(trip, { status: 'skipped', reason: 'cancelled' });
+        } else {
+          finishTrip(trip, rangeResult.success
+            ? { status: 'success', price: trip.cheapestDay?.price ?? null }
+            : { status: 'failed', error: rangeResult.error });
+        }
+        if (rangeResult.cancelled) {
+          cancelled = true;
+          break;
+        }
         continue;
       }
 
-      // If travel date is today and train has a known departure time, skip if it's already passed
-      if (trip.travelDate === todayStr && trip.trainTime) {
-        const [hours, minutes] = trip.trainTime.split(':').map(Number);
-        if (now.getHours() > hours || (now.getHours() === hours && now.getMinutes() >= minutes)) {
-          console.log(`Skipping departed trip: ${trip.origin} → ${trip.destination} (train time ${trip.trainTime} has passed)`);
-          continue;
-        }
+      const skipped = skipReason(trip, now, todayStr);
+      if (skipped) {
+        console.log(`Skipping trip: ${trip.origin} → ${trip.destination} (${skipped})`);
+        finishTrip(trip, { status: 'skipped', reason: skipped });
+        continue;
       }
 
       try {
-        const priceResult = await fetchAmtrakPrice(trip);
+        // Trips on the same route, day and party share one search; the
+        // first of them searches for all their trains
+        const key = searchKey(trip);
+        const searched = !sharedPrices.has(key);
+        if (searched) {
+          const searchable = trips.filter(other => other.type !== 'range' && !skipReason(other, now, todayStr));
+          const { trips: group } = groupTripsBySearch(searchable).find(candidate => candidate.key === key);
+          if (group.length > 1) {
+            console.log(`Sharing one search between ${group.length} trips`);
+            logRunEvent('step', `Sharing one search between ${group.length} trips`, { tripIds: group.map(other => other.id) });
+          }
+          sharedPrices.set(key, await fetchSharedPrices(group, settings));
+        } else {
+          setProgressStep('Using results from an earlier search');
+          logRunEvent('step', 'Using results from an earlier search this run');
+        }
+        const priceResult = sharedPrices.get(key).get(trip.id);
+
+        // Cancelled mid-search; leave the trip as it was
+        if (priceResult?.error === 'cancelled') {
+          finishTrip(trip, { status: 'skipped', reason: 'cancelled' });
+          cancelled = true;
+          break;
+        }
 
         // Always update lastChecked so we know a check was attempted
         trip.lastChecked = new Date().toISOString();
 
-        // Check if Amtrak returned an error (e.g., "unknown error")
-        if (priceResult !== null && typeof priceResult === 'object' && priceResult.error === 'amtrak_error') {
-          lastError = priceResult.errorText || 'Amtrak error';
-          console.log(`${trip.origin}→${trip.destination}: Amtrak error - ${lastError}`);
+        // Failures come back classified after retries (see errors.js)
+        if (isFailure(priceResult)) {
+          lastError = priceResult.errorText || formatFailureType(priceResult.error);
+          console.log(`${trip.origin}→${trip.destination}: ${formatFailureType(priceResult.error)} - ${lastError}`);
+          if (recordCheckOutcome(trip, priceResult)) {
+            await notifyCheckFailing(trip);
+          }
           await updateTrip(trip);
-          console.log('Waiting 5 seconds before next trip...');
-          await new Promise(resolve => setTimeout(resolve, 5000));
+          finishTrip(trip, { status: 'failed', error: `${formatFailureType(priceResult.error)}: ${lastError}`, attempts: priceResult.attempts });
+          if (searched && !isCancelRequested()) {
+            console.log('Waiting 5 seconds before next trip...');
+            await new Promise(resolve => setTimeout(resolve, 5000));
+          }
           continue;
         }
 
-        if (priceResult !== null) {
-          const wasTrainNotFound = trip.trainNotFound;
+        recordCheckOutcome(trip, null);
 
-          // Handle both old format (just a number) and new format (object)
-          if (typeof priceResult === 'object') {
-            trip.currentPrice = priceResult.price;
-            trip.trainNotFound = !priceResult.trainFound && trip.trainNumber;
-          } else {
-            trip.currentPrice = priceResult;
-            trip.trainNotFound = false;
-          }
+        const wasTrainNotFound = trip.trainNotFound;
+
+        // Amtrak quotes the whole party's fare; convert it to the same
+        // basis as pricePaid before comparing
+        trip.currentPrice = normalizeScrapedPrice(priceResult.price, trip, settings.amtrakPriceBasis);
+        trip.trainNotFound = !priceResult.trainFound && !!trip.trainNumber;
+        trip.currentClassPrices = trip.trainNotFound ? null : getClassPrices(trip, priceResult.trains, settings);
+
+        // Keep every train on the route and day for the alternatives panel
+        const snapshot = buildTrainSnapshot(trip, priceResult.trains, settings.amtrakPriceBasis);
+        if (snapshot) {
+          addTrainSnapshot(trip, snapshot);
+        }
+
+        // Add to price history only if the specific train was found
+        if (!trip.priceHistory) {
+          trip.priceHistory = [];
+        }
+        if (!trip.trainNotFound) {
+          trip.priceHistory.push({
+            price: trip.currentPrice,
+            timestamp: new Date().toISOString(),
+            ...(trip.currentClassPrices ? { classPrices: trip.currentClassPrices } : {})
+          });
+        }
 
-          // Add to price history only if the specific train was found
-          if (!trip.priceHistory) {
-            trip.priceHistory = [];
+        if (isSnoozed(trip)) {
+          console.log(`${trip.origin}→${trip.destination}: alerts snoozed until ${trip.snoozedUntil}`);
+        } else if (isWatch(trip)) {
+          // Nothing bought yet; alert when the fare reaches the target
+          const target = trip.trainNotFound
+            ? { notify: false, reason: 'Train not found' }
+            : evaluateTargetAlert(trip, trip.currentPrice);
+          if (target.notify) {
+            await notifyTargetReached(trip, trip.currentPrice);
+            recordTargetAlert(trip, trip.currentPrice);
           }
-          if (!trip.trainNotFound) {
-            trip.priceHistory.push({
-              price: trip.currentPrice,
-              timestamp: new Date().toISOString()
-            });
+        } else {
+          // Check if price dropped below paid price enough to alert
+          if (trip.currentPrice < trip.pricePaid) {
+            const alert = evaluatePriceAlert(trip, trip.currentPrice, settings);
+            if (alert.notify) {
+              await notifyPriceDrop(trip, trip.currentPrice);
+              recordAlert(trip, trip.currentPrice);
+            } else {
+              console.log(`${trip.origin}→${trip.destination}: alert suppressed - ${alert.reason}`);
+            }
           }
 
-          // Check if price dropped below paid price
-          if (trip.currentPrice < trip.pricePaid) {
-            await notifyPriceDrop(trip, trip.currentPrice);
+          // Check if a higher class now costs less than what was paid
+          for (const upgrade of evaluateUpgradeAlerts(trip, trip.currentClassPrices, settings)) {
+            await notifyUpgrade(trip, upgrade.className, upgrade.price);
+            recordUpgradeAlert(trip, upgrade.className, upgrade.price);
           }
 
-          // Notify if train was not found (only first time)
-          if (trip.trainNotFound && !wasTrainNotFound) {
-            await notifyTrainNotFound(trip);
+          // Check if a train leaving around the same time is enough cheaper
+          for (const alternative of evaluateAlternativeAlerts(trip, settings)) {
+            await notifyAlternativeTrain(trip, alternative);
+            recordAlternativeAlert(trip, alternative.trainNumber, alternative.price);
           }
+        }
 
-          console.log(`${trip.origin}→${trip.destination}: $${trip.currentPrice} (paid: $${trip.pricePaid})${trip.trainNotFound ? ' [train not found]' : ''}`);
-          anySuccess = true;
-        } else {
-          console.log(`${trip.origin}→${trip.destination}: Price unavailable`);
+        // Notify if train was not found (only first time)
+        if (trip.trainNotFound && !wasTrainNotFound) {
+          await notifyTrainNotFound(trip);
         }
 
+        const reference = isWatch(trip) ? `target: $${trip.targetPrice}` : `paid: $${trip.pricePaid}`;
+        console.log(`${trip.origin}→${trip.destination}: $${trip.currentPrice} (${reference})${trip.trainNotFound ? ' [train not found]' : ''}`);
+        anySuccess = true;
+
         await updateTrip(trip);
+        finishTrip(trip, { status: 'success', price: trip.currentPrice, provider: priceResult.provider, trainFound: !trip.trainNotFound });
 
-        console.log('Waiting 5 seconds before next trip...');
-        await new Promise(resolve => setTimeout(resolve, 5000));
+        if (searched && !isCancelRequested()) {
+          console.log('Waiting 5 seconds before next trip...');
+          await new Promise(resolve => setTimeout(resolve, 5000));
+        }
       } catch (error) {
         console.error(`Error checking price for trip ${trip.id}:`, error);
         // Still update lastChecked on error so UI shows "Unavailable" not "Checking..."
         trip.lastChecked = new Date().toISOString();
+        if (recordCheckOutcome(trip, classifyException(error))) {
+          await notifyCheckFailing(trip);
+        }
         await updateTrip(trip);
+        finishTrip(trip, { status: 'failed', error: error.message });
       }
     }
 
     // Update last checked timestamp and status
-    const checkStatus = anySuccess ? 'success' : (lastError ? 'error' : 'no_data');
+    if (cancelled) console.log('Price check cancelled');
+    checkStatus = cancelled ? 'cancelled' : (anySuccess ? 'success' : (lastError ? 'error' : 'no_data'));
     await saveSettings({
       lastChecked: new Date().toISOString(),
       lastCheckStatus: checkStatus,
@@ -196,253 +398,191 @@ async function checkAllPrices() {
       // Popup might not be open, ignore error
     });
   } finally {
+    // Close the tab before releasing the lock so the next run opens a fresh one
+    await closeAutomationTab();
+    finishProgress(checkStatus);
     isCheckingPrices = false;
     console.log('=== Price check complete ===');
-  }
-}
-
-// Fetch price from Amtrak
-// Navigates to homepage and automates the search form
-async function fetchAmtrakPrice(trip) {
-  try {
-    console.log(`Fetching price for ${trip.origin}→${trip.destination}...`);
-
-    // Find or create an Amtrak tab
-    let tab = await findOrCreateAmtrakTab();
-    if (!tab) {
-      console.log('Could not access Amtrak tab');
-      return null;
-    }
-
-    // Navigate to homepage
-    console.log('Navigating to Amtrak homepage...');
-    await chrome.tabs.update(tab.id, { url: 'https://www.amtrak.com/' });
-    await waitForTabLoad(tab.id);
-
-    // Wait for SPA to fully load and render booking form
-    console.log('Waiting for page to fully load...');
-    await new Promise(resolve => setTimeout(resolve, 6000));
-
-    // Inject content script
-    console.log('Injecting content script...');
-    try {
-      await chrome.scripting.executeScript({
-        target: { tabId: tab.id },
-        files: ['content.js']
+    await updateBadge();
+    // Runs that found nothing due aren't worth a slot in the diagnostics log
+    const run = finishRun(checkStatus);
+    if (run && run.trips.length > 0) {
+      await saveRunLog(run);
+      chrome.runtime.sendMessage({ action: 'runLogged' }).catch(() => {
+        // Popup might not be open, ignore error
       });
-    } catch (injectError) {
-      console.log('Content script note:', injectError.message);
     }
+    await setupAlarm();
+  }
 
-    await new Promise(resolve => setTimeout(resolve, 500));
-
-    // Tell content script to fill form and search
-    console.log('Filling search form for trip:', trip.origin, '->', trip.destination, 'on', trip.travelDate);
-    let fillResult;
-    try {
-      fillResult = await chrome.tabs.sendMessage(tab.id, {
-        action: 'fillAndSearch',
-        trip: {
-          origin: trip.origin,
-          destination: trip.destination,
-          travelDate: trip.travelDate
-        }
-      });
-    } catch (err) {
-      // Check if page navigated (which would indicate form was submitted)
-      const currentTab = await chrome.tabs.get(tab.id);
-      const hasNavigated = !currentTab.url?.endsWith('amtrak.com/') &&
-        currentTab.url !== 'https://www.amtrak.com/';
-
-      if (hasNavigated) {
-        console.log('Form submitted (page navigated to:', currentTab.url, ')');
-        fillResult = { success: true };
-      } else {
-        console.log('Form fill failed, still on homepage:', err.message);
-        return null;
-      }
-    }
+  if (queuedTripIds.size > 0) {
+    const queued = [...queuedTripIds];
+    queuedTripIds.clear();
+    await checkAllPrices({ tripIds: queued });
+  }
+}
 
-    if (!fillResult?.success) {
-      console.log('Failed to fill search form:', fillResult?.error);
-      return null;
+// Badge updates run one after another so a slow one can't overwrite a newer state
+let badgeUpdate = Promise.resolve();
+
+// Show drops, a running check or a problem on the toolbar icon (see badge.js)
+function updateBadge() {
+  badgeUpdate = badgeUpdate.then(async () => {
+    const [trips, settings] = await Promise.all([getTrips(), getSettings()]);
+    const badge = computeBadgeState(trips, settings, { checking: isCheckingPrices });
+    await chrome.action.setBadgeText({ text: badge.text });
+    await chrome.action.setBadgeBackgroundColor({ color: badge.color });
+    // Badge text colour needs Chrome 110+
+    if (chrome.action.setBadgeTextColor) {
+      await chrome.action.setBadgeTextColor({ color: badge.textColor });
     }
+    await chrome.action.setTitle({ title: badge.title });
+  }).catch(error => {
+    console.log('Badge update failed:', error.message);
+  });
+  return badgeUpdate;
+}
 
-    console.log('Form fill completed successfully, waiting for results page...');
+// Close a trip in the diagnostics log and the popup's progress
+function finishTrip(trip, outcome) {
+  finishTripRun(outcome);
+  const status = outcome.reason === 'cancelled'
+    ? 'cancelled'
+    : ({ success: 'done', failed: 'failed' }[outcome.status] || 'skipped');
+  setTripProgress(trip.id, status, describeOutcome(outcome));
+}
 
-    await new Promise(resolve => setTimeout(resolve, 10000));
+// Why a trip can't be checked now ('trip passed', 'train departed'), or null
+function skipReason(trip, now, todayStr) {
+  if (trip.travelDate < todayStr) return 'trip passed';
+  if (trainDeparted(trip, now)) return 'train departed';
+  return null;
+}
 
-    // Verify we're on a results page before scraping
-    const currentTab = await chrome.tabs.get(tab.id);
-    const isResultsPage = currentTab.url?.includes('/tickets/departure') ||
-      currentTab.url?.includes('/train-routes') ||
-      currentTab.url?.includes('/search') ||
-      currentTab.url?.includes('/book');
+// Search every upcoming day of a date range watch and keep the cheapest
+// train per day within its departure window
+async function checkDateRange(trip, settings, todayStr) {
+  const dates = rangeDates(trip);
+  const upcoming = dates.filter(date => date >= todayStr);
+  if (upcoming.length === 0) {
+    console.log(`Skipping past date range: ${trip.origin} → ${trip.destination}`);
+    return { success: false, error: null };
+  }
 
-    if (!isResultsPage) {
-      console.log('Not on results page, URL:', currentTab.url);
-      // Check if Amtrak is showing an error on the non-results page
-      try {
-        await chrome.scripting.executeScript({
-          target: { tabId: tab.id },
-          files: ['content.js']
-        });
-        await new Promise(resolve => setTimeout(resolve, 500));
-        const errorCheck = await chrome.tabs.sendMessage(tab.id, { action: 'checkForErrors' });
-        if (errorCheck?.hasError) {
-          console.log('Amtrak error detected on non-results page:', errorCheck.errorText);
-          return { error: 'amtrak_error', errorText: errorCheck.errorText };
-        }
-      } catch (err) {
-        console.log('Error check on non-results page failed:', err.message);
-      }
-      return null;
+  const previousCheapest = trip.cheapestDay || null;
+  // Drop days that are no longer in the window
+  const dayPrices = Object.fromEntries(
+    Object.entries(trip.dayPrices || {}).filter(([date]) => dates.includes(date))
+  );
+  let success = false;
+  let error = null;
+  let lastFailure = null;
+  let cancelled = false;
+
+  for (const [index, date] of upcoming.entries()) {
+    if (isCancelRequested()) {
+      cancelled = true;
+      break;
     }
+    setTripProgress(trip.id, 'checking', `${date} (day ${index + 1} of ${upcoming.length})`);
 
-    // Re-inject content script on the results page
-    console.log('Re-injecting content script on results page...');
     try {
-      await chrome.scripting.executeScript({
-        target: { tabId: tab.id },
-        files: ['content.js']
-      });
-    } catch (injectError) {
-      console.log('Content script re-injection note:', injectError.message);
-    }
+      // No train number, so the providers return every train that day
+      const priceResult = await fetchPrice({ ...trip, travelDate: date, trainNumber: null }, settings);
 
-    await new Promise(resolve => setTimeout(resolve, 1000));
-
-    console.log('Waiting for train results to appear...');
-    let resultsReady = false;
-    for (let attempt = 0; attempt < 10; attempt++) {
-      try {
-        const readyCheck = await chrome.tabs.sendMessage(tab.id, { action: 'checkResultsReady' });
-        if (readyCheck?.ready) {
-          resultsReady = true;
-          console.log('Train results are ready');
-          break;
-        }
-      } catch (err) {
-        console.log('Results check failed:', err.message);
+      if (priceResult?.error === 'cancelled') {
+        cancelled = true;
+        break;
       }
-      await new Promise(resolve => setTimeout(resolve, 2000));
-    }
 
-    if (!resultsReady) {
-      console.log('Train results did not appear after waiting');
-      // Check if Amtrak is showing an error message
-      try {
-        const errorCheck = await chrome.tabs.sendMessage(tab.id, { action: 'checkForErrors' });
-        if (errorCheck?.hasError) {
-          console.log('Amtrak error detected:', errorCheck.errorText);
-          return { error: 'amtrak_error', errorText: errorCheck.errorText };
+      if (isFailure(priceResult)) {
+        lastFailure = priceResult;
+        error = priceResult.errorText || formatFailureType(priceResult.error);
+        console.log(`${trip.origin}→${trip.destination} on ${date}: ${formatFailureType(priceResult.error)} - ${error}`);
+      } else {
+        const snapshot = buildTrainSnapshot(trip, priceResult.trains, settings.amtrakPriceBasis);
+        let cheapest = snapshot ? cheapestInTimeWindow(snapshot.trains, trip.timeFrom, trip.timeTo) : null;
+
+        // Pages without train cards only give a price; usable when any time will do
+        if (!snapshot && !trip.timeFrom && !trip.timeTo) {
+          cheapest = {
+            trainNumber: null,
+            departureTime: null,
+            price: normalizeScrapedPrice(priceResult.price, trip, settings.amtrakPriceBasis)
+          };
         }
-      } catch (err) {
-        console.log('Error check failed:', err.message);
+
+        dayPrices[date] = {
+          price: cheapest ? cheapest.price : null,
+          trainNumber: cheapest ? cheapest.trainNumber : null,
+          departureTime: cheapest ? cheapest.departureTime : null,
+          checkedAt: new Date().toISOString()
+        };
+        console.log(`${trip.origin}→${trip.destination} on ${date}: ${cheapest ? `$${cheapest.price}` : 'no trains in time window'}`);
+        logRunEvent('results', `${date}: ${cheapest ? `$${cheapest.price} on train ${cheapest.trainNumber || '?'}` : 'no trains in time window'}`, {
+          date,
+          cheapest,
+          trains: summarizeTrains(snapshot?.trains)
+        });
+        success = true;
       }
-      return null;
+    } catch (dayError) {
+      console.error(`Error checking ${date} for trip ${trip.id}:`, dayError);
+      lastFailure = classifyException(dayError);
+      logRunEvent('error', `${date}: ${dayError.message}`);
     }
 
-    // Scrape prices from results, passing train number and class to find specific train
-    let result;
-    try {
-      result = await chrome.tabs.sendMessage(tab.id, {
-        action: 'scrapePrices',
-        trainNumber: trip.trainNumber || null,
-        ticketClass: trip.ticketClass || null
-      });
-    } catch (err) {
-      console.log('Failed to scrape prices:', err.message);
-      return null;
+    if (!isCancelRequested()) {
+      console.log('Waiting 5 seconds before next day...');
+      await new Promise(resolve => setTimeout(resolve, 5000));
     }
+  }
 
-    console.log('Scrape result:', result);
-
-    // Log all trains found
-    if (result?.trains && result.trains.length > 0) {
-      console.log('=== All Trains Found ===');
-      result.trains.forEach(train => {
-        const priceList = train.prices.map(p => {
-          const fareLabel = p.fareType && p.fareType !== 'standard' ? ` (${p.fareType})` : '';
-          return p.className ? `${p.className}${fareLabel}: $${p.price}` : `$${p.price}`;
-        }).join(', ');
-        console.log(`  Train #${train.trainNumber}: ${priceList}`);
-      });
-      console.log('========================');
-    }
+  // Nothing was checked before the cancel, so leave the trip as it was
+  if (cancelled && !success) {
+    return { success: false, error: null, cancelled };
+  }
 
-    // If we found a specific train match, use that price
-    if (result?.trainPrice !== undefined && result.trainPrice !== null) {
-      console.log(`Found price for train #${trip.trainNumber}: $${result.trainPrice}`);
-      return { price: result.trainPrice, trainFound: true };
-    }
+  trip.lastChecked = new Date().toISOString();
+  if (recordCheckOutcome(trip, success ? null : lastFailure)) {
+    await notifyCheckFailing(trip);
+  }
+  trip.dayPrices = dayPrices;
+  trip.cheapestDay = findCheapestDay(dayPrices, todayStr);
+  trip.currentPrice = trip.cheapestDay ? trip.cheapestDay.price : null;
 
-    // Fallback: use lowest price from any train
-    if (result?.prices && result.prices.length > 0) {
-      const validPrices = result.prices
-        .map(p => typeof p === 'number' ? p : p.price)
-        .filter(p => p >= 20 && p <= 2000);
-
-      if (validPrices.length > 0) {
-        const lowestPrice = Math.min(...validPrices);
-        console.log(`Train #${trip.trainNumber} not found, lowest price: $${lowestPrice}`);
-        // Return with trainFound: false if user specified a train but we didn't find it
-        return { price: lowestPrice, trainFound: !trip.trainNumber };
+  if (success && trip.cheapestDay) {
+    if (!trip.priceHistory) {
+      trip.priceHistory = [];
+    }
+    trip.priceHistory.push({ price: trip.cheapestDay.price, timestamp: trip.lastChecked });
+
+    // Alert when the cheapest day moves or reaches the target price
+    const alerts = isSnoozed(trip) ? [] : evaluateRangeAlerts(trip, previousCheapest);
+    for (const alert of alerts) {
+      await notifyDateRange(trip, alert);
+      if (alert.kind === 'target') {
+        recordTargetAlert(trip, alert.price);
       }
     }
-
-    console.log('No prices found on page');
-    return null;
-
-  } catch (error) {
-    console.error('Failed to fetch Amtrak price:', error);
-    return null;
   }
-}
 
-// Wait for a tab to finish loading
-function waitForTabLoad(tabId) {
-  return new Promise((resolve) => {
-    const listener = (updatedTabId, info) => {
-      if (updatedTabId === tabId && info.status === 'complete') {
-        chrome.tabs.onUpdated.removeListener(listener);
-        resolve();
-      }
-    };
-    chrome.tabs.onUpdated.addListener(listener);
-
-    // Timeout after 20 seconds
-    setTimeout(() => {
-      chrome.tabs.onUpdated.removeListener(listener);
-      resolve();
-    }, 20000);
-  });
+  await updateTrip(trip);
+  return { success, error, cancelled };
 }
 
-// Find existing Amtrak tab or create a new one
-async function findOrCreateAmtrakTab() {
-  // First, look for an existing Amtrak tab
-  const tabs = await chrome.tabs.query({ url: 'https://www.amtrak.com/*' });
+// Price of every class on the tracked train, in the same basis as pricePaid
+function getClassPrices(trip, trains, settings) {
+  if (!trip.trainNumber || !trains) return null;
 
-  if (tabs.length > 0) {
-    console.log('Found existing Amtrak tab');
-    return tabs[0];
-  }
-
-  // Create a new tab
-  console.log('Creating new Amtrak tab...');
-  try {
-    const tab = await chrome.tabs.create({
-      url: 'https://www.amtrak.com/',
-      active: false
-    });
+  const train = trains.find(t => String(t.trainNumber) === String(trip.trainNumber));
+  if (!train) return null;
 
-    await waitForTabLoad(tab.id);
-    return tab;
-  } catch (error) {
-    console.error('Failed to create Amtrak tab:', error);
-    return null;
-  }
+  const classPrices = classPriceSummary(train.prices, trip.fareType);
+  Object.keys(classPrices).forEach(className => {
+    classPrices[className] = normalizeScrapedPrice(classPrices[className], trip, settings.amtrakPriceBasis);
+  });
+  return Object.keys(classPrices).length > 0 ? classPrices : null;
 }
 
 // Build Amtrak search URL (for reference)
@@ -452,9 +592,9 @@ function buildAmtrakSearchUrl(trip) {
   const params = new URLSearchParams({
     origin: trip.origin,
     destination: trip.destination,
-    date: trip.travelDate,
-    adult: '1'
+    date: trip.travelDate
   });
+  appendPassengerParams(params, trip.passengers);
 
   return `https://www.amtrak.com/tickets/departure.html?${params.toString()}`;
 }
@@ -469,14 +609,44 @@ async function notifyPriceDrop(trip, currentPrice) {
     iconUrl: 'icons/icon128.png',
     title: '🚂 Amtrak Price Drop!',
     message: `${trip.origin} → ${trip.destination} on ${formatDate(trip.travelDate)}\nNow: $${currentPrice.toFixed(2)} (save $${savings.toFixed(2)})`,
+    contextMessage: 'Click to open the booking',
+    buttons: notificationButtons('price-drop-'),
     priority: 2
   });
 
-  // Email notification (if configured)
+  // Email, webhook and other configured channels
   const settings = await getSettings();
-  if (settings.emailNotifications && settings.notificationEmail) {
-    await sendPriceDropEmail(trip, currentPrice, settings.notificationEmail);
-  }
+  await dispatchPriceDrop(trip, currentPrice, settings);
+}
+
+// Send notification when a watched fare reaches its target price
+async function notifyTargetReached(trip, currentPrice) {
+  const train = trip.trainNumber ? ` on Train ${trip.trainNumber}` : '';
+
+  await chrome.notifications.create(`target-${trip.id}`, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: '🚂 Target Price Reached',
+    message: `${trip.origin} → ${trip.destination} on ${formatDate(trip.travelDate)}${train}\nNow: $${currentPrice.toFixed(2)} (target $${trip.targetPrice.toFixed(2)})`,
+    contextMessage: 'Click to open the booking',
+    buttons: notificationButtons('target-'),
+    priority: 2
+  });
+}
+
+// Send notification when a trip's checks keep failing
+async function notifyCheckFailing(trip) {
+  const reason = trip.lastError ? formatFailureType(trip.lastError.type) : 'Check failed';
+
+  await chrome.notifications.create(`check-failing-${trip.id}`, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: '⚠️ Price Checks Failing',
+    message: `The last ${FAILURE_ALERT_THRESHOLD} price checks for ${trip.origin} → ${trip.destination} on ${formatDate(trip.travelDate)} failed. Last error: ${reason}`,
+    contextMessage: 'Click to edit the trip',
+    buttons: notificationButtons('check-failing-'),
+    priority: 1
+  });
 }
 
 // Send notification when train is not found
@@ -486,10 +656,61 @@ async function notifyTrainNotFound(trip) {
     iconUrl: 'icons/icon128.png',
     title: '⚠️ Train Not Found',
     message: `We couldn't find Train ${trip.trainNumber} from ${trip.origin} to ${trip.destination} on ${formatDate(trip.travelDate)}. Please check your train details and update your train information to track this trip.`,
+    contextMessage: 'Click to edit the trip',
+    buttons: notificationButtons('train-not-found-'),
     priority: 1
   });
 }
 
+// Send notification when a higher class costs less than what was paid
+async function notifyUpgrade(trip, className, price) {
+  const classLabel = TICKET_CLASSES.find(({ key }) => key === className)?.label || className;
+  const savings = trip.pricePaid - price;
+
+  await chrome.notifications.create(`upgrade-${trip.id}:${className}`, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: `🚂 ${classLabel} Is Cheaper Than Your Ticket`,
+    message: `${trip.origin} → ${trip.destination} on ${formatDate(trip.travelDate)}\n${classLabel}: $${price.toFixed(2)} ($${savings.toFixed(2)} less than you paid)`,
+    contextMessage: 'Click to open the booking',
+    buttons: notificationButtons('upgrade-'),
+    priority: 2
+  });
+}
+
+// Send notification when a train near the tracked one is cheaper
+async function notifyAlternativeTrain(trip, alternative) {
+  const [hours, minutes] = alternative.departureTime.split(':').map(Number);
+  const departure = new Date(2000, 0, 1, hours, minutes).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+
+  await chrome.notifications.create(`alt-train-${trip.id}:${alternative.trainNumber}`, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: '🚂 Cheaper Train Nearby',
+    message: `${trip.origin} → ${trip.destination} on ${formatDate(trip.travelDate)}\nTrain ${alternative.trainNumber} at ${departure}: $${alternative.price.toFixed(2)} ($${alternative.savings.toFixed(2)} less than you paid)`,
+    contextMessage: 'Click to open the booking',
+    buttons: notificationButtons('alt-train-'),
+    priority: 1
+  });
+}
+
+// Send notification when a date range watch finds a new cheapest day or hits its target
+async function notifyDateRange(trip, alert) {
+  const train = alert.trainNumber ? ` on Train ${alert.trainNumber}` : '';
+  const title = alert.kind === 'target' ? '🚂 Target Price Reached' : '🚂 New Cheapest Day';
+
+  await chrome.notifications.create(`range-${trip.id}:${alert.kind}`, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title,
+    message: `${trip.origin} → ${trip.destination}\n${formatDate(alert.date)}${train}: $${alert.price.toFixed(2)}` +
+      (alert.kind === 'target' ? ` (target $${trip.targetPrice.toFixed(2)})` : ''),
+    contextMessage: 'Click to open the booking',
+    buttons: notificationButtons('range-'),
+    priority: alert.kind === 'target' ? 2 : 1
+  });
+}
+
 // Format date for notifications
 function formatDate(dateString) {
   const date = new Date(dateString + 'T00:00:00');
@@ -499,17 +720,121 @@ function formatDate(dateString) {
   });
 }
 
+// Remind once about each unused eVoucher shortly before it expires (see ledger.js)
+async function checkVoucherReminders() {
+  const due = vouchersDueForReminder(await getLedger());
+
+  for (const entry of due) {
+    const daysLeft = daysUntilExpiry(entry);
+    const when = daysLeft === 0 ? 'today' : `in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`;
+    await chrome.notifications.create(`voucher-expiring-${entry.id}`, {
+      type: 'basic',
+      iconUrl: 'icons/icon128.png',
+      title: '🎟️ Amtrak eVoucher Expiring',
+      message: `$${voucherValue(entry).toFixed(2)} eVoucher from ${entry.origin} → ${entry.destination} expires ${when} (${formatDate(entry.voucherExpires)})`,
+      contextMessage: 'Click to see your savings',
+      priority: 1
+    });
+    await updateLedgerEntry({ ...entry, reminderSentAt: new Date().toISOString() });
+    console.log(`Voucher reminder sent for ${entry.id}`);
+  }
+}
+
+// Notification buttons by notification ID prefix, in button order.
+// Chrome shows at most two buttons; clicking the notification itself opens the booking.
+const NOTIFICATION_ACTIONS = {
+  'price-drop-': ['snooze', 'rebooked'],
+  'upgrade-': ['snooze', 'rebooked'],
+  'alt-train-': ['snooze', 'rebooked'],
+  'target-': ['snooze'],
+  'range-': ['snooze'],
+  'train-not-found-': ['edit'],
+  'check-failing-': ['edit']
+};
+
+// Clicking these opens the trip in the edit form instead of the booking
+const EDIT_ON_CLICK = ['train-not-found-', 'check-failing-'];
+
+const NOTIFICATION_ACTION_TITLES = {
+  snooze: 'Snooze 24h',
+  rebooked: 'I rebooked',
+  edit: 'Edit trip'
+};
+
+function notificationButtons(prefix) {
+  return NOTIFICATION_ACTIONS[prefix].map(action => ({ title: NOTIFICATION_ACTION_TITLES[action] }));
+}
+
+// Notifications are named <prefix><tripId>, optionally followed by :<detail>
+function parseNotificationId(notificationId, prefixes) {
+  const prefix = prefixes.find(p => notificationId.startsWith(p));
+  return prefix ? { prefix, tripId: notificationId.slice(prefix.length).split(':')[0] } : null;
+}
+
+// Open Amtrak's results for a trip and point out its train
+async function openBooking(trip) {
+  // Date range watches book on their cheapest day
+  const target = trip.cheapestDay
+    ? { ...trip, travelDate: trip.cheapestDay.date, trainNumber: trip.cheapestDay.trainNumber }
+    : trip;
+  const tab = await chrome.tabs.create({ url: buildAmtrakSearchUrl(target) });
+  if (target.trainNumber) {
+    const settings = await getSettings();
+    showTrainInTab(tab.id, target.trainNumber, settings).then(result => {
+      console.log(result.found ? `Showed train #${target.trainNumber} on the booking page` : `Train #${target.trainNumber} not found on the booking page`);
+    });
+  }
+}
+
+// Open the popup in its own window, e.g. to finish an action from a notification
+async function openPopupWindow(params) {
+  await chrome.windows.create({
+    url: chrome.runtime.getURL(`popup.html?${new URLSearchParams(params).toString()}`),
+    type: 'popup',
+    width: 440,
+    height: 640
+  });
+}
+
 // Handle notification click
 chrome.notifications.onClicked.addListener(async (notificationId) => {
-  if (notificationId.startsWith('price-drop-')) {
-    const tripId = notificationId.replace('price-drop-', '');
-    const trips = await getTrips();
-    const trip = trips.find(t => t.id === tripId);
-
-    if (trip) {
-      // Open Amtrak booking page
-      const bookingUrl = buildAmtrakSearchUrl(trip);
-      chrome.tabs.create({ url: bookingUrl });
-    }
+  if (notificationId.startsWith('voucher-expiring-')) {
+    chrome.notifications.clear(notificationId);
+    await openPopupWindow({ view: 'savings' });
+    return;
+  }
+
+  const target = parseNotificationId(notificationId, Object.keys(NOTIFICATION_ACTIONS));
+  if (!target) return;
+
+  const trip = await getTrip(target.tripId);
+  if (!trip) return;
+
+  if (EDIT_ON_CLICK.includes(target.prefix)) {
+    chrome.notifications.clear(notificationId);
+    await openPopupWindow({ edit: trip.id });
+  } else {
+    await openBooking(trip);
+  }
+});
+
+// Handle notification buttons
+chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+  const target = parseNotificationId(notificationId, Object.keys(NOTIFICATION_ACTIONS));
+  const action = target ? NOTIFICATION_ACTIONS[target.prefix][buttonIndex] : null;
+  if (!action) return;
+
+  const trip = await getTrip(target.tripId);
+  chrome.notifications.clear(notificationId);
+  if (!trip) return;
+
+  if (action === 'snooze') {
+    snoozeAlerts(trip);
+    await updateTrip(trip);
+    console.log(`${trip.origin}→${trip.destination}: alerts snoozed until ${trip.snoozedUntil}`);
+  } else if (action === 'rebooked') {
+    await openPopupWindow({ rebook: trip.id });
+  } else if (action === 'edit') {
+    await openPopupWindow({ edit: trip.id });
   }
 });
@@ -0,0 +1,153 @@
+/**
+ * Backup helpers
+ *
+ * Pure functions behind the popup's backup and restore controls: reading
+ * a backup file, merging its trips with the ones already tracked, and
+ * flattening price history into CSV. Storage reads and writes stay in
+ * storage.js.
+ */
+
+import { countPassengers } from './passengers.js';
+
+// How a merge resolves a trip that exists both locally and in the backup
+export const CONFLICT_STRATEGIES = {
+  keep: 'Keep my version',
+  backup: 'Use the backup'
+};
+
+const CSV_COLUMNS = [
+  'trip_id', 'origin', 'destination', 'travel_date', 'train_number', 'ticket_class',
+  'passengers', 'price_basis', 'price_paid', 'timestamp', 'price', 'previous_search'
+];
+
+/**
+ * Parse and sanity-check the contents of a backup file
+ * @param {string} text - File contents
+ * @returns {Object} { data } on success or { error } describing the problem
+ */
+export function parseBackup(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { error: 'File is not valid JSON' };
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { error: 'File is not an Amtrak Price Tracker backup' };
+  }
+  if (!Array.isArray(data.trips)) {
+    return { error: 'Backup has no trip list' };
+  }
+  if (data.settings !== undefined && (typeof data.settings !== 'object' || Array.isArray(data.settings))) {
+    return { error: 'Backup settings are not valid' };
+  }
+  if (data.ledger !== undefined && !Array.isArray(data.ledger)) {
+    return { error: 'Backup savings ledger is not a list' };
+  }
+  return { data };
+}
+
+/**
+ * Summarize what importing a backup would do
+ * @param {Array} existingTrips - Trips currently stored
+ * @param {Array} backupTrips - Trips in the backup
+ * @returns {Object} { total, added, conflicts } trip counts
+ */
+export function summarizeImport(existingTrips, backupTrips) {
+  const existingIds = new Set(existingTrips.map(trip => trip.id));
+  const conflicts = backupTrips.filter(trip => existingIds.has(trip?.id)).length;
+  return { total: backupTrips.length, added: backupTrips.length - conflicts, conflicts };
+}
+
+/**
+ * Merge backup trips into the existing list by trip ID
+ * Trips only in the backup are added. For trips in both, `conflict` picks
+ * which version's fields win; price history from both is always kept.
+ * @param {Array} existingTrips - Trips currently stored
+ * @param {Array} backupTrips - Trips from the backup (already migrated)
+ * @param {string} [conflict='keep'] - Key in CONFLICT_STRATEGIES
+ * @returns {Array} Merged trips
+ */
+export function mergeTrips(existingTrips, backupTrips, conflict = 'keep') {
+  const merged = existingTrips.map(trip => ({ ...trip }));
+  const indexById = new Map(merged.map((trip, index) => [trip.id, index]));
+
+  backupTrips.forEach(backupTrip => {
+    const index = indexById.get(backupTrip.id);
+    if (index === undefined) {
+      indexById.set(backupTrip.id, merged.length);
+      merged.push(backupTrip);
+      return;
+    }
+
+    const existing = merged[index];
+    const winner = conflict === 'backup' ? backupTrip : existing;
+    merged[index] = {
+      ...winner,
+      priceHistory: mergePriceHistory(existing.priceHistory, backupTrip.priceHistory)
+    };
+  });
+
+  return merged;
+}
+
+/**
+ * Merge backup savings ledger entries into the existing ledger by entry ID
+ * Entries already recorded keep their current state (voucher used, reminder sent).
+ * @param {Array} existingEntries - Entries currently stored
+ * @param {Array} backupEntries - Entries from the backup
+ * @returns {Array} Merged entries, newest first
+ */
+export function mergeLedger(existingEntries, backupEntries) {
+  const known = new Set(existingEntries.map(entry => entry.id));
+  return [...existingEntries, ...backupEntries.filter(entry => !known.has(entry?.id))]
+    .sort((a, b) => (b.recordedAt || '').localeCompare(a.recordedAt || ''));
+}
+
+// Union of two price histories, de-duplicated by timestamp and sorted oldest first
+function mergePriceHistory(a = [], b = []) {
+  const byTimestamp = new Map();
+  [...a, ...b].forEach(entry => {
+    if (!byTimestamp.has(entry.timestamp)) {
+      byTimestamp.set(entry.timestamp, entry);
+    }
+  });
+  return Array.from(byTimestamp.values()).sort((x, y) => x.timestamp.localeCompare(y.timestamp));
+}
+
+/**
+ * Flatten every trip's price history into CSV, one row per check
+ * @param {Array} trips - Trips to export
+ * @returns {string} CSV text with a header row
+ */
+export function priceHistoryToCsv(trips) {
+  const rows = [CSV_COLUMNS];
+
+  trips.forEach(trip => {
+    (trip.priceHistory || []).forEach(entry => {
+      rows.push([
+        trip.id,
+        trip.origin,
+        trip.destination,
+        trip.travelDate,
+        trip.trainNumber,
+        trip.ticketClass,
+        countPassengers(trip.passengers),
+        trip.priceBasis || 'total',
+        trip.pricePaid,
+        entry.timestamp,
+        entry.price,
+        entry.previousSearch ? 'yes' : ''
+      ]);
+    });
+  });
+
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,97 @@
+/**
+ * Toolbar badge
+ *
+ * Works out what the extension's toolbar icon should show so a price drop
+ * is visible without opening the popup:
+ *   - checking: a check is running
+ *   - warning: the last check failed or a trip's train wasn't found; shows
+ *     the drop count if there is one, otherwise "!"
+ *   - drops: the number of upcoming booked trips priced below what was paid
+ *   - idle: nothing to report, no badge
+ * The tooltip sums the potential savings across those trips.
+ */
+
+import { isWatch } from './watches.js';
+import { lastTravelDate } from './date-range.js';
+
+export const BADGE_COLORS = {
+  checking: '#1a5276',
+  warning: '#fccc1c',
+  drops: '#27ae60',
+  idle: '#999999'
+};
+
+// Dark text reads better than white on the amber warning badge
+export const BADGE_TEXT_COLORS = {
+  checking: '#ffffff',
+  warning: '#333333',
+  drops: '#ffffff',
+  idle: '#ffffff'
+};
+
+const TITLE = 'Amtrak Price Tracker';
+
+/**
+ * Booked trips still to travel whose current price is below what was paid
+ * Trips whose train wasn't found are left out; their price is for another train.
+ * @param {Array} trips
+ * @param {Date} [now=new Date()]
+ * @returns {Array} [{ trip, savings }]
+ */
+export function findPriceDrops(trips, now = new Date()) {
+  return upcomingTrips(trips, now)
+    .filter(trip => !isWatch(trip) && !trip.trainNotFound)
+    .filter(trip => typeof trip.currentPrice === 'number' && typeof trip.pricePaid === 'number' && trip.currentPrice < trip.pricePaid)
+    .map(trip => ({ trip, savings: trip.pricePaid - trip.currentPrice }));
+}
+
+/**
+ * Badge text, colours and tooltip for the current trips
+ * @param {Array} trips
+ * @param {Object} settings - Extension settings (lastCheckStatus, lastCheckError)
+ * @param {Object} [options]
+ * @param {boolean} [options.checking=false] - Whether a check is running
+ * @param {Date} [options.now=new Date()]
+ * @returns {Object} { state, text, color, textColor, title }
+ */
+export function computeBadgeState(trips, settings, { checking = false, now = new Date() } = {}) {
+  const drops = findPriceDrops(trips, now);
+  const savings = drops.reduce((sum, drop) => sum + drop.savings, 0);
+  const notFound = upcomingTrips(trips, now).filter(trip => trip.trainNotFound).length;
+  const checkFailed = settings.lastCheckStatus === 'error';
+
+  const lines = [TITLE];
+  if (checking) lines.push('Checking prices...');
+  lines.push(drops.length > 0
+    ? `${drops.length} trip${drops.length === 1 ? '' : 's'} below what you paid, $${savings.toFixed(2)} potential savings`
+    : 'No price drops');
+  if (checkFailed) lines.push(`Last check failed${settings.lastCheckError ? `: ${settings.lastCheckError}` : ''}`);
+  if (notFound > 0) lines.push(`Train not found for ${notFound} trip${notFound === 1 ? '' : 's'}`);
+
+  let state = 'idle';
+  let text = '';
+  if (checking) {
+    state = 'checking';
+    text = '...';
+  } else if (checkFailed || notFound > 0) {
+    state = 'warning';
+    text = drops.length > 0 ? String(drops.length) : '!';
+  } else if (drops.length > 0) {
+    state = 'drops';
+    text = String(drops.length);
+  }
+
+  return {
+    state,
+    text,
+    color: BADGE_COLORS[state],
+    textColor: BADGE_TEXT_COLORS[state],
+    title: lines.join('\n')
+  };
+}
+
+// Trips travelling today or later; date ranges count until their last day
+function upcomingTrips(trips, now) {
+  const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+  return trips.filter(trip => lastTravelDate(trip) >= today);
+}
@@ -0,0 +1,101 @@
+/**
+ * Notification channels for price drop alerts
+ *
+ * Each channel wraps one delivery service behind the same interface:
+ *   isEnabled(settings)                 - whether alerts should go out on it
+ *   send(trip, currentPrice, settings)  - deliver an alert, resolves to { success, status, error }
+ *   sendTest(config)                    - deliver a sample alert using unsaved form values
+ *
+ * Desktop notifications are handled separately in background.js since
+ * they have no configuration and can't fail in a useful way.
+ */
+
+import { sendPriceDropEmail, sendTestEmail } from './email.js';
+import { sendPriceDropWebhook, sendTestWebhook } from './webhook.js';
+import { logDelivery } from './storage.js';
+
+export const CHANNELS = {
+  email: {
+    label: 'Email',
+    isEnabled: settings => !!(settings.emailNotifications && settings.notificationEmail),
+    send: async (trip, currentPrice, settings) => {
+      const success = await sendPriceDropEmail(trip, currentPrice, settings.notificationEmail);
+      return success ? { success } : { success, error: 'Email not sent. Check email.js config.' };
+    },
+    sendTest: async config => {
+      const success = await sendTestEmail(config.notificationEmail);
+      return success ? { success } : { success, error: 'Email not sent. Check email.js config.' };
+    }
+  },
+  webhook: {
+    label: 'Webhook',
+    isEnabled: settings => !!(settings.webhookEnabled && settings.webhookUrl),
+    send: (trip, currentPrice, settings) => sendPriceDropWebhook(trip, currentPrice, settings),
+    sendTest: config => sendTestWebhook(config)
+  }
+};
+
+/**
+ * Send a price drop alert on every enabled channel and log the results
+ * @param {Object} trip - The trip object
+ * @param {number} currentPrice - Current price
+ * @param {Object} settings - Extension settings
+ * @returns {Promise<Object>} Results keyed by channel ID
+ */
+export async function dispatchPriceDrop(trip, currentPrice, settings) {
+  const results = {};
+
+  for (const [channelId, channel] of Object.entries(CHANNELS)) {
+    if (!channel.isEnabled(settings)) continue;
+
+    let result;
+    try {
+      result = await channel.send(trip, currentPrice, settings);
+    } catch (error) {
+      console.error(`${channel.label} channel failed:`, error);
+      result = { success: false, error: error.message };
+    }
+
+    results[channelId] = result;
+    await logDelivery({
+      channel: channelId,
+      tripId: trip.id,
+      route: `${trip.origin} → ${trip.destination}`,
+      test: false,
+      ...result
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Send a test alert on one channel and log the result
+ * @param {string} channelId - Key in CHANNELS
+ * @param {Object} config - Channel settings from the popup form
+ * @returns {Promise<Object>} { success, status, error }
+ */
+export async function sendChannelTest(channelId, config) {
+  const channel = CHANNELS[channelId];
+  if (!channel) {
+    return { success: false, error: `Unknown channel: ${channelId}` };
+  }
+
+  let result;
+  try {
+    result = await channel.sendTest(config);
+  } catch (error) {
+    console.error(`${channel.label} test failed:`, error);
+    result = { success: false, error: error.message };
+  }
+
+  await logDelivery({
+    channel: channelId,
+    tripId: null,
+    route: 'NYP → WAS',
+    test: true,
+    ...result
+  });
+
+  return result;
+}
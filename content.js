@@ -2,7 +2,8 @@
  * Content script for Amtrak Price Tracker
  * 
  * This script runs on Amtrak.com pages and can
- * scrape price information from search results
+ * scrape price information from search results.
+ * The results parsing itself lives in scraper.js.
  */
 
 // Helper to send logs to service worker (persists across page navigation)
@@ -28,14 +29,17 @@ if (window._amtrakPriceTrackerLoaded) {
     if (message.action === 'log') return;
     workerLog('Received message:', message.action);
     if (message.action === 'scrapePrices') {
-      scrapePricesWithPagination(message.trainNumber, message.ticketClass)
+      maxFare = 2000 * (message.passengerCount || 1);
+      loadSelectors(message.selectorOverrides)
+        .then(() => scrapePricesWithPagination(message.trainNumber, message.ticketClass, message.fareType, message.trainNumbers))
         .then(result => sendResponse(result))
         .catch(error => sendResponse({ prices: [], error: error.message }));
       return true; // Keep channel open for async response
     }
 
     if (message.action === 'fillAndSearch') {
-      fillAndSubmitSearchForm(message.trip)
+      loadSelectors(message.selectorOverrides)
+        .then(() => fillAndSubmitSearchForm(message.trip))
         .then(result => sendResponse(result))
         .catch(error => sendResponse({ success: false, error: error.message }));
       return true; // Keep channel open for async response
@@ -43,26 +47,70 @@ if (window._amtrakPriceTrackerLoaded) {
 
     if (message.action === 'checkResultsReady') {
       // Check if train results are visible on the page
-      const selectTrain = document.querySelector('.select-train');
-      const journeyCards = document.querySelectorAll('am-journey-card');
-      const isReady = !!(selectTrain || journeyCards.length > 0);
-      workerLog('Results ready check:', isReady, '(select-train:', !!selectTrain, ', journey-cards:', journeyCards.length, ')');
-      sendResponse({ ready: isReady });
+      loadSelectors(message.selectorOverrides).then(() => {
+        const readyEl = selectorModule.queryFirst(document, selectors.resultsReady);
+        workerLog('Results ready check:', !!readyEl, readyEl ? `(${readyEl.tagName.toLowerCase()})` : '');
+        sendResponse({ ready: !!readyEl });
+      }).catch(error => sendResponse({ ready: false, error: error.message }));
       return true;
     }
 
     if (message.action === 'checkForErrors') {
       // Check if Amtrak is showing an error message instead of results
-      const alertText = document.querySelector('.alert-yellow-text');
-      const hasError = !!(alertText && alertText.textContent.includes('unknown error'));
-      workerLog('Error check:', hasError, alertText ? `"${alertText.textContent.trim()}"` : '(no alert element)');
-      sendResponse({ hasError, errorText: alertText ? alertText.textContent.trim() : null });
+      loadSelectors(message.selectorOverrides).then(() => {
+        const alertText = selectorModule.queryFirst(document, selectors.errorBanner);
+        const hasError = !!(alertText && alertText.textContent.includes('unknown error'));
+        workerLog('Error check:', hasError, alertText ? `"${alertText.textContent.trim()}"` : '(no alert element)');
+        sendResponse({ hasError, errorText: alertText ? alertText.textContent.trim() : null });
+      }).catch(error => sendResponse({ hasError: false, errorText: null, error: error.message }));
+      return true;
+    }
+
+    if (message.action === 'selectorSelfTest') {
+      // Report which selector strategies match the current page
+      loadSelectors(message.selectorOverrides).then(() => {
+        const report = selectorModule.runSelectorSelfTest(document, selectors, message.vars || {});
+        sendResponse({ url: window.location.href, report });
+      }).catch(error => sendResponse({ error: error.message }));
+      return true;
+    }
+
+    if (message.action === 'highlightTrain') {
+      // Point out the notified train on a results page the user opened
+      loadSelectors(message.selectorOverrides)
+        .then(() => loadScraper())
+        .then(({ findTrainCard }) => {
+          const card = findTrainCard(message.trainNumber, { selectors });
+          if (card) {
+            card.scrollIntoView({ block: 'center', behavior: 'smooth' });
+            card.style.outline = '3px solid #fccc1c';
+            card.style.outlineOffset = '2px';
+          }
+          sendResponse({ found: !!card });
+        })
+        .catch(error => sendResponse({ found: false, error: error.message }));
       return true;
     }
 
     return true;
   });
 
+  // Page element strategies (see selectors.js), resolved with the user's
+  // overrides each time the background sends a request
+  let selectorModule = null;
+  let selectors = null;
+  async function loadSelectors(overrides) {
+    if (!selectorModule) {
+      selectorModule = await import(chrome.runtime.getURL('selectors.js'));
+    }
+    selectors = selectorModule.resolveSelectors(overrides || null);
+    return selectors;
+  }
+
+  function findElement(concept, options) {
+    return selectorModule.queryFirst(document, selectors[concept], options);
+  }
+
   /**
    * Fill out the Amtrak search form and submit it
    */
@@ -73,7 +121,7 @@ if (window._amtrakPriceTrackerLoaded) {
       await new Promise(resolve => setTimeout(resolve, 3000));
 
       // Clear any existing form values first
-      const allInputs = document.querySelectorAll('#am-form-field-control-0, #am-form-field-control-2, #am-form-field-control-4');
+      const allInputs = ['originInput', 'destinationInput', 'dateInput'].map(concept => findElement(concept));
       for (const input of allInputs) {
         if (input) {
           const setter = Object.getOwnPropertyDescriptor(window.HTMLInputElement.prototype, 'value').set;
@@ -84,8 +132,8 @@ if (window._amtrakPriceTrackerLoaded) {
       }
       await new Promise(resolve => setTimeout(resolve, 500));
 
-      // Fill origin using its specific ID
-      const originInput = document.querySelector('#am-form-field-control-0');
+      // Fill origin
+      const originInput = findElement('originInput');
       if (!originInput) {
         return { success: false, error: 'Could not find origin input' };
       }
@@ -101,19 +149,17 @@ if (window._amtrakPriceTrackerLoaded) {
       // Wait for autocomplete dropdown
       await new Promise(resolve => setTimeout(resolve, 1500));
 
-      // Select first autocomplete option
-      let autocomplete = document.querySelector('[role="listbox"] [role="option"], mat-option, .cdk-overlay-pane [role="option"]');
-      if (autocomplete) {
-        autocomplete.click();
-      } else {
-        originInput.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', code: 'Enter', bubbles: true }));
+      // Select the autocomplete option for the origin station
+      const originOption = selectStationOption(originInput, trip.origin, trip.originName);
+      if (!originOption.success) {
+        return originOption;
       }
       await new Promise(resolve => setTimeout(resolve, 800));
 
-      // Fill destination using its specific ID
-      const destInput = document.querySelector('#am-form-field-control-2');
+      // Fill destination
+      const destInput = findElement('destinationInput');
       if (!destInput) {
-        workerLog('ERROR: Could not find destination input #am-form-field-control-2');
+        workerLog('ERROR: Could not find destination input');
         return { success: false, error: 'Could not find destination input' };
       }
 
@@ -127,17 +173,15 @@ if (window._amtrakPriceTrackerLoaded) {
 
       await new Promise(resolve => setTimeout(resolve, 1500));
 
-      // Select first autocomplete option for destination
-      autocomplete = document.querySelector('[role="listbox"] [role="option"], mat-option, .cdk-overlay-pane [role="option"]');
-      if (autocomplete) {
-        autocomplete.click();
-      } else {
-        destInput.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', code: 'Enter', bubbles: true }));
+      // Select the autocomplete option for the destination station
+      const destOption = selectStationOption(destInput, trip.destination, trip.destinationName);
+      if (!destOption.success) {
+        return destOption;
       }
       await new Promise(resolve => setTimeout(resolve, 500));
 
       // Find and fill date input
-      const dateInput = document.querySelector('#am-form-field-control-4');
+      const dateInput = findElement('dateInput');
       if (dateInput) {
         workerLog(' Found date input, selecting date:', trip.travelDate);
         const [year, month, day] = trip.travelDate.split('-');
@@ -152,10 +196,10 @@ if (window._amtrakPriceTrackerLoaded) {
 
         // Navigate to the correct month - check if we need to go forward or backward
         for (let i = 0; i < 12; i++) {
-          const dayCell = document.querySelector(`div.ngb-dp-day[aria-label="${ariaLabel}"]`);
+          const dayCell = findElement('calendarDay', { vars: { label: ariaLabel } });
           if (dayCell && !dayCell.classList.contains('hidden')) break;
 
-          const monthLabel = document.querySelector('.ngb-dp-navigation-select .ngb-dp-month-name, .ngb-dp-header .ngb-dp-month-name, [class*="calendar"] [class*="month"], .ngb-dp-navigation span');
+          const monthLabel = findElement('calendarMonth');
           let needsPrev = false;
           if (monthLabel) {
             const headerText = monthLabel.textContent.trim();
@@ -165,9 +209,8 @@ if (window._amtrakPriceTrackerLoaded) {
             }
           }
           if (!needsPrev) {
-            const currentMonthEl = document.querySelector('.ngb-dp-month-name');
-            if (currentMonthEl) {
-              const parts = currentMonthEl.textContent.trim().split(' ');
+            if (monthLabel) {
+              const parts = monthLabel.textContent.trim().split(' ');
               if (parts.length >= 2) {
                 const displayedMonth = monthNames.indexOf(parts[0]);
                 const displayedYear = parseInt(parts[1]);
@@ -183,11 +226,11 @@ if (window._amtrakPriceTrackerLoaded) {
           }
 
           if (needsPrev) {
-            const prevBtn = document.querySelector('button[aria-label="Previous month"]:not([disabled])');
+            const prevBtn = findElement('previousMonthButton');
             if (!prevBtn) { workerLog(' No Previous month button available'); break; }
             prevBtn.click();
           } else {
-            const nextBtn = document.querySelector('button[aria-label="Next month"]:not([disabled])');
+            const nextBtn = findElement('nextMonthButton');
             if (!nextBtn) { workerLog(' No Next month button available'); break; }
             nextBtn.click();
           }
@@ -195,7 +238,7 @@ if (window._amtrakPriceTrackerLoaded) {
         }
 
         // Click the target day
-        const dayCell = document.querySelector(`div.ngb-dp-day[aria-label="${ariaLabel}"]`);
+        const dayCell = findElement('calendarDay', { vars: { label: ariaLabel } });
         if (dayCell) {
           workerLog(' Clicking day cell');
           dayCell.click();
@@ -205,7 +248,7 @@ if (window._amtrakPriceTrackerLoaded) {
         }
 
         // Click Done to confirm
-        const doneBtn = document.querySelector('button[aria-label="Done"]');
+        const doneBtn = findElement('calendarDoneButton');
         if (doneBtn) {
           workerLog(' Clicking Done');
           doneBtn.click();
@@ -218,33 +261,31 @@ if (window._amtrakPriceTrackerLoaded) {
         return { success: false, error: 'Could not find date input field' };
       }
 
+      // Set traveler counts (the form defaults to one adult)
+      if (trip.passengers) {
+        const passengerResult = await setPassengerCounts(trip.passengers);
+        if (!passengerResult.success) {
+          workerLog('ERROR: Could not set travelers:', passengerResult.error);
+          return { success: false, error: passengerResult.error };
+        }
+      }
+
       // Wait for Angular form validation
       await new Promise(resolve => setTimeout(resolve, 2000));
 
       // Verify all form values before submitting
-      const originValue = document.querySelector('#am-form-field-control-0')?.value || '';
-      const destValue = document.querySelector('#am-form-field-control-2')?.value || '';
+      const originValue = findElement('originInput')?.value || '';
+      const destValue = findElement('destinationInput')?.value || '';
       const dateValue = dateInput?.value || '';
       workerLog(' Form values before submit:');
       workerLog('  Origin:', originValue, '(expected:', trip.origin, ')');
       workerLog('  Destination:', destValue, '(expected:', trip.destination, ')');
       workerLog('  Date:', dateValue, '(expected:', trip.travelDate, ')');
 
-      // Find search button - look for "Find Trains" button
-      let searchBtn = null;
-      const allButtons = document.querySelectorAll('button');
-
-      for (const btn of allButtons) {
-        const text = (btn.textContent?.trim() || '').toLowerCase();
-        const ariaLabel = (btn.getAttribute('aria-label') || '').toLowerCase();
-        // Exclude buttons in overlays/dialogs (calendar, etc.)
-        const isInOverlay = btn.closest('.cdk-overlay-pane') || btn.closest('[role="dialog"]');
-
-        if ((text.includes('find trains') || ariaLabel.includes('find trains')) && !isInOverlay) {
-          searchBtn = btn;
-          break;
-        }
-      }
+      // Find the "Find Trains" button, excluding overlays/dialogs (calendar, etc.)
+      const searchBtn = findElement('searchButton', {
+        filter: btn => !btn.closest('.cdk-overlay-pane') && !btn.closest('[role="dialog"]')
+      });
 
       if (!searchBtn) {
         workerLog('ERROR: Could not find search button');
@@ -277,26 +318,204 @@ if (window._amtrakPriceTrackerLoaded) {
     }
   }
 
+  /**
+   * Click the autocomplete option that matches a station
+   * Options look like "New York, NY - Moynihan Train Hall (NYP)", so prefer
+   * an option containing the code, then one containing the station name.
+   * Refuses to click an option for a different station.
+   */
+  function selectStationOption(input, code, stationName) {
+    const options = selectorModule.queryAll(document, selectors.stationOption);
+
+    if (options.length === 0) {
+      workerLog(`No autocomplete options for ${code}, pressing Enter`);
+      input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', code: 'Enter', bubbles: true }));
+      return { success: true };
+    }
+
+    const codePattern = new RegExp(`\\b${code}\\b`, 'i');
+    const nameLower = (stationName || '').toLowerCase();
+
+    const match = options.find(opt => codePattern.test(opt.textContent || '')) ||
+      (nameLower ? options.find(opt => (opt.textContent || '').toLowerCase().includes(nameLower)) : null);
+
+    if (!match) {
+      const offered = options.map(opt => (opt.textContent || '').trim()).slice(0, 3).join(' | ');
+      workerLog(`ERROR: No autocomplete option matches ${code} (${stationName || 'unknown name'}). Offered: ${offered}`);
+      return { success: false, error: `Amtrak did not offer station ${code}${stationName ? ` (${stationName})` : ''}` };
+    }
+
+    workerLog(` Selecting station option: ${(match.textContent || '').trim()}`);
+    match.click();
+    return { success: true };
+  }
+
+  // Traveler types in the Amtrak travelers selector, matched by row label
+  const PASSENGER_LABELS = {
+    adult: 'adult',
+    senior: 'senior',
+    child: 'child',
+    infant: 'infant'
+  };
+
+  /**
+   * Set traveler counts in the Amtrak travelers selector
+   * Opens the selector, then clicks each type's +/- buttons until the
+   * displayed count matches the trip
+   */
+  async function setPassengerCounts(passengers) {
+    const { isControlEnabled } = await loadScraper();
+    const isDefault = Object.entries(passengers)
+      .every(([type, count]) => count === (type === 'adult' ? 1 : 0));
+
+    // Open the travelers dropdown
+    const toggle = findElement('travelersToggle', { filter: el => !el.closest('.cdk-overlay-pane') });
+
+    if (!toggle) {
+      // Nothing to change if the search is for the default single adult
+      if (isDefault) return { success: true };
+      return { success: false, error: 'Could not find travelers selector' };
+    }
+
+    toggle.click();
+    await new Promise(resolve => setTimeout(resolve, 800));
+
+    for (const [type, target] of Object.entries(passengers)) {
+      const label = PASSENGER_LABELS[type];
+      if (!label) continue;
+
+      const row = findPassengerRow(label);
+      if (!row) {
+        if (target === 0) continue;
+        return { success: false, error: `Could not find ${label} row in travelers selector` };
+      }
+
+      // Bounded loop so a stuck counter can't spin forever
+      for (let i = 0; i < 10; i++) {
+        const current = readPassengerCount(row);
+        if (current === null) {
+          return { success: false, error: `Could not read ${label} count` };
+        }
+        if (current === target) break;
+
+        const button = findCounterButton(row, current < target ? 'increase' : 'decrease');
+        if (!button || !isControlEnabled(button)) {
+          return { success: false, error: `Could not change ${label} count to ${target}` };
+        }
+        button.click();
+        await new Promise(resolve => setTimeout(resolve, 300));
+      }
+
+      const finalCount = readPassengerCount(row);
+      workerLog(`  Travelers ${label}: ${finalCount} (expected: ${target})`);
+      if (finalCount !== target) {
+        return { success: false, error: `Could not change ${label} count to ${target}` };
+      }
+    }
+
+    // Close the dropdown if it has a Done/Apply button
+    const closeBtn = Array.from(document.querySelectorAll('button')).find(btn => {
+      const text = (btn.textContent || '').trim().toLowerCase();
+      return text === 'done' || text === 'apply' || text === 'close';
+    });
+    if (closeBtn) {
+      closeBtn.click();
+    } else {
+      toggle.click();
+    }
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    return { success: true };
+  }
+
+  // Find the smallest element containing a traveler type's label and +/- buttons
+  function findPassengerRow(label) {
+    const candidates = document.querySelectorAll('li, [role="group"], [class*="traveler"], [class*="passenger"], div');
+    let best = null;
+    for (const el of candidates) {
+      const text = (el.textContent || '').toLowerCase();
+      if (!text.includes(label)) continue;
+      if (el.querySelectorAll('button').length < 2) continue;
+      // Prefer the innermost match so we don't pick the whole dropdown
+      if (!best || best.contains(el)) {
+        best = el;
+      }
+    }
+    return best;
+  }
+
+  function readPassengerCount(row) {
+    const input = row.querySelector('input');
+    if (input && input.value !== '' && !isNaN(parseInt(input.value, 10))) {
+      return parseInt(input.value, 10);
+    }
+    const countEl = row.querySelector('[class*="count"], [class*="value"], [aria-live]');
+    const countMatch = (countEl?.textContent || '').match(/\d+/);
+    return countMatch ? Number(countMatch[0]) : null;
+  }
+
+  function findCounterButton(row, direction) {
+    const words = direction === 'increase' ? ['increase', 'add', 'plus', 'increment'] : ['decrease', 'remove', 'minus', 'decrement'];
+    const symbols = direction === 'increase' ? ['+'] : ['-', '−', '–'];
+    return Array.from(row.querySelectorAll('button')).find(btn => {
+      const text = (btn.textContent || '').trim();
+      const ariaLabel = (btn.getAttribute('aria-label') || '').toLowerCase();
+      return symbols.includes(text) || words.some(word => ariaLabel.includes(word));
+    }) || null;
+  }
+
+  // Upper bound for a plausible fare, scaled by party size
+  let maxFare = 2000;
+
+  // Results parsing lives in scraper.js so it can be tested offline.
+  // Injected content scripts can't be modules, so import it dynamically.
+  let scraperModule = null;
+  async function loadScraper() {
+    if (!scraperModule) {
+      scraperModule = await import(chrome.runtime.getURL('scraper.js'));
+    }
+    return scraperModule;
+  }
+
   /**
    * Scrape prices with pagination support
-   * Pages through results to find a specific train number
+   * Pages through results until every target train has been seen. Trips
+   * sharing a search (see searches.js) pass all their trains in
+   * targetTrainNumbers; trainPrice is still for targetTrainNumber. Without
+   * a target train (date range watches) every page is read, up to maxPages.
    */
-  async function scrapePricesWithPagination(targetTrainNumber, targetClass) {
+  async function scrapePricesWithPagination(targetTrainNumber, targetClass, targetFareType, targetTrainNumbers) {
+    const { scrapeTrainCards, getCurrentResultsSignature, findNextPageButton, getActiveResultsPage, findTrainCard } = await loadScraper();
+    const scrapeOptions = { log: workerLog, maxFare, fareType: targetFareType || null, selectors };
+    const pageOptions = { selectors };
+    const targets = [...new Set([targetTrainNumber, ...(targetTrainNumbers || [])].filter(Boolean).map(String))];
+
     workerLog(' Scraping with pagination...');
-    workerLog('Looking for train number:', targetTrainNumber || 'any');
+    workerLog('Looking for train number:', targets.length > 0 ? targets.join(', ') : 'any');
     workerLog('Looking for class:', targetClass || 'any (lowest)');
+    workerLog('Looking for fare type:', targetFareType || 'any (lowest)');
 
     const maxPages = 5; // Safety limit
     let allPrices = [];
     let allTrains = [];
     let trainPrice = null;
+    const found = new Set();
 
     let previousDomSignature = null;
 
     for (let page = 0; page < maxPages; page++) {
+      // Fare types only show once a class is expanded, so open them on each target train
+      scrapeOptions.expandedFares = {};
+      for (const trainNumber of targets.filter(number => !found.has(number))) {
+        const card = findTrainCard(trainNumber, pageOptions);
+        if (card) {
+          scrapeOptions.expandedFares[trainNumber] = await expandFareOptions(card);
+        }
+      }
+
       // Scrape current page for train cards with train numbers
-      const pageResult = scrapeTrainCards(targetTrainNumber, targetClass);
-      const currentDomSignature = getCurrentResultsSignature();
+      const pageResult = scrapeTrainCards(targetTrainNumber, targetClass, scrapeOptions);
+      const currentDomSignature = getCurrentResultsSignature(pageOptions);
 
       // If we keep seeing the same page signature, pagination is not advancing.
       if (page > 0 && previousDomSignature && currentDomSignature === previousDomSignature) {
@@ -308,20 +527,23 @@ if (window._amtrakPriceTrackerLoaded) {
       // Collect all prices and trains
       allPrices = allPrices.concat(pageResult.prices);
       allTrains = allTrains.concat(pageResult.trains || []);
+      (pageResult.trains || []).forEach(train => found.add(String(train.trainNumber)));
 
-      // If we found the target train, return immediately
-      if (pageResult.trainPrice !== null) {
+      if (pageResult.trainPrice !== null && trainPrice === null) {
         workerLog(`Found target train #${targetTrainNumber} with price $${pageResult.trainPrice}`);
-        return { prices: allPrices, trains: allTrains, trainPrice: pageResult.trainPrice };
+        trainPrice = pageResult.trainPrice;
+        // Cards priced only from their text aren't listed in trains
+        found.add(String(targetTrainNumber));
       }
 
-      // If no target train specified, just return first page results
-      if (!targetTrainNumber) {
+      // Stop once every target train has been seen
+      if (targets.length > 0 && targets.every(number => found.has(number))) {
+        if (targets.length > 1) workerLog(`Found all ${targets.length} target trains`);
         break;
       }
 
       // Look for "next" or "later" button to see more trains
-      const nextButton = findNextPageButton();
+      const nextButton = findNextPageButton(pageOptions);
       if (!nextButton) {
         workerLog('No next-page button found, stopping pagination');
         break;
@@ -339,57 +561,44 @@ if (window._amtrakPriceTrackerLoaded) {
         break;
       }
 
-      const activePage = getActiveResultsPage();
+      const activePage = getActiveResultsPage(pageOptions);
       workerLog(`Moved to next results page (${activePage || page + 2})`);
     }
 
     // Deduplicate prices
     const uniquePrices = [...new Set(allPrices)];
 
-    return { prices: uniquePrices, trains: allTrains, trainPrice: null };
+    return { prices: uniquePrices, trains: allTrains, trainPrice };
   }
 
   /**
-   * Find the button to load more/next results
+   * Expand each class on a journey card and read its fare options
+   * Options are read after each click since expanding one class may
+   * collapse the previous one.
    */
-  function findNextPageButton() {
-    const explicitNext = document.querySelector('li.pagination-next[aria-disabled="false"] a.page-link, li.pagination-next:not([aria-disabled="true"]) a.page-link');
-    if (explicitNext && isControlEnabled(explicitNext)) {
-      return explicitNext;
-    }
+  async function expandFareOptions(card) {
+    const { readFareOptions, isControlEnabled, normalizeClassName } = await loadScraper();
+    const fares = [];
 
-    const pageLinks = document.querySelectorAll('a.page-link, button.page-link');
-    for (const btn of pageLinks) {
-      if (!isControlEnabled(btn)) continue;
+    for (const btn of selectorModule.queryAll(card, selectors.fareButton)) {
+      if (!isControlEnabled(btn) || btn.classList.contains('class-unavailable')) continue;
 
-      const text = (btn.textContent?.trim() || '').toLowerCase();
-      const ariaLabel = (btn.getAttribute('aria-label') || '').toLowerCase();
-      const title = (btn.getAttribute('title') || '').toLowerCase();
-      const rel = (btn.getAttribute('rel') || '').toLowerCase();
-
-      const looksLikeNext =
-        text === '>' || text === '›' || text === '»' ||
-        text.includes('next') || text.includes('later') ||
-        ariaLabel.includes('next') || ariaLabel.includes('later') ||
-        title.includes('next') || title.includes('later') ||
-        rel === 'next';
-
-      if (looksLikeNext) {
-        return btn;
+      const className = normalizeClassName(selectorModule.queryFirst(btn, selectors.classTitle)?.textContent);
+      if (btn.getAttribute('aria-expanded') !== 'true') {
+        btn.click();
+        await new Promise(resolve => setTimeout(resolve, 800));
       }
-    }
 
-    return null;
-  }
+      // Some layouts render the options panel outside the card
+      let options = readFareOptions(card, className, { maxFare, selectors });
+      if (options.length === 0) {
+        options = readFareOptions(document, className, { maxFare, selectors });
+      }
+      workerLog(`  ${className || 'unknown'} fare options: ${options.map(o => `${o.fareType} $${o.price}`).join(', ') || 'none'}`);
+      fares.push(...options.filter(o => o.className === className));
+    }
 
-  function isControlEnabled(btn) {
-    if (!btn) return false;
-    const isDisabled =
-      (typeof btn.disabled === 'boolean' && btn.disabled) ||
-      btn.getAttribute('disabled') !== null ||
-      btn.getAttribute('aria-disabled') === 'true' ||
-      btn.closest('[aria-disabled="true"], .disabled, .is-disabled, [class*="disabled"]');
-    return !isDisabled;
+    return fares;
   }
 
   function clickButtonSafely(btn) {
@@ -404,42 +613,14 @@ if (window._amtrakPriceTrackerLoaded) {
     }
   }
 
-  function getActiveResultsPage() {
-    const activePageEl = document.querySelector('[aria-current="page"], .active .page-link, .page-item.active .page-link');
-    const activeText = (activePageEl?.textContent || '').trim();
-    const pageMatch = activeText.match(/\d+/);
-    return pageMatch ? Number(pageMatch[0]) : null;
-  }
-
-  function getCurrentResultsSignature() {
-    const cards = document.querySelectorAll('am-journey-card');
-    const firstTrainNums = [];
-
-    for (const card of cards) {
-      const trainNameEl = card.querySelector('.train-name span');
-      const trainText = (trainNameEl?.textContent || '').trim();
-      const trainMatch = trainText.match(/\d{1,4}/);
-      if (trainMatch) {
-        firstTrainNums.push(trainMatch[0]);
-      }
-      if (firstTrainNums.length >= 5) break;
-    }
-
-    const activePage = getActiveResultsPage();
-
-    return JSON.stringify({
-      activePage,
-      firstTrainNums
-    });
-  }
-
   async function waitForResultsChange(previousDomSignature, timeoutMs = 8000) {
+    const { getCurrentResultsSignature } = await loadScraper();
     const start = Date.now();
 
     while (Date.now() - start < timeoutMs) {
       await new Promise(resolve => setTimeout(resolve, 500));
 
-      const domSignature = getCurrentResultsSignature();
+      const domSignature = getCurrentResultsSignature({ selectors });
       if (domSignature !== previousDomSignature) {
         return true;
       }
@@ -447,265 +628,5 @@ if (window._amtrakPriceTrackerLoaded) {
 
     return false;
   }
-
-  /**
-   * Scrape train cards from the current page
-   * Returns prices and optionally the price for a specific train and class
-   */
-  function scrapeTrainCards(targetTrainNumber, targetClass) {
-    const prices = [];
-    const trains = [];  // Array to store train details
-    let trainPrice = null;
-
-    // Normalize target train number to string for comparison
-    const targetStr = targetTrainNumber ? String(targetTrainNumber) : null;
-    // Normalize target class to lowercase for comparison
-    const targetClassLower = targetClass ? targetClass.toLowerCase() : null;
-
-    // Look for am-journey-card elements (Amtrak's Angular component)
-    let cards = document.querySelectorAll('am-journey-card');
-
-    // Fallback to broader selectors if no journey cards found
-    if (cards.length === 0) {
-      cards = document.querySelectorAll('[data-testid*="journey-card"], [class*="journey-card"]');
-    }
-
-    workerLog(`Found ${cards.length} am-journey-card elements`);
-
-    cards.forEach((card, index) => {
-      // Extract train number from .train-name element
-      const trainNameEl = card.querySelector('.train-name');
-      let cardTrainNumber = null;
-
-      if (trainNameEl) {
-        // Get the first span which contains the train number
-        const trainNumberSpan = trainNameEl.querySelector('span');
-        if (trainNumberSpan) {
-          const trainText = trainNumberSpan.textContent.trim();
-          const trainMatch = trainText.match(/^\d{1,4}$/);
-          if (trainMatch) {
-            cardTrainNumber = trainMatch[0];
-          }
-        }
-      }
-
-      // Fallback: try regex on full card text
-      if (!cardTrainNumber) {
-        const cardText = card.textContent || '';
-        const trainMatch = cardText.match(/(?:Train|#)\s*(\d{1,4})\b/i);
-        cardTrainNumber = trainMatch ? trainMatch[1] : null;
-      }
-
-      // Debug: if this might be our target train, log more details
-      if (targetStr && String(cardTrainNumber) === targetStr) {
-        workerLog(`  FOUND TARGET - Card ${index + 1}: Train #${cardTrainNumber}`);
-      } else if (cardTrainNumber) {
-        workerLog(`  Card ${index + 1}: Train #${cardTrainNumber}`);
-      }
-
-      // Look for class-fare buttons within this card
-      const fareButtons = card.querySelectorAll('.class-fare');
-      let classPricesMap = new Map(); // Use Map to dedupe by class+price
-
-      // Debug: log button count for target train
-      if (targetStr && String(cardTrainNumber) === targetStr) {
-        workerLog(`  Scanning ${fareButtons.length} .class-fare buttons for Train #${cardTrainNumber}:`);
-      }
-
-      fareButtons.forEach(btn => {
-        // Get class title (Coach, Business, First)
-        const classTitleEl = btn.querySelector('.class-title');
-        const classTitle = classTitleEl ? classTitleEl.textContent.trim().toLowerCase() : null;
-
-        // Get price from .price-tag element
-        const priceTagEl = btn.querySelector('.price-tag');
-        let price = null;
-
-        if (priceTagEl) {
-          const priceText = priceTagEl.textContent.trim().replace(',', '');
-          price = parseFloat(priceText);
-        }
-
-        // Check for "Not Offered" or unavailable
-        const isUnavailable = btn.classList.contains('class-unavailable') ||
-          btn.querySelector('.unavailable-text, .not-available-text');
-
-        if (price && price >= 20 && price <= 2000 && !isUnavailable) {
-          // Debug: log for target train
-          if (targetStr && String(cardTrainNumber) === targetStr) {
-            workerLog(`    Found: ${classTitle} $${price}`);
-          }
-
-          // Determine normalized class name
-          let className = null;
-          if (classTitle?.includes('coach')) className = 'coach';
-          else if (classTitle?.includes('business')) className = 'business';
-          else if (classTitle?.includes('first')) className = 'first';
-
-          // Use class+price as key to deduplicate
-          const key = `${className}-${price}`;
-          if (!classPricesMap.has(key)) {
-            classPricesMap.set(key, { price, className, fareType: 'standard' });
-          }
-        }
-      });
-
-      // Fallback: try the old method if no prices found with new selectors
-      if (classPricesMap.size === 0) {
-        const classButtons = card.querySelectorAll('button, [class*="fare"], [class*="price"]');
-        classButtons.forEach(btn => {
-          const btnText = (btn.textContent || '').toLowerCase();
-          const priceMatch = btnText.match(/\$\s*([\d,]+(?:\.\d{2})?)/);
-          if (priceMatch) {
-            const price = parseFloat(priceMatch[1].replace(',', ''));
-            if (price >= 20 && price <= 2000) {
-              let className = null;
-              if (btnText.includes('coach')) className = 'coach';
-              else if (btnText.includes('business')) className = 'business';
-              else if (btnText.includes('first')) className = 'first';
-
-              const key = `${className}-${price}`;
-              if (!classPricesMap.has(key)) {
-                classPricesMap.set(key, { price, className, fareType: 'standard' });
-              }
-            }
-          }
-        });
-      }
-
-      const classPrices = Array.from(classPricesMap.values());
-
-      // If we found class-specific prices
-      if (classPrices.length > 0) {
-        classPrices.forEach(cp => prices.push(cp.price));
-
-        // Add train details to trains array
-        if (cardTrainNumber) {
-          workerLog(`    Train #${cardTrainNumber} fares:`, classPrices.map(cp =>
-            `${cp.className || 'unknown'}${cp.fareType !== 'standard' ? ` (${cp.fareType})` : ''}: $${cp.price}`
-          ).join(', '));
-
-          trains.push({
-            trainNumber: cardTrainNumber,
-            prices: classPrices
-          });
-        }
-
-        // Check if this is our target train
-        if (targetStr && String(cardTrainNumber) === targetStr) {
-          // Look for the target class price
-          if (targetClassLower) {
-            const classMatch = classPrices.find(cp => cp.className === targetClassLower);
-
-            if (classMatch) {
-              workerLog(`Match! Train #${cardTrainNumber} ${targetClassLower} price: $${classMatch.price}`);
-              trainPrice = classMatch.price;
-            } else {
-              // Class not found on this train, use lowest as fallback
-              const lowestPrice = Math.min(...classPrices.map(cp => cp.price));
-              workerLog(`Train #${cardTrainNumber} found but ${targetClassLower} class not available. Lowest: $${lowestPrice}`);
-              trainPrice = lowestPrice;
-            }
-          } else {
-            // No target class specified, use lowest price
-            trainPrice = Math.min(...classPrices.map(cp => cp.price));
-            workerLog(`Match! Train #${cardTrainNumber} lowest price: $${trainPrice}`);
-          }
-        }
-      } else {
-        // Fallback: extract any price from the card text
-        const fallbackText = card.textContent || '';
-        const priceMatch = fallbackText.match(/\$\s*([\d,]+(?:\.\d{2})?)/);
-        const cardPrice = priceMatch ? parseFloat(priceMatch[1].replace(',', '')) : null;
-
-        if (cardPrice && cardPrice >= 20 && cardPrice <= 2000) {
-          prices.push(cardPrice);
-
-          // Check if this is our target train
-          if (targetStr && String(cardTrainNumber) === targetStr) {
-            workerLog(`Match! Train #${cardTrainNumber} price: $${cardPrice}`);
-            trainPrice = cardPrice;
-          }
-        }
-      }
-    });
-
-    // If no cards found, fall back to general price scraping
-    if (prices.length === 0) {
-      workerLog(' No train cards with prices found, using fallback scraper');
-      const generalPrices = scrapePricesFromPage();
-      return { prices: generalPrices, trainPrice: null };
-    }
-
-    if (targetTrainNumber && trainPrice === null) {
-      workerLog(`Train #${targetTrainNumber} not found on this page`);
-    }
-
-    workerLog(`Found ${prices.length} prices on page, ${trains.length} trains identified`);
-    return { prices, trains, trainPrice };
-  }
-
-  /**
-   * Scrape prices from Amtrak search results page
-   * This function finds all prices displayed on the booking page
-   */
-  function scrapePricesFromPage() {
-    const prices = [];
-    try {
-      // Method 1: Look for specific fare/price elements
-      const priceSelectors = [
-        '[class*="price"]',
-        '[class*="fare"]',
-        '[class*="cost"]',
-        '[class*="amount"]',
-        '[data-test*="price"]',
-        '[data-testid*="price"]',
-        '[data-testid*="fare"]',
-        'span[class*="dollar"]',
-        '.journey-card-price',
-        '.trip-price',
-        '.coach-price',
-        '.business-price'
-      ];
-
-      const priceElements = document.querySelectorAll(priceSelectors.join(', '));
-
-      priceElements.forEach(el => {
-        const priceText = el.textContent.trim();
-        // Match prices like $49, $149.00, $1,234
-        const priceMatch = priceText.match(/\$\s*([\d,]+(?:\.\d{2})?)/);
-        if (priceMatch) {
-          const price = parseFloat(priceMatch[1].replace(',', ''));
-          // Filter to reasonable train prices ($20-$2000)
-          if (price >= 20 && price <= 2000) {
-            prices.push(price);
-          }
-        }
-      });
-
-      // Method 2: Broader text search if no specific elements found
-      if (prices.length === 0) {
-        const pageText = document.body.innerText;
-        const allPriceMatches = pageText.match(/\$\s*(\d{2,4}(?:\.\d{2})?)/g);
-
-        if (allPriceMatches) {
-          allPriceMatches.forEach(match => {
-            const price = parseFloat(match.replace(/[\$,\s]/g, ''));
-            if (price >= 20 && price <= 2000) {
-              prices.push(price);
-            }
-          });
-        }
-      }
-
-      // Remove duplicates
-      const uniquePrices = [...new Set(prices)];
-      return uniquePrices;
-    } catch (error) {
-      workerLog('ERROR: Error scraping prices', error.message);
-      return [];
-    }
-  }
-
 } // End of double-execution guard
 
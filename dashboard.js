@@ -0,0 +1,350 @@
+/**
+ * Dashboard
+ *
+ * Pure helpers behind the full-page dashboard (options.html): one table row
+ * per trip with the values it's sorted and filtered by, the chart series for
+ * a trip's price history, and a description of every setting so the
+ * dashboard can render and check them all, including the advanced ones the
+ * popup leaves out.
+ */
+
+import { WEBHOOK_PRESETS, validateTemplate } from './webhook.js';
+import { validateSelectorOverrides } from './selectors.js';
+import { normalizeScheduleTiers } from './schedule.js';
+import { lastTravelDate } from './date-range.js';
+import { tripHealth } from './errors.js';
+import { getStation } from './stations.js';
+
+export const TRIP_TYPE_LABELS = {
+  booked: 'Booked',
+  watch: 'Watch',
+  range: 'Date range'
+};
+
+// Columns the trip table can be sorted by, in display order
+export const DASHBOARD_COLUMNS = [
+  { key: 'route', label: 'Route' },
+  { key: 'travelDate', label: 'Date' },
+  { key: 'type', label: 'Type' },
+  { key: 'trainNumber', label: 'Train' },
+  { key: 'reference', label: 'Paid / target' },
+  { key: 'currentPrice', label: 'Current' },
+  { key: 'lowestPrice', label: 'Lowest' },
+  { key: 'change', label: 'Change' },
+  { key: 'lastChecked', label: 'Last checked' },
+  { key: 'health', label: 'Health' }
+];
+
+export const STATUS_FILTERS = [
+  { key: 'all', label: 'All trips' },
+  { key: 'upcoming', label: 'Upcoming' },
+  { key: 'past', label: 'Past' },
+  { key: 'drops', label: 'Below paid / target' },
+  { key: 'problems', label: 'Check problems' }
+];
+
+export const CHART_RANGES = [
+  { key: '7d', label: '7 days', days: 7 },
+  { key: '30d', label: '30 days', days: 30 },
+  { key: 'all', label: 'All', days: null }
+];
+
+const HEALTH_ORDER = { ok: 0, warning: 1, failing: 2 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Flatten a trip into the values shown in the trip table
+ * @param {Object} trip
+ * @param {Date} [now=new Date()]
+ * @returns {Object} Row with `trip` and one value per DASHBOARD_COLUMNS key
+ */
+export function tripRow(trip, now = new Date()) {
+  // Booked trips compare against the price paid, watches against their target
+  const reference = trip.type === 'booked' ? trip.pricePaid : trip.targetPrice;
+  const currentPrice = trip.type === 'range' ? trip.cheapestDay?.price : trip.currentPrice;
+  // Prices from before the trip's search was changed don't count
+  const prices = (trip.priceHistory || [])
+    .filter(entry => !entry.previousSearch)
+    .map(entry => entry.price)
+    .filter(Number.isFinite);
+  const health = trip.trainNotFound ? 'warning' : tripHealth(trip).status;
+
+  return {
+    trip,
+    id: trip.id,
+    route: `${trip.origin} → ${trip.destination}`,
+    travelDate: trip.travelDate,
+    type: trip.type,
+    trainNumber: trip.trainNumber || null,
+    reference: Number.isFinite(reference) ? reference : null,
+    currentPrice: Number.isFinite(currentPrice) ? currentPrice : null,
+    lowestPrice: prices.length > 0 ? Math.min(...prices) : null,
+    change: Number.isFinite(reference) && Number.isFinite(currentPrice)
+      ? Math.round((currentPrice - reference) * 100) / 100
+      : null,
+    lastChecked: trip.lastChecked || null,
+    health,
+    upcoming: lastTravelDate(trip) >= toDateString(now)
+  };
+}
+
+/**
+ * Rows matching the table's filters
+ * @param {Array} rows - From tripRow
+ * @param {Object} [filters]
+ * @param {string} [filters.text] - Matches station codes or names, or the train number
+ * @param {string} [filters.type='all'] - A trip type, or 'all'
+ * @param {string} [filters.status='all'] - A key from STATUS_FILTERS
+ * @returns {Array} Matching rows
+ */
+export function filterRows(rows, { text = '', type = 'all', status = 'all' } = {}) {
+  const query = text.trim().toLowerCase();
+
+  return rows.filter(row => {
+    if (type !== 'all' && row.type !== type) return false;
+
+    if (status === 'upcoming' && !row.upcoming) return false;
+    if (status === 'past' && row.upcoming) return false;
+    if (status === 'drops' && !(row.change !== null && row.change < 0)) return false;
+    if (status === 'problems' && row.health === 'ok') return false;
+
+    if (!query) return true;
+    const haystack = [row.trip.origin, row.trip.destination, row.trainNumber]
+      .concat([row.trip.origin, row.trip.destination].map(code => getStation(code)?.name))
+      .filter(Boolean)
+      .join(' ')
+      .toLowerCase();
+    return haystack.includes(query);
+  });
+}
+
+/**
+ * Sort rows by a column; empty values always sort last
+ * @param {Array} rows - From tripRow
+ * @param {string} column - A key from DASHBOARD_COLUMNS
+ * @param {string} [direction='asc'] - 'asc' or 'desc'
+ * @returns {Array} New sorted array
+ */
+export function sortRows(rows, column, direction = 'asc') {
+  const sign = direction === 'desc' ? -1 : 1;
+  const value = row => column === 'health' ? HEALTH_ORDER[row.health] : row[column];
+
+  return [...rows].sort((a, b) => {
+    const x = value(a);
+    const y = value(b);
+    if (x === null || x === undefined) return y === null || y === undefined ? 0 : 1;
+    if (y === null || y === undefined) return -1;
+    const order = typeof x === 'number' && typeof y === 'number'
+      ? x - y
+      : String(x).localeCompare(String(y), undefined, { numeric: true });
+    return order * sign;
+  });
+}
+
+/**
+ * Price history points for a chart
+ * Entries tagged with a previous search are left out.
+ * @param {Object} trip
+ * @param {Object} [options]
+ * @param {string} [options.range='all'] - A key from CHART_RANGES
+ * @param {string} [options.view='tracked'] - 'tracked' for the trip's fare, or a ticket class key
+ * @param {Date} [now=new Date()]
+ * @returns {Array} [{ time, price }], oldest first
+ */
+export function chartSeries(trip, { range = 'all', view = 'tracked' } = {}, now = new Date()) {
+  const days = CHART_RANGES.find(({ key }) => key === range)?.days;
+  const since = days ? now.getTime() - days * DAY_MS : -Infinity;
+
+  return (trip.priceHistory || [])
+    .filter(entry => !entry.previousSearch)
+    .map(entry => ({
+      time: new Date(entry.timestamp).getTime(),
+      price: view === 'tracked' ? entry.price : entry.classPrices?.[view]
+    }))
+    .filter(point => Number.isFinite(point.time) && Number.isFinite(point.price) && point.time >= since)
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Round price axis ticks covering a range
+ * @param {number} min
+ * @param {number} max
+ * @param {number} [count=5] - Roughly how many ticks to return
+ * @returns {Array<number>}
+ */
+export function priceTicks(min, max, count = 5) {
+  if (!Number.isFinite(min) || !Number.isFinite(max)) return [];
+  if (min === max) return [min];
+
+  const rough = (max - min) / count;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+  const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= rough);
+  const ticks = [];
+  for (let tick = Math.ceil(min / step) * step; tick <= max; tick += step) {
+    ticks.push(Math.round(tick * 100) / 100);
+  }
+  return ticks;
+}
+
+// Settings shown on the dashboard, by group. `advanced` ones are hidden
+// until asked for; `reschedules` ones move the price check alarm when
+// changed; `requestsOrigin` URLs need host permission before they're saved.
+export const SETTINGS_FIELDS = [
+  {
+    key: 'scheduleMode', group: 'Checking', label: 'Check schedule', type: 'select',
+    options: [{ value: 'adaptive', label: 'More often near departure' }, { value: 'fixed', label: 'Fixed interval' }],
+    reschedules: true
+  },
+  {
+    key: 'checkInterval', group: 'Checking', label: 'Fixed interval (hours)', type: 'select', number: true,
+    options: [1, 2, 4, 8, 12, 24].map(hours => ({ value: hours, label: hours === 1 ? '1 hour' : `${hours} hours` })),
+    reschedules: true
+  },
+  {
+    key: 'scheduleTiers', group: 'Checking', label: 'Schedule tiers', type: 'json', advanced: true,
+    help: 'List of { "withinDays": n, "everyHours": n }; the last tier has "withinDays": null',
+    validate: value => Array.isArray(value) ? null : 'Tiers must be a list',
+    normalize: normalizeScheduleTiers,
+    reschedules: true
+  },
+  {
+    key: 'priceProviders', group: 'Checking', label: 'Price source', type: 'select', list: true,
+    options: [
+      { value: 'tab', label: 'Browser tab' },
+      { value: 'direct,tab', label: 'Direct, then tab' },
+      { value: 'tab,direct', label: 'Tab, then direct' },
+      { value: 'direct', label: 'Direct only' }
+    ]
+  },
+  {
+    key: 'automationWindow', group: 'Checking', label: 'Search in', type: 'select',
+    options: [{ value: 'minimized', label: 'Minimized window' }, { value: 'background', label: 'Background tab' }]
+  },
+  {
+    key: 'directProviderBaseUrl', group: 'Checking', label: 'Direct provider base URL', type: 'url', advanced: true,
+    requestsOrigin: true
+  },
+  {
+    key: 'amtrakPriceBasis', group: 'Checking', label: 'Amtrak shows fares', type: 'select', advanced: true,
+    options: [{ value: 'total', label: 'For the whole party' }, { value: 'perPerson', label: 'Per person' }]
+  },
+  { key: 'alertMinSavings', group: 'Alerts', label: 'Minimum savings ($)', type: 'number', min: 0 },
+  { key: 'alertMinSavingsPercent', group: 'Alerts', label: 'Minimum savings (%)', type: 'number', min: 0, max: 100 },
+  { key: 'alertNewLowOnly', group: 'Alerts', label: 'Only alert on a new low', type: 'checkbox' },
+  {
+    key: 'alertCooldownHours', group: 'Alerts', label: 'Wait between alerts', type: 'select', number: true,
+    options: [0, 6, 12, 24, 48, 168].map(hours => ({ value: hours, label: hours === 0 ? 'No cooldown' : hours === 168 ? '1 week' : `${hours} hours` }))
+  },
+  { key: 'upgradeAlertsEnabled', group: 'Alerts', label: 'Alert when a higher class costs less', type: 'checkbox' },
+  { key: 'alternativeAlertsEnabled', group: 'Alerts', label: 'Alert when a nearby train is cheaper', type: 'checkbox' },
+  {
+    key: 'alternativeWindowMinutes', group: 'Alerts', label: 'Nearby means within', type: 'select', number: true,
+    options: [
+      { value: 30, label: '30 minutes' },
+      { value: 60, label: '1 hour' },
+      { value: 120, label: '2 hours' },
+      { value: 180, label: '3 hours' },
+      { value: 1440, label: 'Any time that day' }
+    ]
+  },
+  { key: 'alternativeMinSavings', group: 'Alerts', label: 'Nearby train savings ($)', type: 'number', min: 0 },
+  { key: 'emailNotifications', group: 'Notifications', label: 'Email notifications', type: 'checkbox' },
+  { key: 'notificationEmail', group: 'Notifications', label: 'Email address', type: 'email' },
+  { key: 'webhookEnabled', group: 'Notifications', label: 'Webhook notifications', type: 'checkbox' },
+  { key: 'webhookUrl', group: 'Notifications', label: 'Webhook URL', type: 'url', requestsOrigin: true },
+  {
+    key: 'webhookPreset', group: 'Notifications', label: 'Webhook format', type: 'select',
+    options: Object.entries(WEBHOOK_PRESETS).map(([value, preset]) => ({ value, label: preset.label }))
+  },
+  {
+    key: 'webhookTemplate', group: 'Notifications', label: 'Webhook template', type: 'textarea', advanced: true,
+    help: 'JSON with {{placeholders}}, used by the Generic JSON format',
+    placeholder: WEBHOOK_PRESETS.generic.template,
+    validate: value => {
+      const error = validateTemplate(value);
+      return error ? `Template is not valid JSON: ${error}` : null;
+    }
+  },
+  { key: 'webhookSecret', group: 'Notifications', label: 'Webhook signing secret', type: 'text', advanced: true },
+  {
+    key: 'selectorOverrides', group: 'Page selectors', label: 'Selector overrides', type: 'json', advanced: true,
+    help: '{ concept: [{ "name": "...", "selector": "..." }] }, replacing the built-in strategies',
+    validate: value => validateSelectorOverrides(value)[0] || null
+  }
+];
+
+/**
+ * Turn what was typed into a setting's field into the value to save
+ * Empty text fields save as null.
+ * @param {Object} field - From SETTINGS_FIELDS
+ * @param {string|boolean} raw - Input value, or checked state for checkboxes
+ * @returns {Object} { value } or { error }
+ */
+export function parseSettingValue(field, raw) {
+  if (field.type === 'checkbox') return { value: Boolean(raw) };
+
+  const text = String(raw ?? '').trim();
+
+  if (field.type === 'select') {
+    if (field.list) return { value: text.split(',') };
+    return { value: field.number ? Number(text) : text };
+  }
+
+  if (field.type === 'number') {
+    const value = text === '' ? 0 : Number(text);
+    if (!Number.isFinite(value)) return { error: `${field.label} must be a number` };
+    if (field.min !== undefined && value < field.min) return { error: `${field.label} must be at least ${field.min}` };
+    if (field.max !== undefined && value > field.max) return { error: `${field.label} must be at most ${field.max}` };
+    return { value };
+  }
+
+  if (!text) return { value: null };
+
+  if (field.type === 'url') {
+    let url;
+    try {
+      url = new URL(text);
+    } catch (e) {
+      return { error: `${field.label} is not a valid URL` };
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      return { error: `${field.label} must start with https://` };
+    }
+    return { value: text };
+  }
+
+  if (field.type === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text)) {
+    return { error: 'Please enter a valid email address' };
+  }
+
+  let value = text;
+  if (field.type === 'json') {
+    try {
+      value = JSON.parse(text);
+    } catch (e) {
+      return { error: `${field.label} is not valid JSON: ${e.message}` };
+    }
+  }
+
+  const error = field.validate ? field.validate(value) : null;
+  if (error) return { error };
+  return { value: field.normalize ? field.normalize(value) : value };
+}
+
+/**
+ * Text to show in a setting's field
+ * @param {Object} field - From SETTINGS_FIELDS
+ * @param {*} value - Saved setting
+ * @returns {string|boolean}
+ */
+export function formatSettingValue(field, value) {
+  if (field.type === 'checkbox') return Boolean(value);
+  if (value === null || value === undefined) return '';
+  if (field.type === 'json') return JSON.stringify(value, null, 2);
+  if (field.list) return value.join(',');
+  return String(value);
+}
+
+function toDateString(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
@@ -0,0 +1,100 @@
+/**
+ * Flexible-date watches
+ *
+ * A date range watch (trip.type 'range') has no ticket yet. Each check
+ * searches every day from travelDate - dateFlex to travelDate + dateFlex,
+ * keeps the cheapest train per day that leaves between timeFrom and timeTo,
+ * and records it in trip.dayPrices keyed by date. The cheapest upcoming day
+ * is the watch's current price.
+ */
+
+import { evaluateTargetAlert } from './alerts.js';
+
+export const MAX_DATE_FLEX = 7;
+
+/**
+ * Every date covered by a range watch
+ * @param {Object} trip - Trip with `travelDate` and `dateFlex`
+ * @returns {Array<string>} YYYY-MM-DD dates, earliest first
+ */
+export function rangeDates(trip) {
+  const flex = Math.min(Math.max(parseInt(trip.dateFlex, 10) || 0, 0), MAX_DATE_FLEX);
+  const [year, month, day] = trip.travelDate.split('-').map(Number);
+  const dates = [];
+  for (let offset = -flex; offset <= flex; offset++) {
+    dates.push(toDateString(new Date(year, month - 1, day + offset)));
+  }
+  return dates;
+}
+
+/**
+ * Last date covered by a trip
+ * @param {Object} trip
+ * @returns {string} YYYY-MM-DD
+ */
+export function lastTravelDate(trip) {
+  return trip.type === 'range' ? rangeDates(trip).at(-1) : trip.travelDate;
+}
+
+/**
+ * Pick the cheapest train leaving within a time window
+ * @param {Array} trains - [{ trainNumber, departureTime, price }] from buildTrainSnapshot
+ * @param {string} [timeFrom] - Earliest departure, HH:MM
+ * @param {string} [timeTo] - Latest departure, HH:MM
+ * @returns {Object|null} The cheapest matching train
+ */
+export function cheapestInTimeWindow(trains, timeFrom, timeTo) {
+  const inWindow = trains.filter(train => {
+    if (!timeFrom && !timeTo) return true;
+    if (!train.departureTime) return false;
+    return (!timeFrom || train.departureTime >= timeFrom) && (!timeTo || train.departureTime <= timeTo);
+  });
+  if (inWindow.length === 0) return null;
+  return inWindow.reduce((cheapest, train) => (train.price < cheapest.price ? train : cheapest));
+}
+
+/**
+ * Find the cheapest upcoming day in a watch's results
+ * Ties go to the earlier day.
+ * @param {Object} dayPrices - Results keyed by date, { price, trainNumber, departureTime }
+ * @param {string} todayStr - Today's date, YYYY-MM-DD; earlier days are ignored
+ * @returns {Object|null} { date, price, trainNumber, departureTime }
+ */
+export function findCheapestDay(dayPrices, todayStr) {
+  let cheapest = null;
+  Object.keys(dayPrices || {}).sort().forEach(date => {
+    const result = dayPrices[date];
+    if (date < todayStr || result.price === null || result.price === undefined) return;
+    if (!cheapest || result.price < cheapest.price) {
+      cheapest = { date, price: result.price, trainNumber: result.trainNumber, departureTime: result.departureTime };
+    }
+  });
+  return cheapest;
+}
+
+/**
+ * Decide which alerts a watch's latest results warrant
+ * @param {Object} trip - Range watch with updated `cheapestDay`, optional `targetPrice` and `targetAlertState`
+ * @param {Object|null} previousCheapest - `cheapestDay` before this check
+ * @returns {Array} [{ kind: 'cheapestDay' | 'target', ...cheapestDay }]
+ */
+export function evaluateRangeAlerts(trip, previousCheapest) {
+  const cheapest = trip.cheapestDay;
+  if (!cheapest) return [];
+
+  const alerts = [];
+
+  if (previousCheapest && previousCheapest.date !== cheapest.date) {
+    alerts.push({ kind: 'cheapestDay', ...cheapest });
+  }
+
+  if (evaluateTargetAlert(trip, cheapest.price).notify) {
+    alerts.push({ kind: 'target', ...cheapest });
+  }
+
+  return alerts;
+}
+
+function toDateString(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
@@ -0,0 +1,159 @@
+/**
+ * Check run diagnostics
+ *
+ * Records what each price check run did so a missed drop can be debugged
+ * after the service worker has gone idle. A run holds:
+ *   - trips: one summary per trip checked (outcome, price, provider, timing)
+ *   - events: steps in order, each with ms since the run started and the
+ *     trip being checked: 'step', 'navigate' (URLs visited), 'form' (values
+ *     entered), 'results' (trains and prices found), 'error' and 'content'
+ *     (lines forwarded from content.js)
+ *
+ * Only one run happens at a time (see checkAllPrices in background.js), so
+ * the active run is kept here and providers log to it without it being
+ * passed around. Logging when no run is active does nothing.
+ */
+
+// Events kept per run; a stuck page can otherwise log without end
+export const MAX_RUN_EVENTS = 400;
+
+export const RUN_EVENT_KINDS = ['step', 'navigate', 'form', 'results', 'error', 'content'];
+
+let activeRun = null;
+let activeTrip = null;
+
+/**
+ * Start recording a run, replacing any run left unfinished
+ * @param {string} trigger - 'scheduled' or 'manual'
+ * @param {Date} [now=new Date()]
+ * @returns {Object} The run
+ */
+export function startRun(trigger, now = new Date()) {
+  activeRun = {
+    id: `run-${now.getTime()}`,
+    trigger,
+    startedAt: now.toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    status: 'running',
+    trips: [],
+    events: [],
+    droppedEvents: 0
+  };
+  activeTrip = null;
+  return activeRun;
+}
+
+/**
+ * Add an event to the active run
+ * @param {string} kind - One of RUN_EVENT_KINDS
+ * @param {string} message
+ * @param {Object} [data] - Structured details (URL, form values, trains)
+ * @param {Date} [now=new Date()]
+ */
+export function logRunEvent(kind, message, data, now = new Date()) {
+  if (!activeRun) return;
+  if (activeRun.events.length >= MAX_RUN_EVENTS) {
+    activeRun.droppedEvents++;
+    return;
+  }
+
+  activeRun.events.push({
+    at: now.getTime() - Date.parse(activeRun.startedAt),
+    kind: RUN_EVENT_KINDS.includes(kind) ? kind : 'step',
+    tripId: activeTrip ? activeTrip.tripId : null,
+    message,
+    ...(data !== undefined ? { data } : {})
+  });
+}
+
+/**
+ * Start the summary for the next trip checked; later events are tagged with it
+ * @param {Object} trip
+ * @param {Date} [now=new Date()]
+ */
+export function startTripRun(trip, now = new Date()) {
+  if (!activeRun) return;
+  activeTrip = {
+    tripId: trip.id,
+    type: trip.type || 'booked',
+    route: `${trip.origin}→${trip.destination}`,
+    travelDate: trip.travelDate,
+    trainNumber: trip.trainNumber || null,
+    startedAt: now.toISOString(),
+    durationMs: null,
+    outcome: null
+  };
+  activeRun.trips.push(activeTrip);
+  logRunEvent('step', `Checking ${activeTrip.route} on ${trip.travelDate}`, undefined, now);
+}
+
+/**
+ * Close the current trip's summary
+ * @param {Object} outcome - { status: 'success' | 'failed' | 'skipped', price, provider, error }
+ * @param {Date} [now=new Date()]
+ */
+export function finishTripRun(outcome, now = new Date()) {
+  if (!activeRun || !activeTrip) return;
+  activeTrip.durationMs = now.getTime() - Date.parse(activeTrip.startedAt);
+  activeTrip.outcome = outcome;
+  logRunEvent(outcome.status === 'failed' ? 'error' : 'step',
+    `Finished ${activeTrip.route}: ${describeOutcome(outcome)}`, undefined, now);
+  activeTrip = null;
+}
+
+/**
+ * Stop recording and return the finished run
+ * @param {string} status - 'success', 'error', 'no_data' or 'idle'
+ * @param {Date} [now=new Date()]
+ * @returns {Object|null} The run, or null if none was active
+ */
+export function finishRun(status, now = new Date()) {
+  if (!activeRun) return null;
+  const run = activeRun;
+  run.finishedAt = now.toISOString();
+  run.durationMs = now.getTime() - Date.parse(run.startedAt);
+  run.status = status;
+  activeRun = null;
+  activeTrip = null;
+  return run;
+}
+
+/**
+ * Trim a train list to what's worth keeping in the log
+ * @param {Array} [trains] - Scraped trains ({ prices: [...] }) or snapshot trains ({ price })
+ * @returns {Array} [{ trainNumber, departureTime, price }] with `prices` as
+ *   [{ className, fareType, price }] for scraped trains
+ */
+export function summarizeTrains(trains) {
+  return (trains || []).map(train => ({
+    trainNumber: train.trainNumber ?? null,
+    departureTime: train.departureTime ?? null,
+    ...(Array.isArray(train.prices)
+      ? { prices: train.prices.map(({ className, fareType, price }) => ({ className: className ?? null, fareType: fareType ?? null, price })) }
+      : { price: train.price ?? null })
+  }));
+}
+
+/**
+ * One-line description of a trip outcome
+ * @param {Object} outcome
+ * @returns {string}
+ */
+export function describeOutcome(outcome) {
+  if (!outcome) return 'not finished';
+  if (outcome.status === 'skipped') return `skipped (${outcome.reason || 'not due'})`;
+  if (outcome.status === 'failed') return `failed (${outcome.error || 'unknown error'})`;
+  const price = typeof outcome.price === 'number' ? `$${outcome.price.toFixed(2)}` : 'no price';
+  return `${price}${outcome.provider ? ` via ${outcome.provider}` : ''}`;
+}
+
+/**
+ * Build the JSON export attached to bug reports
+ * @param {Array} runs - Stored runs, newest first
+ * @param {Object} [meta] - { version, exportedAt }
+ * @returns {Object}
+ */
+export function buildDiagnosticsExport(runs, { version = null, exportedAt = new Date().toISOString() } = {}) {
+  return { type: 'amtrak-price-tracker-diagnostics', version, exportedAt, runs };
+}
@@ -0,0 +1,293 @@
+/**
+ * Direct HTTP price provider
+ *
+ * Requests search results straight from the service worker instead of
+ * driving a tab. Posts the same journey search the amtrak.com booking page
+ * sends and parses the response:
+ *   - JSON: searched for journey objects carrying a train number and fares
+ *   - HTML: checked for Amtrak's error banner, then for JSON state embedded
+ *     in <script type="application/json"> blocks
+ *
+ * The base URL comes from settings.directProviderBaseUrl so the provider
+ * can be pointed at a local stand-in serving recorded responses (see
+ * test/direct-provider.test.js).
+ */
+
+import { PASSENGER_TYPES, normalizePassengers, countPassengers } from './passengers.js';
+import { normalizeFareType, selectFarePrice } from './fares.js';
+import { failure } from './errors.js';
+import { logRunEvent } from './diagnostics.js';
+import { setProgressStep } from './progress.js';
+
+export const DEFAULT_BASE_URL = 'https://www.amtrak.com';
+export const SEARCH_PATH = '/dotcom/journey-solution-option';
+
+export const directProvider = {
+  id: 'direct',
+  label: 'Direct request',
+  fetchResults
+};
+
+// Keys that may hold a journey's fare list, in order of preference
+const FARE_LIST_KEYS = ['reservableAccommodations', 'fares', 'fareOptions', 'accommodations', 'classes'];
+
+/**
+ * Fetch search results for a trip with a single HTTP request
+ * @param {Object} trip - Trip to search for
+ * @param {Object} [settings] - Extension settings (directProviderBaseUrl)
+ * @returns {Promise<Object>} { prices, trains, trainPrice } or a failure (see errors.js)
+ */
+async function fetchResults(trip, settings = {}) {
+  const baseUrl = (settings.directProviderBaseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const request = buildSearchRequest(trip);
+  setProgressStep('Requesting search results');
+  logRunEvent('navigate', 'Requesting search results', { url: `${baseUrl}${SEARCH_PATH}`, request });
+
+  let response;
+  try {
+    response = await fetch(`${baseUrl}${SEARCH_PATH}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json, text/html;q=0.9'
+      },
+      body: JSON.stringify(request)
+    });
+  } catch (error) {
+    console.log('Direct request failed:', error.message);
+    return failure('network', error.message);
+  }
+
+  if (!response.ok) {
+    console.log(`Direct request returned HTTP ${response.status}`);
+    return failure('network', `HTTP ${response.status}`);
+  }
+
+  const body = await response.text();
+  logRunEvent('step', `Received HTTP ${response.status}, ${body.length} bytes`, { contentType: response.headers.get('content-type') });
+  return parseSearchResponse(body, response.headers.get('content-type') || '', trip);
+}
+
+/**
+ * Build the journey search request body for a trip
+ * @param {Object} trip - Trip with origin, destination, travelDate, passengers
+ * @returns {Object}
+ */
+export function buildSearchRequest(trip) {
+  const passengers = normalizePassengers(trip.passengers);
+
+  return {
+    journeyRequest: {
+      type: 'OW',
+      journeyLegRequests: [{
+        origin: {
+          code: trip.origin,
+          schedule: { departureDateTime: `${trip.travelDate}T00:00:00` }
+        },
+        destination: { code: trip.destination },
+        passengers: PASSENGER_TYPES
+          .filter(({ key }) => passengers[key] > 0)
+          .map(({ key }) => ({ type: key.toUpperCase(), count: passengers[key] }))
+      }]
+    }
+  };
+}
+
+/**
+ * Parse a search response body into the scraper's result shape
+ * @param {string} body - Response text
+ * @param {string} contentType - Response Content-Type header
+ * @param {Object} trip - Trip being searched (train number, class, passengers)
+ * @returns {Object} { prices, trains, trainPrice } or a failure (see errors.js)
+ */
+export function parseSearchResponse(body, contentType, trip) {
+  const trimmed = body.trim();
+  const looksLikeJson = contentType.includes('json') || trimmed.startsWith('{') || trimmed.startsWith('[');
+
+  let trains = [];
+
+  if (looksLikeJson) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (error) {
+      console.log('Direct response was not valid JSON:', error.message);
+      return failure('scraper_mismatch', 'Response was not valid JSON');
+    }
+
+    const errorText = findErrorMessage(data);
+    if (errorText) {
+      return failure('amtrak_error', errorText);
+    }
+    trains = extractTrains(data, trip);
+  } else {
+    // Same banner the content script checks for on the results page
+    const bannerMatch = trimmed.match(/class="[^"]*alert-yellow-text[^"]*"[^>]*>([\s\S]*?)<\//);
+    if (bannerMatch && bannerMatch[1].includes('unknown error')) {
+      return failure('amtrak_error', stripTags(bannerMatch[1]).trim());
+    }
+
+    for (const json of extractEmbeddedJson(trimmed)) {
+      trains = extractTrains(json, trip);
+      if (trains.length > 0) break;
+    }
+  }
+
+  if (trains.length === 0) {
+    console.log('No trains found in direct response');
+    // A JSON response we could read just had no journeys; an HTML page
+    // without embedded results is one we don't understand
+    return looksLikeJson
+      ? failure('no_trains', 'No trains in the search response')
+      : failure('scraper_mismatch', 'No results found in the search page');
+  }
+
+  const prices = [...new Set(trains.flatMap(train => train.prices.map(p => p.price)))];
+  const trainPrice = selectTrainPrice(trains, trip);
+
+  return { prices, trains, trainPrice };
+}
+
+/**
+ * Find journeys in a parsed response
+ * Walks the whole object since the payload nests journeys several levels
+ * deep; any object with a train number and a fare list counts.
+ * @param {*} data - Parsed JSON
+ * @param {Object} trip - Trip being searched (for the fare sanity range)
+ * @returns {Array} [{ trainNumber, departureTime, prices: [{ price, className, fareType }] }]
+ */
+export function extractTrains(data, trip) {
+  const maxFare = 2000 * countPassengers(trip.passengers);
+  const trains = [];
+  const seen = new Set();
+
+  const visit = (node) => {
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+      return;
+    }
+    if (!node || typeof node !== 'object') return;
+
+    const trainNumber = readTrainNumber(node);
+    const fareList = FARE_LIST_KEYS.map(key => node[key]).find(Array.isArray);
+
+    if (trainNumber && fareList) {
+      const pricesMap = new Map();
+      fareList.forEach(fare => {
+        const parsed = readFare(fare);
+        if (parsed && parsed.price >= 20 && parsed.price <= maxFare) {
+          const key = `${parsed.className}-${parsed.fareType}-${parsed.price}`;
+          if (!pricesMap.has(key)) pricesMap.set(key, parsed);
+        }
+      });
+
+      if (pricesMap.size > 0 && !seen.has(trainNumber)) {
+        seen.add(trainNumber);
+        trains.push({
+          trainNumber,
+          departureTime: readDepartureTime(node),
+          prices: Array.from(pricesMap.values())
+        });
+      }
+      return;
+    }
+
+    Object.values(node).forEach(visit);
+  };
+
+  visit(data);
+  return trains;
+}
+
+// Pick the price for the trip's train, class and fare type
+function selectTrainPrice(trains, trip) {
+  if (!trip.trainNumber) return null;
+
+  const train = trains.find(t => String(t.trainNumber) === String(trip.trainNumber));
+  if (!train) return null;
+
+  return selectFarePrice(train.prices, trip.ticketClass, trip.fareType);
+}
+
+function readTrainNumber(node) {
+  const candidates = [
+    node.trainNumber,
+    node.serviceNumber,
+    node.travelService?.number,
+    node.travelLegs?.[0]?.travelService?.number,
+    node.train?.number
+  ];
+  const value = candidates.find(c => c !== undefined && c !== null);
+  const match = value !== undefined ? String(value).trim().match(/^\d{1,4}$/) : null;
+  return match ? match[0] : null;
+}
+
+function readFare(fare) {
+  if (!fare || typeof fare !== 'object') return null;
+  if (fare.soldOut === true || fare.available === false || fare.isAvailable === false) return null;
+
+  const price = parseMoney(
+    fare.price ??
+    fare.amount ??
+    fare.totalPrice ??
+    fare.accommodationFare?.dollarsAmount?.total ??
+    fare.dollarsAmount?.total ??
+    fare.fare?.total
+  );
+  if (price === null) return null;
+
+  const rawClass = String(fare.travelClass ?? fare.className ?? fare.class ?? fare.accommodationClass ?? '').toLowerCase();
+  let className = null;
+  if (rawClass.includes('coach')) className = 'coach';
+  else if (rawClass.includes('business')) className = 'business';
+  else if (rawClass.includes('first')) className = 'first';
+
+  const fareType = normalizeFareType(fare.fareFamily ?? fare.fareType ?? fare.fareName);
+
+  return { price, className, fareType };
+}
+
+function readDepartureTime(node) {
+  const value = node.departureDateTime ??
+    node.departureTime ??
+    node.departure?.schedule?.departureDateTime ??
+    node.travelLegs?.[0]?.departureDateTime ??
+    node.travelLegs?.[0]?.origin?.schedule?.departureDateTime;
+  const match = value ? String(value).match(/(\d{2}):(\d{2})/) : null;
+  return match ? `${match[1]}:${match[2]}` : null;
+}
+
+function parseMoney(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'number') return value;
+  const match = String(value).replace(/,/g, '').match(/\d+(?:\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+}
+
+function findErrorMessage(data) {
+  if (!data || typeof data !== 'object') return null;
+  const errors = data.errors || (data.error ? [data.error] : []);
+  const first = Array.isArray(errors) ? errors[0] : errors;
+  if (!first) return null;
+  return typeof first === 'string' ? first : (first.message || first.description || 'Amtrak error');
+}
+
+// Parse every <script type="application/json"> block, skipping invalid ones
+function extractEmbeddedJson(html) {
+  const blocks = [];
+  const scriptPattern = /<script[^>]*type="application\/json"[^>]*>([\s\S]*?)<\/script>/gi;
+  let match;
+  while ((match = scriptPattern.exec(html)) !== null) {
+    try {
+      // Angular transfer state escapes some characters as HTML entities
+      blocks.push(JSON.parse(match[1].replace(/&q;/g, '"').replace(/&a;/g, '&').replace(/&s;/g, "'").replace(/&l;/g, '<').replace(/&g;/g, '>')));
+    } catch (error) {
+      // Not JSON we can use
+    }
+  }
+  return blocks;
+}
+
+function stripTags(html) {
+  return html.replace(/<[^>]*>/g, '');
+}
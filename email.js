@@ -8,6 +8,7 @@
  *    - {{to_email}} - recipient email
  *    - {{route}} - e.g., "NYP → WAS"
  *    - {{travel_date}} - e.g., "Mar 15, 2026"
+ *    - {{travelers}} - e.g., "2 Adults, 1 Child"
  *    - {{original_price}} - e.g., "$89.00"
  *    - {{current_price}} - e.g., "$72.00"
  *    - {{savings}} - e.g., "$17.00"
@@ -16,6 +17,8 @@
  */
 
 // ⚠️ REPLACE THESE WITH YOUR EMAILJS CREDENTIALS
+import { appendPassengerParams, formatPassengers } from './passengers.js';
+
 const EMAILJS_CONFIG = {
   serviceId: 'YOUR_SERVICE_ID',      // e.g., 'service_abc123'
   templateId: 'YOUR_TEMPLATE_ID',    // e.g., 'template_xyz789'
@@ -48,6 +51,7 @@ export async function sendPriceDropEmail(trip, currentPrice, toEmail) {
     to_email: toEmail,
     route: `${trip.origin} → ${trip.destination}`,
     travel_date: formatDate(trip.travelDate),
+    travelers: formatPassengers(trip.passengers),
     original_price: `$${trip.pricePaid.toFixed(2)}`,
     current_price: `$${currentPrice.toFixed(2)}`,
     savings: `$${savings.toFixed(2)}`,
@@ -103,9 +107,9 @@ function buildBookingUrl(trip) {
   const params = new URLSearchParams({
     origin: trip.origin,
     destination: trip.destination,
-    date: trip.travelDate,
-    adult: '1'
+    date: trip.travelDate
   });
+  appendPassengerParams(params, trip.passengers);
   return `https://www.amtrak.com/tickets/departure.html?${params.toString()}`;
 }
 
@@ -0,0 +1,160 @@
+/**
+ * Price check failures
+ *
+ * Providers report a failed search as { error, errorText } where `error`
+ * is one of FAILURE_TYPES. Transient failures (the page was slow, the form
+ * didn't take, the network blipped) are retried within the same check with
+ * exponential backoff; the others won't change by trying again straight
+ * away. Each trip counts its consecutive failed checks in `checkFailures`
+ * and keeps the last failure in `lastError` for the popup's health
+ * indicator.
+ */
+
+export const FAILURE_TYPES = {
+  form_fill: { label: 'Search form could not be filled in', transient: true },
+  navigation: { label: 'Amtrak page did not load', transient: true },
+  timeout: { label: 'Results did not appear in time', transient: true },
+  network: { label: 'Network request failed', transient: true },
+  amtrak_error: { label: 'Amtrak reported an error', transient: true },
+  no_trains: { label: 'No trains with prices', transient: false },
+  scraper_mismatch: { label: 'Results page was not recognized', transient: false },
+  unknown: { label: 'Unexpected error', transient: true },
+  cancelled: { label: 'Check cancelled', transient: false }
+};
+
+// Consecutive failed checks before the user is notified
+export const FAILURE_ALERT_THRESHOLD = 3;
+
+// Attempts per check, and the wait before the first retry
+export const MAX_ATTEMPTS = 3;
+export const RETRY_BASE_DELAY_MS = 5000;
+
+/**
+ * Build a failure result
+ * @param {string} type - Key from FAILURE_TYPES
+ * @param {string} [errorText] - Details for the log and popup
+ * @returns {Object} { error, errorText }
+ */
+export function failure(type, errorText) {
+  return { error: type, errorText: errorText || null };
+}
+
+/**
+ * Whether a result is a failure
+ * @param {*} result
+ * @returns {boolean}
+ */
+export function isFailure(result) {
+  return !result || typeof result.error === 'string';
+}
+
+/**
+ * Classify an exception thrown while fetching results
+ * @param {Error} error
+ * @returns {Object} Failure result
+ */
+export function classifyException(error) {
+  const message = error?.message || String(error);
+  if (/timed? ?out|timeout/i.test(message)) return failure('timeout', message);
+  if (/receiving end does not exist|no tab with id|cannot access|frame was removed/i.test(message)) {
+    return failure('navigation', message);
+  }
+  if (/failed to fetch|networkerror|econn|enotfound/i.test(message)) return failure('network', message);
+  return failure('unknown', message);
+}
+
+/**
+ * Whether a failure is worth retrying straight away
+ * @param {Object} result - Failure result
+ * @returns {boolean}
+ */
+export function isTransient(result) {
+  return FAILURE_TYPES[result?.error]?.transient ?? true;
+}
+
+/**
+ * Display label for a failure type
+ * @param {string} type
+ * @returns {string}
+ */
+export function formatFailureType(type) {
+  return FAILURE_TYPES[type]?.label || FAILURE_TYPES.unknown.label;
+}
+
+/**
+ * Run an attempt, retrying transient failures with exponential backoff
+ * @param {Function} attempt - Async function resolving to a result or a failure
+ * @param {Object} [options]
+ * @param {number} [options.maxAttempts=MAX_ATTEMPTS]
+ * @param {number} [options.baseDelayMs=RETRY_BASE_DELAY_MS] - Wait before the first retry; doubles each time
+ * @param {Function} [options.sleep] - Wait function, replaceable in tests
+ * @returns {Promise<Object>} The first success, or the last failure with `attempts` added
+ */
+export async function withRetries(attempt, {
+  maxAttempts = MAX_ATTEMPTS,
+  baseDelayMs = RETRY_BASE_DELAY_MS,
+  sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+} = {}) {
+  let result;
+  for (let attemptNumber = 1; attemptNumber <= maxAttempts; attemptNumber++) {
+    try {
+      result = await attempt(attemptNumber);
+    } catch (error) {
+      result = classifyException(error);
+    }
+    result = result || failure('unknown', 'No result');
+
+    if (!isFailure(result) || !isTransient(result) || attemptNumber === maxAttempts) {
+      return isFailure(result) ? { ...result, attempts: attemptNumber } : result;
+    }
+
+    const delay = baseDelayMs * 2 ** (attemptNumber - 1);
+    console.log(`${formatFailureType(result.error)}, retrying in ${delay / 1000}s (attempt ${attemptNumber + 1} of ${maxAttempts})`);
+    await sleep(delay);
+  }
+  return result;
+}
+
+/**
+ * Record the outcome of a check on a trip
+ * @param {Object} trip - Trip to update in place
+ * @param {Object|null} failureResult - The failure, or null if the check succeeded
+ * @param {Date} [now=new Date()]
+ * @returns {boolean} True when this failure just reached FAILURE_ALERT_THRESHOLD
+ */
+export function recordCheckOutcome(trip, failureResult, now = new Date()) {
+  if (!failureResult) {
+    trip.checkFailures = 0;
+    trip.lastError = null;
+    return false;
+  }
+
+  trip.checkFailures = (trip.checkFailures || 0) + 1;
+  trip.lastError = {
+    type: failureResult.error,
+    message: failureResult.errorText || null,
+    at: now.toISOString()
+  };
+  return trip.checkFailures === FAILURE_ALERT_THRESHOLD;
+}
+
+/**
+ * Health of a trip's recent checks for the popup
+ * @param {Object} trip
+ * @returns {Object} { status: 'ok' | 'warning' | 'failing', label }
+ */
+export function tripHealth(trip) {
+  const failures = trip.checkFailures || 0;
+  if (failures === 0) {
+    return { status: 'ok', label: trip.lastChecked ? 'Last check succeeded' : 'Not checked yet' };
+  }
+
+  const error = trip.lastError;
+  const reason = error
+    ? `${formatFailureType(error.type)}${error.message ? `: ${error.message}` : ''}`
+    : 'Check failed';
+  return {
+    status: failures >= FAILURE_ALERT_THRESHOLD ? 'failing' : 'warning',
+    label: `${failures} failed check${failures === 1 ? '' : 's'} in a row. ${reason}`
+  };
+}
@@ -0,0 +1,100 @@
+/**
+ * Ticket classes and fare types
+ *
+ * Amtrak sells each class in fare buckets (Saver, Value, Flex, Premium)
+ * with different prices and refund rules. Fares whose bucket couldn't be
+ * read are recorded as 'standard'.
+ *
+ * Loaded by the content script through scraper.js, so keep it free of
+ * chrome.* calls.
+ */
+
+// Ordered from lowest to highest class
+export const TICKET_CLASSES = [
+  { key: 'coach', label: 'Coach' },
+  { key: 'business', label: 'Business' },
+  { key: 'first', label: 'First' }
+];
+
+export const FARE_TYPES = [
+  { key: 'saver', label: 'Saver' },
+  { key: 'value', label: 'Value' },
+  { key: 'flex', label: 'Flex' },
+  { key: 'premium', label: 'Premium' }
+];
+
+export const UNKNOWN_FARE_TYPE = 'standard';
+
+/**
+ * Map a fare name from Amtrak to a fare type key
+ * @param {string} [text] - Fare name, e.g. "Saver Fare" or "FLEX"
+ * @returns {string} Key from FARE_TYPES, or 'standard' if not recognized
+ */
+export function normalizeFareType(text) {
+  const lower = String(text || '').toLowerCase();
+  const match = FARE_TYPES.find(({ key }) => lower.includes(key));
+  return match ? match.key : UNKNOWN_FARE_TYPE;
+}
+
+/**
+ * Display label for a fare type key
+ * @param {string} [fareType]
+ * @returns {string} Label, or '' for unknown fare types
+ */
+export function formatFareType(fareType) {
+  return FARE_TYPES.find(({ key }) => key === fareType)?.label || '';
+}
+
+/**
+ * Pick the price that matches a trip's class and fare type
+ * Falls back to the lowest fare in the class when the fare type isn't
+ * offered, then to the lowest fare on the train when the class isn't.
+ * @param {Array} prices - [{ price, className, fareType }] for one train
+ * @param {string} [ticketClass] - coach, business or first
+ * @param {string} [fareType] - Key from FARE_TYPES
+ * @returns {number|null} Price, or null if there are no fares
+ */
+export function selectFarePrice(prices, ticketClass, fareType) {
+  if (!prices || prices.length === 0) return null;
+
+  const lowest = list => Math.min(...list.map(p => p.price));
+  const classPrices = ticketClass
+    ? prices.filter(p => p.className === ticketClass.toLowerCase())
+    : prices;
+
+  if (classPrices.length === 0) return lowest(prices);
+
+  if (fareType) {
+    const farePrices = classPrices.filter(p => p.fareType === fareType);
+    if (farePrices.length > 0) return lowest(farePrices);
+  }
+
+  return lowest(classPrices);
+}
+
+/**
+ * Price of each class offered on a train
+ * Each class is priced with the same fare type matching as selectFarePrice.
+ * @param {Array} prices - [{ price, className, fareType }] for one train
+ * @param {string} [fareType] - Key from FARE_TYPES
+ * @returns {Object} Prices keyed by class, only for classes on the train
+ */
+export function classPriceSummary(prices, fareType) {
+  const summary = {};
+  TICKET_CLASSES.forEach(({ key }) => {
+    if (prices.some(p => p.className === key)) {
+      summary[key] = selectFarePrice(prices, key, fareType);
+    }
+  });
+  return summary;
+}
+
+/**
+ * Classes above a given class
+ * @param {string} ticketClass - coach, business or first
+ * @returns {Array<string>} Class keys, lowest first
+ */
+export function higherClasses(ticketClass) {
+  const index = TICKET_CLASSES.findIndex(({ key }) => key === ticketClass);
+  return index === -1 ? [] : TICKET_CLASSES.slice(index + 1).map(({ key }) => key);
+}
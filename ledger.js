@@ -0,0 +1,215 @@
+/**
+ * Savings ledger
+ *
+ * A record of every rebooking, kept apart from trips so it outlives them:
+ * editing or deleting a trip doesn't lose what was saved. Each entry holds
+ * the trip's route and train, the old and new prices, how Amtrak returned
+ * the difference (`refundForm`), any change fees, and for eVouchers the
+ * expiry date, whether the voucher has been used and when its expiry
+ * reminder went out.
+ *
+ * Prices are kept as entered, in the trip's `priceBasis`; a per-person
+ * entry also keeps its `passengerCount`. Savings, fees and voucher values
+ * are always totals for the whole booking.
+ *
+ * Entries are stored newest first by storage.js (see getLedger).
+ */
+
+import { countPassengers } from './passengers.js';
+
+export const REFUND_FORMS = [
+  { key: 'evoucher', label: 'eVoucher' },
+  { key: 'card', label: 'Refund to card' },
+  { key: 'none', label: 'No refund' }
+];
+
+// Vouchers expiring within this many days are listed as about to expire
+export const VOUCHER_WARNING_DAYS = 30;
+
+// Reminder notification this many days before a voucher expires
+export const VOUCHER_REMINDER_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build a ledger entry for a rebooking
+ * @param {Object} trip - Trip as it was before rebooking
+ * @param {Object} rebooking
+ * @param {number} rebooking.newPrice - Fare of the new booking, in the trip's price basis
+ * @param {string} [rebooking.refundForm='evoucher'] - Key from REFUND_FORMS
+ * @param {string|null} [rebooking.voucherExpires] - YYYY-MM-DD, for eVouchers
+ * @param {number} [rebooking.fees=0] - Change fees paid, for the whole booking
+ * @param {Date} [now=new Date()]
+ * @returns {Object} Ledger entry
+ */
+export function createLedgerEntry(trip, { newPrice, refundForm = 'evoucher', voucherExpires = null, fees = 0 }, now = new Date()) {
+  const isVoucher = refundForm === 'evoucher';
+  const basis = priceBasisOf(trip);
+  return {
+    id: `rebook-${now.getTime().toString(36)}-${trip.id}`,
+    tripId: trip.id,
+    origin: trip.origin,
+    destination: trip.destination,
+    travelDate: trip.travelDate,
+    trainNumber: trip.trainNumber || null,
+    previousPrice: trip.pricePaid,
+    newPrice,
+    ...basis,
+    refundForm,
+    voucherExpires: isVoucher ? voucherExpires || null : null,
+    fees: fees || 0,
+    netSavings: rebookingSavings(trip, newPrice, fees),
+    voucherUsed: false,
+    reminderSentAt: null,
+    recordedAt: now.toISOString()
+  };
+}
+
+/**
+ * What a rebooking saved: the fare difference for the whole party, less fees
+ * @param {Object} trip - Trip as it was before rebooking
+ * @param {number} newPrice - Fare of the new booking, in the trip's price basis
+ * @param {number} [fees=0] - Change fees paid, for the whole booking
+ * @returns {number}
+ */
+export function rebookingSavings(trip, newPrice, fees = 0) {
+  return roundCents(fareDifference({ ...priceBasisOf(trip), previousPrice: trip.pricePaid, newPrice }) - (fees || 0));
+}
+
+/**
+ * Problems with a rebooking before it's recorded
+ * @param {Object} rebooking - { newPrice, refundForm, voucherExpires, fees }
+ * @returns {string|null} Error message, or null if it's fine
+ */
+export function validateRebooking({ newPrice, refundForm, voucherExpires, fees }) {
+  if (!Number.isFinite(newPrice) || newPrice < 0) return 'Enter the new price paid';
+  if (!REFUND_FORMS.some(({ key }) => key === refundForm)) return 'Choose how the difference was refunded';
+  if (voucherExpires && !/^\d{4}-\d{2}-\d{2}$/.test(voucherExpires)) return 'Voucher expiry is not a date';
+  if (fees !== undefined && fees !== null && (!Number.isFinite(fees) || fees < 0)) return 'Fees must be zero or more';
+  return null;
+}
+
+/**
+ * List the ways a stored ledger entry is malformed, e.g. in an imported backup
+ * @param {*} entry - Ledger entry
+ * @returns {Array<string>} Problems found; empty if the entry is usable
+ */
+export function validateLedgerEntry(entry) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return ['not an object'];
+  }
+
+  const problems = [];
+  if (typeof entry.id !== 'string' || !entry.id) problems.push('missing id');
+  if (typeof entry.origin !== 'string' || typeof entry.destination !== 'string') problems.push('missing route');
+  ['previousPrice', 'newPrice', 'netSavings'].forEach(field => {
+    if (!Number.isFinite(entry[field])) problems.push(`${field} is not a number`);
+  });
+  if (entry.fees !== undefined && entry.fees !== null && !(Number.isFinite(entry.fees) && entry.fees >= 0)) {
+    problems.push('fees are not a number');
+  }
+  if (entry.priceBasis !== undefined && !['total', 'perPerson'].includes(entry.priceBasis)) problems.push('unknown price basis');
+  if (entry.priceBasis === 'perPerson' && !(Number.isInteger(entry.passengerCount) && entry.passengerCount > 0)) {
+    problems.push('passenger count is not a whole number');
+  }
+  if (!REFUND_FORMS.some(({ key }) => key === entry.refundForm)) problems.push('unknown refund form');
+  if (entry.voucherExpires !== null && entry.voucherExpires !== undefined &&
+      !(typeof entry.voucherExpires === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(entry.voucherExpires))) {
+    problems.push('voucher expiry is not YYYY-MM-DD');
+  }
+  if (typeof entry.voucherUsed !== 'boolean') problems.push('voucher used is not true or false');
+  if (typeof entry.recordedAt !== 'string' || Number.isNaN(Date.parse(entry.recordedAt))) {
+    problems.push('recorded time is not a timestamp');
+  }
+  return problems;
+}
+
+/**
+ * Days until a voucher expires, counting the expiry day as 0
+ * @param {Object} entry - Ledger entry with voucherExpires
+ * @param {Date} [now=new Date()]
+ * @returns {number|null} Negative once expired, null without an expiry date
+ */
+export function daysUntilExpiry(entry, now = new Date()) {
+  if (!entry.voucherExpires) return null;
+  const today = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+  const [year, month, day] = entry.voucherExpires.split('-').map(Number);
+  return Math.round((Date.UTC(year, month - 1, day) - today) / DAY_MS);
+}
+
+// Unused vouchers that haven't expired yet
+function isOpenVoucher(entry, now) {
+  const days = daysUntilExpiry(entry, now);
+  return entry.refundForm === 'evoucher' && !entry.voucherUsed && days !== null && days >= 0;
+}
+
+/**
+ * Vouchers due an expiry reminder: unused, expiring within
+ * VOUCHER_REMINDER_DAYS and not reminded about yet
+ * @param {Array} entries - Ledger entries
+ * @param {Date} [now=new Date()]
+ * @returns {Array} Entries to remind about
+ */
+export function vouchersDueForReminder(entries, now = new Date()) {
+  return entries.filter(entry => isOpenVoucher(entry, now) &&
+    daysUntilExpiry(entry, now) <= VOUCHER_REMINDER_DAYS && !entry.reminderSentAt);
+}
+
+/**
+ * Totals for the savings view
+ * @param {Array} entries - Ledger entries
+ * @param {Date} [now=new Date()]
+ * @returns {Object} { lifetimeSavings, totalFees, rebookings, byRoute: [{ route, savings, rebookings }],
+ *   expiringVouchers: [{ ...entry, daysLeft }], openVoucherValue }
+ */
+export function summarizeLedger(entries, now = new Date()) {
+  const routes = new Map();
+  entries.forEach(entry => {
+    const route = `${entry.origin} → ${entry.destination}`;
+    const totals = routes.get(route) || { route, savings: 0, rebookings: 0 };
+    totals.savings = roundCents(totals.savings + entry.netSavings);
+    totals.rebookings++;
+    routes.set(route, totals);
+  });
+
+  const openVouchers = entries.filter(entry => isOpenVoucher(entry, now));
+
+  return {
+    lifetimeSavings: roundCents(entries.reduce((sum, entry) => sum + entry.netSavings, 0)),
+    totalFees: roundCents(entries.reduce((sum, entry) => sum + (entry.fees || 0), 0)),
+    rebookings: entries.length,
+    byRoute: Array.from(routes.values()).sort((a, b) => b.savings - a.savings),
+    expiringVouchers: openVouchers
+      .map(entry => ({ ...entry, daysLeft: daysUntilExpiry(entry, now) }))
+      .filter(entry => entry.daysLeft <= VOUCHER_WARNING_DAYS)
+      .sort((a, b) => a.daysLeft - b.daysLeft),
+    openVoucherValue: roundCents(openVouchers.reduce((sum, entry) => sum + voucherValue(entry), 0))
+  };
+}
+
+/**
+ * Amount credited as a voucher: the fare difference less fees
+ * @param {Object} entry - Ledger entry
+ * @returns {number} Total for the whole booking
+ */
+export function voucherValue(entry) {
+  return Math.max(0, roundCents(fareDifference(entry) - (entry.fees || 0)));
+}
+
+// Basis fields kept on an entry; per-person prices need the party size
+function priceBasisOf(trip) {
+  return trip.priceBasis === 'perPerson'
+    ? { priceBasis: 'perPerson', passengerCount: countPassengers(trip.passengers) }
+    : { priceBasis: 'total' };
+}
+
+// Old fare less new fare for the whole booking; entries recorded before
+// priceBasis was stored are totals
+function fareDifference(entry) {
+  const travelers = entry.priceBasis === 'perPerson' ? entry.passengerCount || 1 : 1;
+  return (entry.previousPrice - entry.newPrice) * travelers;
+}
+
+function roundCents(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,634 @@
+import { getTrips, deleteTrips, getSettings, saveSettings, getRunLogs, clearRunLogs, exportData, onTripsOrSettingsChanged } from './storage.js';
+import { priceHistoryToCsv } from './backup.js';
+import { TICKET_CLASSES } from './fares.js';
+import { rangeDates } from './date-range.js';
+import { tripHealth } from './errors.js';
+import { formatStation } from './stations.js';
+import { describeOutcome } from './diagnostics.js';
+import { summarizeProgress, formatElapsed } from './progress.js';
+import {
+  TRIP_TYPE_LABELS, DASHBOARD_COLUMNS, STATUS_FILTERS, CHART_RANGES, SETTINGS_FIELDS,
+  tripRow, filterRows, sortRows, chartSeries, priceTicks, parseSettingValue, formatSettingValue
+} from './dashboard.js';
+
+const lastCheckedSpan = document.getElementById('last-checked');
+const checkAllBtn = document.getElementById('check-all');
+const checkStatus = document.getElementById('check-status');
+const tripsCount = document.getElementById('trips-count');
+const filterTextInput = document.getElementById('trip-filter-text');
+const filterTypeSelect = document.getElementById('trip-filter-type');
+const filterStatusSelect = document.getElementById('trip-filter-status');
+const selectedCount = document.getElementById('selected-count');
+const bulkButtons = ['bulk-check', 'bulk-export', 'bulk-export-csv', 'bulk-delete'].map(id => document.getElementById(id));
+const tableHead = document.getElementById('trip-table-head');
+const tableBody = document.getElementById('trip-table-body');
+const chartTitle = document.getElementById('chart-title');
+const chartViewSelect = document.getElementById('chart-view');
+const chartRangeSelect = document.getElementById('chart-range');
+const chartCanvas = document.getElementById('price-chart');
+const chartTooltip = document.getElementById('chart-tooltip');
+const chartLegend = document.getElementById('chart-legend');
+const settingsForm = document.getElementById('settings-form');
+const showAdvancedCheckbox = document.getElementById('show-advanced');
+const runList = document.getElementById('run-list');
+const deleteModal = document.getElementById('delete-modal');
+
+const CLASS_CHART_COLORS = {
+  coach: '#2e86c1',
+  business: '#8e44ad',
+  first: '#d68910'
+};
+
+// Every trip, the table's sort order, the trips ticked for bulk actions
+// and the trip shown in the chart
+let trips = [];
+let sort = { column: 'travelDate', direction: 'asc' };
+const selectedIds = new Set();
+let chartTripId = null;
+
+// Initialize dashboard
+document.addEventListener('DOMContentLoaded', async () => {
+  filterTypeSelect.innerHTML += Object.entries(TRIP_TYPE_LABELS)
+    .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+  filterStatusSelect.innerHTML = STATUS_FILTERS.map(({ key, label }) => `<option value="${key}">${label}</option>`).join('');
+  chartRangeSelect.innerHTML = CHART_RANGES.map(({ key, label }) => `<option value="${key}">${label}</option>`).join('');
+  chartRangeSelect.value = 'all';
+
+  await loadTrips();
+  await renderSettingsForm();
+  await renderRuns();
+  updateLastChecked();
+
+  // Pick up a check that was already running when the page opened
+  chrome.runtime.sendMessage({ action: 'getCheckProgress' }, (response) => {
+    renderCheckStatus(response?.progress || null);
+  });
+});
+
+// Trips and settings can change from the popup or a running check
+onTripsOrSettingsChanged(() => {
+  loadTrips();
+  updateLastChecked();
+});
+
+chrome.runtime.onMessage.addListener((message) => {
+  if (message.action === 'runLogged') {
+    renderRuns();
+  }
+  if (message.action === 'checkProgress') {
+    renderCheckStatus(message.progress);
+  }
+});
+
+// Trip table
+
+async function loadTrips() {
+  trips = await getTrips();
+
+  // Forget selections for trips deleted elsewhere
+  const ids = new Set(trips.map(trip => trip.id));
+  [...selectedIds].filter(id => !ids.has(id)).forEach(id => selectedIds.delete(id));
+  if (!ids.has(chartTripId)) {
+    chartTripId = trips[0]?.id || null;
+  }
+
+  renderTable();
+  renderChart();
+}
+
+function visibleRows() {
+  const now = new Date();
+  const rows = filterRows(trips.map(trip => tripRow(trip, now)), {
+    text: filterTextInput.value,
+    type: filterTypeSelect.value,
+    status: filterStatusSelect.value
+  });
+  return sortRows(rows, sort.column, sort.direction);
+}
+
+function renderTable() {
+  const rows = visibleRows();
+  const allSelected = rows.length > 0 && rows.every(row => selectedIds.has(row.id));
+
+  tableHead.innerHTML = `<th class="col-select"><input type="checkbox" id="select-all" ${allSelected ? 'checked' : ''} title="Select all shown"></th>` +
+    DASHBOARD_COLUMNS.map(({ key, label }) => {
+      const arrow = sort.column === key ? (sort.direction === 'asc' ? ' ▲' : ' ▼') : '';
+      return `<th class="sortable" data-column="${key}">${label}${arrow}</th>`;
+    }).join('');
+
+  tableBody.innerHTML = rows.length === 0
+    ? `<tr><td colspan="${DASHBOARD_COLUMNS.length + 1}" class="empty-state">${trips.length === 0 ? 'No trips tracked yet. Add one from the popup.' : 'No trips match these filters.'}</td></tr>`
+    : rows.map(renderRow).join('');
+
+  tripsCount.textContent = `${rows.length} of ${trips.length} trip${trips.length === 1 ? '' : 's'}`;
+  updateBulkActions();
+}
+
+function renderRow(row) {
+  const { trip } = row;
+  const dates = trip.type === 'range' ? rangeDates(trip) : [trip.travelDate];
+  const dateLabel = dates.length > 1 ? `${formatDate(dates[0])} – ${formatDate(dates.at(-1))}` : formatDate(dates[0]);
+  const health = trip.trainNotFound
+    ? { status: 'warning', label: 'Train not found on the last check' }
+    : tripHealth(trip);
+  const changeClass = row.change === null ? '' : row.change < 0 ? 'price-down' : row.change > 0 ? 'price-up' : '';
+
+  return `
+    <tr class="${row.id === chartTripId ? 'charted' : ''} ${row.upcoming ? '' : 'past'}" data-trip-id="${escapeHtml(row.id)}">
+      <td class="col-select"><input type="checkbox" class="row-select" ${selectedIds.has(row.id) ? 'checked' : ''}></td>
+      <td title="${escapeHtml(`${formatStation(trip.origin)} → ${formatStation(trip.destination)}`)}">${escapeHtml(row.route)}</td>
+      <td>${dateLabel}</td>
+      <td>${TRIP_TYPE_LABELS[row.type] || row.type}</td>
+      <td>${row.trainNumber ? `#${escapeHtml(row.trainNumber)}` : '—'}</td>
+      <td class="col-price">${formatPrice(row.reference)}</td>
+      <td class="col-price">${formatPrice(row.currentPrice)}</td>
+      <td class="col-price">${formatPrice(row.lowestPrice)}</td>
+      <td class="col-price ${changeClass}">${row.change === null ? '—' : `${row.change > 0 ? '+' : row.change < 0 ? '−' : ''}$${Math.abs(row.change).toFixed(2)}`}</td>
+      <td>${row.lastChecked ? formatDateTime(new Date(row.lastChecked)) : 'Never'}</td>
+      <td><span class="health-dot health-${health.status}" title="${escapeHtml(health.label)}"></span></td>
+    </tr>`;
+}
+
+function updateBulkActions() {
+  selectedCount.textContent = `${selectedIds.size} selected`;
+  bulkButtons.forEach(button => {
+    button.disabled = selectedIds.size === 0;
+  });
+}
+
+[filterTextInput, filterTypeSelect, filterStatusSelect].forEach(input => {
+  input.addEventListener('input', renderTable);
+});
+
+// Sort by a column; clicking it again flips the direction
+tableHead.addEventListener('click', (e) => {
+  const header = e.target.closest('.sortable');
+  if (!header) return;
+  const column = header.dataset.column;
+  sort = { column, direction: sort.column === column && sort.direction === 'asc' ? 'desc' : 'asc' };
+  renderTable();
+});
+
+tableHead.addEventListener('change', (e) => {
+  if (e.target.id !== 'select-all') return;
+  visibleRows().forEach(row => {
+    if (e.target.checked) {
+      selectedIds.add(row.id);
+    } else {
+      selectedIds.delete(row.id);
+    }
+  });
+  renderTable();
+});
+
+// Ticking a row selects it for bulk actions; clicking elsewhere on it charts it
+tableBody.addEventListener('click', (e) => {
+  const rowEl = e.target.closest('tr[data-trip-id]');
+  if (!rowEl) return;
+  const tripId = rowEl.dataset.tripId;
+
+  if (e.target.classList.contains('row-select')) {
+    if (e.target.checked) {
+      selectedIds.add(tripId);
+    } else {
+      selectedIds.delete(tripId);
+    }
+    renderTable();
+    return;
+  }
+
+  chartTripId = tripId;
+  renderTable();
+  renderChart();
+});
+
+// Bulk actions
+
+function selectedTrips() {
+  return trips.filter(trip => selectedIds.has(trip.id));
+}
+
+document.getElementById('bulk-check').addEventListener('click', () => {
+  chrome.runtime.sendMessage({ action: 'checkPrices', tripIds: [...selectedIds] });
+});
+
+document.getElementById('bulk-export').addEventListener('click', async () => {
+  const data = await exportData({ tripIds: [...selectedIds] });
+  downloadFile(`amtrak-tracker-trips-${todayString()}.json`, JSON.stringify(data, null, 2), 'application/json');
+});
+
+document.getElementById('bulk-export-csv').addEventListener('click', () => {
+  downloadFile(`amtrak-tracker-price-history-${todayString()}.csv`, priceHistoryToCsv(selectedTrips()), 'text/csv');
+});
+
+document.getElementById('bulk-delete').addEventListener('click', () => {
+  const count = selectedIds.size;
+  document.getElementById('delete-modal-message').textContent = `Remove ${count} trip${count === 1 ? '' : 's'}?`;
+  deleteModal.style.display = 'flex';
+});
+
+document.getElementById('modal-cancel').addEventListener('click', () => {
+  deleteModal.style.display = 'none';
+});
+
+document.getElementById('modal-confirm').addEventListener('click', async () => {
+  deleteModal.style.display = 'none';
+  await deleteTrips([...selectedIds]);
+  selectedIds.clear();
+  await loadTrips();
+  chrome.runtime.sendMessage({ action: 'updateAlarmInterval' });
+});
+
+deleteModal.addEventListener('click', (e) => {
+  if (e.target === deleteModal) {
+    deleteModal.style.display = 'none';
+  }
+});
+
+// Checking
+
+checkAllBtn.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ action: 'checkPrices' });
+});
+
+function renderCheckStatus(progress) {
+  const running = progress?.status === 'running';
+  checkAllBtn.disabled = running;
+  checkAllBtn.textContent = running ? 'Checking...' : 'Check All Now';
+
+  if (!running) {
+    checkStatus.style.display = 'none';
+    return;
+  }
+
+  const summary = summarizeProgress(progress);
+  const current = progress.trips.find(t => t.tripId === progress.currentTripId);
+  checkStatus.style.display = 'flex';
+  checkStatus.innerHTML = `
+    <span>Checking ${summary.done} of ${summary.total} trips${current ? ` — ${escapeHtml(current.route)}: ${escapeHtml(progress.step)}` : ''} (${formatElapsed(summary.elapsedMs)})</span>
+    <button id="cancel-check" class="btn-small btn-outline">Cancel</button>`;
+  document.getElementById('cancel-check').addEventListener('click', () => {
+    chrome.runtime.sendMessage({ action: 'cancelCheck' });
+  });
+}
+
+async function updateLastChecked() {
+  const settings = await getSettings();
+  if (!settings.lastChecked) {
+    lastCheckedSpan.textContent = 'Never';
+    lastCheckedSpan.title = '';
+    return;
+  }
+
+  const timeStr = formatDateTime(new Date(settings.lastChecked));
+  const problem = {
+    error: 'no data found',
+    no_data: 'no data found',
+    cancelled: 'cancelled'
+  }[settings.lastCheckStatus];
+  lastCheckedSpan.textContent = problem ? `${timeStr}, ${problem}` : timeStr;
+  lastCheckedSpan.title = settings.lastCheckStatus === 'error' ? settings.lastCheckError || 'Amtrak returned an error' : '';
+}
+
+// Price chart
+
+chartViewSelect.addEventListener('change', renderChart);
+chartRangeSelect.addEventListener('change', renderChart);
+window.addEventListener('resize', renderChart);
+
+function renderChart() {
+  const trip = trips.find(t => t.id === chartTripId);
+  if (!trip) {
+    chartTitle.textContent = 'Price History';
+    chartViewSelect.innerHTML = '';
+    chartLegend.innerHTML = '';
+    drawChart(chartCanvas, [], null);
+    return;
+  }
+
+  chartTitle.textContent = `Price History: ${trip.origin} → ${trip.destination}, ${formatDate(trip.travelDate)}`;
+
+  // Offer each class that has been recorded, and all of them together
+  const classes = TICKET_CLASSES.filter(({ key }) => (trip.priceHistory || []).some(entry => entry.classPrices?.[key] !== undefined));
+  const view = chartViewSelect.value;
+  chartViewSelect.innerHTML = '<option value="tracked">Tracked fare</option>' +
+    classes.map(({ key, label }) => `<option value="${key}">${label}</option>`).join('') +
+    (classes.length > 1 ? '<option value="all">All classes</option>' : '');
+  chartViewSelect.value = [...chartViewSelect.options].some(option => option.value === view) ? view : 'tracked';
+
+  const range = chartRangeSelect.value;
+  const series = chartViewSelect.value === 'all'
+    ? classes.map(({ key, label }) => ({ label, color: CLASS_CHART_COLORS[key], points: chartSeries(trip, { range, view: key }) }))
+    : [{
+      label: chartViewSelect.value === 'tracked' ? 'Tracked fare' : classes.find(({ key }) => key === chartViewSelect.value).label,
+      color: '#1a5276',
+      points: chartSeries(trip, { range, view: chartViewSelect.value })
+    }];
+
+  const reference = trip.type === 'booked'
+    ? { price: trip.pricePaid, label: 'Paid' }
+    : Number.isFinite(trip.targetPrice) ? { price: trip.targetPrice, label: 'Target' } : null;
+
+  chartLegend.innerHTML = series.map(({ label, color }) => `<span style="color: ${color}">● ${label}</span>`).join(' ') +
+    (reference ? ` <span class="legend-reference">- - ${reference.label} $${reference.price.toFixed(2)}</span>` : '');
+  drawChart(chartCanvas, series, reference);
+}
+
+// Draw price lines against time, with a dashed line at the price paid or target
+function drawChart(canvas, series, reference) {
+  const ctx = canvas.getContext('2d');
+  const width = canvas.offsetWidth || 800;
+  const height = canvas.offsetHeight || 320;
+
+  const dpr = window.devicePixelRatio || 1;
+  canvas.width = width * dpr;
+  canvas.height = height * dpr;
+  ctx.scale(dpr, dpr);
+  ctx.clearRect(0, 0, width, height);
+  canvas._points = [];
+
+  const points = series.flatMap(s => s.points);
+  if (points.length === 0) {
+    ctx.fillStyle = '#999';
+    ctx.font = '13px -apple-system, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText(chartTripId ? 'No price data in this range' : 'Select a trip to see its prices', width / 2, height / 2);
+    return;
+  }
+
+  const prices = points.map(p => p.price).concat(reference ? [reference.price] : []);
+  const minPrice = Math.min(...prices) * 0.95;
+  const maxPrice = Math.max(...prices) * 1.05;
+  const priceRange = maxPrice - minPrice || 1;
+  const minTime = Math.min(...points.map(p => p.time));
+  const maxTime = Math.max(...points.map(p => p.time));
+  const timeRange = maxTime - minTime || 1;
+
+  const padding = { top: 16, right: 20, bottom: 32, left: 56 };
+  const chartWidth = width - padding.left - padding.right;
+  const chartHeight = height - padding.top - padding.bottom;
+  const priceToY = (price) => padding.top + chartHeight - ((price - minPrice) / priceRange) * chartHeight;
+  const timeToX = (time) => padding.left + (maxTime === minTime ? chartWidth / 2 : ((time - minTime) / timeRange) * chartWidth);
+
+  // Price gridlines
+  ctx.font = '11px -apple-system, sans-serif';
+  ctx.fillStyle = '#666';
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  ctx.strokeStyle = '#eee';
+  ctx.lineWidth = 1;
+  priceTicks(minPrice, maxPrice).forEach(tick => {
+    const y = priceToY(tick);
+    ctx.beginPath();
+    ctx.moveTo(padding.left, y);
+    ctx.lineTo(width - padding.right, y);
+    ctx.stroke();
+    ctx.fillText(`$${tick % 1 === 0 ? tick : tick.toFixed(2)}`, padding.left - 6, y);
+  });
+
+  // Date labels at the start, middle and end
+  ctx.textBaseline = 'top';
+  const timeLabels = maxTime === minTime ? [minTime] : [minTime, (minTime + maxTime) / 2, maxTime];
+  timeLabels.forEach((time, i) => {
+    ctx.textAlign = timeLabels.length === 1 ? 'center' : ['left', 'center', 'right'][i];
+    ctx.fillText(formatDateTime(new Date(time)), timeToX(time), height - padding.bottom + 8);
+  });
+
+  if (reference) {
+    ctx.beginPath();
+    ctx.strokeStyle = '#1a5276';
+    ctx.setLineDash([4, 4]);
+    ctx.moveTo(padding.left, priceToY(reference.price));
+    ctx.lineTo(width - padding.right, priceToY(reference.price));
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+
+  series.forEach(({ label, color, points: seriesPoints }) => {
+    ctx.beginPath();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.lineJoin = 'round';
+    seriesPoints.forEach((point, i) => {
+      const x = timeToX(point.time);
+      const y = priceToY(point.price);
+      if (i === 0) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, y);
+      }
+      canvas._points.push({ x, y, label, ...point });
+    });
+    ctx.stroke();
+
+    seriesPoints.forEach(point => {
+      ctx.beginPath();
+      // Single-series charts colour each point by whether it beats the paid or target price
+      ctx.fillStyle = series.length === 1 && reference
+        ? (point.price < reference.price ? '#27ae60' : '#e74c3c')
+        : color;
+      ctx.arc(timeToX(point.time), priceToY(point.price), 3.5, 0, Math.PI * 2);
+      ctx.fill();
+    });
+  });
+}
+
+// Show the nearest point's price and time on hover
+chartCanvas.addEventListener('mousemove', (e) => {
+  const rect = chartCanvas.getBoundingClientRect();
+  const x = e.clientX - rect.left;
+  const y = e.clientY - rect.top;
+
+  let nearest = null;
+  let nearestDistance = Infinity;
+  (chartCanvas._points || []).forEach(point => {
+    const distance = Math.hypot(point.x - x, point.y - y);
+    if (distance < nearestDistance) {
+      nearest = point;
+      nearestDistance = distance;
+    }
+  });
+
+  if (!nearest || nearestDistance > 24) {
+    chartTooltip.style.display = 'none';
+    return;
+  }
+
+  chartTooltip.innerHTML = `<strong>$${nearest.price.toFixed(2)}</strong> ${escapeHtml(nearest.label)}<br>${formatDateTime(new Date(nearest.time))}`;
+  chartTooltip.style.display = 'block';
+  chartTooltip.style.left = `${Math.min(nearest.x + 10, rect.width - chartTooltip.offsetWidth)}px`;
+  chartTooltip.style.top = `${Math.max(nearest.y - chartTooltip.offsetHeight - 8, 0)}px`;
+});
+
+chartCanvas.addEventListener('mouseleave', () => {
+  chartTooltip.style.display = 'none';
+});
+
+// Settings
+
+// One field per setting in SETTINGS_FIELDS, grouped, saved as soon as it changes
+async function renderSettingsForm() {
+  const settings = await getSettings();
+  const groups = [...new Set(SETTINGS_FIELDS.map(field => field.group))];
+
+  settingsForm.innerHTML = groups.map(group => `
+    <fieldset class="setting-group">
+      <legend>${group}</legend>
+      ${SETTINGS_FIELDS.filter(field => field.group === group).map(field => renderSettingField(field, settings[field.key])).join('')}
+    </fieldset>`).join('');
+}
+
+function renderSettingField(field, value) {
+  const id = `setting-${field.key}`;
+  const shown = formatSettingValue(field, value);
+  let input;
+
+  if (field.type === 'checkbox') {
+    input = `<input type="checkbox" id="${id}" ${shown ? 'checked' : ''}>`;
+  } else if (field.type === 'select') {
+    input = `<select id="${id}">${field.options.map(option =>
+      `<option value="${option.value}" ${String(option.value) === shown ? 'selected' : ''}>${option.label}</option>`).join('')}</select>`;
+  } else if (field.type === 'json' || field.type === 'textarea') {
+    input = `<textarea id="${id}" rows="5" spellcheck="false" placeholder="${escapeHtml(field.placeholder || '')}">${escapeHtml(shown)}</textarea>`;
+  } else {
+    const type = field.type === 'url' ? 'url' : field.type === 'email' ? 'email' : field.type === 'number' ? 'number' : 'text';
+    const bounds = `${field.min !== undefined ? ` min="${field.min}"` : ''}${field.max !== undefined ? ` max="${field.max}"` : ''}`;
+    input = `<input type="${type}" id="${id}" value="${escapeHtml(shown)}"${bounds}${type === 'number' ? ' step="any"' : ''}>`;
+  }
+
+  const wide = field.type === 'json' || field.type === 'textarea';
+  return `
+    <div class="setting-item ${wide ? 'setting-wide' : ''} ${field.advanced ? 'setting-advanced' : ''}" data-key="${field.key}">
+      <label for="${id}">${field.label}</label>
+      ${input}
+      ${field.help ? `<div class="setting-help">${escapeHtml(field.help)}</div>` : ''}
+      <div class="setting-status"></div>
+    </div>`;
+}
+
+settingsForm.addEventListener('submit', (e) => e.preventDefault());
+
+settingsForm.addEventListener('change', async (e) => {
+  const item = e.target.closest('.setting-item');
+  if (!item) return;
+  const field = SETTINGS_FIELDS.find(f => f.key === item.dataset.key);
+  const status = item.querySelector('.setting-status');
+
+  const { value, error } = parseSettingValue(field, field.type === 'checkbox' ? e.target.checked : e.target.value);
+  if (error) {
+    showSettingStatus(status, error, 'error');
+    return;
+  }
+
+  // The service worker needs host access to reach a URL outside amtrak.com
+  if (field.requestsOrigin && value) {
+    const granted = await chrome.permissions.request({ origins: [`${new URL(value).origin}/*`] });
+    if (!granted) {
+      showSettingStatus(status, 'Permission to contact this URL was denied', 'error');
+      return;
+    }
+  }
+
+  await saveSettings({ [field.key]: value });
+  if (field.reschedules) {
+    chrome.runtime.sendMessage({ action: 'updateAlarmInterval' });
+  }
+  showSettingStatus(status, 'Saved', 'success');
+});
+
+showAdvancedCheckbox.addEventListener('change', () => {
+  settingsForm.classList.toggle('show-advanced', showAdvancedCheckbox.checked);
+});
+
+function showSettingStatus(element, message, type) {
+  element.textContent = message;
+  element.className = `setting-status ${type}`;
+  if (type === 'success') {
+    setTimeout(() => {
+      element.textContent = '';
+    }, 2000);
+  }
+}
+
+// Run history
+
+// Every recorded run, newest first; expand one for its trips and steps
+async function renderRuns() {
+  const runs = await getRunLogs();
+  if (runs.length === 0) {
+    runList.innerHTML = '<p class="empty-state">No checks recorded yet</p>';
+    return;
+  }
+
+  runList.innerHTML = runs.map(run => {
+    const seconds = Math.round((run.durationMs || 0) / 1000);
+    const failed = run.trips.filter(trip => trip.outcome?.status === 'failed').length;
+    const trips = run.trips.map(trip => {
+      const status = trip.outcome?.status === 'failed' ? 'error' : 'success';
+      return `<div class="run-trip ${status}">${escapeHtml(`${trip.route} ${trip.travelDate}: ${describeOutcome(trip.outcome)}`)}</div>`;
+    }).join('');
+    const events = run.events.map(event => `
+      <div class="run-event run-${event.kind}" title="${escapeHtml(event.data !== undefined ? JSON.stringify(event.data, null, 2) : '')}">
+        <span class="run-time">+${(event.at / 1000).toFixed(1)}s</span>
+        <span class="run-kind">${event.kind}</span>
+        <span>${escapeHtml(event.message)}</span>
+      </div>`).join('');
+
+    return `
+      <details class="run">
+        <summary>
+          ${formatDateTime(new Date(run.startedAt))} — ${run.trigger}, ${run.trips.length} trip${run.trips.length === 1 ? '' : 's'}, ${seconds}s
+          ${failed > 0 ? `<span class="run-failed">${failed} failed</span>` : ''}
+        </summary>
+        ${trips}
+        <div class="run-events">${events}</div>
+      </details>`;
+  }).join('');
+}
+
+document.getElementById('clear-runs').addEventListener('click', async () => {
+  await clearRunLogs();
+  await renderRuns();
+});
+
+// Utility functions
+function formatPrice(price) {
+  return price === null || price === undefined ? '—' : `$${price.toFixed(2)}`;
+}
+
+function formatDate(dateString) {
+  const date = new Date(dateString + 'T00:00:00');
+  return date.toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+}
+
+function formatDateTime(date) {
+  return date.toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+function downloadFile(filename, content, type) {
+  const blob = new Blob([content], { type });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+function todayString(now = new Date()) {
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+}
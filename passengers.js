@@ -0,0 +1,145 @@
+/**
+ * Passenger helpers shared by the popup, background and email code
+ *
+ * A trip stores how many travelers of each type it was booked for,
+ * e.g. { adult: 2, senior: 0, child: 1, infant: 0 }. Trips saved before
+ * passengers were tracked have no `passengers` field and are treated as
+ * a single adult.
+ */
+
+// Amtrak traveler types, in the order they appear in the travelers selector
+export const PASSENGER_TYPES = [
+  { key: 'adult', label: 'Adult', plural: 'Adults', ages: '16-64' },
+  { key: 'senior', label: 'Senior', plural: 'Seniors', ages: '65+' },
+  { key: 'child', label: 'Child', plural: 'Children', ages: '2-15' },
+  { key: 'infant', label: 'Infant', plural: 'Infants', ages: 'Under 2' }
+];
+
+export const DEFAULT_PASSENGERS = { adult: 1, senior: 0, child: 0, infant: 0 };
+
+// Maximum travelers Amtrak allows in a single booking
+export const MAX_PASSENGERS = 8;
+
+/**
+ * Fill in missing passenger types and clamp counts to whole numbers
+ * @param {Object} [passengers] - Passenger counts keyed by type
+ * @returns {Object} Passenger counts for every type
+ */
+export function normalizePassengers(passengers) {
+  if (!passengers) {
+    return { ...DEFAULT_PASSENGERS };
+  }
+
+  const normalized = {};
+  PASSENGER_TYPES.forEach(({ key }) => {
+    const count = parseInt(passengers[key], 10);
+    normalized[key] = Number.isFinite(count) && count > 0 ? count : 0;
+  });
+  return normalized;
+}
+
+/**
+ * Total number of travelers on a trip
+ * @param {Object} [passengers] - Passenger counts keyed by type
+ * @returns {number}
+ */
+export function countPassengers(passengers) {
+  const normalized = normalizePassengers(passengers);
+  return PASSENGER_TYPES.reduce((sum, { key }) => sum + normalized[key], 0);
+}
+
+/**
+ * Validate passenger counts, returning an error message or null
+ * @param {Object} passengers - Passenger counts keyed by type
+ * @returns {string|null}
+ */
+export function validatePassengers(passengers) {
+  const normalized = normalizePassengers(passengers);
+  const total = countPassengers(normalized);
+
+  if (total === 0) {
+    return 'At least one traveler is required';
+  }
+  if (total > MAX_PASSENGERS) {
+    return `Amtrak allows at most ${MAX_PASSENGERS} travelers per booking`;
+  }
+  if (normalized.adult + normalized.senior === 0) {
+    return 'Children and infants must travel with an adult or senior';
+  }
+  if (normalized.infant > normalized.adult + normalized.senior) {
+    return 'Each infant must travel with an adult or senior';
+  }
+  return null;
+}
+
+/**
+ * Whether a trip uses the default single-adult booking
+ * @param {Object} [passengers] - Passenger counts keyed by type
+ * @returns {boolean}
+ */
+export function isDefaultPassengers(passengers) {
+  return passengerKey(passengers) === passengerKey(DEFAULT_PASSENGERS);
+}
+
+/**
+ * Stable string for comparing passenger setups
+ * @param {Object} [passengers] - Passenger counts keyed by type
+ * @returns {string} e.g. "adult:2,senior:0,child:1,infant:0"
+ */
+export function passengerKey(passengers) {
+  const normalized = normalizePassengers(passengers);
+  return PASSENGER_TYPES.map(({ key }) => `${key}:${normalized[key]}`).join(',');
+}
+
+/**
+ * Human-readable summary, e.g. "2 Adults, 1 Child"
+ * @param {Object} [passengers] - Passenger counts keyed by type
+ * @returns {string}
+ */
+export function formatPassengers(passengers) {
+  const normalized = normalizePassengers(passengers);
+  return PASSENGER_TYPES
+    .filter(({ key }) => normalized[key] > 0)
+    .map(({ key, label, plural }) => `${normalized[key]} ${normalized[key] === 1 ? label : plural}`)
+    .join(', ');
+}
+
+/**
+ * Add passenger counts to an Amtrak search URL's query parameters
+ * @param {URLSearchParams} params - Query parameters to extend
+ * @param {Object} [passengers] - Passenger counts keyed by type
+ */
+export function appendPassengerParams(params, passengers) {
+  const normalized = normalizePassengers(passengers);
+  PASSENGER_TYPES.forEach(({ key }) => {
+    if (normalized[key] > 0) {
+      params.set(key, String(normalized[key]));
+    }
+  });
+}
+
+/**
+ * Convert a scraped fare to the basis the trip's price paid is stored in
+ *
+ * Amtrak quotes the fare for the whole party; trips can record the price
+ * paid either as that total or per person. Per-person figures are the
+ * average across all travelers, since child and senior discounts mean the
+ * travelers don't all pay the same amount.
+ *
+ * @param {number} price - Fare as shown by Amtrak
+ * @param {Object} trip - Trip with `passengers` and `priceBasis`
+ * @param {string} [scrapedBasis='total'] - Basis of the scraped fare ('total' or 'perPerson')
+ * @returns {number} Fare in the trip's price basis, rounded to cents
+ */
+export function normalizeScrapedPrice(price, trip, scrapedBasis = 'total') {
+  const tripBasis = trip.priceBasis || 'total';
+  const count = countPassengers(trip.passengers) || 1;
+
+  let normalized = price;
+  if (scrapedBasis === 'total' && tripBasis === 'perPerson') {
+    normalized = price / count;
+  } else if (scrapedBasis === 'perPerson' && tripBasis === 'total') {
+    normalized = price * count;
+  }
+  return Math.round(normalized * 100) / 100;
+}
@@ -1,24 +1,101 @@
-import { saveTrip, getTrips, deleteTrip, getSettings, saveSettings } from './storage.js';
+import { saveTrip, getTrips, getTrip, updateTrip, deleteTrip, getSettings, saveSettings, getDeliveryLog, getRunLogs, clearRunLogs, getLedger, addLedgerEntry, updateLedgerEntry, deleteLedgerEntry, quarantineInvalidTrips, getQuarantine, clearQuarantine, exportData, importData } from './storage.js';
+import { CONFLICT_STRATEGIES, parseBackup, summarizeImport, priceHistoryToCsv } from './backup.js';
+import { WEBHOOK_PRESETS, validateTemplate } from './webhook.js';
+import { STATIONS, getStation, isKnownStation, isStationCode, searchStations } from './stations.js';
+import { TICKET_CLASSES, FARE_TYPES, formatFareType } from './fares.js';
+import { compareAlternatives } from './alternatives.js';
+import { rangeDates, lastTravelDate } from './date-range.js';
+import { isWatch, convertToBooked } from './watches.js';
+import { createTrip } from './schema.js';
+import { normalizeScheduleTiers, checkInterval, nextCheckTime } from './schedule.js';
+import { tripHealth, formatFailureType } from './errors.js';
+import { isSnoozed } from './alerts.js';
+import { applyRebooking, totalRebookingSavings } from './rebooking.js';
+import { REFUND_FORMS, createLedgerEntry, validateRebooking, summarizeLedger, voucherValue } from './ledger.js';
+import { describeOutcome, buildDiagnosticsExport } from './diagnostics.js';
+import { summarizeProgress, formatElapsed } from './progress.js';
+import { defaultSelectorOverrides, validateSelectorOverrides } from './selectors.js';
+import { PASSENGER_TYPES, normalizePassengers, validatePassengers, isDefaultPassengers, passengerKey, formatPassengers } from './passengers.js';
 
 const tripForm = document.getElementById('trip-form');
+const tripFormTitle = document.getElementById('trip-form-title');
+const tripFormSubmit = document.getElementById('trip-form-submit');
+const cancelEditBtn = document.getElementById('cancel-edit');
+const formStatus = document.getElementById('form-status');
+const originInput = document.getElementById('origin');
+const destinationInput = document.getElementById('destination');
+const stationOptions = document.getElementById('station-options');
+const tripTypeSelect = document.getElementById('trip-type');
 const tripsList = document.getElementById('trips-list');
 const checkNowBtn = document.getElementById('check-now');
+const checkProgressPanel = document.getElementById('check-progress');
+const checkProgressLabel = document.getElementById('check-progress-label');
+const checkProgressElapsed = document.getElementById('check-progress-elapsed');
+const checkProgressFill = document.getElementById('check-progress-fill');
+const checkProgressStep = document.getElementById('check-progress-step');
+const checkProgressTrips = document.getElementById('check-progress-trips');
+const cancelCheckBtn = document.getElementById('cancel-check');
 const checkIntervalSelect = document.getElementById('check-interval');
+const scheduleModeSelect = document.getElementById('schedule-mode');
+const scheduleTiersContainer = document.getElementById('schedule-tiers');
+const fixedIntervalItem = document.getElementById('fixed-interval-item');
+const priceSourceSelect = document.getElementById('price-source');
+const automationWindowSelect = document.getElementById('automation-window');
 const lastCheckedSpan = document.getElementById('last-checked');
 const emailNotificationsCheckbox = document.getElementById('email-notifications');
 const emailInputGroup = document.getElementById('email-input-group');
 const notificationEmailInput = document.getElementById('notification-email');
 const saveEmailBtn = document.getElementById('save-email');
 const testEmailBtn = document.getElementById('test-email');
+const webhookCheckbox = document.getElementById('webhook-notifications');
+const webhookInputGroup = document.getElementById('webhook-input-group');
+const webhookPresetSelect = document.getElementById('webhook-preset');
+const webhookUrlInput = document.getElementById('webhook-url');
+const webhookTemplateGroup = document.getElementById('webhook-template-group');
+const webhookTemplateInput = document.getElementById('webhook-template');
+const webhookSecretInput = document.getElementById('webhook-secret');
+const saveWebhookBtn = document.getElementById('save-webhook');
+const testWebhookBtn = document.getElementById('test-webhook');
+const alertMinSavingsInput = document.getElementById('alert-min-savings');
+const alertMinPercentInput = document.getElementById('alert-min-percent');
+const alertNewLowCheckbox = document.getElementById('alert-new-low');
+const upgradeAlertsCheckbox = document.getElementById('upgrade-alerts');
+const alternativeAlertsCheckbox = document.getElementById('alternative-alerts');
+const alternativeAlertOptions = document.getElementById('alternative-alert-options');
+const alternativeWindowSelect = document.getElementById('alternative-window');
+const alternativeMinSavingsInput = document.getElementById('alternative-min-savings');
+const alertCooldownSelect = document.getElementById('alert-cooldown');
 const refreshBtn = document.getElementById('refresh-trips');
 const settingsToggle = document.getElementById('settings-toggle');
 const settingsSection = document.getElementById('settings-section');
+const savingsToggle = document.getElementById('savings-toggle');
+const savingsSection = document.getElementById('savings-section');
 
 // Initialize popup
 document.addEventListener('DOMContentLoaded', async () => {
+  populateStationOptions();
+  populateFareTypeOptions();
   await loadTrips();
   await loadSettings();
   updateLastChecked();
+  refreshCheckProgress();
+  renderSavings();
+
+  // Opened in a window from a notification button (see background.js)
+  const params = new URLSearchParams(window.location.search);
+  if (params.get('rebook')) {
+    showRebookDialog(params.get('rebook'), { closeWindow: true });
+  } else if (params.get('edit')) {
+    enterEditMode(params.get('edit'));
+  } else if (params.get('view') === 'savings') {
+    savingsSection.classList.remove('collapsed');
+    savingsSection.scrollIntoView();
+  }
+});
+
+// The dashboard is the extension's options page
+document.getElementById('open-dashboard').addEventListener('click', () => {
+  chrome.runtime.openOptionsPage();
 });
 
 // Settings accordion toggle
@@ -26,6 +103,11 @@ settingsToggle.addEventListener('click', () => {
   settingsSection.classList.toggle('collapsed');
 });
 
+// Savings accordion toggle
+savingsToggle.addEventListener('click', () => {
+  savingsSection.classList.toggle('collapsed');
+});
+
 // Refresh button
 refreshBtn.addEventListener('click', async () => {
   refreshBtn.classList.add('spinning');
@@ -34,61 +116,373 @@ refreshBtn.addEventListener('click', async () => {
   setTimeout(() => refreshBtn.classList.remove('spinning'), 500);
 });
 
-// Form submission - Add new trip
+// ID of the trip being edited, or null when the form is adding a new trip
+let editingTripId = null;
+
+// Fields that define the Amtrak search for a trip; changing any of them
+// means existing price history no longer describes the same ticket
+const SEARCH_FIELDS = ['type', 'origin', 'destination', 'travelDate', 'dateFlex', 'timeFrom', 'timeTo', 'trainNumber', 'ticketClass', 'fareType', 'passengers'];
+
+// Form submission - Add new trip or save edits to an existing one
 tripForm.addEventListener('submit', async (e) => {
   e.preventDefault();
 
-  const trip = {
-    id: generateId(),
-    origin: document.getElementById('origin').value.toUpperCase().trim(),
-    destination: document.getElementById('destination').value.toUpperCase().trim(),
+  const values = readTripForm();
+  const error = validateTripForm(values);
+  if (error) {
+    showFormStatus(error, 'error');
+    return;
+  }
+
+  if (editingTripId) {
+    const existing = await getTrip(editingTripId);
+    if (!existing) {
+      showFormStatus('This trip no longer exists', 'error');
+      exitEditMode();
+      await loadTrips();
+      return;
+    }
+
+    const searchChanged = SEARCH_FIELDS.some(field => searchValue(existing, field) !== searchValue(values, field));
+    const trip = { ...existing, ...values, updatedAt: new Date().toISOString() };
+
+    // Alert de-duplication is relative to the price paid, so start over
+    // when either the search or what was paid changes
+    if (searchChanged || existing.pricePaid !== values.pricePaid || existing.targetPrice !== values.targetPrice ||
+        (existing.priceBasis || 'total') !== values.priceBasis) {
+      trip.alertState = null;
+      trip.upgradeAlertState = null;
+      trip.alternativeAlertState = null;
+      trip.targetAlertState = null;
+    }
+
+    if (searchChanged) {
+      // Keep the old history but tag it with the search it came from,
+      // so the chart only plots prices for the current search
+      const previousSearch = {};
+      SEARCH_FIELDS.forEach(field => { previousSearch[field] = existing[field]; });
+      trip.priceHistory = (existing.priceHistory || []).map(entry =>
+        entry.previousSearch ? entry : { ...entry, previousSearch }
+      );
+      trip.currentPrice = null;
+      trip.currentClassPrices = null;
+      trip.trainSnapshots = [];
+      trip.dayPrices = null;
+      trip.cheapestDay = null;
+      trip.lastChecked = null;
+      trip.trainNotFound = false;
+    }
+
+    await updateTrip(trip);
+    exitEditMode();
+    await loadTrips();
+    const warning = unknownStationWarning(values);
+    if (warning) showFormStatus(warning, 'warning');
+
+    if (searchChanged) {
+      chrome.runtime.sendMessage({ action: 'checkPrices', tripIds: [trip.id] });
+    }
+    return;
+  }
+
+  const trip = createTrip(values, generateId());
+
+  await saveTrip(trip);
+  tripForm.reset();
+  updateTripTypeFields();
+  updateStationHint(originInput);
+  updateStationHint(destinationInput);
+  await loadTrips();
+  const warning = unknownStationWarning(values);
+  if (warning) showFormStatus(warning, 'warning');
+
+  // Trigger a price check for the new trip
+  chrome.runtime.sendMessage({ action: 'checkPrices' });
+});
+
+cancelEditBtn.addEventListener('click', () => {
+  exitEditMode();
+});
+
+tripTypeSelect.addEventListener('change', updateTripTypeFields);
+
+// Show the fields for the selected trip type: a booked ticket, a watch or a date range watch
+function updateTripTypeFields() {
+  const type = tripTypeSelect.value;
+  tripForm.querySelectorAll('[data-trip-types]').forEach(el => {
+    el.style.display = el.dataset.tripTypes.split(' ').includes(type) ? '' : 'none';
+  });
+  document.getElementById('price-paid').required = type === 'booked';
+  document.getElementById('target-price').placeholder = type === 'range' ? 'Optional' : '75.00';
+  document.getElementById('travel-date-label').textContent = type === 'range' ? 'Around Date' : 'Travel Date';
+  document.getElementById('price-basis-label').textContent = type === 'booked' ? 'Price Paid Is' : 'Show Prices As';
+}
+
+// Station autocomplete: resolve typed names to codes and show the full name
+[originInput, destinationInput].forEach(input => {
+  input.addEventListener('input', () => updateStationHint(input));
+  input.addEventListener('change', () => {
+    const value = input.value.trim();
+    // Names resolve to a code; three letters are taken as a code even if unlisted
+    if (value && !isKnownStation(value) && !isStationCode(value)) {
+      const matches = searchStations(value, 2);
+      if (matches.length === 1) {
+        input.value = matches[0].code;
+      }
+    }
+    input.value = input.value.trim().toUpperCase();
+    updateStationHint(input);
+  });
+});
+
+// Fill the shared datalist used by both station inputs
+function populateStationOptions() {
+  stationOptions.innerHTML = STATIONS.map(station =>
+    `<option value="${station.code}">${station.name}, ${station.state}</option>`
+  ).join('');
+}
+
+function populateFareTypeOptions() {
+  document.getElementById('fare-type').insertAdjacentHTML('beforeend', FARE_TYPES.map(({ key, label }) =>
+    `<option value="${key}">${label}</option>`
+  ).join(''));
+}
+
+function updateStationHint(input) {
+  const hint = document.getElementById(`${input.id}-hint`);
+  const value = input.value.trim();
+  const station = getStation(value);
+
+  if (!value) {
+    hint.textContent = '';
+    hint.className = 'station-hint';
+  } else if (station) {
+    hint.textContent = `${station.name}, ${station.state}`;
+    hint.className = 'station-hint';
+  } else if (isStationCode(value)) {
+    hint.textContent = 'Not in the station list';
+    hint.className = 'station-hint warning';
+  } else if (value.length >= 3) {
+    hint.textContent = 'Unknown station';
+    hint.className = 'station-hint error';
+  } else {
+    hint.textContent = '';
+    hint.className = 'station-hint';
+  }
+}
+
+// Read trip fields from the add/edit form
+function readTripForm() {
+  const shared = {
+    origin: originInput.value.toUpperCase().trim(),
+    destination: destinationInput.value.toUpperCase().trim(),
     travelDate: document.getElementById('travel-date').value,
     trainNumber: document.getElementById('train-number').value.trim() || null,
     trainTime: document.getElementById('train-time').value || null,
     pricePaid: parseFloat(document.getElementById('price-paid').value),
+    priceBasis: document.getElementById('price-basis').value || 'total',
     ticketClass: document.getElementById('ticket-class').value || null,
-    currentPrice: null,
-    lastChecked: null,
-    priceHistory: [],
-    createdAt: new Date().toISOString()
+    fareType: document.getElementById('fare-type').value || null,
+    passengers: readPassengerInputs()
   };
 
-  await saveTrip(trip);
+  const targetPrice = parseFloat(document.getElementById('target-price').value);
+
+  if (tripTypeSelect.value === 'watch') {
+    return {
+      ...shared,
+      type: 'watch',
+      pricePaid: null,
+      targetPrice: Number.isFinite(targetPrice) ? targetPrice : null,
+      alertRules: null
+    };
+  }
+
+  if (tripTypeSelect.value === 'range') {
+    return {
+      ...shared,
+      type: 'range',
+      trainNumber: null,
+      trainTime: null,
+      pricePaid: null,
+      dateFlex: parseInt(document.getElementById('date-flex').value),
+      timeFrom: document.getElementById('time-from').value || null,
+      timeTo: document.getElementById('time-to').value || null,
+      targetPrice: Number.isFinite(targetPrice) ? targetPrice : null,
+      alertRules: null
+    };
+  }
+
+  return { ...shared, type: 'booked', alertRules: readAlertRuleInputs() };
+}
+
+// Read per-trip alert rule overrides; blank fields fall back to settings
+function readAlertRuleInputs() {
+  const minSavings = parseFloat(document.getElementById('trip-alert-min-savings').value);
+  const minSavingsPercent = parseFloat(document.getElementById('trip-alert-min-percent').value);
+  const newLowOnly = document.getElementById('trip-alert-new-low').value;
+  const cooldownHours = document.getElementById('trip-alert-cooldown').value;
+
+  const rules = {
+    minSavings: Number.isFinite(minSavings) ? minSavings : null,
+    minSavingsPercent: Number.isFinite(minSavingsPercent) ? minSavingsPercent : null,
+    newLowOnly: newLowOnly ? newLowOnly === 'yes' : null,
+    cooldownHours: cooldownHours !== '' ? parseInt(cooldownHours) : null
+  };
+
+  return Object.values(rules).some(value => value !== null) ? rules : null;
+}
+
+// Read passenger counts from the form
+function readPassengerInputs() {
+  const passengers = {};
+  PASSENGER_TYPES.forEach(({ key }) => {
+    passengers[key] = document.getElementById(`passengers-${key}`).value;
+  });
+  return normalizePassengers(passengers);
+}
+
+// Comparable value for a search field; passengers are compared by count
+function searchValue(trip, field) {
+  if (field === 'passengers') {
+    return passengerKey(trip.passengers);
+  }
+  return trip[field] || null;
+}
+
+// Validate trip fields, returning an error message or null
+function validateTripForm(values) {
+  if (!isStationCode(values.origin)) {
+    return `Unknown origin station "${values.origin}"`;
+  }
+  if (!isStationCode(values.destination)) {
+    return `Unknown destination station "${values.destination}"`;
+  }
+  if (values.origin === values.destination) {
+    return 'Origin and destination must be different';
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(values.travelDate)) {
+    return 'Please enter a travel date';
+  }
+  if (values.trainNumber && !/^\d{1,4}$/.test(values.trainNumber)) {
+    return 'Train # must be 1-4 digits';
+  }
+  if (values.type === 'watch') {
+    if (values.targetPrice === null || values.targetPrice < 0) {
+      return 'Please enter a target price';
+    }
+  } else if (values.type === 'range') {
+    if (values.timeFrom && values.timeTo && values.timeFrom > values.timeTo) {
+      return 'Departing after must be earlier than departing before';
+    }
+  } else if (!Number.isFinite(values.pricePaid) || values.pricePaid < 0) {
+    return 'Please enter the price you paid';
+  }
+  return validatePassengers(values.passengers);
+}
+
+// Codes that aren't in the bundled station list are allowed, since it
+// doesn't have every station; say so in case one is a typo
+function unknownStationWarning(values) {
+  const unknown = [values.origin, values.destination].filter(code => !isKnownStation(code));
+  return unknown.length > 0
+    ? `${unknown.join(' and ')} ${unknown.length === 1 ? 'is' : 'are'} not in the station list; check the code if prices don't show up`
+    : null;
+}
+
+// Load a trip into the form and switch it to edit mode
+async function enterEditMode(tripId) {
+  const trip = await getTrip(tripId);
+  if (!trip) return;
+
+  editingTripId = tripId;
+  tripTypeSelect.value = trip.type || 'booked';
+  updateTripTypeFields();
+  originInput.value = trip.origin;
+  destinationInput.value = trip.destination;
+  updateStationHint(originInput);
+  updateStationHint(destinationInput);
+  document.getElementById('travel-date').value = trip.travelDate;
+  document.getElementById('train-time').value = trip.trainTime || '';
+  document.getElementById('train-number').value = trip.trainNumber || '';
+  document.getElementById('price-paid').value = trip.pricePaid ?? '';
+  document.getElementById('date-flex').value = trip.dateFlex || 3;
+  document.getElementById('time-from').value = trip.timeFrom || '';
+  document.getElementById('time-to').value = trip.timeTo || '';
+  document.getElementById('target-price').value = trip.targetPrice ?? '';
+  document.getElementById('ticket-class').value = trip.ticketClass || 'coach';
+  document.getElementById('fare-type').value = trip.fareType || '';
+  document.getElementById('price-basis').value = trip.priceBasis || 'total';
+  const passengers = normalizePassengers(trip.passengers);
+  PASSENGER_TYPES.forEach(({ key }) => {
+    document.getElementById(`passengers-${key}`).value = passengers[key];
+  });
+
+  const rules = trip.alertRules || {};
+  document.getElementById('trip-alert-min-savings').value = rules.minSavings ?? '';
+  document.getElementById('trip-alert-min-percent').value = rules.minSavingsPercent ?? '';
+  document.getElementById('trip-alert-new-low').value = rules.newLowOnly === null || rules.newLowOnly === undefined ? '' : (rules.newLowOnly ? 'yes' : 'no');
+  document.getElementById('trip-alert-cooldown').value = rules.cooldownHours ?? '';
+  document.getElementById('alert-rules').open = !!trip.alertRules;
+
+  tripFormTitle.textContent = `Edit Trip: ${trip.origin} → ${trip.destination}`;
+  tripFormSubmit.textContent = 'Save Changes';
+  cancelEditBtn.style.display = 'block';
+  formStatus.textContent = '';
+  tripForm.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+// Return the form to add mode
+function exitEditMode() {
+  editingTripId = null;
   tripForm.reset();
-  await loadTrips();
+  updateTripTypeFields();
+  document.getElementById('alert-rules').open = false;
+  updateStationHint(originInput);
+  updateStationHint(destinationInput);
+  tripFormTitle.textContent = 'Add New Trip';
+  tripFormSubmit.textContent = 'Add Trip';
+  cancelEditBtn.style.display = 'none';
+}
 
-  // Trigger a price check for the new trip
-  chrome.runtime.sendMessage({ action: 'checkPrices' });
-});
+function showFormStatus(message, type) {
+  formStatus.textContent = message;
+  formStatus.className = `form-status ${type}`;
+  setTimeout(() => { formStatus.textContent = ''; }, 3000);
+}
 
 // Load and display trips
 async function loadTrips() {
-  const trips = await getTrips();
+  // Trips that fail the schema are set aside rather than rendered
+  const trips = await quarantineInvalidTrips();
+  await renderQuarantine();
 
   if (trips.length === 0) {
     tripsList.innerHTML = '<p class="empty-state">No trips being tracked yet.</p>';
     return;
   }
 
+  const settings = await getSettings();
   const now = new Date();
   const todayStr = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
 
   // Sort: future trips first, then past trips (most recent first)
+  // Date range watches are past once the last day in the range is
   trips.sort((a, b) => {
-    const aIsPast = a.travelDate < todayStr;
-    const bIsPast = b.travelDate < todayStr;
+    const aIsPast = lastTravelDate(a) < todayStr;
+    const bIsPast = lastTravelDate(b) < todayStr;
     if (aIsPast !== bIsPast) return aIsPast ? 1 : -1;
     return aIsPast ? b.travelDate.localeCompare(a.travelDate) : a.travelDate.localeCompare(b.travelDate);
   });
 
-  const hasPastTrips = trips.some(t => t.travelDate < todayStr);
-  const hasFutureTrips = trips.some(t => t.travelDate >= todayStr);
+  const hasPastTrips = trips.some(t => lastTravelDate(t) < todayStr);
+  const hasFutureTrips = trips.some(t => lastTravelDate(t) >= todayStr);
   const pastSeparator = hasPastTrips && hasFutureTrips ? '<div class="past-separator">Past Trips</div>' : '';
 
   tripsList.innerHTML = trips.map(trip => {
-    const card = createTripCard(trip);
+    const card = trip.type === 'range' ? createRangeCard(trip, settings) : createTripCard(trip, settings);
     // Insert separator before the first past trip
-    if (trip.travelDate < todayStr && pastSeparator && !tripsList._separatorAdded) {
+    if (lastTravelDate(trip) < todayStr && pastSeparator && !tripsList._separatorAdded) {
       tripsList._separatorAdded = true;
       return pastSeparator + card;
     }
@@ -96,6 +490,20 @@ async function loadTrips() {
   }).join('');
   delete tripsList._separatorAdded;
 
+  // Add edit button listeners
+  tripsList.querySelectorAll('.btn-edit').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      enterEditMode(e.currentTarget.dataset.tripId);
+    });
+  });
+
+  // Add "I booked it" button listeners
+  tripsList.querySelectorAll('.btn-booked').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      showBookedDialog(e.currentTarget.dataset.tripId);
+    });
+  });
+
   // Add delete button listeners
   tripsList.querySelectorAll('.btn-delete').forEach(btn => {
     btn.addEventListener('click', async (e) => {
@@ -107,6 +515,15 @@ async function loadTrips() {
     });
   });
 
+  // Switch a chart between the tracked fare, one class, or all classes
+  tripsList.querySelectorAll('.chart-view').forEach(select => {
+    select.addEventListener('change', () => {
+      const chartCard = select.closest('.trip-card-chart');
+      chartCard.querySelector('.price-chart').dataset.view = select.value;
+      drawAllCharts();
+    });
+  });
+
   // Draw price history charts
   drawAllCharts();
 
@@ -136,9 +553,13 @@ async function loadTrips() {
 }
 
 // Create HTML for a trip card
-function createTripCard(trip) {
-  const priceDiff = trip.currentPrice !== null ? trip.pricePaid - trip.currentPrice : null;
-  const isPriceLower = priceDiff !== null && priceDiff > 0;
+function createTripCard(trip, settings) {
+  // Watches compare against the target price instead of a price paid
+  const watching = isWatch(trip);
+  const referencePrice = watching ? trip.targetPrice : trip.pricePaid;
+  const referenceLabel = watching ? 'Target' : 'Paid';
+  const priceDiff = trip.currentPrice !== null ? referencePrice - trip.currentPrice : null;
+  const isPriceLower = priceDiff !== null && (watching ? priceDiff >= 0 : priceDiff > 0);
   const isPriceHigher = priceDiff !== null && priceDiff < 0;
 
   const now = new Date();
@@ -151,10 +572,16 @@ function createTripCard(trip) {
   const trainWarning = trip.trainNotFound ? ' ⚠️' : '';
   const timeInfo = trip.trainTime ? ` • ${formatTime(trip.trainTime)}` : '';
   const trainLabel = trip.trainNumber ? `Train #${trip.trainNumber}${trainWarning}` : '';
+  const originStation = getStation(trip.origin);
+  const destinationStation = getStation(trip.destination);
+  const stationNames = `${originStation?.name || trip.origin} → ${destinationStation?.name || trip.destination}`;
+  const passengerLabel = isDefaultPassengers(trip.passengers) ? '' : formatPassengers(trip.passengers);
+  const perPersonSuffix = trip.priceBasis === 'perPerson' ? '/person' : '';
 
   // Build price display section based on train found status
   let priceSection;
-  const ticketClassText = "Ticket class: " + (trip.ticketClass ? trip.ticketClass.charAt(0).toUpperCase() + trip.ticketClass.slice(1) : 'Not specified');
+  const fareTypeText = trip.fareType ? ` (${formatFareType(trip.fareType)})` : '';
+  const ticketClassText = "Ticket class: " + (trip.ticketClass ? trip.ticketClass.charAt(0).toUpperCase() + trip.ticketClass.slice(1) : 'Not specified') + fareTypeText;
 
   if (trip.trainNotFound) {
     // Train not found - show warning message
@@ -163,8 +590,8 @@ function createTripCard(trip) {
       <div class="price-row-compact">
         <span class="ticket-class-inline">${ticketClassText}</span>
         <span class="price-divider">|</span>
-        <span class="price-label">Paid:</span>
-        <span class="price-value">$${trip.pricePaid.toFixed(2)}</span>
+        <span class="price-label">${referenceLabel}:</span>
+        <span class="price-value">$${referencePrice.toFixed(2)}${perPersonSuffix}</span>
       </div>
       <div class="train-not-found-row">
         <span class="train-not-found">Train not found. Lowest train price from ${trip.origin} to ${trip.destination} on ${formattedPriceDate}: $${trip.currentPrice.toFixed(2)}</span>
@@ -177,24 +604,27 @@ function createTripCard(trip) {
       currentPriceClass = 'unavailable';
       currentPriceDisplay = 'Trip Passed';
     } else if (trip.currentPrice !== null) {
-      currentPriceDisplay = `$${trip.currentPrice.toFixed(2)}`;
+      currentPriceDisplay = `$${trip.currentPrice.toFixed(2)}${perPersonSuffix}`;
     } else if (trip.lastChecked) {
       currentPriceClass = 'unavailable';
-      currentPriceDisplay = 'Unavailable';
+      currentPriceDisplay = unavailableText(trip);
     } else {
       currentPriceDisplay = 'Checking...';
     }
 
-    const priceBadge = isPriceLower
-      ? `<span class="price-divider">|</span><span class="price-drop-badge">↓$${priceDiff.toFixed(2)} savings!</span>`
-      : '';
+    let priceBadge = '';
+    if (isPriceLower) {
+      priceBadge = watching
+        ? '<span class="price-divider">|</span><span class="price-drop-badge">At target!</span>'
+        : `<span class="price-divider">|</span><span class="price-drop-badge">↓$${priceDiff.toFixed(2)} savings!</span>`;
+    }
 
     priceSection = `
       <div class="price-row-compact">
         <span class="ticket-class-inline">${ticketClassText}</span>
         <span class="price-divider">|</span>
-        <span class="price-label">Paid:</span>
-        <span class="price-value">$${trip.pricePaid.toFixed(2)}</span>
+        <span class="price-label">${referenceLabel}:</span>
+        <span class="price-value">$${referencePrice.toFixed(2)}${perPersonSuffix}</span>
       </div>
       <div class="price-row-compact">
         <span class="price-label">Current:</span>
@@ -206,33 +636,62 @@ function createTripCard(trip) {
 
   // Serialize price history for the chart
   // Backfill from currentPrice if no history exists but we have a price
-  let priceHistory = trip.priceHistory || [];
+  // Entries tagged with a previous search are kept but not plotted
+  let priceHistory = (trip.priceHistory || []).filter(entry => !entry.previousSearch);
   if (priceHistory.length === 0 && trip.currentPrice !== null) {
     priceHistory = [{ price: trip.currentPrice, timestamp: trip.lastChecked || new Date().toISOString() }];
   }
   const priceHistoryData = JSON.stringify(priceHistory);
 
+  // Offer a class switch once checks have recorded prices for each class
+  const historyClasses = TICKET_CLASSES.filter(({ key }) =>
+    priceHistory.some(entry => entry.classPrices?.[key] !== undefined));
+  const chartControl = historyClasses.length > 0
+    ? `<select class="chart-view" title="Show the price history for">
+        <option value="tracked">Your fare</option>
+        ${historyClasses.map(({ key, label }) => `<option value="${key}">${label}</option>`).join('')}
+        ${historyClasses.length > 1 ? '<option value="all">All classes</option>' : ''}
+      </select>`
+    : `<span class="chart-subtitle">${trip.origin} → ${trip.destination}</span>`;
+
+  const alternativesPanel = createAlternativesPanel(trip);
+
   const passedClass = tripHasPassed ? 'trip-passed' : '';
   const passedBadge = tripHasPassed ? '<span class="trip-passed-badge">Trip Passed</span>' : '';
   const notFoundClass = trip.trainNotFound ? 'train-not-found-card' : '';
+  const watchClass = watching ? 'watch-card' : '';
+  const bookedAction = watching && !tripHasPassed ? createBookedButton(trip) : '';
 
   return `
-    <div class="trip-card-wrapper ${passedClass} ${notFoundClass}">
+    <div class="trip-card-wrapper ${passedClass} ${notFoundClass} ${watchClass}">
       <div class="trip-card-container">
         <div class="trip-card-scroller" data-trip-id="${trip.id}">
           <div class="trip-card trip-card-info" data-trip-id="${trip.id}">
           ${passedBadge}
             <div class="trip-header">
-              <span class="trip-route">${trip.origin} → ${trip.destination}</span>
+              <div class="trip-header-left">
+                <span class="trip-route">${trip.origin} → ${trip.destination}</span>
+                <span class="trip-stations" title="${stationNames}">${stationNames}</span>
+              </div>
               <div class="trip-header-right">
                 ${trainLabel ? `<span class="trip-train">${trainLabel}</span>` : ''}
                 <span class="trip-date">${formattedDate}${timeInfo}</span>
+                ${passengerLabel ? `<span class="trip-passengers">${passengerLabel}</span>` : ''}
               </div>
             </div>
             <div class="trip-prices">
               ${priceSection}
             </div>
+            ${createTripNotes(trip)}
+            ${tripHasPassed ? '' : createScheduleLine(trip, settings)}
             <div class="trip-actions">
+              ${bookedAction}
+              <button class="btn-edit" data-trip-id="${trip.id}" title="Edit trip">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                  <path d="M12 20h9"></path>
+                  <path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path>
+                </svg>
+              </button>
               <button class="btn-delete" data-trip-id="${trip.id}" data-origin="${trip.origin}" data-destination="${trip.destination}" title="Remove trip">
                 <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
                   <polyline points="3 6 5 6 21 6"></polyline>
@@ -246,32 +705,265 @@ function createTripCard(trip) {
           <div class="trip-card trip-card-chart">
             <div class="chart-header">
               <span class="chart-title">Price History</span>
-              <span class="chart-subtitle">${trip.origin} → ${trip.destination}</span>
+              ${chartControl}
             </div>
-            <canvas class="price-chart" data-history='${priceHistoryData}' data-paid="${trip.pricePaid}"></canvas>
+            <canvas class="price-chart" data-history='${priceHistoryData}' data-paid="${referencePrice}" data-view="tracked"></canvas>
             <div class="chart-legend">
-              <span class="legend-paid">— Paid: $${trip.pricePaid.toFixed(2)}</span>
+              <span class="legend-paid">— ${referenceLabel}: $${referencePrice.toFixed(2)}</span>
+              <span class="legend-classes"></span>
             </div>
           </div>
+          ${alternativesPanel}
         </div>
       </div>
       <div class="card-pagination">
         <span class="pagination-dot active" data-index="0"></span>
         <span class="pagination-dot" data-index="1"></span>
+        <span class="pagination-dot" data-index="2"></span>
       </div>
     </div>
   `;
 }
 
+// Create HTML for a date range watch card: the cheapest day, then a per-day calendar
+function createRangeCard(trip, settings) {
+  const now = new Date();
+  const todayStr = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+  const dates = rangeDates(trip);
+  const rangeHasPassed = dates.at(-1) < todayStr;
+
+  const originStation = getStation(trip.origin);
+  const destinationStation = getStation(trip.destination);
+  const stationNames = `${originStation?.name || trip.origin} → ${destinationStation?.name || trip.destination}`;
+  const passengerLabel = isDefaultPassengers(trip.passengers) ? '' : formatPassengers(trip.passengers);
+  const perPersonSuffix = trip.priceBasis === 'perPerson' ? '/person' : '';
+  const fareTypeText = trip.fareType ? ` (${formatFareType(trip.fareType)})` : '';
+  const classLabel = TICKET_CLASSES.find(({ key }) => key === trip.ticketClass)?.label || 'Any class';
+  const hasTarget = trip.targetPrice !== null && trip.targetPrice !== undefined;
+
+  let timeWindow = 'Any time';
+  if (trip.timeFrom && trip.timeTo) {
+    timeWindow = `${formatTime(trip.timeFrom)}–${formatTime(trip.timeTo)}`;
+  } else if (trip.timeFrom) {
+    timeWindow = `After ${formatTime(trip.timeFrom)}`;
+  } else if (trip.timeTo) {
+    timeWindow = `Before ${formatTime(trip.timeTo)}`;
+  }
+
+  const cheapest = trip.cheapestDay;
+  let cheapestDisplay;
+  let cheapestClass = 'current';
+  if (rangeHasPassed) {
+    cheapestClass = 'unavailable';
+    cheapestDisplay = 'Dates Passed';
+  } else if (cheapest) {
+    const train = cheapest.trainNumber ? ` • #${escapeHtml(cheapest.trainNumber)}` : '';
+    const departs = cheapest.departureTime ? ` ${formatTime(cheapest.departureTime)}` : '';
+    cheapestDisplay = `$${cheapest.price.toFixed(2)}${perPersonSuffix} on ${formatDate(cheapest.date)}${train}${departs}`;
+    if (hasTarget && cheapest.price <= trip.targetPrice) cheapestClass = 'lower';
+  } else if (trip.lastChecked) {
+    cheapestClass = 'unavailable';
+    cheapestDisplay = unavailableText(trip);
+  } else {
+    cheapestDisplay = 'Checking...';
+  }
+
+  const targetText = hasTarget
+    ? `<span class="price-divider">|</span><span class="price-label">Target:</span><span class="price-value">$${trip.targetPrice.toFixed(2)}${perPersonSuffix}</span>`
+    : '';
+
+  const calendar = dates.map(date => {
+    const result = trip.dayPrices?.[date];
+    const isPast = date < todayStr;
+    const isCheapest = cheapest?.date === date;
+    const atTarget = hasTarget && result?.price !== null && result?.price !== undefined && result.price <= trip.targetPrice;
+    const [year, month, day] = date.split('-').map(Number);
+    const weekday = new Date(year, month - 1, day).toLocaleDateString('en-US', { weekday: 'short' });
+    const price = result?.price !== null && result?.price !== undefined ? `$${result.price.toFixed(0)}` : '—';
+    const title = result?.trainNumber
+      ? `Train ${result.trainNumber}${result.departureTime ? ` at ${formatTime(result.departureTime)}` : ''}`
+      : (result ? 'No trains in your time window' : 'Not checked yet');
+
+    return `
+              <div class="range-day ${isPast ? 'past' : ''} ${isCheapest ? 'cheapest' : ''} ${atTarget ? 'at-target' : ''}" title="${escapeHtml(title)}">
+                <span class="range-day-name">${weekday}</span>
+                <span class="range-day-date">${month}/${day}</span>
+                <span class="range-day-price">${price}</span>
+              </div>`;
+  }).join('');
+
+  const passedClass = rangeHasPassed ? 'trip-passed' : '';
+  const passedBadge = rangeHasPassed ? '<span class="trip-passed-badge">Dates Passed</span>' : '';
+
+  return `
+    <div class="trip-card-wrapper range-card ${passedClass}">
+      <div class="trip-card-container">
+        <div class="trip-card-scroller" data-trip-id="${trip.id}">
+          <div class="trip-card trip-card-info" data-trip-id="${trip.id}">
+          ${passedBadge}
+            <div class="trip-header">
+              <div class="trip-header-left">
+                <span class="trip-route">${trip.origin} → ${trip.destination}</span>
+                <span class="trip-stations" title="${stationNames}">${stationNames}</span>
+              </div>
+              <div class="trip-header-right">
+                <span class="trip-train">Date range</span>
+                <span class="trip-date">${formatDate(dates[0])} – ${formatDate(dates.at(-1))}</span>
+                ${passengerLabel ? `<span class="trip-passengers">${passengerLabel}</span>` : ''}
+              </div>
+            </div>
+            <div class="trip-prices">
+              <div class="price-row-compact">
+                <span class="ticket-class-inline">${classLabel}${fareTypeText} • ${timeWindow}</span>
+                ${targetText}
+              </div>
+              <div class="price-row-compact">
+                <span class="price-label">Cheapest:</span>
+                <span class="price-value ${cheapestClass}">${cheapestDisplay}</span>
+              </div>
+            </div>
+            ${rangeHasPassed ? '' : createScheduleLine(trip, settings)}
+            <div class="trip-actions">
+              ${rangeHasPassed || !cheapest ? '' : createBookedButton(trip)}
+              <button class="btn-edit" data-trip-id="${trip.id}" title="Edit watch">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                  <path d="M12 20h9"></path>
+                  <path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path>
+                </svg>
+              </button>
+              <button class="btn-delete" data-trip-id="${trip.id}" data-origin="${trip.origin}" data-destination="${trip.destination}" title="Remove watch">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                  <polyline points="3 6 5 6 21 6"></polyline>
+                  <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+                  <line x1="10" y1="11" x2="10" y2="17"></line>
+                  <line x1="14" y1="11" x2="14" y2="17"></line>
+                </svg>
+              </button>
+            </div>
+          </div>
+          <div class="trip-card trip-card-calendar">
+            <div class="chart-header">
+              <span class="chart-title">Price by Day</span>
+              <span class="chart-subtitle">${trip.lastChecked ? `as of ${formatDateTime(new Date(trip.lastChecked))}` : ''}</span>
+            </div>
+            <div class="range-calendar">${calendar}</div>
+          </div>
+        </div>
+      </div>
+      <div class="card-pagination">
+        <span class="pagination-dot active" data-index="0"></span>
+        <span class="pagination-dot" data-index="1"></span>
+      </div>
+    </div>
+  `;
+}
+
+// When the trip will next be checked, with why that interval was chosen,
+// led by a dot showing whether recent checks succeeded
+function createScheduleLine(trip, settings) {
+  const next = nextCheckTime(trip, settings);
+  const { reason } = checkInterval(trip, settings);
+  const when = next <= new Date() ? 'due now' : formatDateTime(next);
+  const health = tripHealth(trip);
+  return `
+            <div class="trip-schedule">
+              <span class="health-dot health-${health.status}" title="${escapeHtml(health.label)}"></span>
+              <span title="${escapeHtml(reason)}">Next check: ${when}</span>
+            </div>`;
+}
+
+// Price text when the last check found nothing, naming why it failed
+function unavailableText(trip) {
+  return trip.lastError ? `Unavailable (${escapeHtml(formatFailureType(trip.lastError.type))})` : 'Unavailable';
+}
+
+// "I booked it" action for watch cards
+function createBookedButton(trip) {
+  return `
+              <button class="btn-booked" data-trip-id="${trip.id}" title="I booked it">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                  <polyline points="20 6 9 17 4 12"></polyline>
+                </svg>
+              </button>`;
+}
+
+// Third card panel: every train on the route and day from the last check
+function createAlternativesPanel(trip) {
+  const rows = compareAlternatives(trip);
+  const snapshot = trip.trainSnapshots?.at(-1);
+  const asOf = snapshot ? `as of ${formatDateTime(new Date(snapshot.timestamp))}` : '';
+
+  const formatDiff = diff => {
+    if (diff === null) return '<span>—</span>';
+    if (Math.abs(diff) < 0.005) return '<span>same</span>';
+    return diff < 0
+      ? `<span class="cheaper">−$${Math.abs(diff).toFixed(0)}</span>`
+      : `<span class="pricier">+$${diff.toFixed(0)}</span>`;
+  };
+
+  const list = rows.length === 0
+    ? '<p class="alternatives-empty">Other trains appear after the next check</p>'
+    : `<div class="alternative-row alternatives-head">
+        <span>Train</span><span>Departs</span><span>Price</span><span>vs yours</span><span>${isWatch(trip) ? 'vs target' : 'vs paid'}</span>
+      </div>` + rows.map(row => `
+      <div class="alternative-row ${row.isTracked ? 'tracked' : ''}">
+        <span>#${escapeHtml(row.trainNumber)}</span>
+        <span>${row.departureTime ? formatTime(row.departureTime) : '—'}</span>
+        <span>$${row.price.toFixed(2)}</span>
+        ${row.isTracked ? '<span>yours</span>' : formatDiff(row.vsTrain)}
+        ${formatDiff(row.vsPaid)}
+      </div>`).join('');
+
+  return `
+          <div class="trip-card trip-card-alternatives">
+            <div class="chart-header">
+              <span class="chart-title">Other Trains</span>
+              <span class="chart-subtitle">${asOf}</span>
+            </div>
+            <div class="alternatives-list">${list}</div>
+          </div>`;
+}
+
 // Load settings
 async function loadSettings() {
   const settings = await getSettings();
   checkIntervalSelect.value = settings.checkInterval || 4;
+  scheduleModeSelect.value = settings.scheduleMode || 'adaptive';
+  renderScheduleTiers(normalizeScheduleTiers(settings.scheduleTiers));
+  updateScheduleVisibility();
+  priceSourceSelect.value = (settings.priceProviders || ['tab']).join(',');
+  automationWindowSelect.value = settings.automationWindow || 'minimized';
+  updateAutomationWindowVisibility();
 
   // Email notification settings
   emailNotificationsCheckbox.checked = settings.emailNotifications || false;
   notificationEmailInput.value = settings.notificationEmail || '';
   emailInputGroup.style.display = settings.emailNotifications ? 'block' : 'none';
+
+  // Alert rule defaults
+  alertMinSavingsInput.value = settings.alertMinSavings || 0;
+  alertMinPercentInput.value = settings.alertMinSavingsPercent || 0;
+  alertNewLowCheckbox.checked = settings.alertNewLowOnly;
+  upgradeAlertsCheckbox.checked = settings.upgradeAlertsEnabled;
+  alternativeAlertsCheckbox.checked = settings.alternativeAlertsEnabled;
+  alternativeAlertOptions.style.display = settings.alternativeAlertsEnabled ? 'block' : 'none';
+  alternativeWindowSelect.value = settings.alternativeWindowMinutes;
+  alternativeMinSavingsInput.value = settings.alternativeMinSavings;
+  alertCooldownSelect.value = settings.alertCooldownHours || 0;
+
+  // Webhook notification settings
+  webhookCheckbox.checked = settings.webhookEnabled || false;
+  webhookInputGroup.style.display = settings.webhookEnabled ? 'block' : 'none';
+  webhookPresetSelect.value = settings.webhookPreset || 'generic';
+  webhookUrlInput.value = settings.webhookUrl || '';
+  webhookTemplateInput.value = settings.webhookTemplate || WEBHOOK_PRESETS.generic.template;
+  webhookSecretInput.value = settings.webhookSecret || '';
+  updateWebhookTemplateVisibility();
+
+  selectorOverridesInput.value = settings.selectorOverrides ? JSON.stringify(settings.selectorOverrides, null, 2) : '';
+
+  await renderDeliveryLogs();
+  await renderDiagnostics();
 }
 
 // Save settings when changed
@@ -284,6 +976,105 @@ checkIntervalSelect.addEventListener('change', async () => {
     action: 'updateAlarmInterval',
     interval: interval
   });
+  await loadTrips();
+});
+
+// Check schedule: adaptive tiers or one fixed interval
+const SCHEDULE_HOUR_OPTIONS = [1, 2, 4, 8, 12, 24];
+
+scheduleModeSelect.addEventListener('change', async () => {
+  await saveSettings({ scheduleMode: scheduleModeSelect.value });
+  updateScheduleVisibility();
+  chrome.runtime.sendMessage({ action: 'updateAlarmInterval' });
+  await loadTrips();
+});
+
+scheduleTiersContainer.addEventListener('change', async () => {
+  const tiers = Array.from(scheduleTiersContainer.querySelectorAll('.schedule-tier')).map(row => {
+    const daysInput = row.querySelector('.tier-days');
+    return {
+      withinDays: daysInput ? parseInt(daysInput.value) : null,
+      everyHours: parseInt(row.querySelector('.tier-hours').value)
+    };
+  });
+  const normalized = normalizeScheduleTiers(tiers);
+  await saveSettings({ scheduleTiers: normalized });
+  renderScheduleTiers(normalized);
+  chrome.runtime.sendMessage({ action: 'updateAlarmInterval' });
+  await loadTrips();
+});
+
+function updateScheduleVisibility() {
+  const adaptive = scheduleModeSelect.value === 'adaptive';
+  scheduleTiersContainer.style.display = adaptive ? 'block' : 'none';
+  fixedIntervalItem.style.display = adaptive ? 'none' : 'flex';
+}
+
+function renderScheduleTiers(tiers) {
+  const hourOptions = selected => SCHEDULE_HOUR_OPTIONS.map(hours =>
+    `<option value="${hours}" ${hours === selected ? 'selected' : ''}>${hours === 1 ? '1 hour' : `${hours} hours`}</option>`
+  ).join('');
+
+  scheduleTiersContainer.innerHTML = tiers.map(tier => `
+    <div class="setting-item schedule-tier">
+      ${tier.withinDays === null
+        ? '<label>Departing later, every</label>'
+        : `<label>Within <input type="number" class="tier-days" min="0" max="365" value="${tier.withinDays}"> days, every</label>`}
+      <select class="tier-hours">${hourOptions(tier.everyHours)}</select>
+    </div>`).join('');
+}
+
+// Alert rule defaults
+alertMinSavingsInput.addEventListener('change', async () => {
+  const value = parseFloat(alertMinSavingsInput.value);
+  await saveSettings({ alertMinSavings: Number.isFinite(value) && value > 0 ? value : 0 });
+});
+
+alertMinPercentInput.addEventListener('change', async () => {
+  const value = parseFloat(alertMinPercentInput.value);
+  await saveSettings({ alertMinSavingsPercent: Number.isFinite(value) && value > 0 ? Math.min(value, 100) : 0 });
+});
+
+alertNewLowCheckbox.addEventListener('change', async () => {
+  await saveSettings({ alertNewLowOnly: alertNewLowCheckbox.checked });
+});
+
+upgradeAlertsCheckbox.addEventListener('change', async () => {
+  await saveSettings({ upgradeAlertsEnabled: upgradeAlertsCheckbox.checked });
+});
+
+alternativeAlertsCheckbox.addEventListener('change', async () => {
+  alternativeAlertOptions.style.display = alternativeAlertsCheckbox.checked ? 'block' : 'none';
+  await saveSettings({ alternativeAlertsEnabled: alternativeAlertsCheckbox.checked });
+});
+
+alternativeWindowSelect.addEventListener('change', async () => {
+  await saveSettings({ alternativeWindowMinutes: parseInt(alternativeWindowSelect.value) });
+});
+
+alternativeMinSavingsInput.addEventListener('change', async () => {
+  const value = parseFloat(alternativeMinSavingsInput.value);
+  await saveSettings({ alternativeMinSavings: Number.isFinite(value) && value > 0 ? value : 0 });
+});
+
+alertCooldownSelect.addEventListener('change', async () => {
+  await saveSettings({ alertCooldownHours: parseInt(alertCooldownSelect.value) });
+});
+
+// Provider fallback order, stored as a list of provider IDs
+priceSourceSelect.addEventListener('change', async () => {
+  await saveSettings({ priceProviders: priceSourceSelect.value.split(',') });
+  updateAutomationWindowVisibility();
+});
+
+// Where the tab provider opens its own Amtrak tab; only used when it's a price source
+function updateAutomationWindowVisibility() {
+  document.getElementById('automation-window-item').style.display =
+    priceSourceSelect.value.split(',').includes('tab') ? '' : 'none';
+}
+
+automationWindowSelect.addEventListener('change', async () => {
+  await saveSettings({ automationWindow: automationWindowSelect.value });
 });
 
 // Email notifications toggle
@@ -298,9 +1089,9 @@ saveEmailBtn.addEventListener('click', async () => {
   const email = notificationEmailInput.value.trim();
   if (email && isValidEmail(email)) {
     await saveSettings({ notificationEmail: email });
-    showEmailStatus('Email saved!', 'success');
+    showSettingStatus(emailInputGroup, 'Email saved!', 'success');
   } else {
-    showEmailStatus('Please enter a valid email', 'error');
+    showSettingStatus(emailInputGroup, 'Please enter a valid email', 'error');
   }
 });
 
@@ -308,38 +1099,508 @@ saveEmailBtn.addEventListener('click', async () => {
 testEmailBtn.addEventListener('click', async () => {
   const email = notificationEmailInput.value.trim();
   if (!email || !isValidEmail(email)) {
-    showEmailStatus('Please enter a valid email first', 'error');
+    showSettingStatus(emailInputGroup, 'Please enter a valid email first', 'error');
     return;
   }
 
   testEmailBtn.disabled = true;
   testEmailBtn.textContent = 'Sending...';
 
-  chrome.runtime.sendMessage({ action: 'testEmail', email }, (response) => {
+  chrome.runtime.sendMessage({ action: 'testChannel', channelId: 'email', config: { notificationEmail: email } }, (response) => {
     testEmailBtn.disabled = false;
     testEmailBtn.textContent = 'Test';
 
     if (response?.success) {
-      showEmailStatus('Test email sent!', 'success');
+      showSettingStatus(emailInputGroup, 'Test email sent!', 'success');
     } else {
-      showEmailStatus('Failed to send. Check email.js config.', 'error');
+      showSettingStatus(emailInputGroup, 'Failed to send. Check email.js config.', 'error');
     }
+    renderDeliveryLogs();
   });
 });
 
+// Webhook notifications toggle
+webhookCheckbox.addEventListener('change', async () => {
+  const enabled = webhookCheckbox.checked;
+  webhookInputGroup.style.display = enabled ? 'block' : 'none';
+  await saveSettings({ webhookEnabled: enabled });
+});
+
+webhookPresetSelect.addEventListener('change', updateWebhookTemplateVisibility);
+
+// The template is only editable for the generic preset
+function updateWebhookTemplateVisibility() {
+  webhookTemplateGroup.style.display = webhookPresetSelect.value === 'generic' ? 'block' : 'none';
+}
+
+// Read webhook settings from the form, returning an error message if invalid
+function readWebhookForm() {
+  const config = {
+    webhookUrl: webhookUrlInput.value.trim(),
+    webhookPreset: webhookPresetSelect.value,
+    webhookTemplate: webhookTemplateInput.value.trim() || null,
+    webhookSecret: webhookSecretInput.value || null
+  };
+
+  let url;
+  try {
+    url = new URL(config.webhookUrl);
+  } catch (e) {
+    return { error: 'Please enter a valid webhook URL' };
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    return { error: 'Webhook URL must start with https://' };
+  }
+
+  if (config.webhookPreset === 'generic' && config.webhookTemplate) {
+    const templateError = validateTemplate(config.webhookTemplate);
+    if (templateError) {
+      return { error: `Template is not valid JSON: ${templateError}` };
+    }
+  }
+
+  return { config, origin: `${url.origin}/*` };
+}
+
+// Save webhook settings
+saveWebhookBtn.addEventListener('click', async () => {
+  const { config, origin, error } = readWebhookForm();
+  if (error) {
+    showSettingStatus(webhookInputGroup, error, 'error');
+    return;
+  }
+
+  // The service worker needs host access to post to the webhook
+  const granted = await chrome.permissions.request({ origins: [origin] });
+  if (!granted) {
+    showSettingStatus(webhookInputGroup, 'Permission to contact this URL was denied', 'error');
+    return;
+  }
+
+  await saveSettings(config);
+  showSettingStatus(webhookInputGroup, 'Webhook saved!', 'success');
+});
+
+// Test webhook
+testWebhookBtn.addEventListener('click', async () => {
+  const { config, origin, error } = readWebhookForm();
+  if (error) {
+    showSettingStatus(webhookInputGroup, error, 'error');
+    return;
+  }
+
+  const granted = await chrome.permissions.request({ origins: [origin] });
+  if (!granted) {
+    showSettingStatus(webhookInputGroup, 'Permission to contact this URL was denied', 'error');
+    return;
+  }
+
+  testWebhookBtn.disabled = true;
+  testWebhookBtn.textContent = 'Sending...';
+
+  chrome.runtime.sendMessage({ action: 'testChannel', channelId: 'webhook', config }, (response) => {
+    testWebhookBtn.disabled = false;
+    testWebhookBtn.textContent = 'Test';
+
+    if (response?.success) {
+      showSettingStatus(webhookInputGroup, 'Test webhook delivered!', 'success');
+    } else {
+      showSettingStatus(webhookInputGroup, `Failed to send: ${response?.error || 'unknown error'}`, 'error');
+    }
+    renderDeliveryLogs();
+  });
+});
+
+// Show the most recent deliveries under each channel's settings
+async function renderDeliveryLogs() {
+  const log = await getDeliveryLog();
+  const containers = {
+    email: document.getElementById('email-delivery-log'),
+    webhook: document.getElementById('webhook-delivery-log')
+  };
+
+  Object.entries(containers).forEach(([channel, container]) => {
+    const entries = log.filter(entry => entry.channel === channel).slice(0, 3);
+    if (entries.length === 0) {
+      container.innerHTML = '';
+      return;
+    }
+
+    container.innerHTML = '<div class="delivery-log-title">Recent deliveries</div>' + entries.map(entry => {
+      const when = formatDateTime(new Date(entry.timestamp));
+      const detail = entry.success ? (entry.test ? 'test' : entry.route) : (entry.error || `HTTP ${entry.status}`);
+      return `<div class="delivery-log-entry ${entry.success ? 'success' : 'error'}" title="${escapeHtml(detail)}">${when} — ${escapeHtml(detail)}</div>`;
+    }).join('');
+  });
+}
+
+// Show lifetime savings, savings per route, vouchers about to expire and each rebooking
+async function renderSavings() {
+  const entries = await getLedger();
+  const summary = summarizeLedger(entries);
+  const refundLabels = Object.fromEntries(REFUND_FORMS.map(({ key, label }) => [key, label]));
+
+  document.getElementById('savings-lifetime').textContent = `$${summary.lifetimeSavings.toFixed(2)}`;
+  document.getElementById('savings-lifetime-label').textContent =
+    `saved from ${summary.rebookings} rebooking${summary.rebookings === 1 ? '' : 's'}` +
+    (summary.totalFees > 0 ? ` after $${summary.totalFees.toFixed(2)} in fees` : '');
+  document.getElementById('savings-vouchers').textContent = `$${summary.openVoucherValue.toFixed(2)}`;
+
+  const expiring = document.getElementById('savings-expiring');
+  expiring.innerHTML = summary.expiringVouchers.length === 0 ? '' :
+    '<div class="delivery-log-title">Vouchers expiring soon</div>' + summary.expiringVouchers.map(entry => {
+      const when = entry.daysLeft === 0 ? 'today' : `in ${entry.daysLeft} day${entry.daysLeft === 1 ? '' : 's'}`;
+      return `
+        <div class="savings-row savings-expiring">
+          <span>$${voucherValue(entry).toFixed(2)} from ${escapeHtml(entry.origin)} → ${escapeHtml(entry.destination)}, expires ${when}</span>
+          <button class="btn-small btn-outline savings-mark-used" data-entry-id="${escapeHtml(entry.id)}">Mark used</button>
+        </div>
+      `;
+    }).join('');
+
+  document.getElementById('savings-routes').innerHTML = summary.byRoute.length === 0 ? '' :
+    '<div class="delivery-log-title">By route</div>' + summary.byRoute.map(route => `
+      <div class="savings-row">
+        <span>${escapeHtml(route.route)}</span>
+        <span>$${route.savings.toFixed(2)} · ${route.rebookings} rebooking${route.rebookings === 1 ? '' : 's'}</span>
+      </div>
+    `).join('');
+
+  document.getElementById('savings-entries').innerHTML = entries.length === 0
+    ? '<p class="empty-state">No rebookings yet. Mark a trip as rebooked when you change it to a lower fare.</p>'
+    : '<div class="delivery-log-title">Rebookings</div>' + entries.map(entry => {
+      const refund = refundLabels[entry.refundForm] || entry.refundForm;
+      const voucher = entry.refundForm === 'evoucher' && entry.voucherExpires
+        ? `, ${entry.voucherUsed ? 'used' : `expires ${formatDate(entry.voucherExpires)}`}`
+        : '';
+      const perPerson = entry.priceBasis === 'perPerson' ? '/person' : '';
+      const detail = `$${entry.previousPrice.toFixed(2)}${perPerson} → $${entry.newPrice.toFixed(2)}${perPerson}` +
+        (entry.fees > 0 ? `, $${entry.fees.toFixed(2)} fees` : '') + ` · ${refund}${voucher}`;
+      return `
+        <div class="savings-row" title="Recorded ${escapeHtml(formatDateTime(new Date(entry.recordedAt)))}">
+          <span>
+            ${escapeHtml(entry.origin)} → ${escapeHtml(entry.destination)}, ${formatDate(entry.travelDate)}${entry.trainNumber ? ` #${escapeHtml(entry.trainNumber)}` : ''}
+            <span class="savings-detail">${escapeHtml(detail)}</span>
+          </span>
+          <span class="savings-amount">$${entry.netSavings.toFixed(2)}</span>
+          <button class="btn-delete savings-delete" data-entry-id="${escapeHtml(entry.id)}" title="Remove from ledger">×</button>
+        </div>
+      `;
+    }).join('');
+
+  document.querySelectorAll('.savings-mark-used').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      const entry = entries.find(item => item.id === e.currentTarget.dataset.entryId);
+      await updateLedgerEntry({ ...entry, voucherUsed: true });
+      renderSavings();
+    });
+  });
+  document.querySelectorAll('.savings-delete').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      await deleteLedgerEntry(e.currentTarget.dataset.entryId);
+      renderSavings();
+    });
+  });
+}
+
+// Show trips that failed validation, with options to save or discard them
+async function renderQuarantine() {
+  const quarantine = await getQuarantine();
+  const group = document.getElementById('quarantine-group');
+  group.style.display = quarantine.length > 0 ? 'block' : 'none';
+  if (quarantine.length === 0) return;
+
+  document.getElementById('quarantine-summary').textContent =
+    `${quarantine.length} saved trip${quarantine.length === 1 ? '' : 's'} couldn't be read and ${quarantine.length === 1 ? 'was' : 'were'} set aside.`;
+  document.getElementById('quarantine-log').innerHTML = quarantine.slice(0, 3).map(({ trip, errors }) => {
+    const route = trip && trip.origin && trip.destination ? `${trip.origin} → ${trip.destination}` : 'Unknown trip';
+    const detail = `${route}: ${errors.join(', ')}`;
+    return `<div class="delivery-log-entry error" title="${escapeHtml(detail)}">${escapeHtml(detail)}</div>`;
+  }).join('');
+}
+
+document.getElementById('download-quarantine').addEventListener('click', async () => {
+  const quarantine = await getQuarantine();
+  downloadFile('amtrak-tracker-quarantine.json', JSON.stringify(quarantine, null, 2), 'application/json');
+});
+
+document.getElementById('discard-quarantine').addEventListener('click', async () => {
+  await clearQuarantine();
+  await renderQuarantine();
+});
+
+// Page selectors: overrides for the strategies in selectors.js
+const selectorsGroup = document.getElementById('selectors-group');
+const selectorOverridesInput = document.getElementById('selector-overrides');
+const selectorsImportInput = document.getElementById('selectors-import-file');
+const selectorReport = document.getElementById('selector-report');
+
+// Parse and check overrides JSON; an empty box means no overrides
+function parseSelectorOverrides(text) {
+  if (!text.trim()) return { overrides: null };
+
+  let overrides;
+  try {
+    overrides = JSON.parse(text);
+  } catch (error) {
+    return { error: `Not valid JSON: ${error.message}` };
+  }
+  const errors = validateSelectorOverrides(overrides, document);
+  return errors.length > 0 ? { error: errors[0] + (errors.length > 1 ? ` (+${errors.length - 1} more)` : '') } : { overrides };
+}
+
+async function saveSelectorOverrides(text) {
+  const { overrides, error } = parseSelectorOverrides(text);
+  if (error) {
+    showSettingStatus(selectorsGroup, error, 'error');
+    return false;
+  }
+  await saveSettings({ selectorOverrides: overrides });
+  selectorOverridesInput.value = overrides ? JSON.stringify(overrides, null, 2) : '';
+  showSettingStatus(selectorsGroup, overrides ? 'Selector overrides saved' : 'Using default selectors', 'success');
+  return true;
+}
+
+document.getElementById('save-selectors').addEventListener('click', () => {
+  saveSelectorOverrides(selectorOverridesInput.value);
+});
+
+// Fill the box with every default strategy as a starting point (not saved until Save)
+document.getElementById('load-default-selectors').addEventListener('click', () => {
+  selectorOverridesInput.value = JSON.stringify(defaultSelectorOverrides(), null, 2);
+});
+
+document.getElementById('export-selectors').addEventListener('click', async () => {
+  const settings = await getSettings();
+  const selectors = settings.selectorOverrides || defaultSelectorOverrides();
+  downloadFile(`amtrak-tracker-selectors-${todayString()}.json`, JSON.stringify(selectors, null, 2), 'application/json');
+});
+
+document.getElementById('choose-selectors-import').addEventListener('click', () => {
+  selectorsImportInput.value = '';
+  selectorsImportInput.click();
+});
+
+selectorsImportInput.addEventListener('change', async () => {
+  const file = selectorsImportInput.files[0];
+  if (!file) return;
+  await saveSelectorOverrides(await file.text());
+});
+
+// Run the saved selectors against the open Amtrak tab and list each concept's match
+document.getElementById('run-selector-test').addEventListener('click', async () => {
+  selectorReport.innerHTML = '<div class="delivery-log-entry">Testing…</div>';
+  const result = await chrome.runtime.sendMessage({ action: 'selectorSelfTest' });
+
+  if (!result || result.error) {
+    selectorReport.innerHTML = `<div class="delivery-log-entry error">${escapeHtml(result?.error || 'Self-test failed')}</div>`;
+    return;
+  }
+
+  // Concepts only appear on their own page, so say which page was tested
+  const onResults = /\/tickets\/|\/train-routes|\/search|\/book/.test(result.url);
+  const page = onResults ? 'results' : 'search';
+  const rows = result.report
+    .filter(entry => entry.page === page)
+    .map(entry => {
+      const tried = entry.strategies
+        .map(s => `${s.name}: ${s.error ? `invalid (${s.error})` : `${s.count} found`}`)
+        .join('\n');
+      const detail = entry.matched ? `${entry.label} — ${entry.matched}` : `${entry.label} — no strategy matched`;
+      return `<div class="delivery-log-entry ${entry.matched ? 'success' : 'error'}" title="${escapeHtml(tried)}">${escapeHtml(detail)}</div>`;
+    }).join('');
+
+  const matched = result.report.filter(entry => entry.page === page && entry.matched).length;
+  const total = result.report.filter(entry => entry.page === page).length;
+  selectorReport.innerHTML = `
+    <div class="delivery-log-title">${onResults ? 'Results page' : 'Search form'}: ${matched} of ${total} matched</div>
+    ${rows}`;
+});
+
+// Diagnostics: recorded check runs, newest first
+const diagnosticsRunSelect = document.getElementById('diagnostics-run');
+const diagnosticsView = document.getElementById('diagnostics-view');
+
+async function renderDiagnostics() {
+  const runs = await getRunLogs();
+  const selected = diagnosticsRunSelect.value;
+
+  if (runs.length === 0) {
+    diagnosticsRunSelect.innerHTML = '<option value="">No checks recorded yet</option>';
+    diagnosticsRunSelect.disabled = true;
+    diagnosticsView.innerHTML = '';
+    return;
+  }
+
+  diagnosticsRunSelect.disabled = false;
+  diagnosticsRunSelect.innerHTML = runs.map(run => {
+    const seconds = Math.round((run.durationMs || 0) / 1000);
+    const label = `${formatDateTime(new Date(run.startedAt))} — ${run.trigger}, ${run.trips.length} trip${run.trips.length === 1 ? '' : 's'}, ${seconds}s`;
+    return `<option value="${run.id}">${escapeHtml(label)}</option>`;
+  }).join('');
+  if (runs.some(run => run.id === selected)) {
+    diagnosticsRunSelect.value = selected;
+  }
+
+  renderDiagnosticsRun(runs.find(run => run.id === diagnosticsRunSelect.value) || runs[0]);
+}
+
+// Trip outcomes, then every step with its time into the run; hover a step for its details
+function renderDiagnosticsRun(run) {
+  const trips = run.trips.map(trip => {
+    const status = trip.outcome?.status === 'failed' ? 'error' : 'success';
+    const detail = `${trip.route} ${trip.travelDate}: ${describeOutcome(trip.outcome)}`;
+    return `<div class="delivery-log-entry ${status}" title="${escapeHtml(detail)}">${escapeHtml(detail)}</div>`;
+  }).join('');
+
+  const events = run.events.map(event => {
+    const details = event.data !== undefined ? JSON.stringify(event.data, null, 2) : '';
+    return `
+      <div class="diagnostics-event diagnostics-${event.kind}" title="${escapeHtml(details)}">
+        <span class="diagnostics-time">+${(event.at / 1000).toFixed(1)}s</span>
+        <span class="diagnostics-kind">${event.kind}</span>
+        <span class="diagnostics-message">${escapeHtml(event.message)}</span>
+      </div>`;
+  }).join('');
+
+  const dropped = run.droppedEvents > 0
+    ? `<div class="diagnostics-event">${run.droppedEvents} more steps not recorded</div>`
+    : '';
+
+  diagnosticsView.innerHTML = `
+    <div class="delivery-log">${trips}</div>
+    <div class="diagnostics-events">${events}${dropped}</div>`;
+}
+
+diagnosticsRunSelect.addEventListener('change', renderDiagnostics);
+
+document.getElementById('export-diagnostics').addEventListener('click', async () => {
+  const runs = await getRunLogs();
+  const data = buildDiagnosticsExport(runs, { version: chrome.runtime.getManifest().version });
+  downloadFile(`amtrak-tracker-diagnostics-${todayString()}.json`, JSON.stringify(data, null, 2), 'application/json');
+});
+
+document.getElementById('clear-diagnostics').addEventListener('click', async () => {
+  await clearRunLogs();
+  await renderDiagnostics();
+});
+
+// Backup and restore
+const backupGroup = document.getElementById('backup-group');
+const importFileInput = document.getElementById('import-file');
+const importOptions = document.getElementById('import-options');
+const importModeSelect = document.getElementById('import-mode');
+const importConflictSelect = document.getElementById('import-conflict');
+let pendingImport = null;
+
+importConflictSelect.innerHTML = Object.entries(CONFLICT_STRATEGIES)
+  .map(([value, label]) => `<option value="${value}">${label}</option>`)
+  .join('');
+
+document.getElementById('export-backup').addEventListener('click', async () => {
+  const data = await exportData();
+  downloadFile(`amtrak-tracker-backup-${todayString()}.json`, JSON.stringify(data, null, 2), 'application/json');
+});
+
+document.getElementById('export-csv').addEventListener('click', async () => {
+  const trips = await getTrips();
+  if (!trips.some(trip => trip.priceHistory?.length > 0)) {
+    showSettingStatus(backupGroup, 'No price history to export yet', 'error');
+    return;
+  }
+  downloadFile(`amtrak-tracker-price-history-${todayString()}.csv`, priceHistoryToCsv(trips), 'text/csv');
+});
+
+document.getElementById('choose-import').addEventListener('click', () => {
+  importFileInput.value = '';
+  importFileInput.click();
+});
+
+importFileInput.addEventListener('change', async () => {
+  const file = importFileInput.files[0];
+  if (!file) return;
+
+  const { data, error } = parseBackup(await file.text());
+  if (error) {
+    hideImportOptions();
+    showSettingStatus(backupGroup, error, 'error');
+    return;
+  }
+
+  pendingImport = data;
+  const { total, added, conflicts } = summarizeImport(await getTrips(), data.trips);
+  const exportedAt = data.exportedAt ? ` from ${formatDateTime(new Date(data.exportedAt))}` : '';
+  document.getElementById('import-summary').textContent =
+    `Backup${exportedAt}: ${total} trip${total === 1 ? '' : 's'}, ${added} new, ${conflicts} already tracked.`;
+  importModeSelect.value = 'merge';
+  updateImportConflictVisibility();
+  importOptions.style.display = 'block';
+});
+
+importModeSelect.addEventListener('change', updateImportConflictVisibility);
+
+function updateImportConflictVisibility() {
+  document.getElementById('import-conflict-group').style.display = importModeSelect.value === 'merge' ? 'block' : 'none';
+}
+
+function hideImportOptions() {
+  pendingImport = null;
+  importOptions.style.display = 'none';
+}
+
+document.getElementById('cancel-import').addEventListener('click', hideImportOptions);
+
+document.getElementById('confirm-import').addEventListener('click', async () => {
+  if (!pendingImport) return;
+
+  const mode = importModeSelect.value;
+  try {
+    const { imported, quarantined, ledgerSkipped } = await importData(pendingImport, {
+      mode,
+      conflict: importConflictSelect.value
+    });
+    // Imported trips and settings change when the next check is due
+    chrome.runtime.sendMessage({ action: 'updateAlarmInterval' });
+    hideImportOptions();
+    await loadTrips();
+    await loadSettings();
+    let skipped = quarantined > 0 ? `, ${quarantined} set aside as invalid` : '';
+    if (ledgerSkipped > 0) {
+      skipped += `, ${ledgerSkipped} savings entr${ledgerSkipped === 1 ? 'y' : 'ies'} skipped as invalid`;
+    }
+    showSettingStatus(backupGroup, `Imported ${imported} trip${imported === 1 ? '' : 's'}${skipped}`, 'success');
+  } catch (error) {
+    showSettingStatus(backupGroup, error.message, 'error');
+  }
+});
+
+// Save text content as a file download
+function downloadFile(filename, content, type) {
+  const blob = new Blob([content], { type });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+function todayString(now = new Date()) {
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+}
+
 function isValidEmail(email) {
   return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
 }
 
-function showEmailStatus(message, type) {
-  let statusEl = document.querySelector('.email-status');
+function showSettingStatus(group, message, type) {
+  let statusEl = group.querySelector('.setting-status');
   if (!statusEl) {
     statusEl = document.createElement('div');
-    statusEl.className = 'email-status';
-    emailInputGroup.appendChild(statusEl);
+    statusEl.className = 'setting-status';
+    group.appendChild(statusEl);
   }
   statusEl.textContent = message;
-  statusEl.className = `email-status ${type}`;
+  statusEl.className = `setting-status ${type}`;
   setTimeout(() => { statusEl.textContent = ''; }, 3000);
 }
 
@@ -365,6 +1626,9 @@ modalCancel.addEventListener('click', hideDeleteConfirmation);
 
 modalConfirm.addEventListener('click', async () => {
   if (pendingDeleteTripId) {
+    if (pendingDeleteTripId === editingTripId) {
+      exitEditMode();
+    }
     await deleteTrip(pendingDeleteTripId);
     hideDeleteConfirmation();
     await loadTrips();
@@ -378,19 +1642,280 @@ deleteModal.addEventListener('click', (e) => {
   }
 });
 
+// "I booked it" dialog: record what was paid and turn the watch into a tracked trip
+const bookedModal = document.getElementById('booked-modal');
+const bookedModalMessage = document.getElementById('booked-modal-message');
+const bookedPriceInput = document.getElementById('booked-price');
+const bookedBasisSelect = document.getElementById('booked-basis');
+let pendingBookedTripId = null;
+
+async function showBookedDialog(tripId) {
+  const trip = await getTrip(tripId);
+  if (!trip) return;
+
+  pendingBookedTripId = tripId;
+  const day = trip.type === 'range' ? trip.cheapestDay : null;
+  const date = formatDate(day ? day.date : trip.travelDate);
+  const train = day?.trainNumber ? `, Train #${day.trainNumber}` : '';
+  bookedModalMessage.textContent = `Booked ${trip.origin} → ${trip.destination} on ${date}${train}?`;
+  const price = day ? day.price : trip.currentPrice;
+  bookedPriceInput.value = price !== null && price !== undefined ? price.toFixed(2) : '';
+  bookedBasisSelect.value = trip.priceBasis || 'total';
+  bookedModal.style.display = 'flex';
+  bookedPriceInput.focus();
+}
+
+function hideBookedDialog() {
+  bookedModal.style.display = 'none';
+  pendingBookedTripId = null;
+}
+
+document.getElementById('booked-cancel').addEventListener('click', hideBookedDialog);
+
+document.getElementById('booked-confirm').addEventListener('click', async () => {
+  const pricePaid = parseFloat(bookedPriceInput.value);
+  if (!Number.isFinite(pricePaid) || pricePaid < 0) {
+    bookedPriceInput.focus();
+    return;
+  }
+
+  const trip = pendingBookedTripId ? await getTrip(pendingBookedTripId) : null;
+  hideBookedDialog();
+  if (!trip) return;
+
+  if (trip.id === editingTripId) {
+    exitEditMode();
+  }
+  await updateTrip(convertToBooked(trip, { pricePaid, priceBasis: bookedBasisSelect.value }));
+  await loadTrips();
+
+  // A date range watch now tracks a single train, so price it
+  if (trip.type === 'range') {
+    chrome.runtime.sendMessage({ action: 'checkPrices', tripIds: [trip.id] });
+  }
+});
+
+bookedModal.addEventListener('click', (e) => {
+  if (e.target === bookedModal) {
+    hideBookedDialog();
+  }
+});
+
+// "I rebooked" dialog: record the new fare as what was paid
+const rebookModal = document.getElementById('rebook-modal');
+const rebookModalMessage = document.getElementById('rebook-modal-message');
+const rebookPriceLabel = document.getElementById('rebook-price-label');
+const rebookPriceInput = document.getElementById('rebook-price');
+const rebookFeesInput = document.getElementById('rebook-fees');
+const rebookRefundFormSelect = document.getElementById('rebook-refund-form');
+const rebookVoucherGroup = document.getElementById('rebook-voucher-group');
+const rebookVoucherExpiresInput = document.getElementById('rebook-voucher-expires');
+const rebookSavings = document.getElementById('rebook-savings');
+let pendingRebook = null;
+
+rebookRefundFormSelect.innerHTML = REFUND_FORMS.map(({ key, label }) => `<option value="${key}">${label}</option>`).join('');
+
+async function showRebookDialog(tripId, { closeWindow = false } = {}) {
+  const trip = await getTrip(tripId);
+  if (!trip || isWatch(trip)) {
+    if (closeWindow) window.close();
+    return;
+  }
+
+  pendingRebook = { trip, closeWindow };
+  const train = trip.trainNumber ? `, Train #${trip.trainNumber}` : '';
+  rebookModalMessage.textContent = `Rebooked ${trip.origin} → ${trip.destination} on ${formatDate(trip.travelDate)}${train}? You paid $${trip.pricePaid.toFixed(2)}.`;
+  rebookPriceLabel.textContent = `New Price Paid ($${trip.priceBasis === 'perPerson' ? ', per person' : ''})`;
+  rebookPriceInput.value = trip.currentPrice !== null && trip.currentPrice !== undefined ? trip.currentPrice.toFixed(2) : '';
+  rebookFeesInput.value = '0';
+  rebookRefundFormSelect.value = 'evoucher';
+  // Amtrak eVouchers are usually good for a year from issue
+  const expires = new Date();
+  expires.setFullYear(expires.getFullYear() + 1);
+  rebookVoucherExpiresInput.value = todayString(expires);
+  updateRebookVoucherVisibility();
+  updateRebookSavings();
+  rebookModal.style.display = 'flex';
+  rebookPriceInput.focus();
+}
+
+function updateRebookVoucherVisibility() {
+  rebookVoucherGroup.style.display = rebookRefundFormSelect.value === 'evoucher' ? 'block' : 'none';
+}
+
+function updateRebookSavings() {
+  const price = parseFloat(rebookPriceInput.value);
+  const fees = parseFloat(rebookFeesInput.value) || 0;
+  const savings = pendingRebook && Number.isFinite(price)
+    ? createLedgerEntry(pendingRebook.trip, { newPrice: price, fees }).netSavings
+    : null;
+  rebookSavings.textContent = savings !== null && savings > 0 ? `Saves $${savings.toFixed(2)}` : '';
+  rebookSavings.classList.toggle('rebook-no-savings', savings === null || savings <= 0);
+}
+
+function hideRebookDialog() {
+  rebookModal.style.display = 'none';
+  const closeWindow = pendingRebook?.closeWindow;
+  pendingRebook = null;
+  if (closeWindow) window.close();
+}
+
+rebookPriceInput.addEventListener('input', updateRebookSavings);
+rebookFeesInput.addEventListener('input', updateRebookSavings);
+rebookRefundFormSelect.addEventListener('change', updateRebookVoucherVisibility);
+document.getElementById('rebook-cancel').addEventListener('click', hideRebookDialog);
+
+document.getElementById('rebook-confirm').addEventListener('click', async () => {
+  if (!pendingRebook) return;
+  const rebooking = {
+    newPrice: parseFloat(rebookPriceInput.value),
+    refundForm: rebookRefundFormSelect.value,
+    voucherExpires: rebookRefundFormSelect.value === 'evoucher' ? rebookVoucherExpiresInput.value || null : null,
+    fees: rebookFeesInput.value === '' ? 0 : parseFloat(rebookFeesInput.value)
+  };
+  const error = validateRebooking(rebooking);
+  if (error) {
+    rebookSavings.textContent = error;
+    rebookSavings.classList.add('rebook-no-savings');
+    return;
+  }
+
+  // Re-read in case a check updated the trip while the dialog was open
+  const trip = await getTrip(pendingRebook.trip.id);
+  if (trip) {
+    // The ledger keeps the rebooking even if the trip is later edited or removed
+    await addLedgerEntry(createLedgerEntry(trip, rebooking));
+    await updateTrip(applyRebooking(trip, rebooking));
+    await loadTrips();
+    renderSavings();
+  }
+  hideRebookDialog();
+});
+
+rebookModal.addEventListener('click', (e) => {
+  if (e.target === rebookModal) {
+    hideRebookDialog();
+  }
+});
+
 // Check prices now button
 checkNowBtn.addEventListener('click', async () => {
   checkNowBtn.disabled = true;
   checkNowBtn.innerHTML = '<span class="spinner"></span> Checking...';
 
   chrome.runtime.sendMessage({ action: 'checkPrices' }, async (response) => {
-    checkNowBtn.disabled = false;
-    checkNowBtn.textContent = 'Check Prices Now';
     await loadTrips();
     updateLastChecked();
+    // Also answers straight away when a run was already going
+    if (!checkProgress || checkProgress.status === 'running') {
+      refreshCheckProgress();
+    }
   });
 });
 
+cancelCheckBtn.addEventListener('click', () => {
+  cancelCheckBtn.disabled = true;
+  cancelCheckBtn.textContent = 'Cancelling...';
+  chrome.runtime.sendMessage({ action: 'cancelCheck' });
+});
+
+// Progress of the running check, as last sent by the background (see progress.js)
+let checkProgress = null;
+let checkProgressTimer = null;
+
+const PROGRESS_STATUS_LABELS = {
+  pending: 'Waiting',
+  checking: 'Checking',
+  done: 'Done',
+  failed: 'Failed',
+  skipped: 'Skipped',
+  cancelled: 'Cancelled'
+};
+
+// Ask the background for the running check, e.g. when the popup reopens mid-run
+function refreshCheckProgress() {
+  chrome.runtime.sendMessage({ action: 'getCheckProgress' }, (response) => {
+    renderCheckProgress(response?.progress || null);
+  });
+}
+
+// Show the running check's progress bar, trips and Cancel button
+function renderCheckProgress(progress) {
+  checkProgress = progress;
+  const running = progress?.status === 'running';
+
+  checkNowBtn.disabled = running;
+  if (running) {
+    checkNowBtn.innerHTML = '<span class="spinner"></span> Checking...';
+  } else {
+    checkNowBtn.textContent = 'Check Prices Now';
+  }
+
+  // Tick the elapsed time while a run is going
+  if (running && !checkProgressTimer) {
+    checkProgressTimer = setInterval(() => renderCheckProgress(checkProgress), 1000);
+  } else if (!running && checkProgressTimer) {
+    clearInterval(checkProgressTimer);
+    checkProgressTimer = null;
+  }
+
+  if (!progress) {
+    checkProgressPanel.style.display = 'none';
+    return;
+  }
+
+  const summary = summarizeProgress(progress);
+  const checked = progress.trips.filter(t => t.status === 'done' || t.status === 'failed').length;
+  const current = progress.trips.find(t => t.tripId === progress.currentTripId);
+
+  checkProgressPanel.style.display = 'block';
+  if (running) {
+    checkProgressLabel.textContent = `${progress.trigger === 'scheduled' ? 'Scheduled check' : 'Checking'}: ${summary.done} of ${summary.total} trips`;
+  } else if (progress.status === 'cancelled') {
+    checkProgressLabel.textContent = `Cancelled after ${checked} of ${summary.total} trips`;
+  } else {
+    checkProgressLabel.textContent = `Checked ${checked} of ${summary.total} trips`;
+  }
+  checkProgressElapsed.textContent = formatElapsed(summary.elapsedMs);
+  checkProgressFill.style.width = `${summary.percent}%`;
+  checkProgressStep.textContent = running
+    ? `${current ? `${current.route}: ` : ''}${progress.step}${summary.tripElapsedMs !== null ? ` (${formatElapsed(summary.tripElapsedMs)})` : ''}`
+    : '';
+
+  checkProgressTrips.innerHTML = progress.trips.map(t => `
+    <li class="check-progress-trip progress-${t.status}">
+      <span>${escapeHtml(t.route)} · ${formatDate(t.travelDate)}${t.trainNumber ? ` · #${escapeHtml(t.trainNumber)}` : ''}</span>
+      <span class="check-progress-detail">${escapeHtml(t.detail || PROGRESS_STATUS_LABELS[t.status] || t.status)}</span>
+    </li>
+  `).join('');
+
+  cancelCheckBtn.style.display = running ? 'block' : 'none';
+  cancelCheckBtn.disabled = running && progress.cancelRequested;
+  cancelCheckBtn.textContent = running && progress.cancelRequested ? 'Cancelling...' : 'Cancel';
+
+  // Leave the final state up briefly, then hide it
+  if (!running) {
+    setTimeout(() => {
+      if (checkProgress === progress) renderCheckProgress(null);
+    }, 5000);
+  }
+}
+
+// Snoozed alerts and rebookings, shown under a trip's prices
+function createTripNotes(trip) {
+  const notes = [];
+  if (isSnoozed(trip)) {
+    notes.push(`🔕 Alerts snoozed until ${formatDateTime(new Date(trip.snoozedUntil))}`);
+  }
+  const rebookings = trip.rebookings || [];
+  if (rebookings.length > 0) {
+    notes.push(`Rebooked ${rebookings.length === 1 ? 'once' : `${rebookings.length} times`}, saved $${totalRebookingSavings(trip).toFixed(2)}`);
+  }
+  return notes.length > 0
+    ? `<div class="trip-notes">${notes.map(note => `<span>${escapeHtml(note)}</span>`).join('')}</div>`
+    : '';
+}
+
 // Update last checked timestamp
 async function updateLastChecked() {
   const settings = await getSettings();
@@ -400,6 +1925,9 @@ async function updateLastChecked() {
     if (settings.lastCheckStatus === 'error') {
       lastCheckedSpan.textContent = `Last attempted check: ${timeStr}, no data found`;
       lastCheckedSpan.title = settings.lastCheckError || 'Amtrak returned an error';
+    } else if (settings.lastCheckStatus === 'cancelled') {
+      lastCheckedSpan.textContent = `Last attempted check: ${timeStr}, cancelled`;
+      lastCheckedSpan.title = 'The check was cancelled before every trip was checked';
     } else if (settings.lastCheckStatus === 'no_data') {
       lastCheckedSpan.textContent = `Last attempted check: ${timeStr}, no data found`;
       lastCheckedSpan.title = 'Price check ran but no prices were returned';
@@ -437,6 +1965,12 @@ function formatTime(timeString) {
   });
 }
 
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
 function formatDateTime(date) {
   return date.toLocaleString('en-US', {
     month: 'short',
@@ -452,6 +1986,12 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     loadTrips();
     updateLastChecked();
   }
+  if (message.action === 'runLogged') {
+    renderDiagnostics();
+  }
+  if (message.action === 'checkProgress') {
+    renderCheckProgress(message.progress);
+  }
 });
 
 // Draw all price history charts
@@ -469,7 +2009,7 @@ function drawAllCharts() {
       history = [];
     }
 
-    drawPriceChart(canvas, history, paidPrice);
+    drawChartView(canvas, history, paidPrice, canvas.dataset.view || 'tracked');
 
     // Add hover listeners for tooltips (only if not already set up)
     if (!canvas._hoverSetup) {
@@ -479,6 +2019,113 @@ function drawAllCharts() {
   });
 }
 
+// Colors for each class when overlaid on one chart
+const CLASS_CHART_COLORS = {
+  coach: '#2e86c1',
+  business: '#8e44ad',
+  first: '#d68910'
+};
+
+// Draw a chart for the tracked fare, a single class, or all classes overlaid
+function drawChartView(canvas, history, paidPrice, view) {
+  const legend = canvas.closest('.trip-card-chart')?.querySelector('.legend-classes');
+  if (legend) legend.innerHTML = '';
+
+  if (view === 'all') {
+    drawClassOverlayChart(canvas, history, paidPrice);
+    if (legend) {
+      legend.innerHTML = TICKET_CLASSES
+        .filter(({ key }) => history.some(entry => entry.classPrices?.[key] !== undefined))
+        .map(({ key, label }) => `<span style="color: ${CLASS_CHART_COLORS[key]}">● ${label}</span>`)
+        .join(' ');
+    }
+    return;
+  }
+
+  if (view !== 'tracked') {
+    history = history
+      .filter(entry => entry.classPrices?.[view] !== undefined)
+      .map(entry => ({ price: entry.classPrices[view], timestamp: entry.timestamp }));
+  }
+  drawPriceChart(canvas, history, paidPrice);
+}
+
+// Draw every class's price history as its own line
+function drawClassOverlayChart(canvas, history, paidPrice) {
+  const ctx = canvas.getContext('2d');
+  const width = canvas.offsetWidth || 300;
+  const height = canvas.offsetHeight || 80;
+
+  const dpr = window.devicePixelRatio || 1;
+  canvas.width = width * dpr;
+  canvas.height = height * dpr;
+  ctx.scale(dpr, dpr);
+  ctx.clearRect(0, 0, width, height);
+
+  const entries = history.filter(entry => entry.classPrices);
+  const series = TICKET_CLASSES
+    .filter(({ key }) => entries.some(entry => entry.classPrices[key] !== undefined))
+    .map(({ key, label }) => ({ key, label, color: CLASS_CHART_COLORS[key] }));
+
+  const allPrices = entries.flatMap(entry => Object.values(entry.classPrices));
+  const minPrice = Math.min(...allPrices, paidPrice) * 0.95;
+  const maxPrice = Math.max(...allPrices, paidPrice) * 1.05;
+  const priceRange = maxPrice - minPrice || 1;
+
+  const padding = { top: 10, right: 10, bottom: 20, left: 10 };
+  const chartWidth = width - padding.left - padding.right;
+  const chartHeight = height - padding.top - padding.bottom;
+  const priceToY = (price) => padding.top + chartHeight - ((price - minPrice) / priceRange) * chartHeight;
+  const indexToX = (i) => padding.left + (i / (entries.length - 1 || 1)) * chartWidth;
+
+  // Paid price line (dashed)
+  ctx.beginPath();
+  ctx.strokeStyle = '#1a5276';
+  ctx.setLineDash([4, 4]);
+  ctx.lineWidth = 1;
+  ctx.moveTo(padding.left, priceToY(paidPrice));
+  ctx.lineTo(width - padding.right, priceToY(paidPrice));
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  const dotData = [];
+
+  series.forEach(({ key, label, color }) => {
+    ctx.beginPath();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.5;
+    ctx.lineJoin = 'round';
+    let started = false;
+
+    entries.forEach((entry, i) => {
+      const price = entry.classPrices[key];
+      if (price === undefined) {
+        started = false;
+        return;
+      }
+      const x = indexToX(i);
+      const y = priceToY(price);
+      if (started) {
+        ctx.lineTo(x, y);
+      } else {
+        ctx.moveTo(x, y);
+        started = true;
+      }
+      dotData.push({ x, y, price, label, timestamp: entry.timestamp });
+    });
+    ctx.stroke();
+
+    ctx.fillStyle = color;
+    dotData.filter(dot => dot.label === label).forEach(dot => {
+      ctx.beginPath();
+      ctx.arc(dot.x, dot.y, 2.5, 0, Math.PI * 2);
+      ctx.fill();
+    });
+  });
+
+  canvas._dotData = dotData;
+}
+
 // Setup hover tooltip for a chart
 function setupChartHover(canvas) {
   let tooltip = null;
@@ -516,7 +2163,8 @@ function setupChartHover(canvas) {
       const dateStr = date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
       const timeStr = date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
 
-      tooltip.innerHTML = `<strong>$${closestDot.price.toFixed(2)}</strong><br>${dateStr} ${timeStr}`;
+      const label = closestDot.label ? ` ${closestDot.label}` : '';
+      tooltip.innerHTML = `<strong>$${closestDot.price.toFixed(2)}</strong>${label}<br>${dateStr} ${timeStr}`;
       tooltip.style.display = 'block';
 
       // Position tooltip to the left if near the right edge
@@ -0,0 +1,187 @@
+/**
+ * Check run progress
+ *
+ * Live state of the price check in progress, sent to the popup each time it
+ * changes so it can show which trip is being checked, the current step and
+ * how long the run has taken. A progress record holds:
+ *   - trips: one entry per trip in the run with its status ('pending',
+ *     'checking', 'done', 'failed', 'skipped' or 'cancelled') and a detail
+ *     (price found, error or skip reason)
+ *   - step: what the run is doing right now
+ *   - cancelRequested: set by the popup's Cancel button; providers and
+ *     checkAllPrices stop at the next step once it's set
+ *
+ * Like diagnostics.js, the active run lives here since only one runs at a
+ * time, and providers update it without it being passed around.
+ */
+
+export const TRIP_PROGRESS_STATUSES = ['pending', 'checking', 'done', 'failed', 'skipped', 'cancelled'];
+
+let activeProgress = null;
+let progressListener = null;
+
+/**
+ * Call a function with a copy of the progress on every change
+ * @param {Function|null} listener - (progress) => void
+ */
+export function setProgressListener(listener) {
+  progressListener = listener;
+}
+
+function notify() {
+  if (progressListener && activeProgress) {
+    progressListener(structuredClone(activeProgress));
+  }
+}
+
+/**
+ * Start tracking a run
+ * @param {Array} trips - Trips the run will check, in order
+ * @param {string} trigger - 'scheduled' or 'manual'
+ * @param {Date} [now=new Date()]
+ * @returns {Object} The progress
+ */
+export function startProgress(trips, trigger, now = new Date()) {
+  activeProgress = {
+    trigger,
+    status: 'running',
+    startedAt: now.toISOString(),
+    finishedAt: null,
+    step: 'Starting',
+    currentTripId: null,
+    cancelRequested: false,
+    trips: trips.map(trip => ({
+      tripId: trip.id,
+      route: `${trip.origin}→${trip.destination}`,
+      travelDate: trip.travelDate,
+      trainNumber: trip.trainNumber || null,
+      status: 'pending',
+      detail: null,
+      startedAt: null,
+      finishedAt: null
+    }))
+  };
+  notify();
+  return activeProgress;
+}
+
+/**
+ * Current progress, or null when no run is active
+ * @returns {Object|null} A copy of the progress
+ */
+export function getProgress() {
+  return activeProgress ? structuredClone(activeProgress) : null;
+}
+
+/**
+ * Describe what the run is doing now
+ * @param {string} step - e.g. "Filling in the search form"
+ */
+export function setProgressStep(step) {
+  if (!activeProgress || activeProgress.step === step) return;
+  activeProgress.step = step;
+  notify();
+}
+
+/**
+ * Update one trip's status
+ * @param {string} tripId
+ * @param {string} status - One of TRIP_PROGRESS_STATUSES
+ * @param {string} [detail] - Price found, error or skip reason
+ * @param {Date} [now=new Date()]
+ */
+export function setTripProgress(tripId, status, detail = null, now = new Date()) {
+  const entry = activeProgress?.trips.find(t => t.tripId === tripId);
+  if (!entry) return;
+
+  // Date ranges report each day while checking; keep the trip's start time
+  if (status === 'checking' && entry.status !== 'checking') {
+    entry.startedAt = now.toISOString();
+  }
+  entry.status = status;
+  entry.detail = detail;
+  if (status === 'checking') {
+    activeProgress.currentTripId = tripId;
+  } else if (status !== 'pending') {
+    entry.finishedAt = now.toISOString();
+    if (activeProgress.currentTripId === tripId) activeProgress.currentTripId = null;
+  }
+  notify();
+}
+
+/**
+ * Ask the active run to stop at its next step
+ * @returns {boolean} False if no run is active
+ */
+export function requestCancel() {
+  if (!activeProgress) return false;
+  if (!activeProgress.cancelRequested) {
+    activeProgress.cancelRequested = true;
+    activeProgress.step = 'Cancelling';
+    notify();
+  }
+  return true;
+}
+
+/**
+ * Whether the active run has been asked to stop
+ * @returns {boolean}
+ */
+export function isCancelRequested() {
+  return !!activeProgress?.cancelRequested;
+}
+
+/**
+ * Stop tracking the run; trips not yet finished are marked cancelled or skipped
+ * @param {string} status - 'success', 'error', 'no_data', 'idle' or 'cancelled'
+ * @param {Date} [now=new Date()]
+ * @returns {Object|null} The finished progress, or null if none was active
+ */
+export function finishProgress(status, now = new Date()) {
+  if (!activeProgress) return null;
+  const progress = activeProgress;
+  progress.trips
+    .filter(t => t.status === 'pending' || t.status === 'checking')
+    .forEach(t => {
+      t.status = status === 'cancelled' ? 'cancelled' : 'skipped';
+      t.finishedAt = now.toISOString();
+    });
+  progress.status = status;
+  progress.step = status === 'cancelled' ? 'Cancelled' : 'Finished';
+  progress.currentTripId = null;
+  progress.finishedAt = now.toISOString();
+  notify();
+  activeProgress = null;
+  return progress;
+}
+
+/**
+ * Counts and timing for a progress bar
+ * @param {Object} progress
+ * @param {Date} [now=new Date()]
+ * @returns {Object} { done, total, percent, elapsedMs, tripElapsedMs }
+ */
+export function summarizeProgress(progress, now = new Date()) {
+  const total = progress.trips.length;
+  const done = progress.trips.filter(t => t.status !== 'pending' && t.status !== 'checking').length;
+  const end = progress.finishedAt ? Date.parse(progress.finishedAt) : now.getTime();
+  const current = progress.trips.find(t => t.tripId === progress.currentTripId);
+
+  return {
+    done,
+    total,
+    percent: total > 0 ? Math.round((done / total) * 100) : 100,
+    elapsedMs: end - Date.parse(progress.startedAt),
+    tripElapsedMs: current?.startedAt ? end - Date.parse(current.startedAt) : null
+  };
+}
+
+/**
+ * Format a duration as m:ss
+ * @param {number} ms
+ * @returns {string} e.g. "2:05"
+ */
+export function formatElapsed(ms) {
+  const seconds = Math.max(0, Math.floor(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
@@ -0,0 +1,162 @@
+/**
+ * Price providers
+ *
+ * A provider fetches Amtrak search results for a trip. Every provider
+ * implements the same interface:
+ *   id                           - key used in settings.priceProviders
+ *   label                        - name shown in logs and settings
+ *   fetchResults(trip, settings) - resolves to the scraper's result shape
+ *                                  { prices, trains, trainPrice } or a
+ *                                  classified failure { error, errorText }
+ *                                  (see errors.js)
+ *
+ * fetchPrice() retries transient failures with backoff, then falls back to
+ * the next provider in the configured order. fetchSharedPrices() does the
+ * same for a group of trips answered by one search.
+ */
+
+import { tabProvider } from './tab-provider.js';
+import { directProvider } from './direct-provider.js';
+import { countPassengers } from './passengers.js';
+import { failure, isFailure, withRetries, formatFailureType } from './errors.js';
+import { logRunEvent, summarizeTrains } from './diagnostics.js';
+import { isCancelRequested } from './progress.js';
+import { buildSharedSearch, resultsForTrip } from './searches.js';
+
+export const PROVIDERS = {
+  [tabProvider.id]: tabProvider,
+  [directProvider.id]: directProvider
+};
+
+export const DEFAULT_PROVIDER_ORDER = ['tab'];
+
+/**
+ * Fetch the current price for a trip using the configured providers
+ * @param {Object} trip - Trip to price
+ * @param {Object} settings - Extension settings
+ * @param {Object} [retryOptions] - Passed to withRetries
+ * @returns {Promise<Object>} { price, trainFound, trains, provider }, or the
+ *   last provider's failure { error, errorText, attempts }
+ */
+export async function fetchPrice(trip, settings, retryOptions) {
+  const prices = await fetchSharedPrices([trip], settings, retryOptions);
+  return prices.get(trip.id);
+}
+
+/**
+ * Price several trips with one search (see searches.js)
+ * All trips must share a search key. A failed or cancelled search fails
+ * every trip.
+ * @param {Array} trips - Trips to price
+ * @param {Object} settings - Extension settings
+ * @param {Object} [retryOptions] - Passed to withRetries
+ * @returns {Promise<Map>} Trip id → fetchPrice result
+ */
+export async function fetchSharedPrices(trips, settings, retryOptions) {
+  const search = buildSharedSearch(trips);
+  const order = (settings.priceProviders || DEFAULT_PROVIDER_ORDER).filter(id => PROVIDERS[id]);
+  let lastFailure = failure('unknown', 'No price providers configured');
+
+  for (const providerId of order) {
+    const provider = PROVIDERS[providerId];
+    if (isCancelRequested()) {
+      lastFailure = failure('cancelled', 'Check cancelled');
+      break;
+    }
+
+    const results = await withRetries(async (attempt) => {
+      console.log(`Fetching price for ${search.origin}→${search.destination} via ${provider.label} provider...`);
+      logRunEvent('step', `${provider.label} provider, attempt ${attempt}`, {
+        travelDate: search.travelDate,
+        trainNumber: search.trainNumber || null,
+        ...(trips.length > 1 ? { trainNumbers: search.trainNumbers } : {})
+      });
+      const results = await provider.fetchResults(search, settings);
+      if (isFailure(results)) return results || failure('unknown', 'Provider returned nothing');
+      return resultsFailure(search, results) || results;
+    }, retryOptions);
+
+    if (!isFailure(results)) {
+      logTrains(results.trains);
+      const prices = new Map();
+      for (const trip of trips) {
+        const result = summarizeResults(trip, resultsForTrip(trip, results, search));
+        if (!isFailure(result)) {
+          logRunEvent('results', `${provider.label} provider found $${result.price}${result.trainFound ? '' : ' (train not found)'}` +
+            `${trips.length > 1 ? ` for train #${trip.trainNumber || 'any'}` : ''}`, {
+            price: result.price,
+            trainFound: result.trainFound,
+            trains: summarizeTrains(result.trains)
+          });
+        }
+        prices.set(trip.id, isFailure(result) ? result : { ...result, provider: providerId });
+      }
+      return prices;
+    }
+
+    lastFailure = results;
+    // A cancelled run doesn't fall back to the next provider
+    if (results.error === 'cancelled') break;
+    console.log(`${provider.label} provider failed: ${formatFailureType(results.error)}` +
+      `${results.errorText ? ` (${results.errorText})` : ''}${order.length > 1 ? ', trying next provider' : ''}`);
+    logRunEvent('error', `${provider.label} provider failed: ${formatFailureType(results.error)}`, results);
+  }
+
+  return new Map(trips.map(trip => [trip.id, lastFailure]));
+}
+
+// Log every train a search found
+function logTrains(trains) {
+  if (!trains || trains.length === 0) return;
+  console.log('=== All Trains Found ===');
+  trains.forEach(train => {
+    const priceList = train.prices.map(p => {
+      const fareLabel = p.fareType && p.fareType !== 'standard' ? ` (${p.fareType})` : '';
+      return p.className ? `${p.className}${fareLabel}: $${p.price}` : `$${p.price}`;
+    }).join(', ');
+    console.log(`  Train #${train.trainNumber}: ${priceList}`);
+  });
+  console.log('========================');
+}
+
+// Turn a provider's raw results into the price for this trip
+function summarizeResults(trip, result) {
+  // If we found a specific train match, use that price
+  if (result?.trainPrice !== undefined && result.trainPrice !== null) {
+    console.log(`Found price for train #${trip.trainNumber}: $${result.trainPrice}`);
+    return { price: result.trainPrice, trainFound: true, trains: result.trains || [] };
+  }
+
+  // Fallback: use lowest price from any train
+  const prices = plausiblePrices(trip, result);
+  if (prices.length > 0) {
+    const lowestPrice = Math.min(...prices);
+    console.log(`Train #${trip.trainNumber} not found, lowest price: $${lowestPrice}`);
+    // Return with trainFound: false if user specified a train but we didn't find it
+    return { price: lowestPrice, trainFound: !trip.trainNumber, trains: result.trains || [] };
+  }
+
+  return resultsFailure(trip, result);
+}
+
+// Classify results with no usable price, or null if they have one
+function resultsFailure(trip, result) {
+  if (result?.trainPrice !== undefined && result.trainPrice !== null) return null;
+  if (plausiblePrices(trip, result).length > 0) return null;
+
+  console.log('No prices found');
+  // Train cards that were read but had no fares mean nothing is on sale;
+  // no train cards at all means the page wasn't understood
+  return Array.isArray(result?.trains)
+    ? failure('no_trains', 'No fares found on the results page')
+    : failure('scraper_mismatch', 'No train cards found on the results page');
+}
+
+// Prices within the sanity range for the trip's party size
+function plausiblePrices(trip, result) {
+  if (!result?.prices) return [];
+  const maxPrice = 2000 * countPassengers(trip.passengers);
+  return result.prices
+    .map(p => typeof p === 'number' ? p : p.price)
+    .filter(p => p >= 20 && p <= maxPrice);
+}
@@ -0,0 +1,50 @@
+/**
+ * Rebooking
+ *
+ * When a fare drops, Amtrak lets a booked ticket be changed to the lower
+ * fare. Recording a rebooking makes the new fare the trip's `pricePaid` so
+ * later alerts compare against it. Price history is kept as it is, and
+ * each rebooking is logged in `rebookings` with what it saved, counted the
+ * same way as the savings ledger (whole party, less fees).
+ */
+
+import { rebookingSavings } from './ledger.js';
+
+/**
+ * Record that a booked trip was rebooked at a new price
+ * Alert state is cleared since it was measured against the old price.
+ * @param {Object} trip - Booked trip
+ * @param {Object} rebooking
+ * @param {number} rebooking.newPrice - Price of the new booking, in the trip's price basis
+ * @param {number} [rebooking.fees=0] - Change fees paid, for the whole booking
+ * @param {Date} [now=new Date()] - Time of rebooking
+ * @returns {Object} Updated trip
+ */
+export function applyRebooking(trip, { newPrice: newPricePaid, fees = 0 }, now = new Date()) {
+  const entry = {
+    rebookedAt: now.toISOString(),
+    previousPricePaid: trip.pricePaid,
+    pricePaid: newPricePaid,
+    fees: fees || 0,
+    savings: rebookingSavings(trip, newPricePaid, fees)
+  };
+
+  return {
+    ...trip,
+    pricePaid: newPricePaid,
+    rebookings: [...(trip.rebookings || []), entry],
+    alertState: null,
+    upgradeAlertState: null,
+    alternativeAlertState: null,
+    snoozedUntil: null
+  };
+}
+
+/**
+ * Total saved across a trip's rebookings
+ * @param {Object} trip - Trip with optional `rebookings`
+ * @returns {number} Total for the whole party
+ */
+export function totalRebookingSavings(trip) {
+  return (trip.rebookings || []).reduce((sum, entry) => sum + entry.savings, 0);
+}
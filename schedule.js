@@ -0,0 +1,183 @@
+/**
+ * Per-trip check scheduling
+ *
+ * Each trip's next check is worked out from when it was last checked:
+ *   - In adaptive mode the interval comes from the first tier whose
+ *     `withinDays` covers the days left until departure, so trips leaving
+ *     soon are checked more often. In fixed mode every trip uses
+ *     settings.checkInterval.
+ *   - Prices that moved recently halve the interval.
+ *   - After failed checks (trip.checkFailures), the trip is retried sooner,
+ *     backing off exponentially up to its normal interval.
+ *
+ * Nothing is stored per trip beyond lastChecked and checkFailures, so
+ * changing the schedule settings applies to every trip straight away.
+ */
+
+import { rangeDates, lastTravelDate } from './date-range.js';
+
+// Ordered by withinDays; the last tier (withinDays null) covers everything later
+export const DEFAULT_SCHEDULE_TIERS = [
+  { withinDays: 2, everyHours: 1 },
+  { withinDays: 7, everyHours: 4 },
+  { withinDays: 30, everyHours: 8 },
+  { withinDays: null, everyHours: 24 }
+];
+
+// No trip is checked more often than this
+export const MIN_INTERVAL_MINUTES = 30;
+
+// Recent prices that spread by at least this fraction count as volatile
+const VOLATILITY_THRESHOLD = 0.05;
+const VOLATILITY_WINDOW = 5;
+
+// First retry after a failed check
+const RETRY_BASE_MINUTES = 30;
+
+/**
+ * Clean up tiers read from settings
+ * Drops malformed tiers, sorts by withinDays and makes sure a final
+ * catch-all tier exists.
+ * @param {Array} [tiers] - [{ withinDays, everyHours }]
+ * @returns {Array} Usable tiers
+ */
+export function normalizeScheduleTiers(tiers) {
+  if (!Array.isArray(tiers)) return DEFAULT_SCHEDULE_TIERS.map(tier => ({ ...tier }));
+
+  const valid = tiers.filter(tier => tier && Number.isFinite(tier.everyHours) && tier.everyHours > 0);
+  const bounded = valid
+    .filter(tier => Number.isFinite(tier.withinDays) && tier.withinDays >= 0)
+    .sort((a, b) => a.withinDays - b.withinDays)
+    .map(({ withinDays, everyHours }) => ({ withinDays, everyHours }));
+  const last = valid.find(tier => tier.withinDays === null || tier.withinDays === undefined);
+
+  return [...bounded, { withinDays: null, everyHours: last ? last.everyHours : DEFAULT_SCHEDULE_TIERS.at(-1).everyHours }];
+}
+
+/**
+ * Whole days from today until a trip departs
+ * Date range watches count to the first day in their range, so they use
+ * the tier of their earliest day.
+ * @param {Object} trip
+ * @param {Date} [now=new Date()]
+ * @returns {number} 0 for today; negative once the trip has passed
+ */
+export function daysUntilDeparture(trip, now = new Date()) {
+  const date = trip.type === 'range' ? rangeDates(trip)[0] : trip.travelDate;
+  const [year, month, day] = date.split('-').map(Number);
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  return Math.round((new Date(year, month - 1, day) - today) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Whether a trip's recent prices have moved enough to check it more often
+ * @param {Object} trip - Trip with `priceHistory`
+ * @returns {boolean}
+ */
+export function isVolatile(trip) {
+  const prices = (trip.priceHistory || [])
+    .filter(entry => !entry.previousSearch)
+    .slice(-VOLATILITY_WINDOW)
+    .map(entry => entry.price);
+  if (prices.length < 2) return false;
+
+  const low = Math.min(...prices);
+  const high = Math.max(...prices);
+  return low > 0 && (high - low) / low >= VOLATILITY_THRESHOLD;
+}
+
+/**
+ * How long to wait between checks of a trip
+ * @param {Object} trip
+ * @param {Object} settings - Extension settings
+ * @param {Date} [now=new Date()]
+ * @returns {Object} { minutes, reason } where reason describes the tier or adjustment used
+ */
+export function checkInterval(trip, settings, now = new Date()) {
+  let minutes;
+  let reason;
+
+  if (settings.scheduleMode === 'fixed') {
+    minutes = (settings.checkInterval || 4) * 60;
+    reason = 'fixed interval';
+  } else {
+    const days = Math.max(daysUntilDeparture(trip, now), 0);
+    const tier = normalizeScheduleTiers(settings.scheduleTiers)
+      .find(t => t.withinDays === null || days <= t.withinDays);
+    minutes = tier.everyHours * 60;
+    reason = tier.withinDays === null ? 'departs later' : `departs within ${tier.withinDays} days`;
+
+    if (isVolatile(trip)) {
+      minutes /= 2;
+      reason += ', price moving';
+    }
+  }
+
+  const failures = trip.checkFailures || 0;
+  if (failures > 0) {
+    minutes = Math.min(minutes, RETRY_BASE_MINUTES * 2 ** (failures - 1));
+    reason = `retry after ${failures} failed check${failures === 1 ? '' : 's'}`;
+  }
+
+  return { minutes: Math.max(minutes, MIN_INTERVAL_MINUTES), reason };
+}
+
+/**
+ * When a trip should next be checked
+ * @param {Object} trip - Trip with `lastChecked`
+ * @param {Object} settings - Extension settings
+ * @param {Date} [now=new Date()]
+ * @returns {Date} Next check time; `now` if it has never been checked
+ */
+export function nextCheckTime(trip, settings, now = new Date()) {
+  if (!trip.lastChecked) return now;
+  const { minutes } = checkInterval(trip, settings, now);
+  return new Date(new Date(trip.lastChecked).getTime() + minutes * 60 * 1000);
+}
+
+/**
+ * Whether a trip's train has already left today
+ * Only trips with a known departure time can tell; date range watches
+ * cover several trains and never count as departed here.
+ * @param {Object} trip - Trip with `travelDate` and optional `trainTime` (HH:MM)
+ * @param {Date} [now=new Date()]
+ * @returns {boolean}
+ */
+export function trainDeparted(trip, now = new Date()) {
+  if (trip.type === 'range' || !trip.trainTime || trip.travelDate !== toDateString(now)) return false;
+  const [hours, minutes] = trip.trainTime.split(':').map(Number);
+  return now.getHours() > hours || (now.getHours() === hours && now.getMinutes() >= minutes);
+}
+
+/**
+ * Whether a trip is due for a check
+ * Trips whose last travel day has passed, or whose train has already left
+ * today, are never due.
+ * @param {Object} trip
+ * @param {Object} settings - Extension settings
+ * @param {Date} [now=new Date()]
+ * @returns {boolean}
+ */
+export function isCheckDue(trip, settings, now = new Date()) {
+  return lastTravelDate(trip) >= toDateString(now) && !trainDeparted(trip, now) &&
+    nextCheckTime(trip, settings, now) <= now;
+}
+
+/**
+ * Earliest next check across trips that are still upcoming
+ * @param {Array} trips
+ * @param {Object} settings - Extension settings
+ * @param {Date} [now=new Date()]
+ * @returns {Date|null} null if no trip needs checking again
+ */
+export function earliestNextCheck(trips, settings, now = new Date()) {
+  const todayStr = toDateString(now);
+  const times = trips
+    .filter(trip => lastTravelDate(trip) >= todayStr && !trainDeparted(trip, now))
+    .map(trip => nextCheckTime(trip, settings, now).getTime());
+  return times.length > 0 ? new Date(Math.min(...times)) : null;
+}
+
+function toDateString(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
@@ -0,0 +1,224 @@
+/**
+ * Storage schema and migrations
+ *
+ * Stored data carries a schema version (see storage.js). Each migration
+ * upgrades data from the previous version; they run in order on install,
+ * on update and when a backup is imported. After migrating, every trip is
+ * checked against TRIP_SCHEMA and any that fail are set aside
+ * (quarantined) rather than left to break the popup or the price check.
+ *
+ * To change the trip shape: bump SCHEMA_VERSION, add a migration for the
+ * new version and update TRIP_SCHEMA.
+ */
+
+import { DEFAULT_PASSENGERS, countPassengers, normalizePassengers } from './passengers.js';
+import { TICKET_CLASSES, FARE_TYPES } from './fares.js';
+import { MAX_DATE_FLEX } from './date-range.js';
+
+export const SCHEMA_VERSION = 4;
+
+const PRICE_BASES = ['total', 'perPerson'];
+const TRIP_TYPES = ['booked', 'watch', 'range'];
+const isTime = value => typeof value === 'string' && /^\d{2}:\d{2}$/.test(value);
+
+const isNullableString = value => value === null || typeof value === 'string';
+const isNullableNumber = value => value === null || (typeof value === 'number' && Number.isFinite(value));
+const isNullableObject = value => value === undefined || value === null || (typeof value === 'object' && !Array.isArray(value));
+const isOptionalArray = value => value === undefined || value === null || Array.isArray(value);
+
+// Field checks for a stored trip, each with the problem reported when it fails.
+// Checks get the whole trip as a second argument for fields that depend on the trip type.
+export const TRIP_SCHEMA = {
+  id: [value => typeof value === 'string' && value.length > 0, 'missing id'],
+  type: [value => TRIP_TYPES.includes(value), 'unknown trip type'],
+  origin: [value => typeof value === 'string' && /^[A-Z]{3}$/.test(value), 'origin is not a station code'],
+  destination: [value => typeof value === 'string' && /^[A-Z]{3}$/.test(value), 'destination is not a station code'],
+  travelDate: [value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value), 'travel date is not YYYY-MM-DD'],
+  trainNumber: [isNullableString, 'train number is not text'],
+  trainTime: [value => value === null || isTime(value), 'train time is not HH:MM'],
+  ticketClass: [value => value === null || TICKET_CLASSES.some(({ key }) => key === value), 'unknown ticket class'],
+  fareType: [value => value === null || FARE_TYPES.some(({ key }) => key === value), 'unknown fare type'],
+  // Watches haven't been booked yet
+  pricePaid: [
+    (value, trip) => (trip.type !== 'booked' && value === null) ||
+      (typeof value === 'number' && Number.isFinite(value) && value >= 0),
+    'price paid is not a number'
+  ],
+  priceBasis: [value => PRICE_BASES.includes(value), 'unknown price basis'],
+  passengers: [value => !!value && typeof value === 'object' && countPassengers(value) > 0, 'no passengers'],
+  currentPrice: [isNullableNumber, 'current price is not a number'],
+  currentClassPrices: [isNullableObject, 'class prices are not an object'],
+  lastChecked: [isNullableString, 'last checked is not a timestamp'],
+  priceHistory: [
+    value => Array.isArray(value) && value.every(entry =>
+      entry && typeof entry.price === 'number' && typeof entry.timestamp === 'string'),
+    'price history has invalid entries'
+  ],
+  trainNotFound: [value => typeof value === 'boolean', 'train-not-found flag is not true/false'],
+  alertRules: [isNullableObject, 'alert rules are not an object'],
+  alertState: [isNullableObject, 'alert state is not an object'],
+  upgradeAlertState: [isNullableObject, 'upgrade alert state is not an object'],
+  trainSnapshots: [isOptionalArray, 'train snapshots are not a list'],
+  alternativeAlertState: [isNullableObject, 'alternative train alert state is not an object'],
+  dateFlex: [
+    (value, trip) => trip.type !== 'range' || (Number.isInteger(value) && value >= 1 && value <= MAX_DATE_FLEX),
+    `date range is not 1-${MAX_DATE_FLEX} days`
+  ],
+  timeFrom: [value => value === undefined || value === null || isTime(value), 'earliest departure is not HH:MM'],
+  timeTo: [value => value === undefined || value === null || isTime(value), 'latest departure is not HH:MM'],
+  targetPrice: [value => value === undefined || isNullableNumber(value), 'target price is not a number'],
+  dayPrices: [isNullableObject, 'day prices are not an object'],
+  cheapestDay: [isNullableObject, 'cheapest day is not an object'],
+  targetAlertState: [isNullableObject, 'target price alert state is not an object'],
+  checkFailures: [value => value === undefined || (Number.isInteger(value) && value >= 0), 'failed check count is not a number'],
+  lastError: [isNullableObject, 'last check error is not an object'],
+  snoozedUntil: [value => value === undefined || isNullableString(value), 'snoozed until is not a timestamp'],
+  rebookings: [isOptionalArray, 'rebookings are not a list']
+};
+
+// Ordered migrations; `version` is the schema version the data has afterwards
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Backfill trip fields added before versioning',
+    migrate: data => ({
+      ...data,
+      trips: data.trips.map(trip => {
+        if (!trip || typeof trip !== 'object') return trip;
+        const pricePaid = typeof trip.pricePaid === 'string' ? parseFloat(trip.pricePaid) : trip.pricePaid;
+        return {
+          ...trip,
+          origin: typeof trip.origin === 'string' ? trip.origin.trim().toUpperCase() : trip.origin,
+          destination: typeof trip.destination === 'string' ? trip.destination.trim().toUpperCase() : trip.destination,
+          trainNumber: trip.trainNumber === undefined || trip.trainNumber === '' ? null
+            : typeof trip.trainNumber === 'number' ? String(trip.trainNumber) : trip.trainNumber,
+          trainTime: trip.trainTime || null,
+          ticketClass: typeof trip.ticketClass === 'string' && trip.ticketClass
+            ? trip.ticketClass.toLowerCase() : (trip.ticketClass || null),
+          pricePaid,
+          priceBasis: trip.priceBasis || 'total',
+          passengers: trip.passengers ? normalizePassengers(trip.passengers) : { ...DEFAULT_PASSENGERS },
+          currentPrice: trip.currentPrice ?? null,
+          lastChecked: trip.lastChecked ?? null,
+          priceHistory: trip.priceHistory ?? [],
+          trainNotFound: !!trip.trainNotFound,
+          createdAt: trip.createdAt || null
+        };
+      })
+    })
+  },
+  {
+    version: 2,
+    description: 'Convert bare-number price history entries to { price, timestamp }',
+    migrate: data => ({
+      ...data,
+      trips: data.trips.map(trip => {
+        if (!trip || !Array.isArray(trip.priceHistory)) return trip;
+        return {
+          ...trip,
+          priceHistory: trip.priceHistory.map(entry => {
+            if (typeof entry === 'number') {
+              return { price: entry, timestamp: trip.lastChecked || trip.createdAt || new Date(0).toISOString() };
+            }
+            if (entry && typeof entry.price === 'string') {
+              return { ...entry, price: parseFloat(entry.price) };
+            }
+            return entry;
+          })
+        };
+      })
+    })
+  },
+  {
+    version: 3,
+    description: 'Add fare type (any) to existing trips',
+    migrate: data => ({
+      ...data,
+      trips: data.trips.map(trip => (trip && typeof trip === 'object' ? { ...trip, fareType: trip.fareType ?? null } : trip))
+    })
+  },
+  {
+    version: 4,
+    description: 'Mark existing trips as booked trips (date range watches added)',
+    migrate: data => ({
+      ...data,
+      trips: data.trips.map(trip => (trip && typeof trip === 'object' ? { ...trip, type: trip.type || 'booked' } : trip))
+    })
+  }
+];
+
+/**
+ * Build a new trip from the add-trip form's values, with every tracking
+ * field a stored trip needs set to its starting value
+ * @param {Object} values - Trip fields from the form
+ * @param {string} id - ID for the new trip
+ * @param {Date} [now=new Date()]
+ * @returns {Object} Trip that passes validateTrip
+ */
+export function createTrip(values, id, now = new Date()) {
+  return {
+    id,
+    ...values,
+    currentPrice: null,
+    lastChecked: null,
+    priceHistory: [],
+    trainNotFound: false,
+    createdAt: now.toISOString()
+  };
+}
+
+/**
+ * List the ways a trip fails the schema
+ * @param {*} trip - Stored trip
+ * @returns {Array<string>} Problems found; empty if the trip is valid
+ */
+export function validateTrip(trip) {
+  if (!trip || typeof trip !== 'object' || Array.isArray(trip)) {
+    return ['not an object'];
+  }
+  return Object.entries(TRIP_SCHEMA)
+    .filter(([field, [isValid]]) => !isValid(trip[field], trip))
+    .map(([, [, problem]]) => problem);
+}
+
+/**
+ * Bring stored data up to the current schema version
+ * @param {Object} data - { trips, settings }
+ * @param {number} [fromVersion=0] - Version the data was written with; 0 if unversioned
+ * @returns {Object} { trips, settings, quarantined, applied } where quarantined
+ *   is [{ trip, errors, quarantinedAt }] and applied lists the migration versions run
+ * @throws {Error} If the data is from a newer version of the extension
+ */
+export function migrateData(data, fromVersion = 0) {
+  if (fromVersion > SCHEMA_VERSION) {
+    throw new Error(`Data is from a newer version of the extension (schema ${fromVersion}, this version supports ${SCHEMA_VERSION})`);
+  }
+
+  let migrated = {
+    trips: Array.isArray(data.trips) ? data.trips : [],
+    settings: data.settings && typeof data.settings === 'object' ? data.settings : {}
+  };
+  const applied = [];
+
+  MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .forEach(migration => {
+      migrated = migration.migrate(migrated);
+      applied.push(migration.version);
+    });
+
+  const trips = [];
+  const quarantined = [];
+  const quarantinedAt = new Date().toISOString();
+
+  migrated.trips.forEach(trip => {
+    const errors = validateTrip(trip);
+    if (errors.length === 0) {
+      trips.push(trip);
+    } else {
+      quarantined.push({ trip, errors, quarantinedAt });
+    }
+  });
+
+  return { trips, settings: migrated.settings, quarantined, applied };
+}
@@ -0,0 +1,432 @@
+/**
+ * Results page parsing for Amtrak Price Tracker
+ *
+ * Pure DOM functions used by the content script to read Amtrak search
+ * results. Kept free of chrome.* calls so they can be exercised against
+ * saved results pages (see test/scraper.test.js).
+ *
+ * Every function takes an optional `options` object:
+ *   root          - Document to read (defaults to the page's document)
+ *   log           - Logger for progress messages (defaults to silent)
+ *   maxFare       - Upper bound for a plausible fare (defaults to $2000)
+ *   fareType      - Fare type to match for the target train (see fares.js)
+ *   expandedFares - Fare options read after expanding classes, keyed by
+ *                   train number (see readFareOptions)
+ *   selectors     - Strategies for each page element (see selectors.js),
+ *                   defaults when omitted
+ */
+
+import { normalizeFareType, selectFarePrice, UNKNOWN_FARE_TYPE } from './fares.js';
+import { resolveSelectors, queryFirst, queryAll } from './selectors.js';
+
+export const DEFAULT_MAX_FARE = 2000;
+
+const DEFAULT_SELECTORS = resolveSelectors(null);
+
+function withDefaults(options) {
+  return {
+    root: options.root || globalThis.document,
+    log: options.log || (() => {}),
+    maxFare: options.maxFare || DEFAULT_MAX_FARE,
+    fareType: options.fareType || null,
+    expandedFares: options.expandedFares || {},
+    selectors: options.selectors || DEFAULT_SELECTORS
+  };
+}
+
+export function normalizeClassName(text) {
+  const lower = (text || '').toLowerCase();
+  if (lower.includes('coach')) return 'coach';
+  if (lower.includes('business')) return 'business';
+  if (lower.includes('first')) return 'first';
+  return null;
+}
+
+function isFareUnavailable(el, selectors) {
+  return el.classList.contains('class-unavailable') ||
+    !!queryFirst(el, selectors.unavailableFare);
+}
+
+/**
+ * Read a card's departure time as 24-hour HH:MM
+ * @returns {string|null}
+ */
+export function readDepartureTime(card, options = {}) {
+  const { selectors } = withDefaults(options);
+  const timeEl = queryFirst(card, selectors.departureTime);
+  const text = timeEl?.textContent || card.textContent || '';
+  const match = text.match(/\b(\d{1,2}):(\d{2})\s*([AaPp])\.?[Mm]\b/);
+  if (!match) return null;
+
+  let hours = parseInt(match[1], 10) % 12;
+  if (match[3].toLowerCase() === 'p') hours += 12;
+  return `${String(hours).padStart(2, '0')}:${match[2]}`;
+}
+
+/**
+ * Find the journey card for a train number
+ * @returns {Element|null}
+ */
+export function findTrainCard(trainNumber, options = {}) {
+  const { root, selectors } = withDefaults(options);
+  for (const card of queryAll(root, selectors.journeyCard)) {
+    const trainText = (queryFirst(card, selectors.trainNumber)?.textContent || '').trim();
+    if (trainText === String(trainNumber)) {
+      return card;
+    }
+  }
+  return null;
+}
+
+/**
+ * Read the fare options (Saver, Value, Flex, Premium) shown in a container
+ * A row's class comes from the nearest [data-class] ancestor, its own
+ * .class-title, or `className` when the container holds a single class.
+ * @returns {Array} [{ price, className, fareType }]
+ */
+export function readFareOptions(container, className = null, options = {}) {
+  const { maxFare, selectors } = withDefaults(options);
+  const fares = [];
+
+  queryAll(container, selectors.fareOption).forEach(option => {
+    if (isFareUnavailable(option, selectors)) return;
+
+    const priceText = (queryFirst(option, selectors.price)?.textContent || '').trim().replace(',', '');
+    const price = parseFloat(priceText);
+    if (!price || price < 20 || price > maxFare) return;
+
+    const optionClass = normalizeClassName(option.closest('[data-class]')?.getAttribute('data-class')) ||
+      normalizeClassName(queryFirst(option, selectors.classTitle)?.textContent) ||
+      className;
+    const fareType = normalizeFareType(queryFirst(option, selectors.fareName)?.textContent);
+
+    fares.push({ price, className: optionClass, fareType });
+  });
+
+  return fares;
+}
+
+/**
+ * Find the button to load more/next results
+ */
+export function findNextPageButton(options = {}) {
+  const { root, selectors } = withDefaults(options);
+  const explicitNext = queryFirst(root, selectors.nextPageLink);
+  if (explicitNext && isControlEnabled(explicitNext)) {
+    return explicitNext;
+  }
+
+  const pageLinks = root.querySelectorAll('a.page-link, button.page-link');
+  for (const btn of pageLinks) {
+    if (!isControlEnabled(btn)) continue;
+
+    const text = (btn.textContent?.trim() || '').toLowerCase();
+    const ariaLabel = (btn.getAttribute('aria-label') || '').toLowerCase();
+    const title = (btn.getAttribute('title') || '').toLowerCase();
+    const rel = (btn.getAttribute('rel') || '').toLowerCase();
+
+    const looksLikeNext =
+      text === '>' || text === '›' || text === '»' ||
+      text.includes('next') || text.includes('later') ||
+      ariaLabel.includes('next') || ariaLabel.includes('later') ||
+      title.includes('next') || title.includes('later') ||
+      rel === 'next';
+
+    if (looksLikeNext) {
+      return btn;
+    }
+  }
+
+  return null;
+}
+
+export function isControlEnabled(btn) {
+  if (!btn) return false;
+  const isDisabled =
+    (typeof btn.disabled === 'boolean' && btn.disabled) ||
+    btn.getAttribute('disabled') !== null ||
+    btn.getAttribute('aria-disabled') === 'true' ||
+    btn.closest('[aria-disabled="true"], .disabled, .is-disabled, [class*="disabled"]');
+  return !isDisabled;
+}
+
+export function getActiveResultsPage(options = {}) {
+  const { root, selectors } = withDefaults(options);
+  const activePageEl = queryFirst(root, selectors.activePage);
+  const activeText = (activePageEl?.textContent || '').trim();
+  const pageMatch = activeText.match(/\d+/);
+  return pageMatch ? Number(pageMatch[0]) : null;
+}
+
+export function getCurrentResultsSignature(options = {}) {
+  const { root, selectors } = withDefaults(options);
+  const cards = queryAll(root, selectors.journeyCard);
+  const firstTrainNums = [];
+
+  for (const card of cards) {
+    const trainNameEl = queryFirst(card, selectors.trainNumber);
+    const trainText = (trainNameEl?.textContent || '').trim();
+    const trainMatch = trainText.match(/\d{1,4}/);
+    if (trainMatch) {
+      firstTrainNums.push(trainMatch[0]);
+    }
+    if (firstTrainNums.length >= 5) break;
+  }
+
+  const activePage = getActiveResultsPage(options);
+
+  return JSON.stringify({
+    activePage,
+    firstTrainNums
+  });
+}
+
+/**
+ * Scrape train cards from the current page
+ * Returns prices and optionally the price for a specific train and class
+ */
+export function scrapeTrainCards(targetTrainNumber, targetClass, options = {}) {
+  const { root, log, maxFare, fareType, expandedFares, selectors } = withDefaults(options);
+  const prices = [];
+  const trains = [];  // Array to store train details
+  let trainPrice = null;
+
+  // Normalize target train number to string for comparison
+  const targetStr = targetTrainNumber ? String(targetTrainNumber) : null;
+  // Normalize target class to lowercase for comparison
+  const targetClassLower = targetClass ? targetClass.toLowerCase() : null;
+
+  // Journey cards (Amtrak's am-journey-card component), falling back to
+  // broader selectors (see selectors.js)
+  const cards = queryAll(root, selectors.journeyCard);
+
+  log(`Found ${cards.length} am-journey-card elements`);
+
+  cards.forEach((card, index) => {
+    // Extract train number from the train name
+    let cardTrainNumber = null;
+
+    const trainNumberEl = queryFirst(card, selectors.trainNumber);
+    if (trainNumberEl) {
+      const trainText = trainNumberEl.textContent.trim();
+      const trainMatch = trainText.match(/^\d{1,4}$/);
+      if (trainMatch) {
+        cardTrainNumber = trainMatch[0];
+      }
+    }
+
+    // Fallback: try regex on full card text
+    if (!cardTrainNumber) {
+      const cardText = card.textContent || '';
+      const trainMatch = cardText.match(/(?:Train|#)\s*(\d{1,4})\b/i);
+      cardTrainNumber = trainMatch ? trainMatch[1] : null;
+    }
+
+    // Debug: if this might be our target train, log more details
+    if (targetStr && String(cardTrainNumber) === targetStr) {
+      log(`  FOUND TARGET - Card ${index + 1}: Train #${cardTrainNumber}`);
+    } else if (cardTrainNumber) {
+      log(`  Card ${index + 1}: Train #${cardTrainNumber}`);
+    }
+
+    // Look for class-fare buttons within this card
+    const fareButtons = queryAll(card, selectors.fareButton);
+    let classPricesMap = new Map(); // Use Map to dedupe by class+fare type+price
+    const addPrice = entry => {
+      const key = `${entry.className}-${entry.fareType}-${entry.price}`;
+      if (!classPricesMap.has(key)) {
+        classPricesMap.set(key, entry);
+      }
+    };
+
+    // Fare options already rendered in the card or read by expanding classes
+    const fareOptions = [
+      ...readFareOptions(card, null, options),
+      ...(cardTrainNumber ? expandedFares[cardTrainNumber] || [] : [])
+    ];
+    fareOptions.forEach(addPrice);
+    const classesWithFareOptions = new Set(fareOptions.map(f => f.className));
+
+    // Debug: log button count for target train
+    if (targetStr && String(cardTrainNumber) === targetStr) {
+      log(`  Scanning ${fareButtons.length} fare buttons for Train #${cardTrainNumber}:`);
+    }
+
+    fareButtons.forEach(btn => {
+      // Get class title (Coach, Business, First)
+      const classTitleEl = queryFirst(btn, selectors.classTitle);
+      const classTitle = classTitleEl ? classTitleEl.textContent.trim().toLowerCase() : null;
+      const className = normalizeClassName(classTitle);
+
+      // The button's "from" price duplicates the class's fare options when we have them
+      if (classesWithFareOptions.has(className)) return;
+
+      // Get price from the price tag
+      const priceTagEl = queryFirst(btn, selectors.price);
+      let price = null;
+
+      if (priceTagEl) {
+        const priceText = priceTagEl.textContent.trim().replace(',', '');
+        price = parseFloat(priceText);
+      }
+
+      // Check for "Not Offered" or unavailable
+      const isUnavailable = isFareUnavailable(btn, selectors);
+
+      if (price && price >= 20 && price <= maxFare && !isUnavailable) {
+        // Debug: log for target train
+        if (targetStr && String(cardTrainNumber) === targetStr) {
+          log(`    Found: ${classTitle} $${price}`);
+        }
+
+        // A fare name on the button itself (e.g. "Saver") is the bucket the price is from
+        const buttonFareType = normalizeFareType(queryFirst(btn, selectors.fareName)?.textContent);
+        addPrice({ price, className, fareType: buttonFareType });
+      }
+    });
+
+    // Fallback: try the old method if no prices found with new selectors
+    if (classPricesMap.size === 0) {
+      const classButtons = card.querySelectorAll('button, [class*="fare"], [class*="price"]');
+      classButtons.forEach(btn => {
+        const btnText = (btn.textContent || '').toLowerCase();
+        const priceMatch = btnText.match(/\$\s*([\d,]+(?:\.\d{2})?)/);
+        if (priceMatch) {
+          const price = parseFloat(priceMatch[1].replace(',', ''));
+          if (price >= 20 && price <= maxFare) {
+            const className = normalizeClassName(btnText);
+            addPrice({ price, className, fareType: UNKNOWN_FARE_TYPE });
+          }
+        }
+      });
+    }
+
+    const classPrices = Array.from(classPricesMap.values());
+
+    // If we found class-specific prices
+    if (classPrices.length > 0) {
+      classPrices.forEach(cp => prices.push(cp.price));
+
+      // Add train details to trains array
+      if (cardTrainNumber) {
+        log(`    Train #${cardTrainNumber} fares:`, classPrices.map(cp =>
+          `${cp.className || 'unknown'}${cp.fareType !== UNKNOWN_FARE_TYPE ? ` (${cp.fareType})` : ''}: $${cp.price}`
+        ).join(', '));
+
+        trains.push({
+          trainNumber: cardTrainNumber,
+          departureTime: readDepartureTime(card, options),
+          prices: classPrices
+        });
+      }
+
+      // Check if this is our target train
+      if (targetStr && String(cardTrainNumber) === targetStr) {
+        trainPrice = selectFarePrice(classPrices, targetClassLower, fareType);
+        const exactMatch = classPrices.some(cp =>
+          (!targetClassLower || cp.className === targetClassLower) && (!fareType || cp.fareType === fareType));
+        const target = [targetClassLower, fareType].filter(Boolean).join(' ') || 'lowest';
+
+        if (exactMatch) {
+          log(`Match! Train #${cardTrainNumber} ${target} price: $${trainPrice}`);
+        } else {
+          // Class or fare type not found on this train, fell back to a broader match
+          log(`Train #${cardTrainNumber} found but ${target} not available. Using: $${trainPrice}`);
+        }
+      }
+    } else {
+      // Fallback: extract any price from the card text
+      const fallbackText = card.textContent || '';
+      const priceMatch = fallbackText.match(/\$\s*([\d,]+(?:\.\d{2})?)/);
+      const cardPrice = priceMatch ? parseFloat(priceMatch[1].replace(',', '')) : null;
+
+      if (cardPrice && cardPrice >= 20 && cardPrice <= maxFare) {
+        prices.push(cardPrice);
+
+        // Check if this is our target train
+        if (targetStr && String(cardTrainNumber) === targetStr) {
+          log(`Match! Train #${cardTrainNumber} price: $${cardPrice}`);
+          trainPrice = cardPrice;
+        }
+      }
+    }
+  });
+
+  // If no cards found, fall back to general price scraping
+  if (prices.length === 0) {
+    log(' No train cards with prices found, using fallback scraper');
+    const generalPrices = scrapePricesFromPage(options);
+    return { prices: generalPrices, trainPrice: null };
+  }
+
+  if (targetTrainNumber && trainPrice === null) {
+    log(`Train #${targetTrainNumber} not found on this page`);
+  }
+
+  log(`Found ${prices.length} prices on page, ${trains.length} trains identified`);
+  return { prices, trains, trainPrice };
+}
+
+/**
+ * Scrape prices from Amtrak search results page
+ * This function finds all prices displayed on the booking page
+ */
+export function scrapePricesFromPage(options = {}) {
+  const { root, log, maxFare } = withDefaults(options);
+  const prices = [];
+  try {
+    // Method 1: Look for specific fare/price elements
+    const priceSelectors = [
+      '[class*="price"]',
+      '[class*="fare"]',
+      '[class*="cost"]',
+      '[class*="amount"]',
+      '[data-test*="price"]',
+      '[data-testid*="price"]',
+      '[data-testid*="fare"]',
+      'span[class*="dollar"]',
+      '.journey-card-price',
+      '.trip-price',
+      '.coach-price',
+      '.business-price'
+    ];
+
+    const priceElements = root.querySelectorAll(priceSelectors.join(', '));
+
+    priceElements.forEach(el => {
+      const priceText = el.textContent.trim();
+      // Match prices like $49, $149.00, $1,234
+      const priceMatch = priceText.match(/\$\s*([\d,]+(?:\.\d{2})?)/);
+      if (priceMatch) {
+        const price = parseFloat(priceMatch[1].replace(',', ''));
+        // Filter to reasonable train prices ($20-$2000 per traveler)
+        if (price >= 20 && price <= maxFare) {
+          prices.push(price);
+        }
+      }
+    });
+
+    // Method 2: Broader text search if no specific elements found
+    if (prices.length === 0) {
+      // innerText respects layout; textContent is the fallback outside a browser
+      const pageText = root.body.innerText ?? root.body.textContent;
+      const allPriceMatches = pageText.match(/\$\s*(\d{2,4}(?:\.\d{2})?)/g);
+
+      if (allPriceMatches) {
+        allPriceMatches.forEach(match => {
+          const price = parseFloat(match.replace(/[\$,\s]/g, ''));
+          if (price >= 20 && price <= maxFare) {
+            prices.push(price);
+          }
+        });
+      }
+    }
+
+    // Remove duplicates
+    const uniquePrices = [...new Set(prices)];
+    return uniquePrices;
+  } catch (error) {
+    log('ERROR: Error scraping prices', error.message);
+    return [];
+  }
+}
@@ -0,0 +1,73 @@
+/**
+ * Shared searches
+ *
+ * Amtrak returns the same results for everyone searching a route on a day
+ * with the same party, whichever train they're on. Trips that match on
+ * origin, destination, travel date and passengers are checked with one
+ * search covering all of their trains, and the scraped trains are handed
+ * out to each trip to pick its own train, class and fare type.
+ */
+
+import { passengerKey } from './passengers.js';
+import { selectFarePrice } from './fares.js';
+
+/**
+ * Key identifying the search a trip needs
+ * @param {Object} trip
+ * @returns {string} e.g. "NYP|WAS|2026-03-10|adult:1,senior:0,child:0,infant:0"
+ */
+export function searchKey(trip) {
+  return [trip.origin, trip.destination, trip.travelDate, passengerKey(trip.passengers)].join('|');
+}
+
+/**
+ * Group trips that can share a search, keeping the order trips first appear
+ * @param {Array} trips
+ * @returns {Array} [{ key, trips }]
+ */
+export function groupTripsBySearch(trips) {
+  const groups = new Map();
+  for (const trip of trips) {
+    const key = searchKey(trip);
+    if (!groups.has(key)) groups.set(key, { key, trips: [] });
+    groups.get(key).trips.push(trip);
+  }
+  return Array.from(groups.values());
+}
+
+/**
+ * Build the trip to search with on behalf of a group
+ * The first trip with a train number is priced by the provider itself; the
+ * rest of the group's trains are listed in trainNumbers so the search pages
+ * through results until all of them are found.
+ * @param {Array} trips - Trips sharing one search key
+ * @returns {Object} Search trip with trainNumbers
+ */
+export function buildSharedSearch(trips) {
+  const primary = trips.find(trip => trip.trainNumber) || trips[0];
+  const trainNumbers = [...new Set(trips.map(trip => trip.trainNumber).filter(Boolean).map(String))];
+  return { ...primary, trainNumbers };
+}
+
+/**
+ * Narrow a shared search's results to one trip
+ * @param {Object} trip - Trip in the group
+ * @param {Object} results - Provider results { prices, trains, trainPrice } for the search
+ * @param {Object} search - Trip the search was made with (see buildSharedSearch)
+ * @returns {Object} Results with trainPrice for this trip's train, class and fare type
+ */
+export function resultsForTrip(trip, results, search) {
+  if (!trip.trainNumber) return { ...results, trainPrice: null };
+
+  const train = (results.trains || []).find(t => String(t.trainNumber) === String(trip.trainNumber));
+  if (train) {
+    return { ...results, trainPrice: selectFarePrice(train.prices, trip.ticketClass, trip.fareType) };
+  }
+
+  // A card priced from its text alone isn't listed in trains, so only the
+  // provider's own price for the search trip can cover it
+  const sameFare = String(trip.trainNumber) === String(search.trainNumber) &&
+    (trip.ticketClass || null) === (search.ticketClass || null) &&
+    (trip.fareType || null) === (search.fareType || null);
+  return { ...results, trainPrice: sameFare ? results.trainPrice ?? null : null };
+}
@@ -0,0 +1,379 @@
+/**
+ * Amtrak page selector registry
+ *
+ * Every part of amtrak.com the extension reads or clicks is named here as a
+ * concept (origin input, journey card, fare button, price...) with an
+ * ordered list of strategies. Each strategy is:
+ *   name     - shown in the self-test report
+ *   selector - CSS selector; {placeholders} are filled in at lookup time
+ *   text     - optional; only elements whose text or aria-label contains
+ *              it (case-insensitive) match
+ * Lookups try strategies in order and use the first that matches, so a
+ * site change can be handled by adding a strategy instead of a release.
+ *
+ * settings.selectorOverrides replaces a concept's strategy list with the
+ * user's own ({ concept: [strategies] }). It's edited as JSON under
+ * Settings → Advanced, travels with backups, and is checked against a live
+ * Amtrak tab with the selector self-test.
+ *
+ * Loaded by scraper.js and content.js, so no chrome.* calls here.
+ */
+
+export const SELECTOR_CONCEPTS = {
+  // Search form (amtrak.com homepage)
+  originInput: {
+    label: 'Origin input',
+    page: 'search',
+    strategies: [
+      { name: 'form-field-id', selector: '#am-form-field-control-0' },
+      { name: 'from-label', selector: 'input[aria-label*="From"]' }
+    ]
+  },
+  destinationInput: {
+    label: 'Destination input',
+    page: 'search',
+    strategies: [
+      { name: 'form-field-id', selector: '#am-form-field-control-2' },
+      { name: 'to-label', selector: 'input[aria-label^="To"]' }
+    ]
+  },
+  dateInput: {
+    label: 'Departure date input',
+    page: 'search',
+    strategies: [
+      { name: 'form-field-id', selector: '#am-form-field-control-4' },
+      { name: 'depart-label', selector: 'input[aria-label*="Depart"]' }
+    ]
+  },
+  stationOption: {
+    label: 'Station autocomplete option',
+    page: 'search',
+    strategies: [
+      { name: 'listbox-option', selector: '[role="listbox"] [role="option"]' },
+      { name: 'mat-option', selector: 'mat-option' },
+      { name: 'overlay-option', selector: '.cdk-overlay-pane [role="option"]' }
+    ]
+  },
+  calendarDay: {
+    label: 'Calendar day',
+    page: 'search',
+    strategies: [
+      { name: 'ngb-day-label', selector: 'div.ngb-dp-day[aria-label="{label}"]' }
+    ]
+  },
+  calendarMonth: {
+    label: 'Calendar month heading',
+    page: 'search',
+    strategies: [
+      { name: 'ngb-navigation-select', selector: '.ngb-dp-navigation-select .ngb-dp-month-name' },
+      { name: 'ngb-header', selector: '.ngb-dp-header .ngb-dp-month-name' },
+      { name: 'ngb-month-name', selector: '.ngb-dp-month-name' },
+      { name: 'calendar-month-class', selector: '[class*="calendar"] [class*="month"]' },
+      { name: 'ngb-navigation', selector: '.ngb-dp-navigation span' }
+    ]
+  },
+  previousMonthButton: {
+    label: 'Previous month button',
+    page: 'search',
+    strategies: [
+      { name: 'aria-label', selector: 'button[aria-label="Previous month"]:not([disabled])' }
+    ]
+  },
+  nextMonthButton: {
+    label: 'Next month button',
+    page: 'search',
+    strategies: [
+      { name: 'aria-label', selector: 'button[aria-label="Next month"]:not([disabled])' }
+    ]
+  },
+  calendarDoneButton: {
+    label: 'Calendar Done button',
+    page: 'search',
+    strategies: [
+      { name: 'aria-label', selector: 'button[aria-label="Done"]' }
+    ]
+  },
+  travelersToggle: {
+    label: 'Travelers selector',
+    page: 'search',
+    strategies: [
+      { name: 'traveler-text', selector: 'button, [role="button"], [aria-haspopup]', text: 'traveler' },
+      { name: 'passenger-text', selector: 'button, [role="button"], [aria-haspopup]', text: 'passenger' }
+    ]
+  },
+  searchButton: {
+    label: 'Find Trains button',
+    page: 'search',
+    strategies: [
+      { name: 'find-trains-text', selector: 'button', text: 'find trains' }
+    ]
+  },
+
+  // Search results
+  resultsReady: {
+    label: 'Results loaded marker',
+    page: 'results',
+    strategies: [
+      { name: 'select-train', selector: '.select-train' },
+      { name: 'journey-card', selector: 'am-journey-card' }
+    ]
+  },
+  errorBanner: {
+    label: 'Amtrak error banner',
+    page: 'results',
+    strategies: [
+      { name: 'alert-yellow', selector: '.alert-yellow-text' }
+    ]
+  },
+  journeyCard: {
+    label: 'Journey card',
+    page: 'results',
+    strategies: [
+      { name: 'am-journey-card', selector: 'am-journey-card' },
+      { name: 'testid', selector: '[data-testid*="journey-card"]' },
+      { name: 'class-name', selector: '[class*="journey-card"]' }
+    ]
+  },
+  trainNumber: {
+    label: 'Train number',
+    page: 'results',
+    strategies: [
+      { name: 'train-name-span', selector: '.train-name span' }
+    ]
+  },
+  departureTime: {
+    label: 'Departure time',
+    page: 'results',
+    strategies: [
+      { name: 'departure-time', selector: '.departure-time' },
+      { name: 'departure-time-child', selector: '.departure .time' },
+      { name: 'departure-time-element', selector: '[class*="departure"] time' }
+    ]
+  },
+  fareButton: {
+    label: 'Class fare button',
+    page: 'results',
+    strategies: [
+      { name: 'class-fare', selector: '.class-fare' }
+    ]
+  },
+  classTitle: {
+    label: 'Class name',
+    page: 'results',
+    strategies: [
+      { name: 'class-title', selector: '.class-title' }
+    ]
+  },
+  price: {
+    label: 'Price',
+    page: 'results',
+    strategies: [
+      { name: 'price-tag', selector: '.price-tag' }
+    ]
+  },
+  fareOption: {
+    label: 'Fare option (Saver, Value...)',
+    page: 'results',
+    strategies: [
+      { name: 'fare-option-class', selector: '.fare-option' },
+      { name: 'am-fare-option', selector: 'am-fare-option' }
+    ]
+  },
+  fareName: {
+    label: 'Fare option name',
+    page: 'results',
+    strategies: [
+      { name: 'fare-name', selector: '.fare-name' },
+      { name: 'fare-type', selector: '.fare-type' },
+      { name: 'fare-title', selector: '.fare-title' }
+    ]
+  },
+  unavailableFare: {
+    label: 'Sold out marker',
+    page: 'results',
+    strategies: [
+      { name: 'unavailable-text', selector: '.unavailable-text' },
+      { name: 'not-available-text', selector: '.not-available-text' }
+    ]
+  },
+  nextPageLink: {
+    label: 'Next results page',
+    page: 'results',
+    strategies: [
+      { name: 'pagination-next', selector: 'li.pagination-next[aria-disabled="false"] a.page-link' },
+      { name: 'pagination-next-enabled', selector: 'li.pagination-next:not([aria-disabled="true"]) a.page-link' }
+    ]
+  },
+  activePage: {
+    label: 'Current results page',
+    page: 'results',
+    strategies: [
+      { name: 'aria-current', selector: '[aria-current="page"]' },
+      { name: 'active-page-link', selector: '.active .page-link' },
+      { name: 'active-page-item', selector: '.page-item.active .page-link' }
+    ]
+  }
+};
+
+/**
+ * Strategy lists for every concept, with overrides applied
+ * Overrides for unknown concepts, or that aren't valid strategy lists, are ignored.
+ * @param {Object|null} [overrides] - { concept: [strategies] }
+ * @returns {Object} { concept: [strategies] }
+ */
+export function resolveSelectors(overrides) {
+  const resolved = {};
+  for (const [concept, { strategies }] of Object.entries(SELECTOR_CONCEPTS)) {
+    const override = overrides?.[concept];
+    resolved[concept] = isStrategyList(override) ? override : strategies;
+  }
+  return resolved;
+}
+
+/**
+ * The default strategies as an overrides object, for editing
+ * @returns {Object} { concept: [strategies] }
+ */
+export function defaultSelectorOverrides() {
+  return resolveSelectors(null);
+}
+
+/**
+ * Check user-supplied overrides
+ * @param {*} overrides - Parsed JSON
+ * @param {Object} [root] - Document to check selector syntax against
+ * @returns {Array<string>} Problems found; empty if the overrides are usable
+ */
+export function validateSelectorOverrides(overrides, root = null) {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return ['overrides must be an object of { concept: [strategies] }'];
+  }
+
+  const errors = [];
+  for (const [concept, strategies] of Object.entries(overrides)) {
+    if (!SELECTOR_CONCEPTS[concept]) {
+      errors.push(`${concept}: unknown concept`);
+      continue;
+    }
+    if (!Array.isArray(strategies) || strategies.length === 0) {
+      errors.push(`${concept}: must be a non-empty list of strategies`);
+      continue;
+    }
+    strategies.forEach((strategy, index) => {
+      const where = `${concept}[${index}]`;
+      if (!strategy || typeof strategy.name !== 'string' || !strategy.name) {
+        errors.push(`${where}: missing name`);
+      }
+      if (!strategy || typeof strategy.selector !== 'string' || !strategy.selector) {
+        errors.push(`${where}: missing selector`);
+      } else if (root && !isValidSelector(root, strategy.selector)) {
+        errors.push(`${where}: invalid selector "${strategy.selector}"`);
+      }
+      if (strategy?.text !== undefined && typeof strategy.text !== 'string') {
+        errors.push(`${where}: text must be a string`);
+      }
+    });
+  }
+  return errors;
+}
+
+/**
+ * Find the first element matched by a concept's strategies
+ * @param {Element|Document} root - Where to search
+ * @param {Array} strategies - From resolveSelectors()
+ * @param {Object} [options]
+ * @param {Object} [options.vars] - Values for {placeholders}
+ * @param {Function} [options.filter] - Extra check an element must pass
+ * @returns {Element|null}
+ */
+export function queryFirst(root, strategies, options = {}) {
+  for (const strategy of strategies) {
+    const [element] = matchStrategy(root, strategy, options);
+    if (element) return element;
+  }
+  return null;
+}
+
+/**
+ * Find every element matched by the first strategy that matches anything
+ * @param {Element|Document} root
+ * @param {Array} strategies
+ * @param {Object} [options] - As for queryFirst
+ * @returns {Array<Element>}
+ */
+export function queryAll(root, strategies, options = {}) {
+  for (const strategy of strategies) {
+    const elements = matchStrategy(root, strategy, options);
+    if (elements.length > 0) return elements;
+  }
+  return [];
+}
+
+/**
+ * Try every strategy of every concept against a page
+ * @param {Document} root - Page to test
+ * @param {Object} selectors - From resolveSelectors()
+ * @param {Object} [vars] - Values for {placeholders}
+ * @returns {Array} [{ concept, label, page, matched, strategies: [{ name, selector, count, error }] }]
+ *   where matched is the name of the first strategy that matched, or null
+ */
+export function runSelectorSelfTest(root, selectors, vars = {}) {
+  return Object.entries(selectors).map(([concept, strategies]) => {
+    const results = strategies.map(strategy => {
+      try {
+        return { name: strategy.name, selector: strategy.selector, count: matchStrategy(root, strategy, { vars, strict: true }).length, error: null };
+      } catch (error) {
+        return { name: strategy.name, selector: strategy.selector, count: 0, error: error.message };
+      }
+    });
+    const first = results.find(result => result.count > 0);
+    return {
+      concept,
+      label: SELECTOR_CONCEPTS[concept]?.label || concept,
+      page: SELECTOR_CONCEPTS[concept]?.page || null,
+      matched: first ? first.name : null,
+      strategies: results
+    };
+  });
+}
+
+// Elements matching one strategy; an invalid selector matches nothing
+// unless `strict`, when the error is thrown for the self-test to report
+function matchStrategy(root, strategy, { vars = {}, filter = null, strict = false } = {}) {
+  let elements;
+  try {
+    elements = Array.from(root.querySelectorAll(fillSelector(strategy.selector, vars)));
+  } catch (error) {
+    if (strict) throw error;
+    return [];
+  }
+
+  const text = strategy.text ? strategy.text.toLowerCase() : null;
+  return elements.filter(el => {
+    if (text) {
+      const content = `${el.textContent || ''} ${el.getAttribute('aria-label') || ''}`.toLowerCase();
+      if (!content.includes(text)) return false;
+    }
+    return !filter || filter(el);
+  });
+}
+
+// Substitute {name} placeholders, escaped for use inside a quoted attribute value
+function fillSelector(selector, vars) {
+  return selector.replace(/\{(\w+)\}/g, (placeholder, key) =>
+    key in vars ? String(vars[key]).replace(/["\\]/g, '\\$&') : placeholder);
+}
+
+function isStrategyList(value) {
+  return Array.isArray(value) && value.length > 0 &&
+    value.every(strategy => strategy && typeof strategy.selector === 'string' && strategy.selector);
+}
+
+function isValidSelector(root, selector) {
+  try {
+    root.querySelector(fillSelector(selector, {}).replace(/\{\w+\}/g, 'x'));
+    return true;
+  } catch {
+    return false;
+  }
+}
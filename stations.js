@@ -0,0 +1,352 @@
+/**
+ * Bundled Amtrak station directory
+ *
+ * Used by the popup to autocomplete and validate station codes, and by the
+ * background to pass station names to the content script so it can confirm
+ * it picked the right Amtrak autocomplete option. Covers Amtrak's staffed
+ * and major stations; add rows here as needed (codes are Amtrak's 3-letter
+ * codes, timezones are IANA names).
+ */
+
+export const STATIONS = [
+  { code: 'ABE', name: 'Aberdeen', city: 'Aberdeen', state: 'MD', timezone: 'America/New_York' },
+  { code: 'ABQ', name: 'Albuquerque', city: 'Albuquerque', state: 'NM', timezone: 'America/Denver' },
+  { code: 'ALB', name: 'Albany-Rensselaer', city: 'Rensselaer', state: 'NY', timezone: 'America/New_York' },
+  { code: 'ALC', name: 'Alliance', city: 'Alliance', state: 'OH', timezone: 'America/New_York' },
+  { code: 'ALT', name: 'Altoona', city: 'Altoona', state: 'PA', timezone: 'America/New_York' },
+  { code: 'ALX', name: 'Alexandria', city: 'Alexandria', state: 'VA', timezone: 'America/New_York' },
+  { code: 'AMS', name: 'Amsterdam', city: 'Amsterdam', state: 'NY', timezone: 'America/New_York' },
+  { code: 'ANA', name: 'Anaheim (ARTIC)', city: 'Anaheim', state: 'CA', timezone: 'America/Los_Angeles' },
+  { code: 'ARB', name: 'Ann Arbor', city: 'Ann Arbor', state: 'MI', timezone: 'America/Detroit' },
+  { code: 'ARD', name: 'Ardmore', city: 'Ardmore', state: 'PA', timezone: 'America/New_York' },
+  { code: 'ATL', name: 'Atlanta (Peachtree Station)', city: 'Atlanta', state: 'GA', timezone: 'America/New_York' },
+  { code: 'AUS', name: 'Austin', city: 'Austin', state: 'TX', timezone: 'America/Chicago' },
+  { code: 'BAL', name: 'Baltimore Penn Station', city: 'Baltimore', state: 'MD', timezone: 'America/New_York' },
+  { code: 'BBY', name: 'Boston Back Bay', city: 'Boston', state: 'MA', timezone: 'America/New_York' },
+  { code: 'BEL', name: 'Bellingham', city: 'Bellingham', state: 'WA', timezone: 'America/Los_Angeles' },
+  { code: 'BFD', name: 'Bakersfield', city: 'Bakersfield', state: 'CA', timezone: 'America/Los_Angeles' },
+  { code: 'BFX', name: 'Buffalo Exchange Street', city: 'Buffalo', state: 'NY', timezone: 'America/New_York' },
+  { code: 'BHM', name: 'Birmingham', city: 'Birmingham', state: 'AL', timezone: 'America/Chicago' },
+  { code: 'BMT', name: 'Beaumont', city: 'Beaumont', state: 'TX', timezone: 'America/Chicago' },
+  { code: 'BNL', name: 'Bloomington-Normal', city: 'Normal', state: 'IL', timezone: 'America/Chicago' },
+  { code: 'BON', name: 'Boston North Station', city: 'Boston', state: 'MA', timezone: 'America/New_York' },
+  { code: 'BOS', name: 'Boston South Station', city: 'Boston', state: 'MA', timezone: 'America/New_York' },
+  { code: 'BRA', name: 'Brattleboro', city: 'Brattleboro', state: 'VT', timezone: 'America/New_York' },
+  { code: 'BRK', name: 'Brunswick', city: 'Brunswick', state: 'ME', timezone: 'America/New_York' },
+  { code: 'BRL', name: 'Burlington', city: 'Burlington', state: 'IA', timezone: 'America/Chicago' },
+  { code: 'BRP', name: 'Bridgeport', city: 'Bridgeport', state: 'CT', timezone: 'America/New_York' },
+  { code: 'BTL', name: 'Battle Creek', city: 'Battle Creek', state: 'MI', timezone: 'America/Detroit' },
+  { code: 'BTN', name: 'Burlington', city: 'Burlington', state: 'VT', timezone: 'America/New_York' },
+  { code: 'BUF', name: 'Buffalo-Depew', city: 'Depew', state: 'NY', timezone: 'America/New_York' },
+  { code: 'BUR', name: 'Burbank Airport', city: 'Burbank', state: 'CA', timezone: 'America/Los_Angeles' },
+  { code: 'BWI', name: 'BWI Thurgood Marshall Airport', city: 'Linthicum', state: 'MD', timezone: 'America/New_York' },
+  { code: 'CAR', name: 'Cary', city: 'Cary', state: 'NC', timezone: 'America/New_York' },
+  { code: 'CBR', name: 'Cleburne', city: 'Cleburne', state: 'TX', timezone: 'America/Chicago' },
+  { code: 'CHI', name: 'Chicago Union Station', city: 'Chicago', state: 'IL', timezone: 'America/Chicago' },
+  { code: 'CHM', name: 'Champaign-Urbana', city: 'Champaign', state: 'IL', timezone: 'America/Chicago' },
+  { code: 'CHS', name: 'Charleston', city: 'North Charleston', state: 'SC', timezone: 'America/New_York' },
+  { code: 'CIC', name: 'Chico', city: 'Chico', state: 'CA', timezone: 'America/Los_Angeles' },
+  { code: 'CIN', name: 'Cincinnati', city: 'Cincinnati', state: 'OH', timezone: 'America/New_York' },
+  { code: 'CLB', name: 'Columbia', city: 'Columbia', state: 'SC', timezone: 'America/New_York' },
+  { code: 'CLE', name: 'Cleveland', city: 'Cleveland', state: 'OH', timezone: 'America/New_York' },
+  { code: 'CLP', name: 'Culpeper', city: 'Culpeper', state: 'VA', timezone: 'America/New_York' },
+  { code: 'CLT', name: 'Charlotte', city: 'Charlotte', state: 'NC', timezone: 'America/New_York' },
+  { code: 'CML', name: 'Camarillo', city: 'Camarillo', state: 'CA', timezone: 'America/Los_Angeles' },
+  { code: 'COT', name: 'Coatesville', city: 'Coatesville', state: 'PA', timezone: 'America/New_York' },
+  { code: 'COX', name: 'Colfax', city: 'Colfax', state: 'CA', timezone: 'America/Los_Angeles' },
+  { code: 'CRT', name: 'Croton-Harmon', city: 'Croton-on-Hudson', state: 'NY', timezone: 'America/New_York' },
+  { code: 'CVS', name: 'Charlottesville', city: 'Charlottesville', state: 'VA', timezone: 'America/New_York' },
+  { code: 'CWH', name: 'Cornwells Heights', city: 'Bensalem', state: 'PA', timezone: 'America/New_York' },
+  { code: 'DAL', name: 'Dallas Union Station', city: 'Dallas', state: 'TX', timezone: 'America/Chicago' },
+  { code: 'DAV', name: 'Davis', city: 'Davis', state: 'CA', timezone: 'America/Los_Angeles' },
+  { code: 'DEN', name: 'Denver Union Station', city: 'Denver', state: 'CO', timezone: 'America/Denver' },
+  { code: 'DER', name: 'Dearborn', city: 'Dearborn', state: 'MI', timezone: 'America/Detroit' },
+  { code: 'DET', name: 'Detroit', city: 'Detroit', state: 'MI', timezone: 'America/Detroit' },
+  { code: 'DHM', name: 'Durham-UNH', city: 'Durham', state: 'NH', timezone: 'America/New_York' },
+  { code: 'DNC', name: 'Durham', city: 'Durham', state: 'NC', timezone: 'America/New_York' },
+  { code: 'DOV', name: 'Dover', city: 'Dover', state: 'NH', timezone: 'America/New_York' },
+  { code: 'DOW', name: 'Downingtown', city: 'Downingtown', state: 'PA', timezone: 'America/New_York' },
+  { code: 'DUN', name: 'Dunsmuir', city: 'Dunsmuir', state: 'CA', timezone: 'America/Los_Angeles' },
+  { code: 'ELK', name: 'Elko', city: 'Elko', state: 'NV', timezone: 'America/Los_Angeles' },
+  { code: 'ELP', name: 'El Paso', city: 'El Paso', state: 'TX', timezone: 'America/Denver' },
+  { code: 'ELT', name: 'Elizabethtown', city: 'Elizabethtown', state: 'PA', timezone: 'America/New_York' },
+  { code: 'ELY', name: 'Elyria', city: 'Elyria', state: 'OH', timezone: 'America/New_York' },
+  { code: 'EMY', name: 'Emeryville', city: 'Emeryville', state: 'CA', timezone: 'America/Los_Angeles' },
+  { code: 'ERI', name: 'Erie', city: 'Erie', state: 'PA', timezone: 'America/New_York' },
+  { code: 'ESX', name: 'Essex Junction', city: 'Essex Junction', state: 'VT', timezone: 'America/New_York' },
+  { code: 'EUG', name: 'Eugene', city: 'Eugene', state: 'OR', timezone: 'America/Los_Angeles' },
+  { code: 'EVR', name: 'Everett', city: 'Everett', state: 'WA', timezone: 'America/Los_Angeles' },
+  { code: 'EWR', name: 'Newark Liberty Airport', city: 'Newark', state: 'NJ', timezone: 'America/New_York' },
+  { code: 'EXR', name: 'Exeter', city: 'Exeter', state: 'NH', timezone: 'America/New_York' },
+  { code: 'EXT', name: 'Exton', city: 'Exton', state: 'PA', timezone: 'America/New_York' },
+  { code: 'FAY', name: 'Fayetteville', city: 'Fayetteville', state: 'NC', timezone: 'America/New_York' },
+  { code: 'FBG', name: 'Fredericksburg', city: 'Fredericksburg', state: 'VA', timezone: 'America/New_York' },
+  { code: 'FLG', name: 'Flagstaff', city: 'Flagstaff', state: 'AZ', timezone: 'America/Phoenix' },
+  { code: 'FLO', name: 'Florence', city: 'Florence', state: 'SC', timezone: 'America/New_York' },
+  { code: 'FMD', name: 'Fort Madison', city: 'Fort Madison', state: 'IA', timezone: 'America/Chicago' },
+  { code: 'FMG', name: 'Fort Morgan', city: 'Fort Morgan', state: 'CO', timezone: 'America/Denver' },
+  { code: 'FNO', name: 'Fresno', city: 'Fresno', state: 'CA', timezone: 'America/Los_Angeles' },
+  { code: 'FRE', name: 'Freeport', city: 'Freeport', state: 'ME', timezone: 'America/New_York' },
+  { code: 'FTL', name: 'Fort Lauderdale', city: 'Fort Lauderdale', state: 'FL', timezone: 'America/New_York' },
+  { code: 'FTW', name: 'Fort Worth', city: 'Fort Worth', state: 'TX', timezone: 'America/Chicago' },
+  { code: 'FUL', name: 'Fullerton', city: 'Fullerton', state: 'CA', timezone: 'America/Los_Angeles' },
+  { code: 'GBB', name: 'Galesburg', city: 'Galesburg', state: 'IL', timezone: 'America/Chicago' },
+  { code: 'GCK', name: 'Garden City', city: 'Garden City', state: 'KS', timezone: 'America/Chicago' },
+  { code: 'GDL', name: 'Glendale', city: 'Glendale', state: 'CA', timezone: 'America/Los_Angeles' },
+  { code: 'GJT', name: 'Grand Junction', city: 'Grand Junction', state: 'CO', timezone: 'America/Denver' },
+  { code: 'GLN', name: 'Glenview', city: 'Glenview', state: 'IL', timezone: 'America/Chicago' },
+  { code: 'GNB', name: 'Greensburg', city: 'Greensburg', state: 'PA', timezone: 'America/New_York' },
+  { code: 'GPK', name: 'East Glacier Park', city: 'East Glacier Park', state: 'MT', timezone: 'America/Denver' },
+  { code: 'GRO', name: 'Greensboro', city: 'Greensboro', state: 'NC', timezone: 'America/New_York' },
+  { code: 'GRR', name: 'Grand Rapids', city: 'Grand Rapids', state: 'MI', timezone: 'America/Detroit' },
+  { code: 'GSC', name: 'Glenwood Springs', city: 'Glenwood Springs', state: 'CO', timezone: 'America/Denver' },
+  { code: 'GVL', name: 'Greenville', city: 'Greenville', state: 'SC', timezone: 'America/New_York' },
+  { code: 'HAR', name: 'Harrisburg', city: 'Harrisburg', state: 'PA', timezone: 'America/New_York' },
+  { code: 'HAS', name: 'Hastings', city: 'Hastings', state: 'NE', timezone: 'America/Chicago' },
+  { code: 'HFD', name: 'Hartford', city: 'Hartford', state: 'CT', timezone: 'America/New_York' },
+  { code: 'HGD', name: 'Huntingdon', city: 'Huntingdon', state: 'PA', timezone: 'America/New_York' },
+  { code: 'HHL', name: 'Haverhill', city: 'Haverhill', state: 'MA', timezone: 'America/New_York' },
+  { code: 'HLD', name: 'Holdrege', city: 'Holdrege', state: 'NE', timezone: 'America/Chicago' },
+  { code: 'HOS', name: 'Houston', city: 'Houston', state: 'TX', timezone: 'America/Chicago' },
+  { code: 'HPT', name: 'High Point', city: 'High Point', state: 'NC', timezone: 'America/New_York' },
+  { code: 'HUD', name: 'Hudson', city: 'Hudson', state: 'NY', timezone: 'America/New_York' },
+  { code: 'HUT', name: 'Hutchinson', city: 'Hutchinson', state: 'KS', timezone: 'America/Chicago' },
+  { code: 'IND', name: 'Indianapolis', city: 'Indianapolis', state: 'IN', timezone: 'America/Indiana/Indianapolis' },
+  { code: 'IRV', name: 'Irvine', city: 'Irvine', state: 'CA', timezone: 'America/Los_Angeles' },
+  { code: 'JAN', name: 'Jackson', city: 'Jackson', state: 'MS', timezone: 'America/Chicago' },
+  { code: 'JAX', name: 'Jacksonville', city: 'Jacksonville', state: 'FL', timezone: 'America/New_York' },
+  { code: 'JOL', name: 'Joliet', city: 'Joliet', state: 'IL', timezone: 'America/Chicago' },
+  { code: 'JST', name: 'Johnstown', city: 'Johnstown', state: 'PA', timezone: 'America/New_York' },
+  { code: 'KAL', name: 'Kalamazoo', city: 'Kalamazoo', state: 'MI', timezone: 'America/Detroit' },
+  { code: 'KCY', name: 'Kansas City Union Station', city: 'Kansas City', state: 'MO', timezone: 'America/Chicago' },
+  { code: 'KIN', name: 'Kingston', city: 'West Kingston', state: 'RI', timezone: 'America/New_York' },
+  { code: 'KIS', name: 'Kissimmee', city: 'Kissimmee', state: 'FL', timezone: 'America/New_York' },
+  { code: 'KLM', name: 'Klamath Falls', city: 'Klamath Falls', state: 'OR', timezone: 'America/Los_Angeles' },
+  { code: 'LAB', name: 'Latrobe', city: 'Latrobe', state: 'PA', timezone: 'America/New_York' },
+  { code: 'LAC', name: 'La Crosse', city: 'La Crosse', state: 'WI', timezone: 'America/Chicago' },
+  { code: 'LAJ', name: 'La Junta', city: 'La Junta', state: 'CO', timezone: 'America/Denver' },
+  { code: 'LAX', name: 'Los Angeles Union Station', city: 'Los Angeles', state: 'CA', timezone: 'America/Los_Angeles' },
+  { code: 'LCH', name: 'Lake Charles', city: 'Lake Charles', state: 'LA', timezone: 'America/Chicago' },
+  { code: 'LEW', name: 'Lewistown', city: 'Lewistown', state: 'PA', timezone: 'America/New_York' },
+  { code: 'LFT', name: 'Lafayette', city: 'Lafayette', state: 'LA', timezone: 'America/Chicago' },
+  { code: 'LMY', name: 'Lamy', city: 'Lamy', state: 'NM', timezone: 'America/Denver' },
+  { code: 'LNC', name: 'Lancaster', city: 'Lancaster', state: 'PA', timezone: 'America/New_York' },
+  { code: 'LNK', name: 'Lincoln', city: 'Lincoln', state: 'NE', timezone: 'America/Chicago' },
+  { code: 'LNS', name: 'East Lansing', city: 'East Lansing', state: 'MI', timezone: 'America/Detroit' },
+  { code: 'LOR', name: 'Lorton (Auto Train)', city: 'Lorton', state: 'VA', timezone: 'America/New_York' },
+  { code: 'LRC', name: 'Lawrence', city: 'Lawrence', state: 'KS', timezone: 'America/Chicago' },
+  { code: 'LRK', name: 'Little Rock', city: 'Little Rock', state: 'AR', timezone: 'America/Chicago' },
+  { code: 'LVW', name: 'Longview', city: 'Longview', state: 'TX', timezone: 'America/Chicago' },
+  { code: 'LYH', name: 'Lynchburg', city: 'Lynchburg', state: 'VA', timezone: 'America/New_York' },
+  { code: 'MCG', name: 'McGregor', city: 'McGregor', state: 'TX', timezone: 'America/Chicago' },
+  { code: 'MCK', name: 'McCook', city: 'McCook', state: 'NE', timezone: 'America/Chicago' },
+  { code: 'MDN', name: 'Meriden', city: 'Meriden', state: 'CT', timezone: 'America/New_York' },
+  { code: 'MEI', name: 'Meridian', city: 'Meridian', state: 'MS', timezone: 'America/Chicago' },
+  { code: 'MEM', name: 'Memphis', city: 'Memphis', state: 'TN', timezone: 'America/Chicago' },
+  { code: 'MET', name: 'Metropark', city: 'Iselin', state: 'NJ', timezone: 'America/New_York' },
+  { code: 'MIA', name: 'Miami', city: 'Hialeah', state: 'FL', timezone: 'America/New_York' },
+  { code: 'MID', name: 'Middletown', city: 'Middletown', state: 'PA', timezone: 'America/New_York' },
+  { code: 'MJY', name: 'Mount Joy', city: 'Mount Joy', state: 'PA', timezone: 'America/New_York' },
+  { code: 'MKA', name: 'Milwaukee Airport', city: 'Milwaukee', state: 'WI', timezone: 'America/Chicago' },
+  { code: 'MKE', name: 'Milwaukee Intermodal Station', city: 'Milwaukee', state: 'WI', timezone: 'America/Chicago' },
+  { code: 'MPR', name: 'Montpelier-Berlin', city: 'Berlin', state: 'VT', timezone: 'America/New_York' },
+  { code: 'MRC', name: 'Maricopa', city: 'Maricopa', state: 'AZ', timezone: 'America/Phoenix' },
+  { code: 'MSP', name: 'St. Paul-Minneapolis', city: 'St. Paul', state: 'MN', timezone: 'America/Chicago' },
+  { code: 'MSS', name: 'Manassas', city: 'Manassas', state: 'VA', timezone: 'America/New_York' },
+  { code: 'MTP', name: 'Mount Pleasant', city: 'Mount Pleasant', state: 'IA', timezone: 'America/Chicago' },
+  { code: 'MTR', name: 'Montreal Central Station', city: 'Montreal', state: 'QC', timezone: 'America/Toronto' },
+  { code: 'MTZ', name: 'Martinez', city: 'Martinez', state: 'CA', timezone: 'America/Los_Angeles' },
+  { code: 'MYS', name: 'Mystic', city: 'Mystic', state: 'CT', timezone: 'America/New_York' },
+  { code: 'NBK', name: 'New Brunswick', city: 'New Brunswick', state: 'NJ', timezone: 'America/New_York' },
+  { code: 'NCR', name: 'New Carrollton', city: 'New Carrollton', state: 'MD', timezone: 'America/New_York' },
+  { code: 'NFK', name: 'Norfolk', city: 'Norfolk', state: 'VA', timezone: 'America/New_York' },
+  { code: 'NFL', name: 'Niagara Falls', city: 'Niagara Falls', state: 'NY', timezone: 'America/New_York' },
+  { code: 'NHV', name: 'New Haven Union Station', city: 'New Haven', state: 'CT', timezone: 'America/New_York' },
+  { code: 'NLC', name: 'New London', city: 'New London', state: 'CT', timezone: 'America/New_York' },
+  { code: 'NOL', name: 'New Orleans', city: 'New Orleans', state: 'LA', timezone: 'America/Chicago' },
+  { code: 'NPN', name: 'Newport News', city: 'Newport News', state: 'VA', timezone: 'America/New_York' },
+  { code: 'NRK', name: 'Newark', city: 'Newark', state: 'DE', timezone: 'America/New_York' },
+  { code: 'NRO', name: 'New Rochelle', city: 'New Rochelle', state: 'NY', timezone: 'America/New_York' },
+  { code: 'NTN', name: 'Newton', city: 'Newton', state: 'KS', timezone: 'America/Chicago' },
+  { code: 'NWK', name: 'Newark Penn Station', city: 'Newark', state: 'NJ', timezone: 'America/New_York' },
+  { code: 'NYP', name: 'New York Penn Station', city: 'New York', state: 'NY', timezone: 'America/New_York' },
+  { code: 'OKC', name: 'Oklahoma City', city: 'Oklahoma City', state: 'OK', timezone: 'America/Chicago' },
+  { code: 'OKJ', name: 'Oakland Jack London Square', city: 'Oakland', state: 'CA', timezone: 'America/Los_Angeles' },
+  { code: 'OLT', name: 'San Diego Old Town', city: 'San Diego', state: 'CA', timezone: 'America/Los_Angeles' },
+  { code: 'OLW', name: 'Olympia-Lacey', city: 'Lacey', state: 'WA', timezone: 'America/Los_Angeles' },
+  { code: 'OMA', name: 'Omaha', city: 'Omaha', state: 'NE', timezone: 'America/Chicago' },
+  { code: 'ORL', name: 'Orlando', city: 'Orlando', state: 'FL', timezone: 'America/New_York' },
+  { code: 'OSB', name: 'Old Saybrook', city: 'Old Saybrook', state: 'CT', timezone: 'America/New_York' },
+  { code: 'OSC', name: 'Osceola', city: 'Osceola', state: 'IA', timezone: 'America/Chicago' },
+  { code: 'OSD', name: 'Oceanside', city: 'Oceanside', state: 'CA', timezone: 'America/Los_Angeles' },
+  { code: 'OTM', name: 'Ottumwa', city: 'Ottumwa', state: 'IA', timezone: 'America/Chicago' },
+  { code: 'OXN', name: 'Oxnard', city: 'Oxnard', state: 'CA', timezone: 'America/Los_Angeles' },
+  { code: 'PAO', name: 'Paoli', city: 'Paoli', state: 'PA', timezone: 'America/New_York' },
+  { code: 'PAR', name: 'Parkesburg', city: 'Parkesburg', state: 'PA', timezone: 'America/New_York' },
+  { code: 'PDX', name: 'Portland Union Station', city: 'Portland', state: 'OR', timezone: 'America/Los_Angeles' },
+  { code: 'PGH', name: 'Pittsburgh', city: 'Pittsburgh', state: 'PA', timezone: 'America/New_York' },
+  { code: 'PHL', name: 'Philadelphia 30th Street Station', city: 'Philadelphia', state: 'PA', timezone: 'America/New_York' },
+  { code: 'PHN', name: 'North Philadelphia', city: 'Philadelphia', state: 'PA', timezone: 'America/New_York' },
+  { code: 'PJC', name: 'Princeton Junction', city: 'Princeton Junction', state: 'NJ', timezone: 'America/New_York' },
+  { code: 'PNT', name: 'Pontiac', city: 'Pontiac', state: 'MI', timezone: 'America/Detroit' },
+  { code: 'POR', name: 'Portland', city: 'Portland', state: 'ME', timezone: 'America/New_York' },
+  { code: 'POU', name: 'Poughkeepsie', city: 'Poughkeepsie', state: 'NY', timezone: 'America/New_York' },
+  { code: 'PSN', name: 'Palm Springs', city: 'Palm Springs', state: 'CA', timezone: 'America/Los_Angeles' },
+  { code: 'PTB', name: 'Petersburg', city: 'Ettrick', state: 'VA', timezone: 'America/New_York' },
+  { code: 'PTH', name: 'Port Huron', city: 'Port Huron', state: 'MI', timezone: 'America/Detroit' },
+  { code: 'PVD', name: 'Providence', city: 'Providence', state: 'RI', timezone: 'America/New_York' },
+  { code: 'QAN', name: 'Quantico', city: 'Quantico', state: 'VA', timezone: 'America/New_York' },
+  { code: 'RAT', name: 'Raton', city: 'Raton', state: 'NM', timezone: 'America/Denver' },
+  { code: 'RDD', name: 'Redding', city: 'Redding', state: 'CA', timezone: 'America/Los_Angeles' },
+  { code: 'RGH', name: 'Raleigh', city: 'Raleigh', state: 'NC', timezone: 'America/New_York' },
+  { code: 'RHI', name: 'Rhinecliff-Kingston', city: 'Rhinecliff', state: 'NY', timezone: 'America/New_York' },
+  { code: 'RIC', name: 'Richmond', city: 'Richmond', state: 'CA', timezone: 'America/Los_Angeles' },
+  { code: 'RMT', name: 'Rocky Mount', city: 'Rocky Mount', state: 'NC', timezone: 'America/New_York' },
+  { code: 'RNK', name: 'Roanoke', city: 'Roanoke', state: 'VA', timezone: 'America/New_York' },
+  { code: 'RNO', name: 'Reno', city: 'Reno', state: 'NV', timezone: 'America/Los_Angeles' },
+  { code: 'ROC', name: 'Rochester', city: 'Rochester', state: 'NY', timezone: 'America/New_York' },
+  { code: 'ROM', name: 'Rome', city: 'Rome', state: 'NY', timezone: 'America/New_York' },
+  { code: 'RTE', name: 'Route 128', city: 'Westwood', state: 'MA', timezone: 'America/New_York' },
+  { code: 'RUD', name: 'Rutland', city: 'Rutland', state: 'VT', timezone: 'America/New_York' },
+  { code: 'RVM', name: 'Richmond Main Street Station', city: 'Richmond', state: 'VA', timezone: 'America/New_York' },
+  { code: 'RVR', name: 'Richmond Staples Mill Road', city: 'Richmond', state: 'VA', timezone: 'America/New_York' },
+  { code: 'SAB', name: 'St. Albans', city: 'St. Albans', state: 'VT', timezone: 'America/New_York' },
+  { code: 'SAC', name: 'Sacramento Valley Station', city: 'Sacramento', state: 'CA', timezone: 'America/Los_Angeles' },
+  { code: 'SAL', name: 'Salisbury', city: 'Salisbury', state: 'NC', timezone: 'America/New_York' },
+  { code: 'SAN', name: 'San Diego Santa Fe Depot', city: 'San Diego', state: 'CA', timezone: 'America/Los_Angeles' },
+  { code: 'SAS', name: 'San Antonio', city: 'San Antonio', state: 'TX', timezone: 'America/Chicago' },
+  { code: 'SAV', name: 'Savannah', city: 'Savannah', state: 'GA', timezone: 'America/New_York' },
+  { code: 'SBA', name: 'Santa Barbara', city: 'Santa Barbara', state: 'CA', timezone: 'America/Los_Angeles' },
+  { code: 'SBN', name: 'South Bend', city: 'South Bend', state: 'IN', timezone: 'America/Indiana/Indianapolis' },
+  { code: 'SDY', name: 'Schenectady', city: 'Schenectady', state: 'NY', timezone: 'America/New_York' },
+  { code: 'SEA', name: 'Seattle King Street Station', city: 'Seattle', state: 'WA', timezone: 'America/Los_Angeles' },
+  { code: 'SEL', name: 'Selma-Smithfield', city: 'Selma', state: 'NC', timezone: 'America/New_York' },
+  { code: 'SFA', name: 'Sanford (Auto Train)', city: 'Sanford', state: 'FL', timezone: 'America/New_York' },
+  { code: 'SIM', name: 'Simi Valley', city: 'Simi Valley', state: 'CA', timezone: 'America/Los_Angeles' },
+  { code: 'SJC', name: 'San Jose Diridon', city: 'San Jose', state: 'CA', timezone: 'America/Los_Angeles' },
+  { code: 'SKY', name: 'Sandusky', city: 'Sandusky', state: 'OH', timezone: 'America/New_York' },
+  { code: 'SLC', name: 'Salt Lake City', city: 'Salt Lake City', state: 'UT', timezone: 'America/Denver' },
+  { code: 'SLM', name: 'Salem', city: 'Salem', state: 'OR', timezone: 'America/Los_Angeles' },
+  { code: 'SLO', name: 'San Luis Obispo', city: 'San Luis Obispo', state: 'CA', timezone: 'America/Los_Angeles' },
+  { code: 'SMC', name: 'San Marcos', city: 'San Marcos', state: 'TX', timezone: 'America/Chicago' },
+  { code: 'SNA', name: 'Santa Ana', city: 'Santa Ana', state: 'CA', timezone: 'America/Los_Angeles' },
+  { code: 'SNC', name: 'San Juan Capistrano', city: 'San Juan Capistrano', state: 'CA', timezone: 'America/Los_Angeles' },
+  { code: 'SOL', name: 'Solana Beach', city: 'Solana Beach', state: 'CA', timezone: 'America/Los_Angeles' },
+  { code: 'SPB', name: 'Spartanburg', city: 'Spartanburg', state: 'SC', timezone: 'America/New_York' },
+  { code: 'SPG', name: 'Springfield', city: 'Springfield', state: 'MA', timezone: 'America/New_York' },
+  { code: 'SPI', name: 'Springfield', city: 'Springfield', state: 'IL', timezone: 'America/Chicago' },
+  { code: 'SPK', name: 'Spokane', city: 'Spokane', state: 'WA', timezone: 'America/Los_Angeles' },
+  { code: 'STL', name: 'St. Louis', city: 'St. Louis', state: 'MO', timezone: 'America/Chicago' },
+  { code: 'STM', name: 'Stamford', city: 'Stamford', state: 'CT', timezone: 'America/New_York' },
+  { code: 'SYR', name: 'Syracuse', city: 'Syracuse', state: 'NY', timezone: 'America/New_York' },
+  { code: 'TAC', name: 'Tacoma', city: 'Tacoma', state: 'WA', timezone: 'America/Los_Angeles' },
+  { code: 'TAY', name: 'Taylor', city: 'Taylor', state: 'TX', timezone: 'America/Chicago' },
+  { code: 'TOL', name: 'Toledo', city: 'Toledo', state: 'OH', timezone: 'America/New_York' },
+  { code: 'TOP', name: 'Topeka', city: 'Topeka', state: 'KS', timezone: 'America/Chicago' },
+  { code: 'TPA', name: 'Tampa', city: 'Tampa', state: 'FL', timezone: 'America/New_York' },
+  { code: 'TPL', name: 'Temple', city: 'Temple', state: 'TX', timezone: 'America/Chicago' },
+  { code: 'TRE', name: 'Trenton', city: 'Trenton', state: 'NJ', timezone: 'America/New_York' },
+  { code: 'TRI', name: 'Trinidad', city: 'Trinidad', state: 'CO', timezone: 'America/Denver' },
+  { code: 'TRU', name: 'Truckee', city: 'Truckee', state: 'CA', timezone: 'America/Los_Angeles' },
+  { code: 'TUS', name: 'Tucson', city: 'Tucson', state: 'AZ', timezone: 'America/Phoenix' },
+  { code: 'TWO', name: 'Toronto Union Station', city: 'Toronto', state: 'ON', timezone: 'America/Toronto' },
+  { code: 'TXA', name: 'Texarkana', city: 'Texarkana', state: 'AR', timezone: 'America/Chicago' },
+  { code: 'TYR', name: 'Tyrone', city: 'Tyrone', state: 'PA', timezone: 'America/New_York' },
+  { code: 'UCA', name: 'Utica', city: 'Utica', state: 'NY', timezone: 'America/New_York' },
+  { code: 'VAC', name: 'Vancouver Pacific Central Station', city: 'Vancouver', state: 'BC', timezone: 'America/Vancouver' },
+  { code: 'VAN', name: 'Vancouver', city: 'Vancouver', state: 'WA', timezone: 'America/Los_Angeles' },
+  { code: 'VEC', name: 'Ventura', city: 'Ventura', state: 'CA', timezone: 'America/Los_Angeles' },
+  { code: 'VNC', name: 'Van Nuys', city: 'Van Nuys', state: 'CA', timezone: 'America/Los_Angeles' },
+  { code: 'WAS', name: 'Washington Union Station', city: 'Washington', state: 'DC', timezone: 'America/New_York' },
+  { code: 'WBG', name: 'Williamsburg', city: 'Williamsburg', state: 'VA', timezone: 'America/New_York' },
+  { code: 'WDB', name: 'Woodbridge', city: 'Woodbridge', state: 'VA', timezone: 'America/New_York' },
+  { code: 'WDL', name: 'Wisconsin Dells', city: 'Wisconsin Dells', state: 'WI', timezone: 'America/Chicago' },
+  { code: 'WFD', name: 'Wallingford', city: 'Wallingford', state: 'CT', timezone: 'America/New_York' },
+  { code: 'WFH', name: 'Whitefish', city: 'Whitefish', state: 'MT', timezone: 'America/Denver' },
+  { code: 'WIL', name: 'Wilmington', city: 'Wilmington', state: 'DE', timezone: 'America/New_York' },
+  { code: 'WIP', name: 'Fraser-Winter Park', city: 'Fraser', state: 'CO', timezone: 'America/Denver' },
+  { code: 'WLY', name: 'Westerly', city: 'Westerly', state: 'RI', timezone: 'America/New_York' },
+  { code: 'WNL', name: 'Windsor Locks', city: 'Windsor Locks', state: 'CT', timezone: 'America/New_York' },
+  { code: 'WNN', name: 'Winnemucca', city: 'Winnemucca', state: 'NV', timezone: 'America/Los_Angeles' },
+  { code: 'WOB', name: 'Woburn (Anderson RTC)', city: 'Woburn', state: 'MA', timezone: 'America/New_York' },
+  { code: 'WPB', name: 'West Palm Beach', city: 'West Palm Beach', state: 'FL', timezone: 'America/New_York' },
+  { code: 'WRJ', name: 'White River Junction', city: 'White River Junction', state: 'VT', timezone: 'America/New_York' },
+  { code: 'YNY', name: 'Yonkers', city: 'Yonkers', state: 'NY', timezone: 'America/New_York' }
+];
+
+const STATIONS_BY_CODE = new Map(STATIONS.map(station => [station.code, station]));
+
+/**
+ * Look up a station by its 3-letter code
+ * @param {string} code - Station code, any case
+ * @returns {Object|null} Station object or null if unknown
+ */
+export function getStation(code) {
+  if (!code) return null;
+  return STATIONS_BY_CODE.get(String(code).trim().toUpperCase()) || null;
+}
+
+/**
+ * Whether a code belongs to a known station
+ * @param {string} code - Station code, any case
+ * @returns {boolean}
+ */
+export function isKnownStation(code) {
+  return getStation(code) !== null;
+}
+
+/**
+ * Whether a value is shaped like an Amtrak station code
+ * The bundled list doesn't have every station, so trips may use codes
+ * that getStation doesn't know.
+ * @param {string} code - Station code, any case
+ * @returns {boolean}
+ */
+export function isStationCode(code) {
+  return /^[A-Z]{3}$/.test(String(code || '').trim().toUpperCase());
+}
+
+/**
+ * Find stations whose code, name or city match a search string
+ * Exact code matches come first, then code prefixes, then name/city matches.
+ * @param {string} query - Text typed by the user
+ * @param {number} [limit=10] - Maximum results to return
+ * @returns {Array} Matching station objects
+ */
+export function searchStations(query, limit = 10) {
+  const q = (query || '').trim().toLowerCase();
+  if (!q) return [];
+
+  const scored = [];
+  for (const station of STATIONS) {
+    const code = station.code.toLowerCase();
+    const name = station.name.toLowerCase();
+    const city = station.city.toLowerCase();
+
+    let score = null;
+    if (code === q) score = 0;
+    else if (code.startsWith(q)) score = 1;
+    else if (name.startsWith(q) || city.startsWith(q)) score = 2;
+    else if (name.includes(q) || city.includes(q)) score = 3;
+
+    if (score !== null) {
+      scored.push({ station, score });
+    }
+  }
+
+  return scored
+    .sort((a, b) => a.score - b.score || a.station.name.localeCompare(b.station.name))
+    .slice(0, limit)
+    .map(({ station }) => station);
+}
+
+/**
+ * Display label for a station, e.g. "New York Penn Station (NYP)"
+ * Falls back to the bare code for stations not in the directory.
+ * @param {string} code - Station code
+ * @returns {string}
+ */
+export function formatStation(code) {
+  const station = getStation(code);
+  return station ? `${station.name} (${station.code})` : code;
+}
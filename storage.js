@@ -1,16 +1,61 @@
+import { SCHEMA_VERSION, migrateData, validateTrip } from './schema.js';
+import { mergeTrips, mergeLedger } from './backup.js';
+import { DEFAULT_SCHEDULE_TIERS } from './schedule.js';
+import { validateLedgerEntry } from './ledger.js';
+
 // Storage keys
 const STORAGE_KEYS = {
   TRIPS: 'amtrak_trips',
-  SETTINGS: 'amtrak_settings'
+  SETTINGS: 'amtrak_settings',
+  DELIVERY_LOG: 'amtrak_delivery_log',
+  RUN_LOG: 'amtrak_run_log',
+  LEDGER: 'amtrak_savings_ledger',
+  SCHEMA_VERSION: 'amtrak_schema_version',
+  QUARANTINE: 'amtrak_quarantine'
+};
+
+// Settings that are credentials (a webhook URL can be posted to by anyone
+// who has it); left out of backups, and kept as they are on import
+const SECRET_SETTINGS = ['webhookUrl', 'webhookSecret'];
+
+// Per-browser-session state; tab and window IDs don't outlive the browser
+const SESSION_KEYS = {
+  AUTOMATION_TARGET: 'amtrak_automation_target'
 };
 
+// Delivery log entries kept per notification channel
+const MAX_DELIVERY_LOG_PER_CHANNEL = 20;
+
+// Check runs kept in the diagnostics log (see diagnostics.js)
+const MAX_RUN_LOGS = 20;
+
 // Default settings
 const DEFAULT_SETTINGS = {
-  checkInterval: 4, // hours
+  checkInterval: 4, // hours, when scheduleMode is 'fixed'
+  scheduleMode: 'adaptive', // adaptive (by days to departure) or fixed
+  scheduleTiers: DEFAULT_SCHEDULE_TIERS, // check intervals by days to departure, see schedule.js
   lastChecked: null,
   notificationsEnabled: true,
   emailNotifications: false,
-  notificationEmail: null
+  notificationEmail: null,
+  amtrakPriceBasis: 'total', // whether Amtrak's results show fares for the whole party or per person
+  webhookEnabled: false,
+  webhookUrl: null,
+  webhookPreset: 'generic', // generic, slack, discord or ntfy
+  webhookTemplate: null, // custom JSON template for the generic preset
+  webhookSecret: null, // HMAC-SHA256 signing secret
+  alertMinSavings: 0, // dollars
+  alertMinSavingsPercent: 0,
+  alertNewLowOnly: true, // only alert when the price beats the last alerted price
+  alertCooldownHours: 0,
+  upgradeAlertsEnabled: true, // alert when a higher class drops below the price paid
+  alternativeAlertsEnabled: false, // alert when a train near the tracked one is cheaper
+  alternativeWindowMinutes: 60, // how far from the tracked train's departure to look
+  alternativeMinSavings: 20, // dollars below the price paid
+  priceProviders: ['tab'], // provider IDs in the order they're tried (tab, direct)
+  directProviderBaseUrl: 'https://www.amtrak.com',
+  selectorOverrides: null, // { concept: [strategies] } replacing the defaults in selectors.js
+  automationWindow: 'minimized' // where the tab provider opens its own Amtrak tab: minimized (separate window) or background (tab)
 };
 
 /**
@@ -59,6 +104,16 @@ export async function deleteTrip(tripId) {
   await chrome.storage.local.set({ [STORAGE_KEYS.TRIPS]: filteredTrips });
 }
 
+/**
+ * Delete several trips in one write
+ * @param {Array<string>} tripIds - IDs of the trips to delete
+ * @returns {Promise<void>}
+ */
+export async function deleteTrips(tripIds) {
+  const trips = await getTrips();
+  await chrome.storage.local.set({ [STORAGE_KEYS.TRIPS]: trips.filter(t => !tripIds.includes(t.id)) });
+}
+
 /**
  * Get a single trip by ID
  * @param {string} tripId - ID of the trip to retrieve
@@ -89,38 +144,323 @@ export async function saveSettings(newSettings) {
   await chrome.storage.local.set({ [STORAGE_KEYS.SETTINGS]: mergedSettings });
 }
 
+/**
+ * Get notification delivery results, newest first
+ * @param {string} [channel] - Only return entries for this channel
+ * @returns {Promise<Array>} Array of delivery log entries
+ */
+export async function getDeliveryLog(channel) {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.DELIVERY_LOG);
+  const log = result[STORAGE_KEYS.DELIVERY_LOG] || [];
+  return channel ? log.filter(entry => entry.channel === channel) : log;
+}
+
+/**
+ * Record the result of a notification delivery
+ * Keeps the most recent entries for each channel
+ * @param {Object} entry - { channel, tripId, route, test, success, status, error }
+ * @returns {Promise<void>}
+ */
+export async function logDelivery(entry) {
+  const log = await getDeliveryLog();
+  log.unshift({ ...entry, timestamp: new Date().toISOString() });
+
+  const counts = {};
+  const trimmed = log.filter(e => {
+    counts[e.channel] = (counts[e.channel] || 0) + 1;
+    return counts[e.channel] <= MAX_DELIVERY_LOG_PER_CHANNEL;
+  });
+
+  await chrome.storage.local.set({ [STORAGE_KEYS.DELIVERY_LOG]: trimmed });
+}
+
+/**
+ * Get recorded check runs, newest first
+ * @returns {Promise<Array>} Array of runs (see diagnostics.js)
+ */
+export async function getRunLogs() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.RUN_LOG);
+  return result[STORAGE_KEYS.RUN_LOG] || [];
+}
+
+/**
+ * Record a finished check run
+ * Keeps the most recent MAX_RUN_LOGS runs
+ * @param {Object} run - Run from diagnostics.finishRun()
+ * @returns {Promise<void>}
+ */
+export async function saveRunLog(run) {
+  const runs = await getRunLogs();
+  runs.unshift(run);
+  await chrome.storage.local.set({ [STORAGE_KEYS.RUN_LOG]: runs.slice(0, MAX_RUN_LOGS) });
+}
+
+/**
+ * Delete all recorded check runs
+ * @returns {Promise<void>}
+ */
+export async function clearRunLogs() {
+  await chrome.storage.local.remove(STORAGE_KEYS.RUN_LOG);
+}
+
+/**
+ * Get the savings ledger, newest first
+ * @returns {Promise<Array>} Ledger entries (see ledger.js)
+ */
+export async function getLedger() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.LEDGER);
+  return result[STORAGE_KEYS.LEDGER] || [];
+}
+
+/**
+ * Record a rebooking in the savings ledger
+ * @param {Object} entry - Entry from ledger.createLedgerEntry()
+ * @returns {Promise<void>}
+ */
+export async function addLedgerEntry(entry) {
+  const entries = await getLedger();
+  entries.unshift(entry);
+  await chrome.storage.local.set({ [STORAGE_KEYS.LEDGER]: entries });
+}
+
+/**
+ * Update a ledger entry, e.g. to mark its voucher used
+ * @param {Object} updatedEntry - Entry with the ID of an existing entry
+ * @returns {Promise<void>}
+ */
+export async function updateLedgerEntry(updatedEntry) {
+  const entries = await getLedger();
+  const index = entries.findIndex(e => e.id === updatedEntry.id);
+  if (index !== -1) {
+    entries[index] = updatedEntry;
+    await chrome.storage.local.set({ [STORAGE_KEYS.LEDGER]: entries });
+  }
+}
+
+/**
+ * Delete a ledger entry
+ * @param {string} entryId
+ * @returns {Promise<void>}
+ */
+export async function deleteLedgerEntry(entryId) {
+  const entries = await getLedger();
+  await chrome.storage.local.set({ [STORAGE_KEYS.LEDGER]: entries.filter(e => e.id !== entryId) });
+}
+
+/**
+ * Listen for changes to trips or settings made from any extension page
+ * @param {Function} callback - Called with no arguments after each change
+ */
+export function onTripsOrSettingsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && (changes[STORAGE_KEYS.TRIPS] || changes[STORAGE_KEYS.SETTINGS])) {
+      callback();
+    }
+  });
+}
+
+/**
+ * Get the tab (and window) the tab provider opened for itself
+ * Kept in session storage so it survives the service worker restarting.
+ * @returns {Promise<Object|null>} { tabId, windowId, ownsWindow, createdAt }
+ */
+export async function getAutomationTarget() {
+  const result = await chrome.storage.session.get(SESSION_KEYS.AUTOMATION_TARGET);
+  return result[SESSION_KEYS.AUTOMATION_TARGET] || null;
+}
+
+/**
+ * Remember or forget the tab provider's own tab
+ * @param {Object|null} target - { tabId, windowId, ownsWindow, createdAt }, or null to forget
+ * @returns {Promise<void>}
+ */
+export async function setAutomationTarget(target) {
+  if (target) {
+    await chrome.storage.session.set({ [SESSION_KEYS.AUTOMATION_TARGET]: target });
+  } else {
+    await chrome.storage.session.remove(SESSION_KEYS.AUTOMATION_TARGET);
+  }
+}
+
+/**
+ * Migrate stored data to the current schema version
+ * Safe to run repeatedly: migrations already applied are skipped, but trips
+ * are always re-validated.
+ * @returns {Promise<Object>} { applied, quarantined } - migration versions run
+ *   and the number of trips quarantined
+ */
+export async function runMigrations() {
+  const result = await chrome.storage.local.get([
+    STORAGE_KEYS.TRIPS,
+    STORAGE_KEYS.SETTINGS,
+    STORAGE_KEYS.SCHEMA_VERSION
+  ]);
+  const fromVersion = result[STORAGE_KEYS.SCHEMA_VERSION] || 0;
+
+  if (fromVersion > SCHEMA_VERSION) {
+    console.warn(`Stored data is schema ${fromVersion}, newer than ${SCHEMA_VERSION}; leaving it untouched`);
+    return { applied: [], quarantined: 0 };
+  }
+
+  const migrated = migrateData({
+    trips: result[STORAGE_KEYS.TRIPS],
+    settings: result[STORAGE_KEYS.SETTINGS]
+  }, fromVersion);
+
+  await chrome.storage.local.set({
+    [STORAGE_KEYS.TRIPS]: migrated.trips,
+    [STORAGE_KEYS.SETTINGS]: migrated.settings,
+    [STORAGE_KEYS.SCHEMA_VERSION]: SCHEMA_VERSION
+  });
+  await addToQuarantine(migrated.quarantined);
+
+  return { applied: migrated.applied, quarantined: migrated.quarantined.length };
+}
+
+/**
+ * Move any trips that fail the schema into quarantine
+ * @returns {Promise<Array>} The remaining valid trips
+ */
+export async function quarantineInvalidTrips() {
+  const trips = await getTrips();
+  const valid = [];
+  const invalid = [];
+  const quarantinedAt = new Date().toISOString();
+
+  trips.forEach(trip => {
+    const errors = validateTrip(trip);
+    if (errors.length === 0) {
+      valid.push(trip);
+    } else {
+      invalid.push({ trip, errors, quarantinedAt });
+    }
+  });
+
+  if (invalid.length > 0) {
+    await chrome.storage.local.set({ [STORAGE_KEYS.TRIPS]: valid });
+    await addToQuarantine(invalid);
+  }
+  return valid;
+}
+
+/**
+ * Get trips that failed validation, newest first
+ * @returns {Promise<Array>} Array of { trip, errors, quarantinedAt }
+ */
+export async function getQuarantine() {
+  const result = await chrome.storage.local.get(STORAGE_KEYS.QUARANTINE);
+  return result[STORAGE_KEYS.QUARANTINE] || [];
+}
+
+/**
+ * Discard all quarantined trips
+ * @returns {Promise<void>}
+ */
+export async function clearQuarantine() {
+  await chrome.storage.local.remove(STORAGE_KEYS.QUARANTINE);
+}
+
+async function addToQuarantine(entries) {
+  if (entries.length === 0) return;
+  entries.forEach(({ trip, errors }) => {
+    console.warn(`Quarantined trip ${trip?.id ?? '(no id)'}: ${errors.join(', ')}`);
+  });
+  const quarantine = await getQuarantine();
+  await chrome.storage.local.set({ [STORAGE_KEYS.QUARANTINE]: [...entries, ...quarantine] });
+}
+
 /**
  * Clear all extension data
  * @returns {Promise<void>}
  */
 export async function clearAllData() {
-  await chrome.storage.local.remove([STORAGE_KEYS.TRIPS, STORAGE_KEYS.SETTINGS]);
+  await chrome.storage.local.remove(Object.values(STORAGE_KEYS));
 }
 
 /**
  * Export all data (for backup)
+ * The webhook URL and signing secret are left out (see SECRET_SETTINGS).
+ * Exporting selected trips leaves out settings and the savings ledger, so
+ * importing the file only brings in those trips.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.tripIds] - Only export these trips
  * @returns {Promise<Object>} All stored data
  */
-export async function exportData() {
+export async function exportData({ tripIds } = {}) {
   const trips = await getTrips();
+  if (tripIds) {
+    return {
+      schemaVersion: SCHEMA_VERSION,
+      trips: trips.filter(t => tripIds.includes(t.id)),
+      exportedAt: new Date().toISOString()
+    };
+  }
+
   const settings = await getSettings();
+  SECRET_SETTINGS.forEach(key => delete settings[key]);
+  const ledger = await getLedger();
   return {
+    schemaVersion: SCHEMA_VERSION,
     trips,
     settings,
+    ledger,
     exportedAt: new Date().toISOString()
   };
 }
 
 /**
  * Import data (from backup)
+ * Backups from older versions are migrated first; trips that still fail
+ * validation are quarantined instead of imported.
+ *
+ * In 'replace' mode the backup's trips, settings and savings ledger
+ * overwrite the current ones. In 'merge' mode trips are merged by ID (see
+ * mergeTrips in backup.js), ledger entries not already recorded are added
+ * and current settings are kept.
  * @param {Object} data - Data object with trips and settings
- * @returns {Promise<void>}
+ * @param {Object} [options]
+ * @param {string} [options.mode='replace'] - 'replace' or 'merge'
+ * @param {string} [options.conflict='keep'] - Merge conflict strategy, 'keep' or 'backup'
+ * @returns {Promise<Object>} { imported, quarantined } trip counts and the
+ *   number of malformed ledger entries skipped (ledgerSkipped)
+ * @throws {Error} If the backup isn't an object, its trips or ledger aren't
+ *   lists, or it is from a newer schema version
  */
-export async function importData(data) {
+export async function importData(data, { mode = 'replace', conflict = 'keep' } = {}) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Backup is not a valid export');
+  }
+  if (data.trips !== undefined && !Array.isArray(data.trips)) {
+    throw new Error('Backup trips must be a list');
+  }
+  if (data.ledger !== undefined && !Array.isArray(data.ledger)) {
+    throw new Error('Backup savings ledger must be a list');
+  }
+
+  const migrated = migrateData(data, data.schemaVersion || 0);
+
   if (data.trips) {
-    await chrome.storage.local.set({ [STORAGE_KEYS.TRIPS]: data.trips });
+    const trips = mode === 'merge' ? mergeTrips(await getTrips(), migrated.trips, conflict) : migrated.trips;
+    await chrome.storage.local.set({ [STORAGE_KEYS.TRIPS]: trips });
+  }
+  if (data.settings && mode !== 'merge') {
+    // Backups don't carry credentials, so keep the ones already set up
+    const current = await getSettings();
+    const secrets = {};
+    SECRET_SETTINGS.forEach(key => {
+      if (migrated.settings[key] === undefined) secrets[key] = current[key];
+    });
+    await chrome.storage.local.set({ [STORAGE_KEYS.SETTINGS]: { ...migrated.settings, ...secrets } });
   }
-  if (data.settings) {
-    await chrome.storage.local.set({ [STORAGE_KEYS.SETTINGS]: data.settings });
+  // Malformed ledger entries are skipped rather than stored
+  const backupLedger = (data.ledger || []).filter(entry => validateLedgerEntry(entry).length === 0);
+  const ledgerSkipped = (data.ledger || []).length - backupLedger.length;
+  if (data.ledger) {
+    const ledger = mode === 'merge' ? mergeLedger(await getLedger(), backupLedger) : backupLedger;
+    await chrome.storage.local.set({ [STORAGE_KEYS.LEDGER]: ledger });
   }
+  await chrome.storage.local.set({ [STORAGE_KEYS.SCHEMA_VERSION]: SCHEMA_VERSION });
+  await addToQuarantine(migrated.quarantined);
+
+  return { imported: migrated.trips.length, quarantined: migrated.quarantined.length, ledgerSkipped };
 }
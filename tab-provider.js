@@ -0,0 +1,397 @@
+/**
+ * Tab automation price provider
+ *
+ * Drives a real amtrak.com tab: navigates to the homepage, injects
+ * content.js to fill in and submit the search form, then scrapes the
+ * results page. Slow, but sees exactly what a user would.
+ *
+ * The provider only ever drives a tab it opened itself, in a separate
+ * minimized window by default (settings.automationWindow). Its ID is kept
+ * in session storage so a restarted service worker picks the same tab back
+ * up, and closeAutomationTab() closes it at the end of each run. Amtrak
+ * tabs the user has open are never reused or navigated.
+ */
+
+import { getStation } from './stations.js';
+import { normalizePassengers, countPassengers } from './passengers.js';
+import { failure, classifyException } from './errors.js';
+import { logRunEvent } from './diagnostics.js';
+import { setProgressStep, isCancelRequested } from './progress.js';
+import { getAutomationTarget, setAutomationTarget } from './storage.js';
+
+const AMTRAK_HOME_URL = 'https://www.amtrak.com/';
+
+export const tabProvider = {
+  id: 'tab',
+  label: 'Browser tab',
+  fetchResults
+};
+
+// Fetch search results from Amtrak
+// Navigates to homepage and automates the search form; failures are
+// classified (see errors.js) by the step that went wrong
+async function fetchResults(trip, settings = {}) {
+  // Sent with every request so content.js uses the user's selector overrides
+  const selectorOverrides = settings.selectorOverrides || null;
+
+  try {
+    console.log(`Fetching price for ${trip.origin}→${trip.destination}...`);
+    let stopped = enterStep('Opening Amtrak');
+    if (stopped) return stopped;
+
+    // Use the provider's own Amtrak tab, never one of the user's
+    let tab = await openAutomationTab(settings);
+    if (!tab) {
+      console.log('Could not access Amtrak tab');
+      return failure('navigation', 'Could not open an Amtrak tab');
+    }
+
+    // Navigate to homepage
+    console.log('Navigating to Amtrak homepage...');
+    logRunEvent('navigate', 'Opening Amtrak homepage', { url: AMTRAK_HOME_URL, tabId: tab.id });
+    await chrome.tabs.update(tab.id, { url: AMTRAK_HOME_URL });
+    await waitForTabLoad(tab.id);
+
+    // Wait for SPA to fully load and render booking form
+    console.log('Waiting for page to fully load...');
+    await new Promise(resolve => setTimeout(resolve, 6000));
+
+    // Inject content script
+    console.log('Injecting content script...');
+    try {
+      await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        files: ['content.js']
+      });
+    } catch (injectError) {
+      console.log('Content script note:', injectError.message);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    stopped = enterStep('Filling in the search form');
+    if (stopped) return stopped;
+
+    // Tell content script to fill form and search
+    console.log('Filling search form for trip:', trip.origin, '->', trip.destination, 'on', trip.travelDate);
+    const formValues = {
+      origin: trip.origin,
+      originName: getStation(trip.origin)?.name || null,
+      destination: trip.destination,
+      destinationName: getStation(trip.destination)?.name || null,
+      travelDate: trip.travelDate,
+      passengers: normalizePassengers(trip.passengers)
+    };
+    logRunEvent('form', 'Filling search form', formValues);
+    let fillResult;
+    try {
+      fillResult = await chrome.tabs.sendMessage(tab.id, {
+        action: 'fillAndSearch',
+        trip: formValues,
+        selectorOverrides
+      });
+    } catch (err) {
+      // Check if page navigated (which would indicate form was submitted)
+      const currentTab = await chrome.tabs.get(tab.id);
+      const hasNavigated = !currentTab.url?.endsWith('amtrak.com/') &&
+        currentTab.url !== AMTRAK_HOME_URL;
+
+      if (hasNavigated) {
+        console.log('Form submitted (page navigated to:', currentTab.url, ')');
+        fillResult = { success: true };
+      } else {
+        console.log('Form fill failed, still on homepage:', err.message);
+        return failure('form_fill', err.message);
+      }
+    }
+
+    if (!fillResult?.success) {
+      console.log('Failed to fill search form:', fillResult?.error);
+      return failure('form_fill', fillResult?.error);
+    }
+
+    console.log('Form fill completed successfully, waiting for results page...');
+    stopped = enterStep('Waiting for results');
+    if (stopped) return stopped;
+
+    await new Promise(resolve => setTimeout(resolve, 10000));
+
+    // Verify we're on a results page before scraping
+    const currentTab = await chrome.tabs.get(tab.id);
+    const isResultsPage = currentTab.url?.includes('/tickets/departure') ||
+      currentTab.url?.includes('/train-routes') ||
+      currentTab.url?.includes('/search') ||
+      currentTab.url?.includes('/book');
+    logRunEvent('navigate', isResultsPage ? 'Reached results page' : 'Search did not reach the results page', { url: currentTab.url || null });
+
+    if (!isResultsPage) {
+      console.log('Not on results page, URL:', currentTab.url);
+      // Check if Amtrak is showing an error on the non-results page
+      try {
+        await chrome.scripting.executeScript({
+          target: { tabId: tab.id },
+          files: ['content.js']
+        });
+        await new Promise(resolve => setTimeout(resolve, 500));
+        const errorCheck = await chrome.tabs.sendMessage(tab.id, { action: 'checkForErrors', selectorOverrides });
+        if (errorCheck?.hasError) {
+          console.log('Amtrak error detected on non-results page:', errorCheck.errorText);
+          return failure('amtrak_error', errorCheck.errorText);
+        }
+      } catch (err) {
+        console.log('Error check on non-results page failed:', err.message);
+      }
+      return failure('navigation', `Search did not reach the results page (${currentTab.url})`);
+    }
+
+    // Re-inject content script on the results page
+    console.log('Re-injecting content script on results page...');
+    try {
+      await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        files: ['content.js']
+      });
+    } catch (injectError) {
+      console.log('Content script re-injection note:', injectError.message);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    console.log('Waiting for train results to appear...');
+    let resultsReady = false;
+    for (let attempt = 0; attempt < 10; attempt++) {
+      try {
+        const readyCheck = await chrome.tabs.sendMessage(tab.id, { action: 'checkResultsReady', selectorOverrides });
+        if (readyCheck?.ready) {
+          resultsReady = true;
+          logRunEvent('step', `Train results ready after ${attempt + 1} check${attempt === 0 ? '' : 's'}`);
+          console.log('Train results are ready');
+          break;
+        }
+      } catch (err) {
+        console.log('Results check failed:', err.message);
+      }
+      await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+
+    if (!resultsReady) {
+      console.log('Train results did not appear after waiting');
+      // Check if Amtrak is showing an error message
+      try {
+        const errorCheck = await chrome.tabs.sendMessage(tab.id, { action: 'checkForErrors', selectorOverrides });
+        if (errorCheck?.hasError) {
+          console.log('Amtrak error detected:', errorCheck.errorText);
+          return failure('amtrak_error', errorCheck.errorText);
+        }
+      } catch (err) {
+        console.log('Error check failed:', err.message);
+      }
+      return failure('timeout', 'Train results did not appear after 20 seconds');
+    }
+
+    stopped = enterStep('Reading prices');
+    if (stopped) return stopped;
+
+    // Scrape prices from results, passing train number and class to find specific train
+    let result;
+    try {
+      result = await chrome.tabs.sendMessage(tab.id, {
+        action: 'scrapePrices',
+        trainNumber: trip.trainNumber || null,
+        trainNumbers: trip.trainNumbers || [],
+        ticketClass: trip.ticketClass || null,
+        fareType: trip.fareType || null,
+        passengerCount: countPassengers(trip.passengers),
+        selectorOverrides
+      });
+    } catch (err) {
+      console.log('Failed to scrape prices:', err.message);
+      return classifyException(err);
+    }
+
+    console.log('Scrape result:', result);
+    if (result?.error) {
+      // The content script's scraper threw
+      return failure('scraper_mismatch', result.error);
+    }
+    return result;
+
+  } catch (error) {
+    console.error('Failed to fetch Amtrak results:', error);
+    return classifyException(error);
+  }
+}
+
+// Show the step in the popup's progress; a cancelled run stops here
+function enterStep(step) {
+  setProgressStep(step);
+  return isCancelRequested() ? failure('cancelled', 'Check cancelled') : null;
+}
+
+/**
+ * Check which selector strategies match the Amtrak page open in a tab
+ * Uses the active tab if it's on amtrak.com, otherwise any Amtrak tab.
+ * @param {Object} settings - Extension settings (selectorOverrides)
+ * @returns {Promise<Object>} { url, report } (see runSelectorSelfTest in
+ *   selectors.js), or { error } if no Amtrak tab is open
+ */
+export async function selfTestSelectors(settings) {
+  const target = await getAutomationTarget();
+  const tabs = (await chrome.tabs.query({ url: 'https://www.amtrak.com/*' }))
+    .filter(t => t.id !== target?.tabId);
+  const tab = tabs.find(t => t.active) || tabs[0];
+  if (!tab) {
+    return { error: 'Open amtrak.com in a tab, then run the self-test again' };
+  }
+
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      files: ['content.js']
+    });
+  } catch (injectError) {
+    console.log('Content script note:', injectError.message);
+  }
+
+  // Calendar days are looked up by their label, e.g. "Monday, April 6, 2026"
+  const label = new Date().toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+
+  try {
+    return await chrome.tabs.sendMessage(tab.id, {
+      action: 'selectorSelfTest',
+      selectorOverrides: settings.selectorOverrides || null,
+      vars: { label }
+    });
+  } catch (error) {
+    return { error: `Could not reach the Amtrak tab: ${error.message}` };
+  }
+}
+
+/**
+ * Scroll to and highlight a train on the results page in a user's tab
+ * Used when a notification opens the booking page; the tab is the user's,
+ * so nothing on the page is clicked.
+ * @param {number} tabId - Tab showing (or loading) Amtrak search results
+ * @param {string} trainNumber
+ * @param {Object} settings - Extension settings (selectorOverrides)
+ * @returns {Promise<Object>} { found }, with `error` if the page couldn't be reached
+ */
+export async function showTrainInTab(tabId, trainNumber, settings) {
+  const selectorOverrides = settings.selectorOverrides || null;
+
+  try {
+    await waitForTabLoad(tabId);
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      files: ['content.js']
+    });
+
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const readyCheck = await chrome.tabs.sendMessage(tabId, { action: 'checkResultsReady', selectorOverrides });
+      if (readyCheck?.ready) {
+        return await chrome.tabs.sendMessage(tabId, { action: 'highlightTrain', trainNumber, selectorOverrides });
+      }
+      await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+    return { found: false };
+  } catch (error) {
+    return { found: false, error: error.message };
+  }
+}
+
+// Wait for a tab to finish loading
+function waitForTabLoad(tabId) {
+  return new Promise((resolve) => {
+    let timeout;
+    const listener = (updatedTabId, info) => {
+      if (updatedTabId === tabId && info.status === 'complete') {
+        clearTimeout(timeout);
+        chrome.tabs.onUpdated.removeListener(listener);
+        resolve();
+      }
+    };
+    chrome.tabs.onUpdated.addListener(listener);
+
+    // Timeout after 20 seconds
+    timeout = setTimeout(() => {
+      chrome.tabs.onUpdated.removeListener(listener);
+      resolve();
+    }, 20000);
+  });
+}
+
+/**
+ * Get the provider's own Amtrak tab, opening one if this run hasn't yet
+ * The tab is found again through session storage, so a restarted service
+ * worker keeps using it. The user's own Amtrak tabs are left alone.
+ * @param {Object} settings - Extension settings (automationWindow)
+ * @returns {Promise<Object|null>} The tab, or null if none could be opened
+ */
+export async function openAutomationTab(settings) {
+  const target = await getAutomationTarget();
+  if (target) {
+    try {
+      const tab = await chrome.tabs.get(target.tabId);
+      console.log('Reusing automation tab');
+      return tab;
+    } catch {
+      // Closed since it was opened, e.g. by the user
+      await setAutomationTarget(null);
+    }
+  }
+
+  const userTabs = await chrome.tabs.query({ url: 'https://www.amtrak.com/*' });
+  if (userTabs.length > 0) {
+    console.log(`Leaving ${userTabs.length} open Amtrak tab(s) alone`);
+    logRunEvent('step', `Leaving ${userTabs.length} open Amtrak tab${userTabs.length === 1 ? '' : 's'} untouched`);
+  }
+
+  console.log('Opening automation tab...');
+  try {
+    let opened = settings.automationWindow === 'background' ? null : await openMinimizedWindow();
+    if (!opened) {
+      const tab = await chrome.tabs.create({ url: AMTRAK_HOME_URL, active: false });
+      opened = { tabId: tab.id, windowId: tab.windowId, ownsWindow: false };
+    }
+
+    await setAutomationTarget({ ...opened, createdAt: new Date().toISOString() });
+    logRunEvent('navigate', `Opened automation ${opened.ownsWindow ? 'window' : 'tab'}`, opened);
+    await waitForTabLoad(opened.tabId);
+    return await chrome.tabs.get(opened.tabId);
+  } catch (error) {
+    console.error('Failed to open Amtrak tab:', error);
+    return null;
+  }
+}
+
+// Open a minimized window for the automation tab, or null if the platform refuses
+async function openMinimizedWindow() {
+  try {
+    const window = await chrome.windows.create({ url: AMTRAK_HOME_URL, focused: false, state: 'minimized' });
+    return { tabId: window.tabs[0].id, windowId: window.id, ownsWindow: true };
+  } catch (error) {
+    console.log('Could not open a minimized window, using a background tab:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Close the provider's own tab (and its window) after a run
+ * @returns {Promise<void>}
+ */
+export async function closeAutomationTab() {
+  const target = await getAutomationTarget();
+  if (!target) return;
+
+  await setAutomationTarget(null);
+  try {
+    if (target.ownsWindow) {
+      await chrome.windows.remove(target.windowId);
+    } else {
+      await chrome.tabs.remove(target.tabId);
+    }
+    console.log('Closed automation tab');
+  } catch (error) {
+    console.log('Automation tab was already closed:', error.message);
+  }
+}
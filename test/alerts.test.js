@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { resolveAlertRules, evaluatePriceAlert, recordAlert, evaluateUpgradeAlerts, recordUpgradeAlert, evaluateTargetAlert, recordTargetAlert, snoozeAlerts, isSnoozed } from '../alerts.js';
+
+const settings = {
+  alertMinSavings: 0,
+  alertMinSavingsPercent: 0,
+  alertNewLowOnly: true,
+  alertCooldownHours: 0,
+  upgradeAlertsEnabled: true
+};
+
+const trip = { id: 't1', ticketClass: 'coach', pricePaid: 150 };
+
+test('alerts when the price drops below what was paid', () => {
+  assert.equal(evaluatePriceAlert(trip, 149, settings).notify, true);
+  assert.equal(evaluatePriceAlert(trip, 150, settings).notify, false);
+  assert.equal(evaluatePriceAlert(trip, null, settings).notify, false);
+});
+
+test('requires the minimum savings in dollars', () => {
+  const rules = { ...settings, alertMinSavings: 20 };
+
+  assert.deepEqual(evaluatePriceAlert(trip, 135, rules), { notify: false, reason: 'Savings $15.00 below minimum $20.00' });
+  assert.equal(evaluatePriceAlert(trip, 130, rules).notify, true);
+});
+
+test('requires the minimum savings in percent', () => {
+  const rules = { ...settings, alertMinSavingsPercent: 10 };
+
+  assert.deepEqual(evaluatePriceAlert(trip, 140, rules), { notify: false, reason: 'Savings 6.7% below minimum 10%' });
+  assert.equal(evaluatePriceAlert(trip, 135, rules).notify, true);
+});
+
+test('only alerts on a new low when set', () => {
+  const alerted = { ...trip };
+  recordAlert(alerted, 120, new Date('2026-03-01T12:00:00Z'));
+
+  assert.deepEqual(alerted.alertState, { lastAlertedPrice: 120, lastAlertedAt: '2026-03-01T12:00:00.000Z', alertCount: 1 });
+  assert.equal(evaluatePriceAlert(alerted, 120, settings).reason, 'Not a new low (last alerted at $120.00)');
+  assert.equal(evaluatePriceAlert(alerted, 119, settings).notify, true);
+  assert.equal(evaluatePriceAlert(alerted, 125, { ...settings, alertNewLowOnly: false }).notify, true);
+});
+
+test('waits out the cooldown after an alert', () => {
+  const alerted = { ...trip };
+  recordAlert(alerted, 120, new Date('2026-03-01T12:00:00Z'));
+  const rules = { ...settings, alertCooldownHours: 6 };
+
+  assert.equal(evaluatePriceAlert(alerted, 100, rules, new Date('2026-03-01T17:00:00Z')).reason, 'In cooldown (5.0h of 6h)');
+  assert.equal(evaluatePriceAlert(alerted, 100, rules, new Date('2026-03-01T18:00:00Z')).notify, true);
+});
+
+test('trip alert rules override the settings, falling back where unset', () => {
+  const overridden = { ...trip, alertRules: { minSavings: 40, newLowOnly: false, minSavingsPercent: null } };
+  const globals = { ...settings, alertMinSavings: 5, alertMinSavingsPercent: 3, alertCooldownHours: 12 };
+
+  assert.deepEqual(resolveAlertRules(overridden, globals), { minSavings: 40, minSavingsPercent: 3, newLowOnly: false, cooldownHours: 12 });
+  assert.deepEqual(resolveAlertRules(trip, globals), { minSavings: 5, minSavingsPercent: 3, newLowOnly: true, cooldownHours: 12 });
+  assert.equal(evaluatePriceAlert(overridden, 120, globals).notify, false);
+  assert.equal(evaluatePriceAlert(trip, 120, globals).notify, true);
+
+  // An override of 0 turns a global rule off
+  assert.equal(evaluatePriceAlert({ ...trip, alertRules: { minSavings: 0 } }, 145, { ...settings, alertMinSavings: 20 }).notify, true);
+});
+
+test('alerts when a higher class drops below the price paid', () => {
+  const upgrades = evaluateUpgradeAlerts(trip, { coach: 59, business: 142, first: 320 }, settings);
+
+  assert.deepEqual(upgrades.map(u => [u.className, u.price]), [['business', 142]]);
+});
+
+test('ignores classes at or below the tracked class', () => {
+  assert.deepEqual(evaluateUpgradeAlerts({ ...trip, ticketClass: 'first' }, { coach: 59, business: 99 }, settings), []);
+  assert.deepEqual(evaluateUpgradeAlerts({ ...trip, ticketClass: null }, { business: 99 }, settings), []);
+});
+
+test('does not repeat an upgrade alert unless the price is a new low', () => {
+  const alerted = { ...trip };
+  recordUpgradeAlert(alerted, 'business', 142, new Date('2026-03-01T12:00:00Z'));
+
+  assert.equal(alerted.upgradeAlertState.business.alertCount, 1);
+  assert.deepEqual(evaluateUpgradeAlerts(alerted, { business: 142 }, settings), []);
+  assert.equal(evaluateUpgradeAlerts(alerted, { business: 130 }, settings).length, 1);
+});
+
+test('respects the upgrade alerts setting', () => {
+  assert.deepEqual(evaluateUpgradeAlerts(trip, { business: 99 }, { ...settings, upgradeAlertsEnabled: false }), []);
+});
+
+test('alerts when a watched fare reaches its target, then only on new lows', () => {
+  const watch = { id: 'w1', type: 'watch', pricePaid: null, targetPrice: 75 };
+
+  assert.equal(evaluateTargetAlert(watch, 80).notify, false);
+  assert.equal(evaluateTargetAlert(watch, 75).notify, true);
+
+  recordTargetAlert(watch, 75, new Date('2026-02-01T00:00:00Z'));
+  assert.equal(evaluateTargetAlert(watch, 75).notify, false);
+  assert.equal(evaluateTargetAlert(watch, 70).notify, true);
+  assert.equal(evaluateTargetAlert({ ...watch, targetPrice: null }, 10).notify, false);
+});
+
+test('snoozes alerts for 24 hours', () => {
+  const snoozed = { ...trip };
+  const now = new Date('2026-03-01T12:00:00Z');
+  assert.equal(isSnoozed(snoozed, now), false);
+
+  snoozeAlerts(snoozed, undefined, now);
+  assert.equal(snoozed.snoozedUntil, '2026-03-02T12:00:00.000Z');
+  assert.equal(isSnoozed(snoozed, new Date('2026-03-02T11:59:00Z')), true);
+  assert.equal(isSnoozed(snoozed, new Date('2026-03-02T12:00:00Z')), false);
+});
@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  MAX_TRAIN_SNAPSHOTS,
+  buildTrainSnapshot,
+  addTrainSnapshot,
+  compareAlternatives,
+  evaluateAlternativeAlerts,
+  recordAlternativeAlert
+} from '../alternatives.js';
+
+const trains = [
+  {
+    trainNumber: '171',
+    departureTime: '07:05',
+    prices: [
+      { price: 118, className: 'coach', fareType: 'value' },
+      { price: 240, className: 'business', fareType: 'value' }
+    ]
+  },
+  {
+    trainNumber: '2151',
+    departureTime: '08:00',
+    prices: [{ price: 438, className: 'business', fareType: 'flex' }]
+  },
+  {
+    trainNumber: '95',
+    departureTime: '06:15',
+    prices: [{ price: 78, className: 'coach', fareType: 'value' }]
+  },
+  {
+    trainNumber: '97',
+    departureTime: '11:30',
+    prices: [{ price: 60, className: 'coach', fareType: 'saver' }]
+  }
+];
+
+const trip = {
+  id: 't1',
+  trainNumber: '171',
+  trainTime: null,
+  ticketClass: 'coach',
+  fareType: null,
+  pricePaid: 75,
+  priceBasis: 'perPerson',
+  passengers: { adult: 2 }
+};
+
+const settings = {
+  alternativeAlertsEnabled: true,
+  alternativeWindowMinutes: 60,
+  alternativeMinSavings: 10
+};
+
+function withSnapshot(overrides = {}) {
+  const snapshotTrip = { ...trip, ...overrides };
+  addTrainSnapshot(snapshotTrip, buildTrainSnapshot(snapshotTrip, trains, 'total', new Date('2026-03-01T12:00:00Z')));
+  return snapshotTrip;
+}
+
+test('prices every train selling the trip\'s class, in the trip\'s basis', () => {
+  const snapshot = buildTrainSnapshot(trip, trains, 'total', new Date('2026-03-01T12:00:00Z'));
+
+  assert.deepEqual(snapshot, {
+    timestamp: '2026-03-01T12:00:00.000Z',
+    trains: [
+      { trainNumber: '171', departureTime: '07:05', price: 59 },
+      { trainNumber: '95', departureTime: '06:15', price: 39 },
+      { trainNumber: '97', departureTime: '11:30', price: 30 }
+    ]
+  });
+});
+
+test('keeps a limited number of snapshots', () => {
+  const snapshotTrip = { ...trip };
+  for (let i = 0; i < MAX_TRAIN_SNAPSHOTS + 3; i++) {
+    addTrainSnapshot(snapshotTrip, { timestamp: String(i), trains: [] });
+  }
+
+  assert.equal(snapshotTrip.trainSnapshots.length, MAX_TRAIN_SNAPSHOTS);
+  assert.equal(snapshotTrip.trainSnapshots.at(-1).timestamp, String(MAX_TRAIN_SNAPSHOTS + 2));
+});
+
+test('compares trains against the tracked train and price paid', () => {
+  const rows = compareAlternatives(withSnapshot());
+
+  assert.deepEqual(rows.map(r => [r.trainNumber, r.isTracked, r.vsTrain, r.vsPaid]), [
+    ['95', false, -20, -36],
+    ['171', true, 0, -16],
+    ['97', false, -29, -45]
+  ]);
+});
+
+test('alerts only for trains inside the window and past the threshold', () => {
+  const alerts = evaluateAlternativeAlerts(withSnapshot(), settings);
+
+  assert.deepEqual(alerts, [
+    { trainNumber: '95', departureTime: '06:15', price: 39, savings: 36 }
+  ]);
+  assert.equal(evaluateAlternativeAlerts(withSnapshot(), { ...settings, alternativeWindowMinutes: 300 }).length, 2);
+  assert.equal(evaluateAlternativeAlerts(withSnapshot(), { ...settings, alternativeMinSavings: 40 }).length, 0);
+});
+
+test('does not repeat an alert until the train gets cheaper', () => {
+  const snapshotTrip = withSnapshot();
+  recordAlternativeAlert(snapshotTrip, '95', 39);
+
+  assert.deepEqual(evaluateAlternativeAlerts(snapshotTrip, settings), []);
+});
+
+test('uses the trip\'s train time when it is set', () => {
+  const alerts = evaluateAlternativeAlerts(withSnapshot({ trainTime: '11:00' }), settings);
+
+  assert.deepEqual(alerts.map(a => a.trainNumber), ['97']);
+});
+
+test('stays quiet when disabled', () => {
+  assert.deepEqual(evaluateAlternativeAlerts(withSnapshot(), { ...settings, alternativeAlertsEnabled: false }), []);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseBackup, summarizeImport, mergeTrips, mergeLedger, priceHistoryToCsv } from '../backup.js';
+
+const trip = {
+  id: 't1',
+  origin: 'NYP',
+  destination: 'WAS',
+  travelDate: '2026-03-15',
+  trainNumber: '171',
+  ticketClass: 'coach',
+  pricePaid: 89,
+  priceBasis: 'total',
+  passengers: { adult: 2, senior: 0, child: 0, infant: 0 },
+  priceHistory: [
+    { price: 84, timestamp: '2026-03-01T12:00:00.000Z' },
+    { price: 79, timestamp: '2026-03-02T12:00:00.000Z' }
+  ]
+};
+
+test('rejects files that are not backups', () => {
+  assert.deepEqual(parseBackup('not json'), { error: 'File is not valid JSON' });
+  assert.deepEqual(parseBackup('[1, 2]'), { error: 'File is not an Amtrak Price Tracker backup' });
+  assert.deepEqual(parseBackup('{"settings": {}}'), { error: 'Backup has no trip list' });
+  assert.deepEqual(parseBackup('{"trips": []}'), { data: { trips: [] } });
+});
+
+test('counts new and conflicting trips', () => {
+  const summary = summarizeImport([trip], [{ ...trip }, { ...trip, id: 't2' }]);
+  assert.deepEqual(summary, { total: 2, added: 1, conflicts: 1 });
+});
+
+test('merge adds new trips and keeps local fields on conflict', () => {
+  const backupTrip = {
+    ...trip,
+    pricePaid: 120,
+    priceHistory: [
+      { price: 95, timestamp: '2026-02-20T12:00:00.000Z' },
+      { price: 84, timestamp: '2026-03-01T12:00:00.000Z' }
+    ]
+  };
+  const merged = mergeTrips([trip], [backupTrip, { ...trip, id: 't2' }]);
+
+  assert.deepEqual(merged.map(t => t.id), ['t1', 't2']);
+  assert.equal(merged[0].pricePaid, 89);
+  assert.deepEqual(merged[0].priceHistory.map(e => e.price), [95, 84, 79]);
+});
+
+test('merge can prefer the backup on conflict', () => {
+  const merged = mergeTrips([trip], [{ ...trip, pricePaid: 120 }], 'backup');
+  assert.equal(merged[0].pricePaid, 120);
+  assert.equal(merged[0].priceHistory.length, 2);
+});
+
+test('merge keeps local ledger entries and adds new ones newest first', () => {
+  const local = [{ id: 'r2', netSavings: 10, voucherUsed: true, recordedAt: '2026-03-02T12:00:00.000Z' }];
+  const backup = [
+    { id: 'r1', netSavings: 5, recordedAt: '2026-03-01T12:00:00.000Z' },
+    { id: 'r2', netSavings: 10, voucherUsed: false, recordedAt: '2026-03-02T12:00:00.000Z' },
+    { id: 'r3', netSavings: 7, recordedAt: '2026-03-03T12:00:00.000Z' }
+  ];
+
+  const merged = mergeLedger(local, backup);
+  assert.deepEqual(merged.map(entry => entry.id), ['r3', 'r2', 'r1']);
+  assert.equal(merged[1].voucherUsed, true);
+  assert.equal(parseBackup('{"trips": [], "ledger": {}}').error, 'Backup savings ledger is not a list');
+});
+
+test('flattens price history into CSV rows', () => {
+  const csv = priceHistoryToCsv([
+    trip,
+    { ...trip, id: 'x,"y"', trainNumber: null, priceHistory: [{ price: 70, timestamp: 't', previousSearch: {} }] }
+  ]);
+
+  assert.equal(csv, [
+    'trip_id,origin,destination,travel_date,train_number,ticket_class,passengers,price_basis,price_paid,timestamp,price,previous_search',
+    't1,NYP,WAS,2026-03-15,171,coach,2,total,89,2026-03-01T12:00:00.000Z,84,',
+    't1,NYP,WAS,2026-03-15,171,coach,2,total,89,2026-03-02T12:00:00.000Z,79,',
+    '"x,""y""",NYP,WAS,2026-03-15,,coach,2,total,89,t,70,yes',
+    ''
+  ].join('\r\n'));
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BADGE_COLORS, findPriceDrops, computeBadgeState } from '../badge.js';
+
+const now = new Date(2026, 2, 10, 12, 0);
+const trip = (id, overrides = {}) => ({
+  id,
+  type: 'booked',
+  origin: 'NYP',
+  destination: 'WAS',
+  travelDate: '2026-03-15',
+  pricePaid: 100,
+  currentPrice: 100,
+  ...overrides
+});
+
+test('counts upcoming booked trips priced below what was paid', () => {
+  const trips = [
+    trip('a', { currentPrice: 80 }),
+    trip('b', { currentPrice: 92.5 }),
+    trip('c', { currentPrice: 120 }),
+    trip('d', { currentPrice: 60, travelDate: '2026-03-09' }),
+    trip('e', { currentPrice: 60, trainNotFound: true }),
+    trip('f', { type: 'watch', pricePaid: undefined, targetPrice: 90, currentPrice: 60 }),
+    trip('g', { currentPrice: null }),
+    trip('h', { currentPrice: 70, travelDate: '2026-03-10' })
+  ];
+
+  assert.deepEqual(findPriceDrops(trips, now).map(d => [d.trip.id, d.savings]), [['a', 20], ['b', 7.5], ['h', 30]]);
+});
+
+test('shows the drop count and total savings', () => {
+  const badge = computeBadgeState([trip('a', { currentPrice: 80 }), trip('b', { currentPrice: 92.5 })], {}, { now });
+
+  assert.equal(badge.state, 'drops');
+  assert.equal(badge.text, '2');
+  assert.equal(badge.color, BADGE_COLORS.drops);
+  assert.equal(badge.title, 'Amtrak Price Tracker\n2 trips below what you paid, $27.50 potential savings');
+});
+
+test('shows no badge when there is nothing to report', () => {
+  const badge = computeBadgeState([trip('a')], { lastCheckStatus: 'success' }, { now });
+
+  assert.equal(badge.state, 'idle');
+  assert.equal(badge.text, '');
+  assert.equal(badge.title, 'Amtrak Price Tracker\nNo price drops');
+});
+
+test('warns about failed checks and missing trains', () => {
+  const failed = computeBadgeState([trip('a')], { lastCheckStatus: 'error', lastCheckError: 'Amtrak reported an error' }, { now });
+  assert.equal(failed.state, 'warning');
+  assert.equal(failed.text, '!');
+  assert.equal(failed.title, 'Amtrak Price Tracker\nNo price drops\nLast check failed: Amtrak reported an error');
+
+  const notFound = computeBadgeState([trip('a', { currentPrice: 80 }), trip('b', { trainNotFound: true })], {}, { now });
+  assert.equal(notFound.state, 'warning');
+  assert.equal(notFound.text, '1');
+  assert.match(notFound.title, /Train not found for 1 trip$/);
+
+  const pastNotFound = computeBadgeState([trip('a', { trainNotFound: true, travelDate: '2026-03-01' })], {}, { now });
+  assert.equal(pastNotFound.state, 'idle');
+});
+
+test('shows a running check over everything else', () => {
+  const badge = computeBadgeState([trip('a', { currentPrice: 80 })], { lastCheckStatus: 'error' }, { checking: true, now });
+
+  assert.equal(badge.state, 'checking');
+  assert.equal(badge.text, '...');
+  assert.equal(badge.color, BADGE_COLORS.checking);
+  assert.match(badge.title, /^Amtrak Price Tracker\nChecking prices\.\.\.\n1 trip below what you paid, \$20\.00 potential savings/);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { JSDOM } from 'jsdom';
+
+const FIXTURES = new URL('./fixtures/scraper/', import.meta.url);
+const CONTENT_SCRIPT = new URL('../content.js', import.meta.url);
+
+// Load content.js into a results page, as the tab provider injects it.
+// Returns the page and a send() that messages the script and resolves with its reply.
+async function injectContentScript(fixture, { missing = [] } = {}) {
+  const html = await readFile(new URL(fixture, FIXTURES), 'utf8');
+  const dom = new JSDOM(html, { url: 'https://www.amtrak.com/tickets/departure.html' });
+  dom.window.HTMLElement.prototype.scrollIntoView = () => {};
+
+  let listener = null;
+  globalThis.window = dom.window;
+  globalThis.document = dom.window.document;
+  globalThis.chrome = {
+    runtime: {
+      getURL: path => new URL(`../${missing.includes(path) ? `missing-${path}` : path}`, import.meta.url).href,
+      sendMessage: () => {},
+      onMessage: { addListener: fn => { listener = fn; } }
+    }
+  };
+  new Function(await readFile(CONTENT_SCRIPT, 'utf8'))();
+
+  const send = message => new Promise(resolve => listener(message, {}, resolve));
+  return { document: dom.window.document, send };
+}
+
+test('reads every results page when there is no target train', async () => {
+  const { document, send } = await injectContentScript('pagination-first.html');
+  const lastPage = await readFile(new URL('pagination-last.html', FIXTURES), 'utf8');
+  document.getElementById('next-link').addEventListener('click', () => {
+    document.body.innerHTML = new JSDOM(lastPage).window.document.body.innerHTML;
+  });
+
+  const result = await send({ action: 'scrapePrices', trainNumber: null, trainNumbers: [], ticketClass: null, passengerCount: 1 });
+
+  assert.deepEqual(result.trains.map(train => train.trainNumber), ['171', '2151', '195']);
+  assert.ok(result.prices.includes(39));
+});
+
+test('answers page checks even when the selectors fail to load', async () => {
+  const { send } = await injectContentScript('pagination-first.html', { missing: ['selectors.js'] });
+
+  const ready = await send({ action: 'checkResultsReady' });
+  assert.equal(ready.ready, false);
+  assert.ok(ready.error);
+
+  const errors = await send({ action: 'checkForErrors' });
+  assert.equal(errors.hasError, false);
+  assert.ok(errors.error);
+});
@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SETTINGS_FIELDS, tripRow, filterRows, sortRows, chartSeries, priceTicks, parseSettingValue, formatSettingValue } from '../dashboard.js';
+
+const now = new Date(2026, 2, 10, 12, 0);
+const trip = (id, overrides = {}) => ({
+  id,
+  type: 'booked',
+  origin: 'NYP',
+  destination: 'WAS',
+  travelDate: '2026-03-15',
+  trainNumber: '171',
+  pricePaid: 100,
+  currentPrice: 90,
+  lastChecked: '2026-03-10T10:00:00.000Z',
+  priceHistory: [
+    { price: 95, timestamp: '2026-02-01T12:00:00.000Z', classPrices: { coach: 95, business: 180 } },
+    { price: 85, timestamp: '2026-03-05T12:00:00.000Z' },
+    { price: 90, timestamp: '2026-03-09T12:00:00.000Z', classPrices: { coach: 90 } }
+  ],
+  ...overrides
+});
+const field = key => SETTINGS_FIELDS.find(f => f.key === key);
+
+test('flattens a trip into a table row', () => {
+  const row = tripRow(trip('a'), now);
+
+  assert.equal(row.route, 'NYP → WAS');
+  assert.equal(row.reference, 100);
+  assert.equal(row.currentPrice, 90);
+  assert.equal(row.lowestPrice, 85);
+  assert.equal(row.change, -10);
+  assert.equal(row.health, 'ok');
+  assert.equal(row.upcoming, true);
+
+  const watch = tripRow(trip('w', { type: 'watch', pricePaid: undefined, targetPrice: 80 }), now);
+  assert.equal(watch.change, 10);
+
+  const range = tripRow(trip('r', { type: 'range', dateFlex: 2, travelDate: '2026-03-09', currentPrice: null, cheapestDay: { date: '2026-03-11', price: 70 } }), now);
+  assert.equal(range.currentPrice, 70);
+  assert.equal(range.upcoming, true);
+});
+
+test('filters rows by text, type and status', () => {
+  const rows = [
+    trip('a'),
+    trip('b', { origin: 'BOS', destination: 'NYP', trainNumber: '2150', currentPrice: 120 }),
+    trip('c', { type: 'watch', pricePaid: undefined, targetPrice: 80, travelDate: '2026-03-01' }),
+    trip('d', { checkFailures: 2, lastError: { type: 'timeout' } })
+  ].map(t => tripRow(t, now));
+  const ids = filters => filterRows(rows, filters).map(row => row.id);
+
+  assert.deepEqual(ids({ text: 'bos' }), ['b']);
+  assert.deepEqual(ids({ text: 'boston' }), ['b']);
+  assert.deepEqual(ids({ text: '2150' }), ['b']);
+  assert.deepEqual(ids({ type: 'watch' }), ['c']);
+  assert.deepEqual(ids({ status: 'past' }), ['c']);
+  assert.deepEqual(ids({ status: 'drops' }), ['a', 'd']);
+  assert.deepEqual(ids({ status: 'problems' }), ['d']);
+});
+
+test('sorts rows with empty values last', () => {
+  const rows = [
+    trip('a', { currentPrice: 90 }),
+    trip('b', { currentPrice: null }),
+    trip('c', { currentPrice: 60, trainNumber: '85' })
+  ].map(t => tripRow(t, now));
+
+  assert.deepEqual(sortRows(rows, 'currentPrice').map(row => row.id), ['c', 'a', 'b']);
+  assert.deepEqual(sortRows(rows, 'currentPrice', 'desc').map(row => row.id), ['a', 'c', 'b']);
+  assert.deepEqual(sortRows(rows, 'trainNumber').map(row => row.id), ['c', 'a', 'b']);
+});
+
+test('builds chart series by range and class', () => {
+  assert.deepEqual(chartSeries(trip('a'), {}, now).map(p => p.price), [95, 85, 90]);
+  assert.deepEqual(chartSeries(trip('a'), { range: '7d' }, now).map(p => p.price), [85, 90]);
+  assert.deepEqual(chartSeries(trip('a'), { view: 'coach' }, now).map(p => p.price), [95, 90]);
+  assert.deepEqual(chartSeries(trip('a'), { view: 'first' }, now), []);
+});
+
+test('leaves out prices from a previous search', () => {
+  const edited = trip('a', {
+    priceHistory: [
+      { price: 40, timestamp: '2026-03-01T12:00:00.000Z', previousSearch: { trainNumber: '95', travelDate: '2026-03-14' } },
+      ...trip('a').priceHistory
+    ]
+  });
+
+  assert.deepEqual(chartSeries(edited, {}, now).map(p => p.price), [95, 85, 90]);
+  assert.equal(tripRow(edited, now).lowestPrice, 85);
+});
+
+test('picks round price ticks', () => {
+  assert.deepEqual(priceTicks(81, 104), [85, 90, 95, 100]);
+  assert.deepEqual(priceTicks(50, 50), [50]);
+});
+
+test('parses setting values', () => {
+  assert.deepEqual(parseSettingValue(field('alertNewLowOnly'), false), { value: false });
+  assert.deepEqual(parseSettingValue(field('checkInterval'), '8'), { value: 8 });
+  assert.deepEqual(parseSettingValue(field('priceProviders'), 'direct,tab'), { value: ['direct', 'tab'] });
+  assert.deepEqual(parseSettingValue(field('alertMinSavings'), '15.5'), { value: 15.5 });
+  assert.match(parseSettingValue(field('alertMinSavingsPercent'), '120').error, /at most 100/);
+  assert.deepEqual(parseSettingValue(field('webhookUrl'), ''), { value: null });
+  assert.match(parseSettingValue(field('directProviderBaseUrl'), 'ftp://example.com').error, /https/);
+  assert.equal(parseSettingValue(field('notificationEmail'), 'nope').error, 'Please enter a valid email address');
+  assert.deepEqual(parseSettingValue(field('scheduleTiers'), '[{"withinDays": 3, "everyHours": 2}]'),
+    { value: [{ withinDays: 3, everyHours: 2 }, { withinDays: null, everyHours: 24 }] });
+  assert.match(parseSettingValue(field('selectorOverrides'), '{"nope": []}').error, /unknown concept/);
+  assert.match(parseSettingValue(field('selectorOverrides'), '{').error, /not valid JSON/);
+});
+
+test('formats setting values for their fields', () => {
+  assert.equal(formatSettingValue(field('priceProviders'), ['tab', 'direct']), 'tab,direct');
+  assert.equal(formatSettingValue(field('webhookUrl'), null), '');
+  assert.equal(formatSettingValue(field('scheduleTiers'), [{ withinDays: null, everyHours: 24 }]), '[\n  {\n    "withinDays": null,\n    "everyHours": 24\n  }\n]');
+});
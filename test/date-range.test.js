@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  rangeDates,
+  lastTravelDate,
+  cheapestInTimeWindow,
+  findCheapestDay,
+  evaluateRangeAlerts
+} from '../date-range.js';
+import { recordTargetAlert } from '../alerts.js';
+
+const watch = {
+  id: 'range1',
+  type: 'range',
+  travelDate: '2026-03-01',
+  dateFlex: 2,
+  timeFrom: '06:00',
+  timeTo: '09:00',
+  targetPrice: 60
+};
+
+const trains = [
+  { trainNumber: '171', departureTime: '07:05', price: 118 },
+  { trainNumber: '95', departureTime: '06:15', price: 78 },
+  { trainNumber: '2151', departureTime: '10:00', price: 49 },
+  { trainNumber: '99', departureTime: null, price: 40 }
+];
+
+test('lists each day in the range across month boundaries', () => {
+  assert.deepEqual(rangeDates(watch), ['2026-02-27', '2026-02-28', '2026-03-01', '2026-03-02', '2026-03-03']);
+  assert.equal(lastTravelDate(watch), '2026-03-03');
+  assert.equal(lastTravelDate({ type: 'booked', travelDate: '2026-03-01' }), '2026-03-01');
+});
+
+test('picks the cheapest train departing within the time window', () => {
+  assert.equal(cheapestInTimeWindow(trains, '06:00', '09:00').trainNumber, '95');
+  assert.equal(cheapestInTimeWindow(trains, '09:30', null).trainNumber, '2151');
+  assert.equal(cheapestInTimeWindow(trains, null, null).trainNumber, '99');
+  assert.equal(cheapestInTimeWindow(trains, '11:00', '12:00'), null);
+});
+
+test('finds the cheapest upcoming day, earliest on ties', () => {
+  const dayPrices = {
+    '2026-02-27': { price: 30, trainNumber: '95', departureTime: '06:15' },
+    '2026-02-28': { price: 72, trainNumber: '95', departureTime: '06:15' },
+    '2026-03-01': { price: null, trainNumber: null, departureTime: null },
+    '2026-03-02': { price: 72, trainNumber: '171', departureTime: '07:05' }
+  };
+
+  assert.deepEqual(findCheapestDay(dayPrices, '2026-02-28'),
+    { date: '2026-02-28', price: 72, trainNumber: '95', departureTime: '06:15' });
+  assert.equal(findCheapestDay({}, '2026-02-28'), null);
+});
+
+test('alerts when the cheapest day moves', () => {
+  const trip = { ...watch, targetPrice: null, cheapestDay: { date: '2026-03-02', price: 70 } };
+
+  assert.deepEqual(evaluateRangeAlerts(trip, { date: '2026-03-01', price: 75 }).map(a => a.kind), ['cheapestDay']);
+  assert.deepEqual(evaluateRangeAlerts(trip, { date: '2026-03-02', price: 75 }), []);
+  assert.deepEqual(evaluateRangeAlerts(trip, null), []);
+});
+
+test('alerts at the target price once per new low', () => {
+  const trip = { ...watch, cheapestDay: { date: '2026-03-02', price: 58 } };
+
+  const alerts = evaluateRangeAlerts(trip, { date: '2026-03-02', price: 64 });
+  assert.deepEqual(alerts.map(a => a.kind), ['target']);
+
+  recordTargetAlert(trip, 58, new Date('2026-02-20T12:00:00Z'));
+  assert.deepEqual(evaluateRangeAlerts(trip, trip.cheapestDay), []);
+
+  trip.cheapestDay = { date: '2026-03-02', price: 55 };
+  assert.deepEqual(evaluateRangeAlerts(trip, trip.cheapestDay).map(a => a.kind), ['target']);
+
+  trip.cheapestDay = { date: '2026-03-02', price: 65 };
+  assert.deepEqual(evaluateRangeAlerts(trip, trip.cheapestDay), []);
+});
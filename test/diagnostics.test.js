@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  MAX_RUN_EVENTS,
+  startRun,
+  logRunEvent,
+  startTripRun,
+  finishTripRun,
+  finishRun,
+  summarizeTrains,
+  describeOutcome,
+  buildDiagnosticsExport
+} from '../diagnostics.js';
+
+const at = seconds => new Date(Date.UTC(2026, 2, 1, 12, 0, seconds));
+const trip = { id: 't1', type: 'booked', origin: 'NYP', destination: 'WAS', travelDate: '2026-03-10', trainNumber: '171' };
+
+test('ignores events when no run is active', () => {
+  logRunEvent('step', 'nobody listening');
+  assert.equal(finishRun('success'), null);
+});
+
+test('records trips and events with their time into the run', () => {
+  startRun('manual', at(0));
+  logRunEvent('step', 'Checking prices for 1 trips', undefined, at(0));
+  startTripRun(trip, at(1));
+  logRunEvent('navigate', 'Opening Amtrak homepage', { url: 'https://www.amtrak.com/' }, at(2));
+  finishTripRun({ status: 'success', price: 89, provider: 'tab' }, at(31));
+  logRunEvent('step', 'After the trip', undefined, at(32));
+  const run = finishRun('success', at(33));
+
+  assert.equal(run.trigger, 'manual');
+  assert.equal(run.status, 'success');
+  assert.equal(run.durationMs, 33000);
+  assert.deepEqual(run.trips.map(t => [t.tripId, t.route, t.durationMs, t.outcome.status]), [['t1', 'NYP→WAS', 30000, 'success']]);
+  assert.deepEqual(run.events.map(e => [e.at, e.kind, e.tripId]), [
+    [0, 'step', null],
+    [1000, 'step', 't1'],
+    [2000, 'navigate', 't1'],
+    [31000, 'step', 't1'],
+    [32000, 'step', null]
+  ]);
+  assert.deepEqual(run.events[2].data, { url: 'https://www.amtrak.com/' });
+  assert.equal(run.events[3].message, 'Finished NYP→WAS: $89.00 via tab');
+});
+
+test('caps the events kept per run', () => {
+  startRun('scheduled', at(0));
+  for (let i = 0; i < MAX_RUN_EVENTS + 5; i++) {
+    logRunEvent('content', `line ${i}`, undefined, at(1));
+  }
+  const run = finishRun('no_data', at(2));
+
+  assert.equal(run.events.length, MAX_RUN_EVENTS);
+  assert.equal(run.droppedEvents, 5);
+});
+
+test('keeps only train numbers, times and fares from scraped trains', () => {
+  const trains = [
+    { trainNumber: '171', departureTime: '07:05', card: {}, prices: [{ className: 'coach', fareType: 'value', price: 89, raw: '$89' }] },
+    { trainNumber: '95', departureTime: null, price: 72 }
+  ];
+
+  assert.deepEqual(summarizeTrains(trains), [
+    { trainNumber: '171', departureTime: '07:05', prices: [{ className: 'coach', fareType: 'value', price: 89 }] },
+    { trainNumber: '95', departureTime: null, price: 72 }
+  ]);
+  assert.deepEqual(summarizeTrains(undefined), []);
+});
+
+test('describes trip outcomes', () => {
+  assert.equal(describeOutcome({ status: 'failed', error: 'Results did not appear in time' }), 'failed (Results did not appear in time)');
+  assert.equal(describeOutcome({ status: 'skipped', reason: 'trip passed' }), 'skipped (trip passed)');
+  assert.equal(describeOutcome({ status: 'success', price: null }), 'no price');
+});
+
+test('wraps runs for export', () => {
+  const data = buildDiagnosticsExport([{ id: 'run-1' }], { version: '1.4.0', exportedAt: '2026-03-01T12:00:00.000Z' });
+  assert.deepEqual(data, {
+    type: 'amtrak-price-tracker-diagnostics',
+    version: '1.4.0',
+    exportedAt: '2026-03-01T12:00:00.000Z',
+    runs: [{ id: 'run-1' }]
+  });
+});
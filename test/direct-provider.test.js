@@ -0,0 +1,179 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { readFile } from 'node:fs/promises';
+
+import { directProvider, SEARCH_PATH } from '../direct-provider.js';
+import { fetchPrice } from '../providers.js';
+
+const FIXTURES = new URL('./fixtures/direct/', import.meta.url);
+
+// Local stand-in for amtrak.com: serves the fixture named by the test
+let server;
+let baseUrl;
+let nextResponse;
+let lastRequest;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      lastRequest = { method: req.method, url: req.url, body };
+      const { status = 200, file, contentType } = nextResponse;
+      res.writeHead(status, { 'Content-Type': contentType });
+      res.end(file ? await readFile(new URL(file, FIXTURES)) : 'Service Unavailable');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+function serve(file, contentType, status = 200) {
+  nextResponse = { file, contentType, status };
+}
+
+const trip = {
+  origin: 'NYP',
+  destination: 'WAS',
+  travelDate: '2026-03-15',
+  trainNumber: '171',
+  ticketClass: 'coach',
+  passengers: { adult: 2, child: 1 }
+};
+
+test('posts the journey search to the configured base URL', async () => {
+  serve('journey-solution.json', 'application/json');
+  await directProvider.fetchResults(trip, { directProviderBaseUrl: baseUrl });
+
+  assert.equal(lastRequest.method, 'POST');
+  assert.equal(lastRequest.url, SEARCH_PATH);
+  const leg = JSON.parse(lastRequest.body).journeyRequest.journeyLegRequests[0];
+  assert.equal(leg.origin.code, 'NYP');
+  assert.equal(leg.destination.code, 'WAS');
+  assert.equal(leg.origin.schedule.departureDateTime, '2026-03-15T00:00:00');
+  assert.deepEqual(leg.passengers, [
+    { type: 'ADULT', count: 2 },
+    { type: 'CHILD', count: 1 }
+  ]);
+});
+
+test('parses trains and fares from a JSON response', async () => {
+  serve('journey-solution.json', 'application/json');
+  const result = await directProvider.fetchResults(trip, { directProviderBaseUrl: baseUrl });
+
+  assert.deepEqual(result.trains, [
+    {
+      trainNumber: '171',
+      departureTime: '07:05',
+      prices: [
+        { price: 89, className: 'coach', fareType: 'value' },
+        { price: 59, className: 'coach', fareType: 'saver' },
+        { price: 142, className: 'business', fareType: 'value' }
+      ]
+    },
+    {
+      trainNumber: '2151',
+      departureTime: '08:00',
+      prices: [
+        { price: 219, className: 'business', fareType: 'flex' },
+        { price: 348, className: 'first', fareType: 'premium' }
+      ]
+    }
+  ]);
+  assert.deepEqual(result.prices, [89, 59, 142, 219, 348]);
+  assert.equal(result.trainPrice, 59);
+});
+
+test('falls back to the lowest fare when the class is not offered', async () => {
+  serve('journey-solution.json', 'application/json');
+  const result = await directProvider.fetchResults(
+    { ...trip, trainNumber: '2151', ticketClass: 'coach' },
+    { directProviderBaseUrl: baseUrl }
+  );
+
+  assert.equal(result.trainPrice, 219);
+});
+
+test('matches the trip\'s fare type within the class', async () => {
+  serve('journey-solution.json', 'application/json');
+  const result = await directProvider.fetchResults(
+    { ...trip, fareType: 'value' },
+    { directProviderBaseUrl: baseUrl }
+  );
+
+  assert.equal(result.trainPrice, 89);
+});
+
+test('parses state embedded in an HTML results page', async () => {
+  serve('results-page.html', 'text/html');
+  const result = await directProvider.fetchResults(
+    { ...trip, trainNumber: '95', ticketClass: 'business' },
+    { directProviderBaseUrl: baseUrl }
+  );
+
+  assert.deepEqual(result.trains.map(t => t.trainNumber), ['95', '171']);
+  assert.equal(result.trainPrice, 128);
+});
+
+test('reports the Amtrak error banner as an amtrak_error', async () => {
+  serve('error-page.html', 'text/html');
+  const result = await directProvider.fetchResults(trip, { directProviderBaseUrl: baseUrl });
+
+  assert.deepEqual(result, {
+    error: 'amtrak_error',
+    errorText: "We're sorry, an unknown error has occurred. Please try again later."
+  });
+});
+
+test('reports a response with no trains as no_trains', async () => {
+  serve('no-trains.json', 'application/json');
+  const result = await directProvider.fetchResults(trip, { directProviderBaseUrl: baseUrl });
+
+  assert.deepEqual(result, { error: 'no_trains', errorText: 'No trains in the search response' });
+});
+
+test('reports an HTTP error as a network failure', async () => {
+  serve(null, 'text/plain', 503);
+  const result = await directProvider.fetchResults(trip, { directProviderBaseUrl: baseUrl });
+
+  assert.deepEqual(result, { error: 'network', errorText: 'HTTP 503' });
+});
+
+test('fetchPrice retries transient failures before giving up', async () => {
+  serve(null, 'text/plain', 503);
+  const waits = [];
+  const result = await fetchPrice(trip, { priceProviders: ['direct'], directProviderBaseUrl: baseUrl }, {
+    sleep: async ms => { waits.push(ms); }
+  });
+
+  assert.deepEqual(result, { error: 'network', errorText: 'HTTP 503', attempts: 3 });
+  assert.deepEqual(waits, [5000, 10000]);
+});
+
+test('fetchPrice uses the direct provider when configured', async () => {
+  serve('journey-solution.json', 'application/json');
+  const result = await fetchPrice(trip, {
+    priceProviders: ['direct'],
+    directProviderBaseUrl: baseUrl
+  });
+
+  assert.equal(result.provider, 'direct');
+  assert.equal(result.price, 59);
+  assert.equal(result.trainFound, true);
+});
+
+test('fetchPrice reports a missing train with the lowest fare', async () => {
+  serve('journey-solution.json', 'application/json');
+  const result = await fetchPrice({ ...trip, trainNumber: '9999' }, {
+    priceProviders: ['direct'],
+    directProviderBaseUrl: baseUrl
+  });
+
+  assert.equal(result.price, 59);
+  assert.equal(result.trainFound, false);
+});
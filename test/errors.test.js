@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  FAILURE_ALERT_THRESHOLD,
+  failure,
+  isFailure,
+  classifyException,
+  withRetries,
+  recordCheckOutcome,
+  tripHealth
+} from '../errors.js';
+
+const noWait = () => Promise.resolve();
+
+test('classifies thrown errors by their message', () => {
+  assert.equal(classifyException(new Error('Request timed out')).error, 'timeout');
+  assert.equal(classifyException(new Error('Could not establish connection. Receiving end does not exist.')).error, 'navigation');
+  assert.equal(classifyException(new TypeError('Failed to fetch')).error, 'network');
+  assert.deepEqual(classifyException(new Error('boom')), { error: 'unknown', errorText: 'boom' });
+});
+
+test('tells failures from results', () => {
+  assert.equal(isFailure(failure('no_trains')), true);
+  assert.equal(isFailure(null), true);
+  assert.equal(isFailure({ price: 49, trains: [] }), false);
+});
+
+test('retries transient failures with doubling waits', async () => {
+  const waits = [];
+  let calls = 0;
+  const result = await withRetries(async () => {
+    calls++;
+    return calls < 3 ? failure('timeout') : { price: 49 };
+  }, { sleep: ms => { waits.push(ms); return noWait(); } });
+
+  assert.deepEqual(result, { price: 49 });
+  assert.deepEqual(waits, [5000, 10000]);
+});
+
+test('gives up straight away on failures that will not change', async () => {
+  let calls = 0;
+  const result = await withRetries(async () => {
+    calls++;
+    return failure('scraper_mismatch', 'No train cards');
+  }, { sleep: noWait });
+
+  assert.equal(calls, 1);
+  assert.deepEqual(result, { error: 'scraper_mismatch', errorText: 'No train cards', attempts: 1 });
+});
+
+test('reports the last failure once attempts run out, including thrown errors', async () => {
+  const result = await withRetries(async () => {
+    throw new Error('Failed to fetch');
+  }, { maxAttempts: 2, sleep: noWait });
+
+  assert.deepEqual(result, { error: 'network', errorText: 'Failed to fetch', attempts: 2 });
+});
+
+test('counts consecutive failed checks and notifies once at the threshold', () => {
+  const trip = { id: 't1', lastChecked: '2026-03-01T10:00:00.000Z' };
+  const now = new Date('2026-03-01T12:00:00Z');
+
+  const notified = [];
+  for (let i = 0; i < FAILURE_ALERT_THRESHOLD + 1; i++) {
+    notified.push(recordCheckOutcome(trip, failure('form_fill', 'Origin field missing'), now));
+  }
+  assert.deepEqual(notified, [false, false, true, false]);
+  assert.deepEqual(trip.lastError, { type: 'form_fill', message: 'Origin field missing', at: now.toISOString() });
+  assert.equal(tripHealth(trip).status, 'failing');
+  assert.match(tripHealth(trip).label, /4 failed checks in a row\. Search form could not be filled in: Origin field missing/);
+
+  recordCheckOutcome(trip, null, now);
+  assert.equal(trip.checkFailures, 0);
+  assert.equal(trip.lastError, null);
+  assert.deepEqual(tripHealth(trip), { status: 'ok', label: 'Last check succeeded' });
+});
+
+test('warns before the threshold', () => {
+  const trip = { checkFailures: 1, lastError: { type: 'timeout', message: null } };
+  assert.deepEqual(tripHealth(trip), {
+    status: 'warning',
+    label: '1 failed check in a row. Results did not appear in time'
+  });
+});
@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { classPriceSummary } from '../fares.js';
+
+test('summarizes the price of each class on a train', () => {
+  const prices = [
+    { price: 49, className: 'coach', fareType: 'saver' },
+    { price: 69, className: 'coach', fareType: 'value' },
+    { price: 142, className: 'business', fareType: 'value' },
+    { price: 120, className: 'business', fareType: 'saver' }
+  ];
+
+  assert.deepEqual(classPriceSummary(prices), { coach: 49, business: 120 });
+  assert.deepEqual(classPriceSummary(prices, 'value'), { coach: 69, business: 142 });
+});
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createLedgerEntry, validateRebooking, daysUntilExpiry, vouchersDueForReminder, summarizeLedger, voucherValue, validateLedgerEntry } from '../ledger.js';
+
+const now = new Date(2026, 2, 10, 12, 0);
+const trip = {
+  id: 't1',
+  type: 'booked',
+  origin: 'NYP',
+  destination: 'WAS',
+  travelDate: '2026-04-15',
+  trainNumber: '171',
+  pricePaid: 120
+};
+const entry = (overrides, rebooking = {}) => ({
+  ...createLedgerEntry(trip, { newPrice: 90, voucherExpires: '2026-03-20', ...rebooking }, now),
+  ...overrides
+});
+
+test('records a rebooking with its net savings', () => {
+  const recorded = createLedgerEntry(trip, { newPrice: 90, refundForm: 'evoucher', voucherExpires: '2027-03-10', fees: 5 }, now);
+
+  assert.equal(recorded.tripId, 't1');
+  assert.equal(recorded.previousPrice, 120);
+  assert.equal(recorded.newPrice, 90);
+  assert.equal(recorded.netSavings, 25);
+  assert.equal(recorded.voucherExpires, '2027-03-10');
+  assert.equal(recorded.voucherUsed, false);
+  assert.equal(recorded.recordedAt, now.toISOString());
+  assert.equal(voucherValue(recorded), 25);
+
+  const refunded = createLedgerEntry(trip, { newPrice: 90, refundForm: 'card', voucherExpires: '2027-03-10' }, now);
+  assert.equal(refunded.voucherExpires, null);
+});
+
+test('records per-person fares as totals for the whole party', () => {
+  const party = { ...trip, priceBasis: 'perPerson', pricePaid: 50, passengers: { adult: 2, senior: 1 } };
+  const recorded = createLedgerEntry(party, { newPrice: 30, refundForm: 'evoucher', voucherExpires: '2027-03-10', fees: 10 }, now);
+
+  assert.equal(recorded.priceBasis, 'perPerson');
+  assert.equal(recorded.passengerCount, 3);
+  assert.equal(recorded.previousPrice, 50);
+  assert.equal(recorded.newPrice, 30);
+  assert.equal(recorded.netSavings, 50);
+  assert.equal(voucherValue(recorded), 50);
+  assert.equal(summarizeLedger([recorded], now).lifetimeSavings, 50);
+  assert.deepEqual(validateLedgerEntry(recorded), []);
+
+  // Entries recorded before the basis was stored are totals
+  const older = { ...recorded, priceBasis: undefined, passengerCount: undefined };
+  assert.equal(voucherValue(older), 10);
+  assert.equal(createLedgerEntry(trip, { newPrice: 90 }, now).priceBasis, 'total');
+});
+
+test('validates rebooking details', () => {
+  assert.equal(validateRebooking({ newPrice: 90, refundForm: 'evoucher', voucherExpires: '2027-03-10', fees: 0 }), null);
+  assert.equal(validateRebooking({ newPrice: NaN, refundForm: 'evoucher' }), 'Enter the new price paid');
+  assert.equal(validateRebooking({ newPrice: 90, refundForm: 'cash' }), 'Choose how the difference was refunded');
+  assert.equal(validateRebooking({ newPrice: 90, refundForm: 'evoucher', voucherExpires: 'soon' }), 'Voucher expiry is not a date');
+  assert.equal(validateRebooking({ newPrice: 90, refundForm: 'card', fees: -1 }), 'Fees must be zero or more');
+});
+
+test('counts days until a voucher expires', () => {
+  assert.equal(daysUntilExpiry(entry({ voucherExpires: '2026-03-10' }), now), 0);
+  assert.equal(daysUntilExpiry(entry({ voucherExpires: '2026-03-24' }), now), 14);
+  assert.equal(daysUntilExpiry(entry({ voucherExpires: '2026-03-01' }), now), -9);
+  assert.equal(daysUntilExpiry(entry({ voucherExpires: null }), now), null);
+});
+
+test('reminds once about unused vouchers close to expiry', () => {
+  const entries = [
+    entry({ id: 'soon' }),
+    entry({ id: 'later', voucherExpires: '2026-05-01' }),
+    entry({ id: 'used', voucherUsed: true }),
+    entry({ id: 'reminded', reminderSentAt: '2026-03-09T12:00:00.000Z' }),
+    entry({ id: 'expired', voucherExpires: '2026-03-01' }),
+    entry({ id: 'card' }, { refundForm: 'card' })
+  ];
+
+  assert.deepEqual(vouchersDueForReminder(entries, now).map(e => e.id), ['soon']);
+});
+
+test('summarizes lifetime savings, routes and expiring vouchers', () => {
+  const entries = [
+    entry({ id: 'a' }),
+    entry({ id: 'b', voucherExpires: '2026-05-01' }, { fees: 10 }),
+    entry({ id: 'c', origin: 'BOS', destination: 'NYP', netSavings: 12.5, voucherUsed: true }),
+    entry({ id: 'd' }, { refundForm: 'card' })
+  ];
+
+  const summary = summarizeLedger(entries, now);
+  assert.equal(summary.lifetimeSavings, 92.5);
+  assert.equal(summary.totalFees, 10);
+  assert.equal(summary.rebookings, 4);
+  assert.deepEqual(summary.byRoute, [
+    { route: 'NYP → WAS', savings: 80, rebookings: 3 },
+    { route: 'BOS → NYP', savings: 12.5, rebookings: 1 }
+  ]);
+  assert.deepEqual(summary.expiringVouchers.map(e => [e.id, e.daysLeft]), [['a', 10]]);
+  assert.equal(summary.openVoucherValue, 50);
+});
+
+test('checks the shape of imported ledger entries', () => {
+  assert.deepEqual(validateLedgerEntry(entry()), []);
+  assert.deepEqual(validateLedgerEntry(entry({ refundForm: 'card', voucherExpires: null })), []);
+
+  assert.deepEqual(validateLedgerEntry(null), ['not an object']);
+  assert.deepEqual(validateLedgerEntry(entry({ netSavings: '30' })), ['netSavings is not a number']);
+  assert.deepEqual(validateLedgerEntry(entry({ fees: -5 })), ['fees are not a number']);
+  assert.deepEqual(validateLedgerEntry(entry({ refundForm: 'cash' })), ['unknown refund form']);
+  assert.deepEqual(validateLedgerEntry(entry({ voucherExpires: '03/20/2026' })), ['voucher expiry is not YYYY-MM-DD']);
+  assert.deepEqual(validateLedgerEntry(entry({ voucherUsed: 'no' })), ['voucher used is not true or false']);
+  assert.deepEqual(validateLedgerEntry(entry({ recordedAt: 'yesterday' })), ['recorded time is not a timestamp']);
+  assert.deepEqual(validateLedgerEntry(entry({ priceBasis: 'perPerson', passengerCount: 0 })), ['passenger count is not a whole number']);
+  assert.equal(validateLedgerEntry({ id: 'x' }).length > 1, true);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  normalizePassengers,
+  countPassengers,
+  validatePassengers,
+  isDefaultPassengers,
+  passengerKey,
+  formatPassengers,
+  appendPassengerParams,
+  normalizeScrapedPrice
+} from '../passengers.js';
+
+const family = { adult: 2, senior: 0, child: 1, infant: 1 };
+
+test('treats trips without passengers as one adult', () => {
+  assert.deepEqual(normalizePassengers(undefined), { adult: 1, senior: 0, child: 0, infant: 0 });
+  assert.deepEqual(normalizePassengers({ adult: '2', child: -1, infant: 1.7 }), { adult: 2, senior: 0, child: 0, infant: 1 });
+  assert.equal(countPassengers(family), 4);
+  assert.equal(countPassengers(undefined), 1);
+  assert.equal(isDefaultPassengers(undefined), true);
+  assert.equal(isDefaultPassengers(family), false);
+});
+
+test('converts scraped fares between total and per-person prices', () => {
+  const perPerson = { priceBasis: 'perPerson', passengers: family };
+  const total = { priceBasis: 'total', passengers: family };
+
+  assert.equal(normalizeScrapedPrice(200, perPerson), 50);
+  assert.equal(normalizeScrapedPrice(100, perPerson), 25);
+  assert.equal(normalizeScrapedPrice(50, total, 'perPerson'), 200);
+  assert.equal(normalizeScrapedPrice(200, total), 200);
+  assert.equal(normalizeScrapedPrice(50, perPerson, 'perPerson'), 50);
+  assert.equal(normalizeScrapedPrice(100, { priceBasis: 'perPerson', passengers: { adult: 3 } }), 33.33);
+  // Trips saved before priceBasis existed hold totals
+  assert.equal(normalizeScrapedPrice(200, { passengers: family }), 200);
+});
+
+test('validates party size and who travels with infants and children', () => {
+  assert.equal(validatePassengers(family), null);
+  assert.equal(validatePassengers({ senior: 1, infant: 1 }), null);
+  assert.equal(validatePassengers({ adult: 0 }), 'At least one traveler is required');
+  assert.equal(validatePassengers({ adult: 5, child: 4 }), 'Amtrak allows at most 8 travelers per booking');
+  assert.equal(validatePassengers({ adult: 8 }), null);
+  assert.equal(validatePassengers({ child: 2 }), 'Children and infants must travel with an adult or senior');
+  assert.equal(validatePassengers({ adult: 1, infant: 2 }), 'Each infant must travel with an adult or senior');
+});
+
+test('keys passenger setups the same however they were stored', () => {
+  assert.equal(passengerKey(family), 'adult:2,senior:0,child:1,infant:1');
+  assert.equal(passengerKey({ infant: 1, child: '1', adult: 2 }), passengerKey(family));
+  assert.equal(passengerKey(undefined), passengerKey({ adult: 1 }));
+  assert.notEqual(passengerKey({ adult: 2 }), passengerKey({ adult: 1, senior: 1 }));
+  assert.equal(formatPassengers(family), '2 Adults, 1 Child, 1 Infant');
+});
+
+test('adds only the traveler types present to search URLs', () => {
+  const params = new URLSearchParams({ origin: 'NYP' });
+  appendPassengerParams(params, { adult: 2, child: 1 });
+
+  assert.equal(params.toString(), 'origin=NYP&adult=2&child=1');
+
+  const single = new URLSearchParams();
+  appendPassengerParams(single, undefined);
+  assert.equal(single.toString(), 'adult=1');
+});
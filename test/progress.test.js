@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  setProgressListener,
+  startProgress,
+  getProgress,
+  setProgressStep,
+  setTripProgress,
+  requestCancel,
+  isCancelRequested,
+  finishProgress,
+  summarizeProgress,
+  formatElapsed
+} from '../progress.js';
+
+const at = seconds => new Date(Date.UTC(2026, 2, 1, 12, 0, seconds));
+const trips = [
+  { id: 't1', origin: 'NYP', destination: 'WAS', travelDate: '2026-03-10', trainNumber: '171' },
+  { id: 't2', origin: 'BOS', destination: 'NYP', travelDate: '2026-03-12' },
+  { id: 't3', origin: 'PHL', destination: 'NYP', travelDate: '2026-03-14' }
+];
+
+test('does nothing when no run is active', () => {
+  setProgressStep('Opening Amtrak');
+  setTripProgress('t1', 'checking');
+  assert.equal(getProgress(), null);
+  assert.equal(requestCancel(), false);
+  assert.equal(isCancelRequested(), false);
+  assert.equal(finishProgress('success'), null);
+});
+
+test('tracks each trip and sends a copy on every change', () => {
+  const sent = [];
+  setProgressListener(progress => sent.push(progress));
+
+  startProgress(trips, 'manual', at(0));
+  setTripProgress('t1', 'checking', null, at(1));
+  setProgressStep('Filling in the search form');
+  setTripProgress('t1', 'done', '$89.00 via tab', at(31));
+  setTripProgress('t2', 'checking', '2026-03-12 (day 1 of 2)', at(32));
+  setTripProgress('t2', 'checking', '2026-03-13 (day 2 of 2)', at(40));
+  setProgressListener(null);
+
+  const progress = getProgress();
+  assert.equal(sent.length, 6);
+  assert.deepEqual(sent[0].trips.map(t => t.status), ['pending', 'pending', 'pending']);
+  assert.equal(sent[2].step, 'Filling in the search form');
+  assert.equal(progress.currentTripId, 't2');
+  assert.deepEqual(progress.trips.map(t => [t.route, t.status, t.detail]), [
+    ['NYP→WAS', 'done', '$89.00 via tab'],
+    ['BOS→NYP', 'checking', '2026-03-13 (day 2 of 2)'],
+    ['PHL→NYP', 'pending', null]
+  ]);
+  assert.deepEqual(summarizeProgress(progress, at(50)), { done: 1, total: 3, percent: 33, elapsedMs: 50000, tripElapsedMs: 18000 });
+
+  progress.trips[0].status = 'edited';
+  assert.equal(getProgress().trips[0].status, 'done');
+  finishProgress('success', at(60));
+});
+
+test('cancelling marks the trips left as cancelled', () => {
+  startProgress(trips, 'scheduled', at(0));
+  setTripProgress('t1', 'failed', 'failed (Results did not appear in time)', at(20));
+  setTripProgress('t2', 'checking', null, at(21));
+
+  assert.equal(requestCancel(), true);
+  assert.equal(isCancelRequested(), true);
+  assert.equal(getProgress().step, 'Cancelling');
+
+  const progress = finishProgress('cancelled', at(25));
+  assert.equal(progress.status, 'cancelled');
+  assert.deepEqual(progress.trips.map(t => t.status), ['failed', 'cancelled', 'cancelled']);
+  assert.deepEqual(summarizeProgress(progress, at(90)), { done: 3, total: 3, percent: 100, elapsedMs: 25000, tripElapsedMs: null });
+  assert.equal(isCancelRequested(), false);
+});
+
+test('formats elapsed time as minutes and seconds', () => {
+  assert.equal(formatElapsed(0), '0:00');
+  assert.equal(formatElapsed(125400), '2:05');
+  assert.equal(formatElapsed(-5), '0:00');
+});
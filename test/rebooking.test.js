@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { applyRebooking, totalRebookingSavings } from '../rebooking.js';
+import { validateTrip } from '../schema.js';
+import { createLedgerEntry } from '../ledger.js';
+
+const trip = {
+  id: 't1',
+  type: 'booked',
+  origin: 'NYP',
+  destination: 'WAS',
+  travelDate: '2026-03-15',
+  trainNumber: '171',
+  trainTime: '07:05',
+  ticketClass: 'coach',
+  fareType: null,
+  pricePaid: 120,
+  priceBasis: 'total',
+  passengers: { adult: 1, senior: 0, child: 0, infant: 0 },
+  currentPrice: 89,
+  lastChecked: '2026-03-01T12:00:00.000Z',
+  priceHistory: [{ price: 120, timestamp: '2026-02-20T12:00:00.000Z' }, { price: 89, timestamp: '2026-03-01T12:00:00.000Z' }],
+  trainNotFound: false,
+  alertState: { lastAlertedPrice: 89, lastAlertedAt: '2026-03-01T12:00:00.000Z', alertCount: 1 },
+  snoozedUntil: '2026-03-02T12:00:00.000Z'
+};
+
+test('makes the new fare the price paid and logs the savings', () => {
+  const rebooked = applyRebooking(trip, { newPrice: 89.5 }, new Date('2026-03-01T13:00:00Z'));
+
+  assert.equal(rebooked.pricePaid, 89.5);
+  assert.deepEqual(rebooked.rebookings, [
+    { rebookedAt: '2026-03-01T13:00:00.000Z', previousPricePaid: 120, pricePaid: 89.5, fees: 0, savings: 30.5 }
+  ]);
+  assert.equal(rebooked.priceHistory, trip.priceHistory);
+  assert.equal(rebooked.alertState, null);
+  assert.equal(rebooked.snoozedUntil, null);
+  assert.equal(trip.pricePaid, 120);
+  assert.deepEqual(validateTrip(rebooked), []);
+});
+
+test('adds up savings across rebookings', () => {
+  const twice = applyRebooking(applyRebooking(trip, { newPrice: 100 }), { newPrice: 89 });
+
+  assert.deepEqual(twice.rebookings.map(r => [r.previousPricePaid, r.pricePaid]), [[120, 100], [100, 89]]);
+  assert.equal(totalRebookingSavings(twice), 31);
+  assert.equal(totalRebookingSavings(trip), 0);
+});
+
+test('counts savings for the whole party less fees, as the ledger does', () => {
+  const party = { ...trip, pricePaid: 50, priceBasis: 'perPerson', passengers: { adult: 2, senior: 1, child: 0, infant: 0 } };
+  const rebooking = { newPrice: 30, fees: 10 };
+  const rebooked = applyRebooking(party, rebooking);
+
+  assert.equal(rebooked.rebookings[0].savings, 50);
+  assert.equal(totalRebookingSavings(rebooked), createLedgerEntry(party, rebooking).netSavings);
+});
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  DEFAULT_SCHEDULE_TIERS,
+  normalizeScheduleTiers,
+  daysUntilDeparture,
+  isVolatile,
+  checkInterval,
+  nextCheckTime,
+  isCheckDue,
+  earliestNextCheck,
+  trainDeparted
+} from '../schedule.js';
+
+const now = new Date(2026, 2, 1, 12, 0);
+const settings = { scheduleMode: 'adaptive', scheduleTiers: DEFAULT_SCHEDULE_TIERS, checkInterval: 4 };
+
+const trip = (travelDate, extra = {}) => ({
+  id: travelDate,
+  type: 'booked',
+  travelDate,
+  lastChecked: new Date(2026, 2, 1, 11, 0).toISOString(),
+  priceHistory: [],
+  ...extra
+});
+
+test('counts days to departure, using the first day of a date range', () => {
+  assert.equal(daysUntilDeparture(trip('2026-03-01'), now), 0);
+  assert.equal(daysUntilDeparture(trip('2026-03-31'), now), 30);
+  assert.equal(daysUntilDeparture({ type: 'range', travelDate: '2026-03-10', dateFlex: 3 }, now), 6);
+});
+
+test('picks the interval from the departure tier', () => {
+  assert.equal(checkInterval(trip('2026-03-02'), settings, now).minutes, 60);
+  assert.equal(checkInterval(trip('2026-03-06'), settings, now).minutes, 240);
+  assert.equal(checkInterval(trip('2026-03-31'), settings, now).minutes, 480);
+  assert.equal(checkInterval(trip('2026-08-01'), settings, now).minutes, 1440);
+  assert.equal(checkInterval(trip('2026-08-01'), { ...settings, scheduleMode: 'fixed' }, now).minutes, 240);
+});
+
+test('checks moving prices twice as often', () => {
+  const moving = trip('2026-03-06', { priceHistory: [{ price: 100 }, { price: 90 }, { price: 95 }] });
+  const steady = trip('2026-03-06', { priceHistory: [{ price: 100 }, { price: 101 }] });
+
+  assert.equal(isVolatile(moving), true);
+  assert.equal(isVolatile(steady), false);
+  assert.equal(checkInterval(moving, settings, now).minutes, 120);
+});
+
+test('retries failed checks sooner, backing off to the normal interval', () => {
+  const later = trip('2026-08-01');
+  assert.equal(checkInterval({ ...later, checkFailures: 1 }, settings, now).minutes, 30);
+  assert.equal(checkInterval({ ...later, checkFailures: 3 }, settings, now).minutes, 120);
+  assert.equal(checkInterval({ ...later, checkFailures: 10 }, settings, now).minutes, 1440);
+});
+
+test('works out when trips are due', () => {
+  const soon = trip('2026-03-02');
+  const later = trip('2026-08-01');
+  const passed = trip('2026-02-01');
+
+  assert.deepEqual(nextCheckTime(soon, settings, now), new Date(2026, 2, 1, 12, 0));
+  assert.equal(isCheckDue(soon, settings, now), true);
+  assert.equal(isCheckDue(later, settings, now), false);
+  assert.equal(isCheckDue({ ...later, lastChecked: null }, settings, now), true);
+  assert.deepEqual(earliestNextCheck([later, passed], settings, now), new Date(2026, 2, 2, 11, 0));
+  assert.equal(earliestNextCheck([passed], settings, now), null);
+});
+
+test('stops scheduling a trip once its train has left today', () => {
+  const tenAm = new Date(2026, 2, 1, 10, 0);
+  const departed = trip('2026-03-01', { trainTime: '09:00', lastChecked: new Date(2026, 2, 1, 8, 30).toISOString() });
+  const later = trip('2026-03-05');
+
+  assert.equal(trainDeparted(departed, tenAm), true);
+  assert.equal(trainDeparted({ ...departed, trainTime: '18:30' }, tenAm), false);
+  assert.equal(trainDeparted({ ...departed, trainTime: undefined }, tenAm), false);
+  assert.equal(isCheckDue(departed, settings, tenAm), false);
+  assert.equal(isCheckDue({ ...departed, trainTime: '18:30' }, settings, tenAm), true);
+  assert.equal(earliestNextCheck([departed], settings, tenAm), null);
+  assert.deepEqual(earliestNextCheck([departed, later], settings, tenAm), nextCheckTime(later, settings, tenAm));
+});
+
+test('never counts passed trips or date ranges as due', () => {
+  const passed = trip('2026-02-20', { lastChecked: null });
+  const passedRange = trip('2026-02-20', { type: 'range', dateFlex: 3, lastChecked: null });
+  const endsToday = trip('2026-02-26', { type: 'range', dateFlex: 3, lastChecked: null });
+
+  assert.equal(isCheckDue(passed, settings, now), false);
+  assert.equal(isCheckDue({ ...passed, lastChecked: new Date(2026, 1, 1).toISOString() }, settings, now), false);
+  assert.equal(isCheckDue(passedRange, settings, now), false);
+  assert.equal(isCheckDue(endsToday, settings, now), true);
+});
+
+test('cleans up tiers from settings', () => {
+  assert.deepEqual(normalizeScheduleTiers([
+    { withinDays: 10, everyHours: 8 },
+    { withinDays: 1, everyHours: 1 },
+    { withinDays: 5, everyHours: 0 }
+  ]), [
+    { withinDays: 1, everyHours: 1 },
+    { withinDays: 10, everyHours: 8 },
+    { withinDays: null, everyHours: 24 }
+  ]);
+  assert.deepEqual(normalizeScheduleTiers(undefined), DEFAULT_SCHEDULE_TIERS);
+});
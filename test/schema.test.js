@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SCHEMA_VERSION, MIGRATIONS, migrateData, validateTrip, createTrip } from '../schema.js';
+
+const currentTrip = {
+  id: 'abc123',
+  type: 'booked',
+  origin: 'NYP',
+  destination: 'WAS',
+  travelDate: '2026-03-15',
+  trainNumber: '171',
+  trainTime: '07:05',
+  ticketClass: 'coach',
+  fareType: 'saver',
+  pricePaid: 89,
+  priceBasis: 'total',
+  passengers: { adult: 1, senior: 0, child: 0, infant: 0 },
+  currentPrice: 79,
+  lastChecked: '2026-03-01T12:00:00.000Z',
+  priceHistory: [{ price: 79, timestamp: '2026-03-01T12:00:00.000Z' }],
+  trainNotFound: false,
+  alertRules: null,
+  alertState: null,
+  createdAt: '2026-02-20T09:00:00.000Z'
+};
+
+test('migrations are ordered and end at the current version', () => {
+  const versions = MIGRATIONS.map(m => m.version);
+  assert.deepEqual(versions, [...versions].sort((a, b) => a - b));
+  assert.equal(versions.at(-1), SCHEMA_VERSION);
+});
+
+test('current trips pass validation unchanged', () => {
+  assert.deepEqual(validateTrip(currentTrip), []);
+
+  const result = migrateData({ trips: [currentTrip], settings: {} }, SCHEMA_VERSION);
+  assert.deepEqual(result.trips, [currentTrip]);
+  assert.deepEqual(result.applied, []);
+  assert.deepEqual(result.quarantined, []);
+});
+
+test('backfills fields missing from unversioned trips', () => {
+  const legacy = {
+    id: 'old1',
+    origin: 'nyp',
+    destination: 'PHL',
+    travelDate: '2025-12-01',
+    trainNumber: 95,
+    pricePaid: '64.50',
+    currentPrice: 58,
+    lastChecked: '2025-11-20T08:00:00.000Z',
+    priceHistory: [61, 58],
+    trainNotFound: '95'
+  };
+
+  const result = migrateData({ trips: [legacy] });
+
+  assert.deepEqual(result.applied, [1, 2, 3, 4]);
+  assert.deepEqual(result.quarantined, []);
+  assert.deepEqual(result.trips[0], {
+    id: 'old1',
+    origin: 'NYP',
+    destination: 'PHL',
+    travelDate: '2025-12-01',
+    trainNumber: '95',
+    trainTime: null,
+    ticketClass: null,
+    pricePaid: 64.5,
+    priceBasis: 'total',
+    passengers: { adult: 1, senior: 0, child: 0, infant: 0 },
+    currentPrice: 58,
+    lastChecked: '2025-11-20T08:00:00.000Z',
+    priceHistory: [
+      { price: 61, timestamp: '2025-11-20T08:00:00.000Z' },
+      { price: 58, timestamp: '2025-11-20T08:00:00.000Z' }
+    ],
+    trainNotFound: true,
+    createdAt: null,
+    fareType: null,
+    type: 'booked'
+  });
+});
+
+test('quarantines trips that still fail validation', () => {
+  const broken = { ...currentTrip, id: 'bad', travelDate: 'next tuesday', pricePaid: 'free' };
+  const result = migrateData({ trips: [currentTrip, broken, 'not a trip'] }, 0);
+
+  assert.deepEqual(result.trips.map(t => t.id), ['abc123']);
+  assert.equal(result.quarantined.length, 2);
+  assert.deepEqual(result.quarantined[0].errors, ['travel date is not YYYY-MM-DD', 'price paid is not a number']);
+  assert.deepEqual(result.quarantined[1].errors, ['not an object']);
+});
+
+test('date range watches need a range but not a price paid', () => {
+  const watch = { ...currentTrip, type: 'range', trainNumber: null, trainTime: null, pricePaid: null, dateFlex: 3, timeFrom: '06:00', timeTo: '10:00' };
+  assert.deepEqual(validateTrip(watch), []);
+
+  assert.deepEqual(validateTrip({ ...watch, dateFlex: 10 }), ['date range is not 1-7 days']);
+  assert.deepEqual(validateTrip({ ...currentTrip, pricePaid: null }), ['price paid is not a number']);
+});
+
+test('trips added from the form pass validation', () => {
+  // Shaped like popup.js readTripForm() output for each trip type
+  const shared = {
+    origin: 'NYP',
+    destination: 'WAS',
+    travelDate: '2026-03-15',
+    trainNumber: '171',
+    trainTime: null,
+    pricePaid: 89,
+    priceBasis: 'total',
+    ticketClass: null,
+    fareType: null,
+    passengers: { adult: 1, senior: 0, child: 0, infant: 0 }
+  };
+  const booked = { ...shared, type: 'booked', alertRules: { minSavings: null, minSavingsPercent: null, newLowOnly: null, cooldownHours: null } };
+  const watch = { ...shared, type: 'watch', pricePaid: null, targetPrice: 75, alertRules: null };
+  const range = { ...shared, type: 'range', trainNumber: null, pricePaid: null, dateFlex: 3, timeFrom: '06:00', timeTo: null, targetPrice: null, alertRules: null };
+
+  [booked, watch, range].forEach((values, i) => {
+    const trip = createTrip(values, `new${i}`, new Date('2026-03-01T12:00:00Z'));
+    assert.deepEqual(validateTrip(trip), [], values.type);
+    assert.equal(trip.trainNotFound, false);
+    assert.equal(trip.createdAt, '2026-03-01T12:00:00.000Z');
+  });
+});
+
+test('rejects data from a newer schema version', () => {
+  assert.throws(() => migrateData({ trips: [] }, SCHEMA_VERSION + 1), /newer version/);
+});
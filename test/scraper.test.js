@@ -0,0 +1,222 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { JSDOM } from 'jsdom';
+
+import {
+  scrapeTrainCards,
+  scrapePricesFromPage,
+  readFareOptions,
+  findTrainCard,
+  findNextPageButton,
+  getActiveResultsPage,
+  getCurrentResultsSignature
+} from '../scraper.js';
+
+const FIXTURES = new URL('./fixtures/scraper/', import.meta.url);
+
+// Load a saved results page into a detached document
+async function loadFixture(name) {
+  const html = await readFile(new URL(name, FIXTURES), 'utf8');
+  return new JSDOM(html).window.document;
+}
+
+test('reads every class fare from journey cards', async () => {
+  const root = await loadFixture('multi-class.html');
+  const result = scrapeTrainCards('171', 'coach', { root });
+
+  assert.deepEqual(result, {
+    prices: [59, 142, 219, 1348, 76],
+    trains: [
+      {
+        trainNumber: '171',
+        departureTime: '07:05',
+        prices: [
+          { price: 59, className: 'coach', fareType: 'standard' },
+          { price: 142, className: 'business', fareType: 'standard' }
+        ]
+      },
+      {
+        trainNumber: '2151',
+        departureTime: '08:00',
+        prices: [
+          { price: 219, className: 'business', fareType: 'standard' },
+          { price: 1348, className: 'first', fareType: 'standard' }
+        ]
+      },
+      {
+        trainNumber: '95',
+        departureTime: '09:10',
+        prices: [
+          { price: 76, className: 'coach', fareType: 'standard' }
+        ]
+      }
+    ],
+    trainPrice: 59
+  });
+});
+
+test('falls back to the lowest fare when the class is not on the train', async () => {
+  const root = await loadFixture('multi-class.html');
+
+  assert.equal(scrapeTrainCards('2151', 'coach', { root }).trainPrice, 219);
+  assert.equal(scrapeTrainCards('2151', null, { root }).trainPrice, 219);
+});
+
+test('leaves trainPrice empty when the train is not listed', async () => {
+  const root = await loadFixture('multi-class.html');
+
+  assert.equal(scrapeTrainCards('9999', 'coach', { root }).trainPrice, null);
+  assert.equal(scrapeTrainCards(null, null, { root }).trainPrice, null);
+});
+
+test('drops fares above maxFare', async () => {
+  const root = await loadFixture('multi-class.html');
+  const result = scrapeTrainCards(null, null, { root, maxFare: 1000 });
+
+  assert.deepEqual(result.prices, [59, 142, 219, 76]);
+});
+
+test('skips sold out and not offered classes', async () => {
+  const root = await loadFixture('sold-out.html');
+  const result = scrapeTrainCards('173', 'coach', { root });
+
+  assert.deepEqual(result, {
+    prices: [168],
+    trains: [
+      {
+        trainNumber: '173',
+        departureTime: null,
+        prices: [{ price: 168, className: 'business', fareType: 'standard' }]
+      }
+    ],
+    trainPrice: 168
+  });
+  assert.equal(scrapeTrainCards('175', 'coach', { root }).trainPrice, null);
+});
+
+test('reads prices from cards without the class-fare markup', async () => {
+  const root = await loadFixture('fallback-cards.html');
+  const result = scrapeTrainCards('2153', null, { root });
+
+  assert.deepEqual(result, {
+    prices: [45, 98.5, 1204],
+    trains: [
+      {
+        trainNumber: '67',
+        departureTime: null,
+        prices: [
+          { price: 45, className: 'coach', fareType: 'standard' },
+          { price: 98.5, className: 'business', fareType: 'standard' }
+        ]
+      }
+    ],
+    trainPrice: 1204
+  });
+});
+
+test('falls back to page-wide price elements when there are no cards', async () => {
+  const root = await loadFixture('no-cards.html');
+
+  assert.deepEqual(scrapeTrainCards('171', 'coach', { root }), {
+    prices: [88, 112],
+    trainPrice: null
+  });
+});
+
+test('falls back to page text when no price elements exist', async () => {
+  const root = await loadFixture('text-only.html');
+
+  assert.deepEqual(scrapePricesFromPage({ root }), [64, 71.5]);
+});
+
+test('records each fare type shown for an expanded class', async () => {
+  const root = await loadFixture('fare-options.html');
+  const result = scrapeTrainCards('171', 'coach', { root, fareType: 'value' });
+
+  assert.deepEqual(result, {
+    prices: [49, 69, 112, 142, 219],
+    trains: [
+      {
+        trainNumber: '171',
+        departureTime: null,
+        prices: [
+          { price: 49, className: 'coach', fareType: 'saver' },
+          { price: 69, className: 'coach', fareType: 'value' },
+          { price: 112, className: 'coach', fareType: 'flex' },
+          { price: 142, className: 'business', fareType: 'standard' }
+        ]
+      },
+      {
+        trainNumber: '2151',
+        departureTime: null,
+        prices: [
+          { price: 219, className: 'business', fareType: 'value' }
+        ]
+      }
+    ],
+    trainPrice: 69
+  });
+});
+
+test('falls back to the lowest fare in the class when the fare type is sold out', async () => {
+  const root = await loadFixture('fare-options.html');
+
+  assert.equal(scrapeTrainCards('171', 'coach', { root, fareType: 'premium' }).trainPrice, 49);
+  assert.equal(scrapeTrainCards('171', 'coach', { root }).trainPrice, 49);
+});
+
+test('merges fare options read by expanding a class', async () => {
+  const root = await loadFixture('multi-class.html');
+  const card = findTrainCard('2151', { root });
+  assert.equal(card.querySelector('.train-name span').textContent, '2151');
+
+  const expandedFares = {
+    2151: [
+      { price: 199, className: 'business', fareType: 'saver' },
+      { price: 259, className: 'business', fareType: 'flex' }
+    ]
+  };
+  const result = scrapeTrainCards('2151', 'business', { root, fareType: 'flex', expandedFares });
+
+  assert.deepEqual(result.trains[1].prices, [
+    { price: 199, className: 'business', fareType: 'saver' },
+    { price: 259, className: 'business', fareType: 'flex' },
+    { price: 1348, className: 'first', fareType: 'standard' }
+  ]);
+  assert.equal(result.trainPrice, 259);
+});
+
+test('reads fare options with the class given by the caller', async () => {
+  const root = await loadFixture('fare-options.html');
+  const panel = root.querySelector('.fare-options');
+  panel.removeAttribute('data-class');
+
+  assert.deepEqual(readFareOptions(panel, 'coach').map(f => f.fareType), ['saver', 'value', 'flex']);
+  assert.deepEqual(readFareOptions(panel).map(f => f.className), [null, null, null]);
+});
+
+test('finds the enabled next page link', async () => {
+  const root = await loadFixture('pagination-first.html');
+
+  assert.equal(findNextPageButton({ root })?.id, 'next-link');
+  assert.equal(getActiveResultsPage({ root }), 1);
+  assert.equal(
+    getCurrentResultsSignature({ root }),
+    JSON.stringify({ activePage: 1, firstTrainNums: ['171', '2151'] })
+  );
+});
+
+test('stops on the last page', async () => {
+  const root = await loadFixture('pagination-last.html');
+
+  assert.equal(findNextPageButton({ root }), null);
+  assert.equal(getActiveResultsPage({ root }), 2);
+});
+
+test('recognizes a "later trains" button', async () => {
+  const root = await loadFixture('pagination-later-button.html');
+
+  assert.equal(findNextPageButton({ root })?.id, 'later-trains');
+  assert.equal(getActiveResultsPage({ root }), null);
+});
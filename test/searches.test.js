@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { searchKey, groupTripsBySearch, buildSharedSearch, resultsForTrip } from '../searches.js';
+
+const trip = (id, overrides = {}) => ({
+  id,
+  origin: 'NYP',
+  destination: 'WAS',
+  travelDate: '2026-03-10',
+  trainNumber: null,
+  ...overrides
+});
+
+const results = {
+  prices: [59, 89, 149, 72],
+  trainPrice: 89,
+  trains: [
+    { trainNumber: '171', prices: [{ className: 'coach', fareType: 'value', price: 89 }, { className: 'coach', fareType: 'saver', price: 59 }, { className: 'business', fareType: 'value', price: 149 }] },
+    { trainNumber: '95', prices: [{ className: 'coach', fareType: 'value', price: 72 }] }
+  ]
+};
+
+test('groups trips by route, date and passengers', () => {
+  const trips = [
+    trip('a', { trainNumber: '171' }),
+    trip('b', { trainNumber: '95', passengers: { adult: 2 } }),
+    trip('c', { trainNumber: '95', ticketClass: 'business' }),
+    trip('d', { travelDate: '2026-03-11' }),
+    trip('e', { trainNumber: '95', passengers: { adult: 2 } })
+  ];
+
+  assert.deepEqual(groupTripsBySearch(trips).map(group => group.trips.map(t => t.id)), [['a', 'c'], ['b', 'e'], ['d']]);
+  assert.equal(searchKey(trips[0]), searchKey({ ...trips[2], passengers: { adult: 1 } }));
+  assert.notEqual(searchKey(trips[0]), searchKey(trips[1]));
+});
+
+test('searches for every train in the group', () => {
+  const search = buildSharedSearch([trip('a'), trip('b', { trainNumber: '171' }), trip('c', { trainNumber: '95' }), trip('d', { trainNumber: '171' })]);
+
+  assert.equal(search.id, 'b');
+  assert.equal(search.trainNumber, '171');
+  assert.deepEqual(search.trainNumbers, ['171', '95']);
+  assert.deepEqual(buildSharedSearch([trip('a')]).trainNumbers, []);
+});
+
+test('prices each trip from its own train, class and fare type', () => {
+  const search = trip('a', { trainNumber: '171', ticketClass: 'coach', fareType: 'value' });
+
+  assert.equal(resultsForTrip(search, results, search).trainPrice, 89);
+  assert.equal(resultsForTrip(trip('b', { trainNumber: '171', ticketClass: 'coach', fareType: 'saver' }), results, search).trainPrice, 59);
+  assert.equal(resultsForTrip(trip('c', { trainNumber: '171', ticketClass: 'business' }), results, search).trainPrice, 149);
+  assert.equal(resultsForTrip(trip('d', { trainNumber: '95' }), results, search).trainPrice, 72);
+  assert.equal(resultsForTrip(trip('e', { trainNumber: '2150' }), results, search).trainPrice, null);
+  assert.equal(resultsForTrip(trip('f'), results, search).trainPrice, null);
+  assert.equal(resultsForTrip(trip('g', { trainNumber: '95' }), results, search).trains, results.trains);
+});
+
+test('keeps the provider price for the search train when it has no fare list', () => {
+  const search = trip('a', { trainNumber: '171', ticketClass: 'coach' });
+  const textOnly = { prices: [89], trains: [], trainPrice: 89 };
+
+  assert.equal(resultsForTrip(trip('b', { trainNumber: '171', ticketClass: 'coach' }), textOnly, search).trainPrice, 89);
+  assert.equal(resultsForTrip(trip('c', { trainNumber: '171', ticketClass: 'business' }), textOnly, search).trainPrice, null);
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+import {
+  SELECTOR_CONCEPTS,
+  resolveSelectors,
+  validateSelectorOverrides,
+  queryFirst,
+  queryAll,
+  runSelectorSelfTest
+} from '../selectors.js';
+import { scrapeTrainCards } from '../scraper.js';
+
+const page = html => new JSDOM(`<body>${html}</body>`).window.document;
+
+test('uses the defaults for concepts without a valid override', () => {
+  const override = [{ name: 'custom', selector: '.journey' }];
+  const selectors = resolveSelectors({ journeyCard: override, price: [], unknownThing: override });
+
+  assert.equal(selectors.journeyCard, override);
+  assert.equal(selectors.price, SELECTOR_CONCEPTS.price.strategies);
+  assert.equal(selectors.unknownThing, undefined);
+});
+
+test('reports problems with overrides', () => {
+  const root = page('');
+
+  assert.deepEqual(validateSelectorOverrides({ journeyCard: [{ name: 'ok', selector: '.journey' }] }, root), []);
+  assert.deepEqual(validateSelectorOverrides([]), ['overrides must be an object of { concept: [strategies] }']);
+  assert.deepEqual(validateSelectorOverrides({
+    nope: [],
+    price: [],
+    fareButton: [{ selector: '.fare' }, { name: 'broken', selector: '.fare[' }, { name: 'texty', selector: 'button', text: 5 }]
+  }, root), [
+    'nope: unknown concept',
+    'price: must be a non-empty list of strategies',
+    'fareButton[0]: missing name',
+    'fareButton[1]: invalid selector ".fare["',
+    'fareButton[2]: text must be a string'
+  ]);
+});
+
+test('tries strategies in order, filling placeholders and matching text', () => {
+  const root = page(`
+    <div class="ngb-dp-day" aria-label="Monday, April 6, 2026">6</div>
+    <button>Cancel</button>
+    <button aria-label="Find Trains">Go</button>
+    <span class="fare-type">Value</span>
+    <span class="fare-title">Flex</span>
+  `);
+  const selectors = resolveSelectors(null);
+
+  assert.equal(queryFirst(root, selectors.calendarDay, { vars: { label: 'Monday, April 6, 2026' } })?.textContent, '6');
+  assert.equal(queryFirst(root, selectors.calendarDay, { vars: { label: 'Tuesday, April 7, 2026' } }), null);
+  assert.equal(queryFirst(root, selectors.searchButton)?.textContent, 'Go');
+  assert.equal(queryFirst(root, selectors.fareName)?.textContent, 'Value');
+  assert.equal(queryFirst(root, selectors.searchButton, { filter: () => false }), null);
+  assert.deepEqual(queryAll(root, [{ name: 'bad', selector: '[' }, { name: 'spans', selector: 'span' }]).map(el => el.textContent), ['Value', 'Flex']);
+});
+
+test('scrapes a redesigned results page through overrides', () => {
+  const root = page(`
+    <section class="trip-option">
+      <h3 class="train-id">171</h3>
+      <div class="seat-class"><span class="class-title">Coach</span><b class="amount">59</b></div>
+    </section>
+  `);
+  const selectors = resolveSelectors({
+    journeyCard: [{ name: 'trip-option', selector: '.trip-option' }],
+    trainNumber: [{ name: 'train-id', selector: '.train-id' }],
+    fareButton: [{ name: 'seat-class', selector: '.seat-class' }],
+    price: [{ name: 'amount', selector: '.amount' }]
+  });
+
+  const result = scrapeTrainCards('171', 'coach', { root, selectors });
+  assert.equal(result.trainPrice, 59);
+  assert.deepEqual(result.trains.map(t => t.trainNumber), ['171']);
+});
+
+test('self-test reports the first matching strategy for each concept', () => {
+  const root = page('<am-journey-card></am-journey-card><div class="fare-title">Saver</div>');
+  const selectors = resolveSelectors({ price: [{ name: 'broken', selector: '.price[' }] });
+  const report = runSelectorSelfTest(root, selectors);
+  const byConcept = Object.fromEntries(report.map(entry => [entry.concept, entry]));
+
+  assert.equal(report.length, Object.keys(SELECTOR_CONCEPTS).length);
+  assert.equal(byConcept.journeyCard.matched, 'am-journey-card');
+  assert.equal(byConcept.journeyCard.page, 'results');
+  assert.equal(byConcept.fareName.matched, 'fare-title');
+  assert.deepEqual(byConcept.fareName.strategies.map(s => s.count), [0, 0, 1]);
+  assert.equal(byConcept.originInput.matched, null);
+  assert.equal(byConcept.price.matched, null);
+  assert.match(byConcept.price.strategies[0].error, /./);
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { STATIONS, getStation, isKnownStation, isStationCode, searchStations, formatStation } from '../stations.js';
+
+test('looks up stations by code in any case', () => {
+  assert.equal(getStation('NYP').name, 'New York Penn Station');
+  assert.equal(getStation(' nyp ').code, 'NYP');
+  assert.equal(getStation('XYZ'), null);
+  assert.equal(getStation(''), null);
+  assert.equal(isKnownStation('was'), true);
+  assert.equal(new Set(STATIONS.map(station => station.code)).size, STATIONS.length);
+});
+
+test('accepts any three-letter code, listed or not', () => {
+  assert.equal(isStationCode('NYP'), true);
+  assert.equal(isStationCode('xyz'), true);
+  assert.equal(isStationCode('NY'), false);
+  assert.equal(isStationCode('NYPS'), false);
+  assert.equal(isStationCode('N1P'), false);
+  assert.equal(isStationCode(undefined), false);
+});
+
+test('ranks code matches before name and city matches', () => {
+  assert.deepEqual(searchStations('NYP').map(station => station.code), ['NYP']);
+  assert.deepEqual(searchStations('ny').map(station => station.code), ['NYP', 'ALB']);
+  assert.deepEqual(searchStations('chicago').map(station => station.code), ['CHI']);
+  assert.equal(searchStations('a', 3).length, 3);
+  assert.deepEqual(searchStations('  '), []);
+  assert.deepEqual(searchStations('zzzz'), []);
+});
+
+test('labels stations with their name, falling back to the code', () => {
+  assert.equal(formatStation('WAS'), 'Washington Union Station (WAS)');
+  assert.equal(formatStation('XYZ'), 'XYZ');
+});
@@ -0,0 +1,155 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+const TARGET_KEY = 'amtrak_automation_target';
+const USER_TAB = { id: 7, windowId: 1, url: 'https://www.amtrak.com/tickets/departure.html', active: true };
+
+let session;
+let openTabs;
+let calls;
+
+// Just enough of the extension APIs for the tab provider; records what it touches
+function installChrome({ windowsFail = false } = {}) {
+  let nextId = 100;
+  const listeners = new Set();
+
+  globalThis.chrome = {
+    storage: {
+      session: {
+        get: async key => (key in session ? { [key]: session[key] } : {}),
+        set: async items => { Object.assign(session, items); },
+        remove: async key => { delete session[key]; }
+      }
+    },
+    tabs: {
+      get: async id => {
+        if (!openTabs.has(id)) throw new Error(`No tab with id: ${id}.`);
+        return openTabs.get(id);
+      },
+      query: async () => [...openTabs.values()].filter(tab => tab.url.startsWith('https://www.amtrak.com/')),
+      create: async ({ url, active }) => {
+        const tab = { id: nextId++, windowId: 1, url, active };
+        openTabs.set(tab.id, tab);
+        calls.created.push(tab.id);
+        return tab;
+      },
+      update: async (id, props) => { calls.updated.push({ id, ...props }); },
+      remove: async id => {
+        openTabs.delete(id);
+        calls.removed.push(id);
+      },
+      sendMessage: async (id, message) => {
+        calls.messaged.push({ id, action: message.action });
+        return { url: openTabs.get(id).url, report: [] };
+      },
+      onUpdated: {
+        // Every tab finishes loading straight away
+        addListener: listener => {
+          listeners.add(listener);
+          setTimeout(() => [...openTabs.keys()].forEach(id => listener(id, { status: 'complete' })));
+        },
+        removeListener: listener => listeners.delete(listener)
+      }
+    },
+    windows: {
+      create: async ({ url }) => {
+        if (windowsFail) throw new Error('Minimized windows are not supported');
+        const tab = { id: nextId++, windowId: nextId++, url, active: true };
+        openTabs.set(tab.id, tab);
+        calls.windows.push(tab.windowId);
+        return { id: tab.windowId, tabs: [tab] };
+      },
+      remove: async id => {
+        [...openTabs.values()].filter(tab => tab.windowId === id).forEach(tab => openTabs.delete(tab.id));
+        calls.windowsRemoved.push(id);
+      }
+    },
+    scripting: {
+      executeScript: async ({ target }) => { calls.injected.push(target.tabId); }
+    }
+  };
+}
+
+beforeEach(() => {
+  session = {};
+  openTabs = new Map([[USER_TAB.id, { ...USER_TAB }]]);
+  calls = { created: [], updated: [], removed: [], messaged: [], windows: [], windowsRemoved: [], injected: [] };
+  installChrome();
+});
+
+const { openAutomationTab, closeAutomationTab, selfTestSelectors } = await import('../tab-provider.js');
+
+test('opens its own minimized window instead of using the user\'s Amtrak tab', async () => {
+  const tab = await openAutomationTab({ automationWindow: 'minimized' });
+
+  assert.notEqual(tab.id, USER_TAB.id);
+  assert.equal(calls.windows.length, 1);
+  assert.deepEqual(session[TARGET_KEY], { tabId: tab.id, windowId: tab.windowId, ownsWindow: true, createdAt: session[TARGET_KEY].createdAt });
+  assert.deepEqual(calls.updated, []);
+  assert.equal(openTabs.get(USER_TAB.id).url, USER_TAB.url);
+});
+
+test('falls back to a background tab', async () => {
+  const tab = await openAutomationTab({ automationWindow: 'background' });
+  assert.deepEqual(calls.created, [tab.id]);
+  assert.equal(tab.active, false);
+  assert.equal(session[TARGET_KEY].ownsWindow, false);
+
+  session = {};
+  installChrome({ windowsFail: true });
+  const fallback = await openAutomationTab({ automationWindow: 'minimized' });
+  assert.equal(calls.created.at(-1), fallback.id);
+  assert.notEqual(fallback.id, USER_TAB.id);
+});
+
+test('picks its tab back up from session storage after a restart', async () => {
+  openTabs.set(42, { id: 42, windowId: 9, url: 'https://www.amtrak.com/', active: false });
+  session[TARGET_KEY] = { tabId: 42, windowId: 9, ownsWindow: true, createdAt: '2026-03-01T12:00:00.000Z' };
+
+  const tab = await openAutomationTab({ automationWindow: 'minimized' });
+
+  assert.equal(tab.id, 42);
+  assert.deepEqual(calls.created, []);
+  assert.deepEqual(calls.windows, []);
+});
+
+test('opens a new tab when the remembered one was closed', async () => {
+  session[TARGET_KEY] = { tabId: 42, windowId: 9, ownsWindow: true, createdAt: '2026-03-01T12:00:00.000Z' };
+
+  const tab = await openAutomationTab({ automationWindow: 'minimized' });
+
+  assert.notEqual(tab.id, 42);
+  assert.notEqual(tab.id, USER_TAB.id);
+  assert.equal(session[TARGET_KEY].tabId, tab.id);
+});
+
+test('closes only its own window or tab', async () => {
+  const owned = await openAutomationTab({ automationWindow: 'minimized' });
+  await closeAutomationTab();
+  assert.deepEqual(calls.windowsRemoved, [owned.windowId]);
+  assert.equal(session[TARGET_KEY], undefined);
+
+  const tab = await openAutomationTab({ automationWindow: 'background' });
+  await closeAutomationTab();
+  assert.deepEqual(calls.removed, [tab.id]);
+
+  // Nothing remembered, nothing closed
+  await closeAutomationTab();
+  assert.deepEqual(calls.removed, [tab.id]);
+  assert.ok(openTabs.has(USER_TAB.id));
+});
+
+test('self-tests selectors on the user\'s Amtrak tab, not the automation tab', async () => {
+  const automation = await openAutomationTab({ automationWindow: 'background' });
+  openTabs.get(automation.id).active = true;
+  openTabs.get(USER_TAB.id).active = false;
+
+  const result = await selfTestSelectors({});
+
+  assert.equal(result.url, USER_TAB.url);
+  assert.deepEqual(calls.messaged, [{ id: USER_TAB.id, action: 'selectorSelfTest' }]);
+  assert.deepEqual(calls.updated, []);
+
+  openTabs.delete(USER_TAB.id);
+  assert.match((await selfTestSelectors({})).error, /Open amtrak\.com/);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { isWatch, convertToBooked } from '../watches.js';
+import { validateTrip } from '../schema.js';
+
+const base = {
+  id: 'w1',
+  origin: 'NYP',
+  destination: 'WAS',
+  travelDate: '2026-03-15',
+  trainNumber: '171',
+  trainTime: '07:05',
+  ticketClass: 'coach',
+  fareType: null,
+  priceBasis: 'total',
+  passengers: { adult: 1, senior: 0, child: 0, infant: 0 },
+  currentPrice: 72,
+  lastChecked: '2026-03-01T12:00:00.000Z',
+  priceHistory: [{ price: 72, timestamp: '2026-03-01T12:00:00.000Z' }],
+  trainNotFound: false,
+  alertRules: null,
+  alertState: null
+};
+
+const now = new Date('2026-03-02T09:00:00.000Z');
+
+test('watches are valid without a price paid, booked trips are not', () => {
+  const watch = { ...base, type: 'watch', pricePaid: null, targetPrice: 75 };
+
+  assert.equal(isWatch(watch), true);
+  assert.deepEqual(validateTrip(watch), []);
+  assert.deepEqual(validateTrip({ ...watch, type: 'booked' }), ['price paid is not a number']);
+});
+
+test('booking a watch records the price paid and keeps its history', () => {
+  const watch = { ...base, type: 'watch', pricePaid: null, targetPrice: 75, targetAlertState: { lastAlertedPrice: 72 } };
+  const booked = convertToBooked(watch, { pricePaid: 72, priceBasis: 'total' }, now);
+
+  assert.equal(booked.type, 'booked');
+  assert.equal(booked.pricePaid, 72);
+  assert.equal(booked.bookedAt, now.toISOString());
+  assert.equal('targetPrice' in booked, false);
+  assert.equal('targetAlertState' in booked, false);
+  assert.deepEqual(booked.priceHistory, watch.priceHistory);
+  assert.equal(isWatch(booked), false);
+  assert.deepEqual(validateTrip(booked), []);
+});
+
+test('booking a date range watch picks its cheapest day and train', () => {
+  const range = {
+    ...base,
+    type: 'range',
+    trainNumber: null,
+    trainTime: null,
+    pricePaid: null,
+    dateFlex: 2,
+    timeFrom: '06:00',
+    timeTo: null,
+    targetPrice: null,
+    dayPrices: { '2026-03-14': { price: 64, trainNumber: '95', departureTime: '06:15' } },
+    cheapestDay: { date: '2026-03-14', price: 64, trainNumber: '95', departureTime: '06:15' }
+  };
+  const booked = convertToBooked(range, { pricePaid: 64, priceBasis: 'perPerson' }, now);
+
+  assert.equal(booked.travelDate, '2026-03-14');
+  assert.equal(booked.trainNumber, '95');
+  assert.equal(booked.trainTime, '06:15');
+  assert.equal(booked.priceBasis, 'perPerson');
+  assert.equal('dayPrices' in booked, false);
+  assert.equal('dateFlex' in booked, false);
+  assert.deepEqual(booked.priceHistory[0].previousSearch, { type: 'range', travelDate: '2026-03-15', dateFlex: 2 });
+  assert.deepEqual(validateTrip(booked), []);
+});
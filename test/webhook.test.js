@@ -0,0 +1,99 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createHmac } from 'node:crypto';
+
+import { sendPriceDropWebhook, validateTemplate } from '../webhook.js';
+
+// Local webhook receiver that records each request
+let server;
+let baseUrl;
+let lastRequest;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      lastRequest = { url: req.url, headers: req.headers, body };
+      res.writeHead(200);
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+const trip = {
+  origin: 'NYP',
+  destination: 'WAS',
+  travelDate: '2026-03-15',
+  trainNumber: '171',
+  pricePaid: 89,
+  passengers: { adult: 2 }
+};
+const send = config => sendPriceDropWebhook(trip, 72, { webhookUrl: `${baseUrl}/hook`, ...config });
+const payload = () => JSON.parse(lastRequest.body);
+
+test('generic preset posts the trip fields', async () => {
+  const result = await send({ webhookPreset: 'generic' });
+
+  assert.equal(result.success, true);
+  assert.equal(lastRequest.url, '/hook');
+  assert.equal(lastRequest.headers['content-type'], 'application/json');
+  assert.equal(lastRequest.headers['x-signature-256'], undefined);
+  assert.equal(payload().event, 'price_drop');
+  assert.equal(payload().route, 'NYP → WAS');
+  assert.equal(payload().travel_date, 'Mar 15, 2026');
+  assert.equal(payload().train_number, '171');
+  assert.equal(payload().original_price, '$89.00');
+  assert.equal(payload().current_price, '$72.00');
+  assert.equal(payload().savings, '$17.00');
+  assert.match(payload().booking_url, /^https:\/\/www\.amtrak\.com\/tickets\/departure\.html\?origin=NYP&destination=WAS&date=2026-03-15/);
+});
+
+test('slack and discord presets post the message text', async () => {
+  await send({ webhookPreset: 'slack' });
+  assert.deepEqual(Object.keys(payload()), ['text']);
+  assert.match(payload().text, /^🚂 Amtrak price drop: NYP → WAS on Mar 15, 2026 \(Train #171\) is now \$72\.00, you paid \$89\.00 \(save \$17\.00\)/);
+
+  await send({ webhookPreset: 'discord' });
+  assert.equal(payload().username, 'Amtrak Price Tracker');
+  assert.match(payload().content, /save \$17\.00/);
+});
+
+test('ntfy preset posts to the server root with the topic in the body', async () => {
+  await send({ webhookPreset: 'ntfy', webhookUrl: `${baseUrl}/my-topic` });
+
+  assert.equal(lastRequest.url, '/');
+  assert.equal(payload().topic, 'my-topic');
+  assert.equal(payload().title, 'Amtrak Price Drop: NYP → WAS');
+  assert.equal(payload().message, 'Now $72.00 (paid $89.00, save $17.00)');
+  assert.deepEqual(payload().tags, ['train']);
+
+  const noTopic = await send({ webhookPreset: 'ntfy', webhookUrl: baseUrl });
+  assert.match(noTopic.error, /must include a topic/);
+});
+
+test('custom templates escape values and are validated', async () => {
+  await send({ webhookPreset: 'generic', webhookTemplate: '{"text": "{{route}} \\"{{savings}}\\"", "unknown": "{{nope}}"}' });
+  assert.deepEqual(payload(), { text: 'NYP → WAS "$17.00"', unknown: '{{nope}}' });
+
+  assert.equal(validateTemplate('{"text": "{{message}}"}'), null);
+  assert.notEqual(validateTemplate('{"text": {{message}}}'), null);
+});
+
+test('signs the body with the secret', async () => {
+  await send({ webhookPreset: 'slack', webhookSecret: 'shh' });
+  const expected = createHmac('sha256', 'shh').update(lastRequest.body).digest('hex');
+  assert.equal(lastRequest.headers['x-signature-256'], `sha256=${expected}`);
+
+  // A fixed body, so the signature is a known value
+  await send({ webhookPreset: 'generic', webhookTemplate: '{"text": "hi"}', webhookSecret: 'shh' });
+  assert.equal(lastRequest.body, '{"text":"hi"}');
+  assert.equal(lastRequest.headers['x-signature-256'], 'sha256=2f15f2c8c2090c597a4eebb0cc715d9d0f364e7285734137eeffed9b8494fbdf');
+});
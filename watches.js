@@ -0,0 +1,62 @@
+/**
+ * Watches
+ *
+ * A watch tracks a fare that hasn't been bought yet: either one day and
+ * train with a target price (trip.type 'watch') or a date range (see
+ * date-range.js). Once the ticket is bought, the watch becomes a booked
+ * trip that tracks price drops against what was paid.
+ */
+
+// Fields that only mean something while a trip is a watch
+const WATCH_FIELDS = ['targetPrice', 'targetAlertState', 'dateFlex', 'timeFrom', 'timeTo', 'dayPrices', 'cheapestDay'];
+
+/**
+ * Whether a trip is a watch rather than a bought ticket
+ * @param {Object} trip
+ * @returns {boolean}
+ */
+export function isWatch(trip) {
+  return trip.type === 'watch' || trip.type === 'range';
+}
+
+/**
+ * Turn a watch into a booked trip
+ * A date range watch is booked on its cheapest day and train. Its price
+ * history covered the whole range, so it's kept but tagged as a previous
+ * search and left off the chart.
+ * @param {Object} trip - Watch to convert
+ * @param {Object} booking - { pricePaid, priceBasis }
+ * @param {Date} [now=new Date()] - Time of booking
+ * @returns {Object} New booked trip
+ */
+export function convertToBooked(trip, { pricePaid, priceBasis }, now = new Date()) {
+  const booked = { ...trip };
+  WATCH_FIELDS.forEach(field => { delete booked[field]; });
+
+  Object.assign(booked, {
+    type: 'booked',
+    pricePaid,
+    priceBasis: priceBasis || trip.priceBasis || 'total',
+    alertState: null,
+    upgradeAlertState: null,
+    alternativeAlertState: null,
+    bookedAt: now.toISOString()
+  });
+
+  if (trip.type === 'range') {
+    const day = trip.cheapestDay;
+    const previousSearch = { type: 'range', travelDate: trip.travelDate, dateFlex: trip.dateFlex };
+    Object.assign(booked, {
+      travelDate: day ? day.date : trip.travelDate,
+      trainNumber: day?.trainNumber || null,
+      trainTime: day?.departureTime || null,
+      currentPrice: day ? day.price : null,
+      priceHistory: (trip.priceHistory || []).map(entry =>
+        entry.previousSearch ? entry : { ...entry, previousSearch }
+      ),
+      trainSnapshots: []
+    });
+  }
+
+  return booked;
+}
@@ -0,0 +1,226 @@
+/**
+ * Webhook notification service
+ *
+ * Posts price drop alerts as JSON to a configurable URL. Presets cover the
+ * payload formats Slack and Discord incoming webhooks and ntfy expect; the
+ * generic preset uses a user-editable JSON template.
+ *
+ * Template placeholders (values are JSON-escaped when substituted, so
+ * place them inside string literals):
+ *   {{message}}, {{route}}, {{origin}}, {{destination}}, {{travel_date}},
+ *   {{train_number}}, {{travelers}}, {{original_price}}, {{current_price}},
+ *   {{savings}}, {{booking_url}}
+ *
+ * If a signing secret is set, the request carries an
+ * `X-Signature-256: sha256=<hex HMAC of the body>` header.
+ */
+
+import { appendPassengerParams, formatPassengers } from './passengers.js';
+
+export const WEBHOOK_PRESETS = {
+  generic: {
+    label: 'Generic JSON',
+    template: JSON.stringify({
+      event: 'price_drop',
+      route: '{{route}}',
+      travel_date: '{{travel_date}}',
+      train_number: '{{train_number}}',
+      travelers: '{{travelers}}',
+      original_price: '{{original_price}}',
+      current_price: '{{current_price}}',
+      savings: '{{savings}}',
+      booking_url: '{{booking_url}}'
+    }, null, 2)
+  },
+  slack: {
+    label: 'Slack',
+    template: JSON.stringify({
+      text: '{{message}}'
+    }, null, 2)
+  },
+  discord: {
+    label: 'Discord',
+    template: JSON.stringify({
+      username: 'Amtrak Price Tracker',
+      content: '{{message}}'
+    }, null, 2)
+  },
+  ntfy: {
+    label: 'ntfy',
+    template: JSON.stringify({
+      title: 'Amtrak Price Drop: {{route}}',
+      message: 'Now {{current_price}} (paid {{original_price}}, save {{savings}})',
+      click: '{{booking_url}}',
+      tags: ['train']
+    }, null, 2)
+  }
+};
+
+/**
+ * Send a price drop alert to a webhook
+ * @param {Object} trip - The trip object
+ * @param {number} currentPrice - Current price
+ * @param {Object} config - { webhookUrl, webhookPreset, webhookTemplate, webhookSecret }
+ * @returns {Promise<Object>} - { success, status, error }
+ */
+export async function sendPriceDropWebhook(trip, currentPrice, config) {
+  if (!config.webhookUrl) {
+    return { success: false, error: 'No webhook URL configured' };
+  }
+
+  let url;
+  try {
+    url = new URL(config.webhookUrl);
+  } catch (error) {
+    return { success: false, error: 'Invalid webhook URL' };
+  }
+
+  const preset = WEBHOOK_PRESETS[config.webhookPreset] ? config.webhookPreset : 'generic';
+  const template = preset === 'generic' && config.webhookTemplate
+    ? config.webhookTemplate
+    : WEBHOOK_PRESETS[preset].template;
+
+  let payload;
+  try {
+    payload = JSON.parse(renderTemplate(template, buildTemplateValues(trip, currentPrice)));
+  } catch (error) {
+    return { success: false, error: `Invalid payload template: ${error.message}` };
+  }
+
+  // ntfy's JSON API takes the topic in the body and is posted to the server root
+  if (preset === 'ntfy') {
+    const topic = url.pathname.replace(/^\/+|\/+$/g, '');
+    if (!topic) {
+      return { success: false, error: 'ntfy URL must include a topic, e.g. https://ntfy.sh/my-topic' };
+    }
+    payload = { topic, ...payload };
+    url = new URL('/', url);
+  }
+
+  const body = JSON.stringify(payload);
+  const headers = { 'Content-Type': 'application/json' };
+
+  if (config.webhookSecret) {
+    headers['X-Signature-256'] = `sha256=${await signPayload(body, config.webhookSecret)}`;
+  }
+
+  try {
+    const response = await fetch(url.toString(), {
+      method: 'POST',
+      headers,
+      body
+    });
+
+    if (response.ok) {
+      console.log(`Webhook delivered to ${url.host}`);
+      return { success: true, status: response.status };
+    } else {
+      const errorText = await response.text();
+      console.error('Webhook error:', response.status, errorText);
+      return { success: false, status: response.status, error: errorText.slice(0, 200) || response.statusText };
+    }
+  } catch (error) {
+    console.error('Failed to send webhook:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Test webhook configuration
+ * @param {Object} config - Webhook settings to test
+ * @returns {Promise<Object>}
+ */
+export async function sendTestWebhook(config) {
+  const testTrip = {
+    origin: 'NYP',
+    destination: 'WAS',
+    travelDate: '2026-03-15',
+    trainNumber: '123',
+    pricePaid: 89.00
+  };
+
+  return sendPriceDropWebhook(testTrip, 72.00, config);
+}
+
+/**
+ * Check that a template renders to valid JSON
+ * @param {string} template - JSON template with {{placeholders}}
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateTemplate(template) {
+  try {
+    JSON.parse(renderTemplate(template, buildTemplateValues({
+      origin: 'NYP',
+      destination: 'WAS',
+      travelDate: '2026-03-15',
+      pricePaid: 89.00
+    }, 72.00)));
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+// Helper functions
+function buildTemplateValues(trip, currentPrice) {
+  const savings = trip.pricePaid - currentPrice;
+  const route = `${trip.origin} → ${trip.destination}`;
+  const travelDate = formatDate(trip.travelDate);
+  const bookingUrl = buildBookingUrl(trip);
+
+  return {
+    message: `🚂 Amtrak price drop: ${route} on ${travelDate}${trip.trainNumber ? ` (Train #${trip.trainNumber})` : ''} is now $${currentPrice.toFixed(2)}, you paid $${trip.pricePaid.toFixed(2)} (save $${savings.toFixed(2)}). ${bookingUrl}`,
+    route,
+    origin: trip.origin,
+    destination: trip.destination,
+    travel_date: travelDate,
+    train_number: trip.trainNumber || '',
+    travelers: formatPassengers(trip.passengers),
+    original_price: `$${trip.pricePaid.toFixed(2)}`,
+    current_price: `$${currentPrice.toFixed(2)}`,
+    savings: `$${savings.toFixed(2)}`,
+    booking_url: bookingUrl
+  };
+}
+
+// Substitute {{name}} placeholders with JSON-escaped values
+function renderTemplate(template, values) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    if (!(name in values)) return match;
+    return JSON.stringify(String(values[name])).slice(1, -1);
+  });
+}
+
+async function signPayload(body, secret) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(body));
+  return Array.from(new Uint8Array(signature))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+function buildBookingUrl(trip) {
+  const params = new URLSearchParams({
+    origin: trip.origin,
+    destination: trip.destination,
+    date: trip.travelDate
+  });
+  appendPassengerParams(params, trip.passengers);
+  return `https://www.amtrak.com/tickets/departure.html?${params.toString()}`;
+}
+
+function formatDate(dateString) {
+  const date = new Date(dateString + 'T00:00:00');
+  return date.toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+}